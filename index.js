@@ -7,7 +7,8 @@
  * 2. sql_execute - SQL查询执行（支持查询和修改操作）
  * 3. sql_batch - 批量SQL执行（事务支持）
  * 4. sql_schema - 数据库结构查询（表、视图、存储过程等）
- * 5. sql_export - 数据导出功能（CSV、JSON格式）
+ * 5. sql_export - 数据导出功能（CSV、JSON、NDJSON、XLSX格式）
+ * 6. sql_import - 数据导入功能（CSV、JSON、NDJSON文件批量写入）
  * 
  * 核心功能：
  * - 连接池管理：智能连接池，自动管理连接生命周期
@@ -35,19 +36,71 @@ import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mc
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
 import sql from 'mssql';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import ExcelJS from 'exceljs';
+import iconv from 'iconv-lite';
+import { once } from 'events';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
 
 const server = new McpServer({
   name: "mssql-server",
   version: "1.0.0"
 });
 
-// 连接池管理
-let connectionPool = null;
-let lastActivityTime = null;
-let connectionConfig = null;
-let autoDisconnectTimer = null;
+// 连接池管理：按连接名称保存多个活动连接
+// 每个连接条目包含：name, pool, config, policy, state, lastActivityTime, autoDisconnectTimer, heartbeatTimer, stats
+const connections = new Map();
+// 未指定连接名称时使用的默认连接（最近一次建立的连接）
+let currentConnectionName = null;
 
-// 连接统计信息
+const DEFAULT_CONNECTION_NAME = "default";
+
+// 重连策略默认值，可由配置文件的 reconnect 段、预定义连接或 connect_database 的 reconnect 参数覆盖
+const DEFAULT_RECONNECT_POLICY = {
+  heartbeatInterval: 120000,          // 心跳间隔(毫秒)，0 表示关闭心跳
+  idleDisconnectTimeout: 300000,      // 无活动自动断开(毫秒)，0 表示不自动断开
+  maxRetries: 3,                      // 每次重连在首次尝试失败后的最大重试次数
+  retryDelay: 1000,                   // 首次重试前的等待时间(毫秒)
+  maxRetryDelay: 30000,               // 重试等待时间上限(毫秒)
+  backoffMultiplier: 2,               // 指数退避倍数
+  jitter: 0.2,                        // 随机抖动比例 (0-1)
+  circuitBreakerThreshold: 5,         // 连续失败多少次后打开熔断器，0 表示不启用熔断
+  circuitBreakerResetTimeout: 60000   // 熔断器打开后多久允许再次试探(毫秒)
+};
+
+// 重连策略校验
+const reconnectPolicySchema = z.object({
+  heartbeatInterval: z.number().int().min(0).optional().describe("心跳间隔(毫秒)，0 表示关闭心跳 (默认120000)"),
+  idleDisconnectTimeout: z.number().int().min(0).optional().describe("无活动自动断开时间(毫秒)，0 表示不自动断开 (默认300000)"),
+  maxRetries: z.number().int().min(0).max(20).optional().describe("重连失败后的最大重试次数 (默认3)"),
+  retryDelay: z.number().int().min(0).optional().describe("首次重试等待时间(毫秒，默认1000)"),
+  maxRetryDelay: z.number().int().min(0).optional().describe("重试等待时间上限(毫秒，默认30000)"),
+  backoffMultiplier: z.number().min(1).optional().describe("指数退避倍数 (默认2)"),
+  jitter: z.number().min(0).max(1).optional().describe("随机抖动比例 0-1 (默认0.2)"),
+  circuitBreakerThreshold: z.number().int().min(0).optional().describe("连续失败多少次后打开熔断器，0 表示不启用 (默认5)"),
+  circuitBreakerResetTimeout: z.number().int().min(1000).optional().describe("熔断器打开后多久允许再次尝试(毫秒，默认60000)")
+}).strict();
+
+// 连接状态
+const CONNECTION_STATES = {
+  "connected": "已连接",
+  "lost": "连接丢失",
+  "reconnecting": "重连中",
+  "circuit-open": "熔断中",
+  "half-open": "熔断试探",
+  "disconnected": "已断开"
+};
+
+// 连接状态变化记录（所有连接，保留最近的事件）
+const connectionEvents = [];
+const MAX_CONNECTION_EVENTS = 50;
+
+// 连接统计信息（所有连接的汇总）
 let connectionStats = {
   totalConnections: 0,
   successfulConnections: 0,
@@ -61,304 +114,8573 @@ let connectionStats = {
   averageQueryTime: 0
 };
 
-// 心跳定时器
-let heartbeatTimer = null;
+// 创建单个连接的统计信息
+function createConnectionStats() {
+  return {
+    totalQueries: 0,
+    successfulQueries: 0,
+    failedQueries: 0,
+    connectedAt: null,
+    lastQueryTime: null,
+    totalQueryTime: 0,
+    averageQueryTime: 0,
+    reconnects: 0
+  };
+}
+
+// 解析连接名称，未指定时使用当前默认连接，其次是配置文件中的默认连接
+function resolveConnectionName(name) {
+  return name || currentConnectionName || serverSettings.defaultConnection || DEFAULT_CONNECTION_NAME;
+}
+
+// 获取连接条目
+function getConnection(name) {
+  return connections.get(resolveConnectionName(name)) || null;
+}
+
+// 合并重连策略：默认值 < 配置文件 reconnect 段 < 连接自身的 reconnect 配置
+function resolveReconnectPolicy(config) {
+  return { ...DEFAULT_RECONNECT_POLICY, ...(serverSettings.reconnect || {}), ...(config.reconnect || {}) };
+}
+
+// 记录连接状态变化
+function transitionState(entry, state, reason) {
+  const from = entry.state;
+  entry.state = state;
+  connectionEvents.push({
+    time: new Date().toISOString(),
+    connection: entry.name,
+    from: from,
+    to: state,
+    reason: reason
+  });
+  if (connectionEvents.length > MAX_CONNECTION_EVENTS) {
+    connectionEvents.shift();
+  }
+}
+
+// 标记连接丢失，下次使用时按重连策略重连
+function markConnectionLost(entry, error, reason) {
+  entry.lastError = error.message;
+  if (entry.state === "connected") {
+    transitionState(entry, "lost", `${reason}: ${error.message}`);
+    stopHeartbeat(entry);
+  }
+  abandonConnectionTransactions(entry.name, `连接中断 (${reason})，事务已由服务器回滚`);
+  closeConnectionCursors(entry.name, `连接中断 (${reason})`);
+}
+
+// 判断错误是否表示连接已中断
+function isConnectionError(error) {
+  return ["ESOCKET", "ECONNCLOSED", "ECONNRESET", "ENOTOPEN"].includes(error && error.code);
+}
 
 // 心跳查询保持连接活跃
-async function startHeartbeat() {
-  if (heartbeatTimer) {
-    clearInterval(heartbeatTimer);
+function startHeartbeat(entry) {
+  stopHeartbeat(entry);
+  if (!entry.policy.heartbeatInterval) {
+    return;
   }
   
-  heartbeatTimer = setInterval(async () => {
-    if (isConnectionActive()) {
+  entry.heartbeatTimer = setInterval(async () => {
+    if (isEntryActive(entry)) {
       try {
         // 执行简单查询保持连接活跃
-        await connectionPool.request().query('SELECT 1 as heartbeat');
-        updateActivityTime();
-        //console.log("💓 心跳检查成功");
-  } catch (error) {
-        //console.log("💔 心跳检查失败，连接可能已断开");
-        // 不更新活动时间，让自动重连机制处理
+        await entry.pool.request().query('SELECT 1 as heartbeat');
+        updateActivityTime(entry);
+        //console.log(`💓 [${entry.name}] 心跳检查成功`);
+      } catch (error) {
+        //console.log(`💔 [${entry.name}] 心跳检查失败，连接可能已断开`);
+        // 不更新活动时间，标记连接丢失后由自动重连机制处理
+        markConnectionLost(entry, error, "心跳检查失败");
       }
     }
-  }, 120000); // 每2分钟执行一次心跳
+  }, entry.policy.heartbeatInterval);
 }
 
 // 停止心跳
-function stopHeartbeat() {
-  if (heartbeatTimer) {
-    clearInterval(heartbeatTimer);
-    heartbeatTimer = null;
+function stopHeartbeat(entry) {
+  if (entry.heartbeatTimer) {
+    clearInterval(entry.heartbeatTimer);
+    entry.heartbeatTimer = null;
   }
 }
 
 // 自动断开连接检查器
-function startAutoDisconnectTimer() {
-  if (autoDisconnectTimer) {
-    clearTimeout(autoDisconnectTimer);
+function startAutoDisconnectTimer(entry) {
+  if (entry.autoDisconnectTimer) {
+    clearTimeout(entry.autoDisconnectTimer);
+    entry.autoDisconnectTimer = null;
+  }
+  const idleTimeout = entry.policy.idleDisconnectTimeout;
+  if (!idleTimeout) {
+    return;
   }
   
-  autoDisconnectTimer = setTimeout(async () => {
-    if (connectionPool && lastActivityTime) {
+  entry.autoDisconnectTimer = setTimeout(async () => {
+    if (entry.pool && entry.lastActivityTime) {
       const now = Date.now();
-      const timeSinceLastActivity = now - lastActivityTime;
+      const timeSinceLastActivity = now - entry.lastActivityTime;
       
-      if (timeSinceLastActivity >= 300000) { // 5分钟无活动
-        //console.log("🔄 连接5分钟无活动，自动断开...");
-        await disconnectDatabase();
+      // 有打开的事务或游标时不自动断开，它们有自己的超时
+      if (timeSinceLastActivity >= idleTimeout && !Array.from(transactions.values()).some(tx => tx.entry === entry) && !Array.from(cursors.values()).some(cursor => cursor.entry === entry)) {
+        //console.log(`🔄 [${entry.name}] 连接无活动，自动断开...`);
+        await disconnectDatabase(entry.name, `无活动超过 ${Math.round(idleTimeout / 1000)} 秒，自动断开`);
       } else {
         // 如果还没到时间，继续下一个检查周期
-        startAutoDisconnectTimer();
+        startAutoDisconnectTimer(entry);
       }
     }
-  }, 60000); // 每分钟检查一次
+  }, Math.min(60000, idleTimeout)); // 最多每分钟检查一次
 }
 
 // 更新活动时间
-function updateActivityTime() {
-  lastActivityTime = Date.now();
-  startAutoDisconnectTimer();
+function updateActivityTime(entry) {
+  entry.lastActivityTime = Date.now();
+  startAutoDisconnectTimer(entry);
+}
+
+// 根据连接配置创建并打开连接池
+async function createPool(config) {
+  const sqlConfig = {
+    server: config.server,
+    database: config.database,
+    authentication: resolveAuthentication(config),
+    port: config.port || 1433,
+    options: {
+      encrypt: config.encrypt !== false, // 默认启用加密
+      trustServerCertificate: config.trustServerCertificate || false,
+      enableArithAbort: true,
+      requestTimeout: config.requestTimeout || 30000,
+      connectionTimeout: config.connectionTimeout || 30000,
+      instanceName: config.instanceName,
+      appName: config.applicationName,
+      readOnlyIntent: config.readOnlyIntent || false,
+      multiSubnetFailover: config.multiSubnetFailover || false,
+      workstationId: config.workstationId,
+      language: config.language
+    },
+    pool: {
+      max: config.maxPoolSize || 10,
+      min: config.minPoolSize || 1,
+      idleTimeoutMillis: config.idleTimeout || 600000, // 10分钟空闲超时
+      acquireTimeoutMillis: 60000,
+      createTimeoutMillis: 30000
+    }
+  };
+  
+  const pool = new sql.ConnectionPool(sqlConfig);
+  await pool.connect();
+  return pool;
+}
+
+// 监听连接池错误，发生错误时标记连接丢失
+function watchPool(entry, pool) {
+  pool.on("error", (error) => {
+    if (entry.pool === pool) {
+      markConnectionLost(entry, error, "连接池错误");
+    }
+  });
 }
 
 // 连接数据库
-async function connectDatabase(config) {
+async function connectDatabase(config, name = DEFAULT_CONNECTION_NAME, source = "tool") {
   try {
-    // 如果已有连接，先断开
-    if (connectionPool) {
-      await disconnectDatabase();
-    }
-    
-    // 创建连接配置
-    const sqlConfig = {
-      server: config.server,
-      database: config.database,
-      user: config.user,
-      password: config.password,
-      port: config.port || 1433,
-      options: {
-        encrypt: config.encrypt !== false, // 默认启用加密
-        trustServerCertificate: config.trustServerCertificate || false,
-        enableArithAbort: true,
-        requestTimeout: config.requestTimeout || 30000,
-        connectionTimeout: config.connectionTimeout || 30000
-      },
-      pool: {
-        max: config.maxPoolSize || 10,
-        min: config.minPoolSize || 1,
-        idleTimeoutMillis: config.idleTimeout || 600000, // 10分钟空闲超时
-        acquireTimeoutMillis: 60000,
-        createTimeoutMillis: 30000
-      }
-    };
+    // 如果同名连接已存在，先断开
+    if (connections.has(name)) {
+      await disconnectDatabase(name, "被同名的新连接替换");
+    }
     
     // 创建连接池
-    connectionPool = new sql.ConnectionPool(sqlConfig);
-    await connectionPool.connect();
+    const pool = await createPool(config);
+    
+    const entry = {
+      name: name,
+      pool: pool,
+      config: config,
+      source: source,
+      policy: resolveReconnectPolicy(config),
+      statementPolicy: resolveStatementPolicy(config),
+      objectMetadataCache: new Map(),
+      state: null,
+      consecutiveFailures: 0,
+      circuitOpenedAt: null,
+      lastError: null,
+      reconnectPromise: null,
+      lastActivityTime: null,
+      autoDisconnectTimer: null,
+      heartbeatTimer: null,
+      stats: createConnectionStats()
+    };
+    entry.stats.connectedAt = new Date().toISOString();
+    watchPool(entry, pool);
+    connections.set(name, entry);
+    currentConnectionName = name;
+    transitionState(entry, "connected", source === "tool" ? "通过 connect_database 建立连接" : "打开预定义连接");
     
-    connectionConfig = config;
     connectionStats.totalConnections++;
     connectionStats.successfulConnections++;
-    connectionStats.lastConnectionTime = new Date().toISOString();
+    connectionStats.lastConnectionTime = entry.stats.connectedAt;
     
-    updateActivityTime();
-    startHeartbeat(); // 启动心跳机制
+    updateActivityTime(entry);
+    startHeartbeat(entry); // 启动心跳机制
     
-    //console.log(`✅ 成功连接到数据库: ${config.server}:${sqlConfig.port}/${config.database}`);
-    return true;
+    //console.log(`✅ [${name}] 成功连接到数据库: ${config.server}/${config.database}`);
+    return entry;
   } catch (error) {
     connectionStats.totalConnections++;
     connectionStats.failedConnections++;
-    //console.log(`❌ 连接数据库失败: ${error.message}`);
+    //console.log(`❌ [${name}] 连接数据库失败: ${error.message}`);
     throw error;
   }
 }
 
 // 断开数据库连接
-async function disconnectDatabase() {
+async function disconnectDatabase(name, reason = "手动断开") {
+  const connectionName = resolveConnectionName(name);
+  const entry = connections.get(connectionName);
+  if (!entry) {
+    return false;
+  }
+  
   try {
-    if (connectionPool) {
-      await connectionPool.close();
-      connectionPool = null;
-      connectionConfig = null;
-      lastActivityTime = null;
+    // 先关闭该连接上的游标，回滚打开的事务
+    closeConnectionCursors(connectionName, `连接断开 (${reason})`);
+    await rollbackConnectionTransactions(connectionName, `连接断开 (${reason})，已回滚`);
+    connections.delete(connectionName);
+    
+    if (entry.autoDisconnectTimer) {
+      clearTimeout(entry.autoDisconnectTimer);
+      entry.autoDisconnectTimer = null;
+    }
+    
+    stopHeartbeat(entry); // 停止心跳机制
+    entry.lastActivityTime = null;
+    transitionState(entry, "disconnected", reason);
+    
+    // 默认连接被断开时，切换到剩余的最近一个连接
+    if (currentConnectionName === connectionName) {
+      const remaining = Array.from(connections.keys());
+      currentConnectionName = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+    }
+    
+    await entry.pool.close();
+    
+    //console.log(`🔌 [${connectionName}] 数据库连接已断开`);
+    return true;
+  } catch (error) {
+    //console.log(`❌ [${connectionName}] 断开连接失败: ${error.message}`);
+    throw error;
+  }
+}
+
+// 断开所有数据库连接
+async function disconnectAllDatabases(reason = "断开所有连接") {
+  const names = Array.from(connections.keys());
+  for (const name of names) {
+    try {
+      await disconnectDatabase(name, reason);
+    } catch (error) {
+      // 继续断开其他连接
+    }
+  }
+  return names;
+}
+
+// 检查连接条目状态
+function isEntryActive(entry) {
+  return Boolean(entry && entry.state === "connected" && entry.pool && entry.pool.connected && !entry.pool.connecting);
+}
+
+// 检查连接状态
+function isConnectionActive(name) {
+  return isEntryActive(getConnection(name));
+}
+
+// 自动打开预定义连接，不改变当前默认连接
+async function reopenConnection(config, name, source) {
+  const previousConnectionName = currentConnectionName;
+  await connectDatabase(config, name, source);
+  if (previousConnectionName && connections.has(previousConnectionName)) {
+    currentConnectionName = previousConnectionName;
+  }
+}
+
+// 计算第 attempt 次重试前的等待时间：指数退避 + 随机抖动
+function computeBackoffDelay(policy, attempt) {
+  const base = Math.min(policy.maxRetryDelay, policy.retryDelay * Math.pow(policy.backoffMultiplier, attempt - 1));
+  const jitter = base * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(base + jitter));
+}
+
+// 描述重连策略
+function describeReconnectPolicy(policy) {
+  const parts = [];
+  parts.push(policy.heartbeatInterval ? `心跳 ${Math.round(policy.heartbeatInterval / 1000)}秒` : '心跳关闭');
+  parts.push(policy.idleDisconnectTimeout ? `空闲 ${Math.round(policy.idleDisconnectTimeout / 1000)}秒后断开` : '不自动断开');
+  parts.push(`重试 ${policy.maxRetries} 次 (${policy.retryDelay}ms 起 ×${policy.backoffMultiplier}，上限 ${policy.maxRetryDelay}ms，抖动 ${Math.round(policy.jitter * 100)}%)`);
+  parts.push(policy.circuitBreakerThreshold ? `连续失败 ${policy.circuitBreakerThreshold} 次熔断 ${Math.round(policy.circuitBreakerResetTimeout / 1000)}秒` : '熔断关闭');
+  return parts.join('，');
+}
+
+// 熔断器打开时的快速失败错误
+function circuitOpenError(entry, remaining) {
+  return new Error(`连接 "${entry.name}" 的熔断器已打开（连续失败 ${entry.consecutiveFailures} 次，最后错误: ${entry.lastError}），${Math.ceil(remaining / 1000)} 秒后才会再次尝试重连`);
+}
+
+// 按重连策略重建连接池；同一连接的并发调用共享同一次重连
+function reconnectEntry(entry) {
+  if (!entry.reconnectPromise) {
+    entry.reconnectPromise = runReconnect(entry).finally(() => {
+      entry.reconnectPromise = null;
+    });
+  }
+  return entry.reconnectPromise;
+}
+
+// 执行重连：熔断检查 -> 多次尝试（指数退避）-> 成功则替换连接池，失败则计入熔断
+async function runReconnect(entry) {
+  const policy = entry.policy;
+  
+  if (entry.state === "circuit-open") {
+    const remaining = entry.circuitOpenedAt + policy.circuitBreakerResetTimeout - Date.now();
+    if (remaining > 0) {
+      throw circuitOpenError(entry, remaining);
+    }
+    transitionState(entry, "half-open", "熔断冷却结束，试探重连一次");
+  }
+  
+  const halfOpen = entry.state === "half-open";
+  const attempts = halfOpen ? 1 : policy.maxRetries + 1;
+  if (!halfOpen) {
+    transitionState(entry, "reconnecting", `开始重连（最多尝试 ${attempts} 次）`);
+  }
+  
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      //console.log(`🔄 [${entry.name}] 第 ${attempt} 次尝试重新连接...`);
+      const pool = await createPool(entry.config);
+      
+      // 重连期间连接已被手动断开
+      if (connections.get(entry.name) !== entry) {
+        await pool.close();
+        throw new Error(`连接 "${entry.name}" 已被断开`);
+      }
+      
+      const oldPool = entry.pool;
+      entry.pool = pool;
+      watchPool(entry, pool);
+      oldPool.close().catch(() => {});
       
-      if (autoDisconnectTimer) {
-        clearTimeout(autoDisconnectTimer);
-        autoDisconnectTimer = null;
+      entry.consecutiveFailures = 0;
+      entry.circuitOpenedAt = null;
+      entry.stats.reconnects++;
+      connectionStats.totalConnections++;
+      connectionStats.successfulConnections++;
+      connectionStats.lastConnectionTime = new Date().toISOString();
+      transitionState(entry, "connected", `第 ${attempt} 次尝试重连成功`);
+      
+      updateActivityTime(entry);
+      startHeartbeat(entry);
+      return;
+    } catch (error) {
+      if (connections.get(entry.name) !== entry) {
+        throw error;
       }
       
-      stopHeartbeat(); // 停止心跳机制
+      entry.consecutiveFailures++;
+      entry.lastError = error.message;
+      connectionStats.totalConnections++;
+      connectionStats.failedConnections++;
+      //console.log(`❌ [${entry.name}] 重新连接失败:`, error.message);
       
-      //console.log("🔌 数据库连接已断开");
+      if (halfOpen || (policy.circuitBreakerThreshold > 0 && entry.consecutiveFailures >= policy.circuitBreakerThreshold)) {
+        entry.circuitOpenedAt = Date.now();
+        transitionState(entry, "circuit-open", `连续失败 ${entry.consecutiveFailures} 次，熔断器打开: ${error.message}`);
+        throw circuitOpenError(entry, policy.circuitBreakerResetTimeout);
+      }
+      
+      if (attempt < attempts) {
+        const delay = computeBackoffDelay(policy, attempt);
+        transitionState(entry, "reconnecting", `第 ${attempt} 次重连失败，${delay}ms 后重试: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else {
+        transitionState(entry, "lost", `重连失败（已尝试 ${attempts} 次）: ${error.message}`);
+        throw new Error(`连接 "${entry.name}" 重连失败（已尝试 ${attempts} 次）: ${error.message}`);
+      }
+    }
+  }
+}
+
+// 确保连接可用，必要时打开预定义连接或按重连策略重连
+// 没有可用连接时返回 false，重连失败或熔断时抛出带原因的错误
+async function reconnectIfNeeded(name) {
+  const entry = getConnection(name);
+  if (!entry) {
+    // 预定义连接在首次使用时自动打开，连接错误直接抛出
+    const predefined = predefinedConnections.get(resolveConnectionName(name));
+    if (predefined) {
+      await reopenConnection(predefined.config, predefined.name, predefined.source);
       return true;
     }
     return false;
-  } catch (error) {
-    //console.log(`❌ 断开连接失败: ${error.message}`);
-    throw error;
   }
+  if (!isEntryActive(entry)) {
+    //console.log(`🔄 [${entry.name}] 检测到连接断开，尝试重新连接...`);
+    if (entry.state === "connected") {
+      markConnectionLost(entry, new Error("连接池已关闭"), "检测到连接断开");
+    }
+    await reconnectEntry(entry);
+  }
+  return true;
 }
 
-// 检查连接状态
-function isConnectionActive() {
-  return connectionPool && connectionPool.connected && !connectionPool.connecting;
+// 生成未连接时的错误信息
+function notConnectedError(name) {
+  if (name && !connections.has(name)) {
+    return new Error(`连接 "${name}" 不存在，请先使用 connect_database 工具建立该连接（当前连接: ${Array.from(connections.keys()).join(', ') || '无'}；预定义连接: ${Array.from(predefinedConnections.keys()).join(', ') || '无'}）`);
+  }
+  return new Error("未连接到数据库，请先使用 connect_database 工具建立连接");
+}
+
+// SQL参数类型：JSON 客户端只能以字符串声明类型，如 NVarChar(100)、Decimal(18,4)、DateTime2(3)、VarBinary(max)
+// args: none 无参数，length 长度（可为 max），precision 精度和小数位数，scale 小数秒位数
+// 小数类型的 precision/scale 为未声明参数时的默认值
+const SQL_PARAM_TYPES = {
+  Bit: { args: "none", kind: "bit" },
+  TinyInt: { args: "none", kind: "int", min: 0, max: 255 },
+  SmallInt: { args: "none", kind: "int", min: -32768, max: 32767 },
+  Int: { args: "none", kind: "int", min: -2147483648, max: 2147483647 },
+  BigInt: { args: "none", kind: "bigint" },
+  Decimal: { args: "precision", kind: "decimal", precision: 18, scale: 0 },
+  Numeric: { args: "precision", kind: "decimal", precision: 18, scale: 0 },
+  Money: { args: "none", kind: "decimal", precision: 19, scale: 4 },
+  SmallMoney: { args: "none", kind: "decimal", precision: 10, scale: 4 },
+  Float: { args: "none", kind: "float" },
+  Real: { args: "none", kind: "float" },
+  Char: { args: "length", kind: "string", maxLength: 8000 },
+  VarChar: { args: "length", kind: "string", maxLength: 8000, allowMax: true },
+  NChar: { args: "length", kind: "string", maxLength: 4000 },
+  NVarChar: { args: "length", kind: "string", maxLength: 4000, allowMax: true },
+  Text: { args: "none", kind: "string" },
+  NText: { args: "none", kind: "string" },
+  Xml: { args: "none", kind: "string" },
+  Binary: { args: "length", kind: "binary", maxLength: 8000 },
+  VarBinary: { args: "length", kind: "binary", maxLength: 8000, allowMax: true },
+  Image: { args: "none", kind: "binary" },
+  Date: { args: "none", kind: "date" },
+  DateTime: { args: "none", kind: "date" },
+  SmallDateTime: { args: "none", kind: "date" },
+  DateTime2: { args: "scale", kind: "date" },
+  DateTimeOffset: { args: "scale", kind: "date" },
+  Time: { args: "scale", kind: "time" },
+  UniqueIdentifier: { args: "none", kind: "guid" },
+  Variant: { args: "none", kind: "any" }
+};
+
+const SQL_PARAM_TYPE_NAMES = new Map(Object.keys(SQL_PARAM_TYPES).map(name => [name.toLowerCase(), name]));
+
+// 输入参数的 JSON 结构，execute_sql 和 batch_execute_sql 共用
+const sqlParamSchema = z.object({
+  name: z.string().describe("参数名称 (可带 @ 前缀)"),
+  type: z.string().optional().describe("参数类型，如 NVarChar(100)、Int、Decimal(18,4)、DateTime2(3)、VarBinary(max)、UniqueIdentifier；省略时按值推断"),
+  value: z.any().describe("参数值：二进制类型使用 base64 字符串，日期类型使用 ISO 8601 字符串")
+});
+
+// 存储过程参数：在普通参数基础上支持 OUTPUT 和表值参数 (type: "TVP")
+const procedureParamSchema = sqlParamSchema.extend({
+  type: z.string().optional().describe("参数类型，如 NVarChar(100)、Int；表值参数为 TVP；省略时从存储过程定义读取"),
+  value: z.any().optional().describe("参数值；输出参数可省略，表值参数为行数组（对象或按列顺序的数组）"),
+  output: z.boolean().optional().default(false).describe("是否为输出参数 (OUTPUT)"),
+  table: z.object({
+    typeName: z.string().describe("表类型名称，如 dbo.OrderLineType"),
+    columns: z.array(z.object({
+      name: z.string().describe("列名"),
+      type: z.string().describe("列类型，如 Int、NVarChar(50)"),
+      nullable: z.boolean().optional().default(true).describe("是否允许为空")
+    })).min(1).describe("表类型的列，按定义顺序")
+  }).optional().describe("表值参数的表类型定义 (可选，从存储过程定义读取时自动填充)")
+});
+
+// 解析类型声明，返回 { name, kind, type (mssql 类型), length, min, max, precision, scale }，无效时抛出错误
+function parseSqlType(declaration) {
+  const match = /^\s*(?:sql\.)?([A-Za-z][A-Za-z0-9]*)\s*(?:\(\s*([^)]*?)\s*\))?\s*$/.exec(declaration);
+  if (!match) {
+    throw new Error(`无法解析类型声明 "${declaration}"，格式应为 类型名 或 类型名(参数)，如 NVarChar(100)`);
+  }
+  const name = SQL_PARAM_TYPE_NAMES.get(match[1].toLowerCase());
+  if (!name) {
+    throw new Error(`不支持的类型 "${match[1]}"，可用类型: ${Object.keys(SQL_PARAM_TYPES).join(', ')}`);
+  }
+  const definition = SQL_PARAM_TYPES[name];
+  const args = match[2] === undefined ? [] : match[2].split(",").map(arg => arg.trim());
+  const parseInteger = (text, label, min, max) => {
+    if (!/^\d+$/.test(text) || Number(text) < min || Number(text) > max) {
+      throw new Error(`${name} 的${label}必须是 ${min}-${max} 之间的整数，实际为 "${text}"`);
+    }
+    return Number(text);
+  };
+
+  if (definition.args === "none" && args.length > 0) {
+    throw new Error(`${name} 不接受参数`);
+  }
+  let type = sql[name];
+  let length = null;
+  let precision = definition.precision;
+  let scale = definition.scale;
+  if (definition.args === "length") {
+    if (args.length > 1) {
+      throw new Error(`${name} 只接受一个长度参数`);
+    }
+    if (args.length === 1) {
+      if (args[0].toLowerCase() === "max") {
+        if (!definition.allowMax) {
+          throw new Error(`${name} 不支持 max 长度，只有 VarChar、NVarChar 和 VarBinary 支持`);
+        }
+        length = sql.MAX;
+      } else {
+        length = parseInteger(args[0], "长度", 1, definition.maxLength);
+      }
+      type = sql[name](length);
+    }
+  } else if (definition.args === "precision") {
+    if (args.length > 2) {
+      throw new Error(`${name} 最多接受精度和小数位数两个参数`);
+    }
+    if (args.length > 0) {
+      precision = parseInteger(args[0], "精度", 1, 38);
+      scale = args.length > 1 ? parseInteger(args[1], "小数位数", 0, precision) : 0;
+      type = sql[name](precision, scale);
+    }
+  } else if (definition.args === "scale") {
+    if (args.length > 1) {
+      throw new Error(`${name} 只接受一个小数秒位数参数`);
+    }
+    if (args.length === 1) {
+      type = sql[name](parseInteger(args[0], "小数秒位数", 0, 7));
+    }
+  }
+  return { name, kind: definition.kind, type, length, min: definition.min, max: definition.max, precision, scale };
+}
+
+// 根据 sys.types 中的类型名称、max_length、precision 和 scale 生成类型声明，如 nvarchar + 200 → NVarChar(100)
+function formatSqlTypeDeclaration(typeName, maxLength, precision, scale) {
+  const lower = String(typeName).toLowerCase();
+  const name = lower === "sql_variant" ? "Variant" : SQL_PARAM_TYPE_NAMES.get(lower) || typeName;
+  const definition = SQL_PARAM_TYPES[name];
+  if (!definition) {
+    return name;
+  }
+  if (definition.args === "length") {
+    if (maxLength === -1) {
+      return `${name}(max)`;
+    }
+    return `${name}(${lower.startsWith("n") ? maxLength / 2 : maxLength})`;
+  }
+  if (definition.args === "precision") {
+    return `${name}(${precision},${scale})`;
+  }
+  if (definition.args === "scale") {
+    return `${name}(${scale})`;
+  }
+  return name;
+}
+
+// 按声明的类型把 JSON 值转换为驱动需要的值，无法转换时抛出错误
+function coerceParamValue(typeInfo, value) {
+  if (value === null) {
+    return null;
+  }
+  switch (typeInfo.kind) {
+    case "string": {
+      const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+      if (typeInfo.length && typeInfo.length !== sql.MAX && text.length > typeInfo.length) {
+        throw new Error(`值长度 ${text.length} 超过声明的 ${typeInfo.name}(${typeInfo.length})`);
+      }
+      return text;
+    }
+    case "bit":
+      if (typeof value === "boolean") return value;
+      if (value === 0 || value === 1) return value === 1;
+      if (typeof value === "string" && /^(true|false|0|1)$/i.test(value.trim())) {
+        return /^(true|1)$/i.test(value.trim());
+      }
+      throw new Error(`${JSON.stringify(value)} 不是有效的 Bit 值，应为 true/false 或 0/1`);
+    case "int":
+    case "bigint": {
+      const text = typeof value === "number" ? String(value) : typeof value === "string" ? value.trim() : null;
+      if (text === null || !/^-?\d+$/.test(text)) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的整数`);
+      }
+      if (typeInfo.kind === "bigint") {
+        if (BigInt(text) < -(2n ** 63n) || BigInt(text) >= 2n ** 63n) {
+          throw new Error(`${text} 超出 BigInt 范围`);
+        }
+        // 驱动以双精度浮点数处理 BigInt，超出安全整数范围的值会被驱动拒绝或丢失精度
+        if (!Number.isSafeInteger(Number(text))) {
+          throw new Error(`${text} 超出驱动可以精确传递的 BigInt 范围 (±${Number.MAX_SAFE_INTEGER})，请以 VarChar 类型传递字符串并在 SQL 中使用 CAST(@参数 AS BIGINT)`);
+        }
+        return Number(text);
+      }
+      if (Number(text) < typeInfo.min || Number(text) > typeInfo.max) {
+        throw new Error(`${text} 超出 ${typeInfo.name} 范围 (${typeInfo.min} ~ ${typeInfo.max})`);
+      }
+      return Number(text);
+    }
+    case "decimal":
+    case "float": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的数值`);
+      }
+      // 驱动把小数放大 10^scale 后按双精度浮点数取整，超过 15 位有效数字时会被静默舍入
+      if (typeInfo.kind === "decimal" && Math.abs(number) * 10 ** typeInfo.scale >= 1e15) {
+        const castType = SQL_PARAM_TYPES[typeInfo.name].args === "none" ? typeInfo.name.toUpperCase() : `${typeInfo.name.toUpperCase()}(${typeInfo.precision},${typeInfo.scale})`;
+        throw new Error(`${String(value).trim()} 超出驱动可以精确传递的范围（按 ${typeInfo.scale} 位小数放大后超过 15 位有效数字，会被舍入），请以 VarChar 类型传递字符串并在 SQL 中使用 CAST(@参数 AS ${castType})`);
+      }
+      return number;
+    }
+    case "binary": {
+      if (typeof value !== "string") {
+        throw new Error("二进制值必须是 base64 字符串（或 0x 开头的十六进制字符串）");
+      }
+      let buffer;
+      if (/^0x([0-9a-f]{2})*$/i.test(value)) {
+        buffer = Buffer.from(value.slice(2), "hex");
+      } else if (/^[A-Za-z0-9+/]*={0,2}$/.test(value) && value.length % 4 === 0) {
+        buffer = Buffer.from(value, "base64");
+      } else {
+        throw new Error("二进制值不是有效的 base64 字符串");
+      }
+      if (typeInfo.length && typeInfo.length !== sql.MAX && buffer.length > typeInfo.length) {
+        throw new Error(`值长度 ${buffer.length} 字节超过声明的 ${typeInfo.name}(${typeInfo.length})`);
+      }
+      return buffer;
+    }
+    case "date": {
+      if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i.test(value.trim())) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的 ISO 8601 日期，如 2024-01-31 或 2024-01-31T08:30:00Z`);
+      }
+      // 驱动按 UTC 发送日期 (useUTC)，没有时区的值按 UTC 解释，保持与输入的字面值一致
+      const text = value.trim().replace(" ", "T");
+      const hasZone = text.includes("T") && /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+      const date = new Date(hasZone ? text : text.includes("T") ? `${text}Z` : `${text}T00:00:00Z`);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的日期`);
+      }
+      return withFractionalSeconds(date, text);
+    }
+    case "time": {
+      if (typeof value !== "string" || !/^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value.trim())) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的时间，格式应为 HH:mm:ss[.fffffff]`);
+      }
+      const date = new Date(`1970-01-01T${value.trim()}Z`);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的时间`);
+      }
+      return withFractionalSeconds(date, value.trim());
+    }
+    case "guid":
+      if (typeof value !== "string" || !/^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i.test(value.trim())) {
+        throw new Error(`${JSON.stringify(value)} 不是有效的 UniqueIdentifier`);
+      }
+      return value.trim().replace(/^\{|\}$/g, "");
+    default:
+      return value;
+  }
+}
+
+// JavaScript 日期只精确到毫秒，超出部分通过 nanosecondDelta (秒) 传给驱动，用于 Time(7)、DateTime2(7)
+function withFractionalSeconds(date, text) {
+  const fraction = /:\d{2}\.(\d+)/.exec(text);
+  if (fraction && fraction[1].length > 3) {
+    date.nanosecondDelta = Number(`0.${fraction[1].slice(0, 7)}`) - date.getUTCMilliseconds() / 1000;
+  }
+  return date;
+}
+
+// 没有声明类型时按 JSON 值推断类型
+function inferParamType(value) {
+  if (typeof value === "boolean") {
+    return { type: sql.Bit, value };
+  }
+  if (typeof value === "number") {
+    // 超出安全整数范围的 JSON 数字已经是近似值，按 Float 传递
+    if (Number.isSafeInteger(value)) {
+      return { type: value >= -2147483648 && value <= 2147483647 ? sql.Int : sql.BigInt, value };
+    }
+    return { type: sql.Float, value };
+  }
+  // 对象和数组按 JSON 文本传递，可配合 OPENJSON 使用
+  const text = value === null ? null : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return { type: sql.NVarChar(text !== null && text.length > 4000 ? sql.MAX : 4000), value: text };
 }
 
-// 重新连接数据库
-async function reconnectIfNeeded() {
-  if (!isConnectionActive() && connectionConfig) {
-    //console.log("🔄 检测到连接断开，尝试重新连接...");
+// 校验并转换参数，返回 [{ name, type, value }]；错误信息包含参数名称
+function prepareQueryParams(params) {
+  const prepared = [];
+  const names = new Set();
+  for (const param of params || []) {
+    const name = String(param.name || "").replace(/^@/, "");
+    if (!/^[A-Za-z_][A-Za-z0-9_@$#]*$/.test(name)) {
+      throw new Error(`参数名称 "${param.name}" 无效，只能包含字母、数字和下划线`);
+    }
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`参数 @${name} 重复声明`);
+    }
+    names.add(name.toLowerCase());
+    const output = Boolean(param.output);
+    if (param.value === undefined && !output) {
+      throw new Error(`参数 @${name} 缺少 value（空值请使用 null）`);
+    }
+    const value = param.value === undefined ? null : param.value;
+
+    // 内部调用可以直接传入 mssql 类型
+    if (param.type !== undefined && param.type !== null && typeof param.type !== "string") {
+      prepared.push({ name, type: param.type, value, output });
+      continue;
+    }
+    if (param.type === undefined || param.type === null || param.type.trim() === "") {
+      if (output) {
+        throw new Error(`输出参数 @${name} 必须声明 type`);
+      }
+      prepared.push({ name, ...inferParamType(value), output });
+      continue;
+    }
+    if (param.type.trim().toUpperCase() === "TVP") {
+      if (output) {
+        throw new Error(`表值参数 @${name} 不能作为输出参数`);
+      }
+      prepared.push({ name, type: sql.TVP, value: buildTableParam(name, param.table, value), output });
+      continue;
+    }
+
+    let typeInfo;
     try {
-      await connectDatabase(connectionConfig);
-      return true;
+      typeInfo = parseSqlType(param.type);
+    } catch (error) {
+      throw new Error(`参数 @${name} 的类型声明无效: ${error.message}`);
+    }
+    try {
+      prepared.push({ name, type: typeInfo.type, value: coerceParamValue(typeInfo, value), output });
     } catch (error) {
-      //console.log("❌ 重新连接失败:", error.message);
-      return false;
+      throw new Error(`参数 @${name} (${param.type.trim()}) 的值无效: ${error.message}`);
     }
   }
-  return isConnectionActive();
+  return prepared;
+}
+
+// 构造表值参数：table 为 { typeName, columns: [{ name, type, nullable }] }，rows 为对象数组或按列顺序的数组
+function buildTableParam(name, table, rows) {
+  if (!table || !table.typeName || !Array.isArray(table.columns) || table.columns.length === 0) {
+    throw new Error(`表值参数 @${name} 缺少表类型定义 (table.typeName 和 table.columns)`);
+  }
+  if (rows !== null && !Array.isArray(rows)) {
+    throw new Error(`表值参数 @${name} 的值必须是行数组`);
+  }
+
+  const tvp = new sql.Table(table.typeName);
+  const columns = table.columns.map(column => {
+    let typeInfo;
+    try {
+      typeInfo = parseSqlType(column.type);
+    } catch (error) {
+      throw new Error(`表值参数 @${name} 的列 ${column.name} 类型声明无效: ${error.message}`);
+    }
+    tvp.columns.add(column.name, typeInfo.type, { nullable: column.nullable !== false });
+    return { name: column.name, typeInfo, nullable: column.nullable !== false };
+  });
+
+  (rows || []).forEach((row, rowIndex) => {
+    if (row === null || typeof row !== "object") {
+      throw new Error(`表值参数 @${name} 第 ${rowIndex + 1} 行必须是对象或数组`);
+    }
+    const lookup = Array.isArray(row) ? null : new Map(Object.keys(row).map(key => [key.toLowerCase(), row[key]]));
+    if (lookup) {
+      const unknown = Array.from(lookup.keys()).filter(key => !columns.some(column => column.name.toLowerCase() === key));
+      if (unknown.length > 0) {
+        throw new Error(`表值参数 @${name} 第 ${rowIndex + 1} 行包含表类型 ${table.typeName} 中不存在的列: ${unknown.join(', ')}`);
+      }
+    } else if (row.length !== columns.length) {
+      throw new Error(`表值参数 @${name} 第 ${rowIndex + 1} 行有 ${row.length} 个值，表类型 ${table.typeName} 有 ${columns.length} 列`);
+    }
+    const values = columns.map((column, columnIndex) => {
+      const raw = lookup ? lookup.get(column.name.toLowerCase()) : row[columnIndex];
+      const cell = raw === undefined ? null : raw;
+      if (cell === null && !column.nullable) {
+        throw new Error(`表值参数 @${name} 第 ${rowIndex + 1} 行的列 ${column.name} 不能为空`);
+      }
+      try {
+        return coerceParamValue(column.typeInfo, cell);
+      } catch (error) {
+        throw new Error(`表值参数 @${name} 第 ${rowIndex + 1} 行的列 ${column.name} 值无效: ${error.message}`);
+      }
+    });
+    tvp.rows.add(...values);
+  });
+  return tvp;
 }
 
 // 执行SQL查询
-async function executeQuery(sqlText, params = []) {
-  // 检查连接状态，必要时重新连接
-  if (!await reconnectIfNeeded()) {
-    throw new Error("未连接到数据库，请先使用 connect_database 工具建立连接");
+// options.connection 指定连接，options.transactionId 指定在哪个显式事务中执行
+// options.procedure 指定时通过 RPC 调用存储过程 (request.execute)，sqlText 只用于策略检查和日志
+// options.pageSize 指定时打开分页游标，只返回第一页 (result.cursor)，不能在事务中使用
+async function executeQuery(sqlText, params = [], options = {}) {
+  const transactionId = options.transactionId || null;
+  let tx = null;
+  
+  // 检查连接状态，必要时重新连接（事务中的连接不能重连）
+  try {
+    if (transactionId) {
+      tx = getTransaction(transactionId, options.connection);
+    } else if (!await reconnectIfNeeded(options.connection)) {
+      throw notConnectedError(options.connection);
+    }
+  } catch (error) {
+    recordJournalEntry({ sqlText, params, connection: resolveConnectionName(options.connection), transactionId, error });
+    throw error;
   }
   
+  const entry = tx ? tx.entry : getConnection(options.connection);
   const startTime = Date.now();
   
   try {
-    // 创建请求
-    const request = connectionPool.request();
+    // 检查语句类别，被阻止的语句不会发送到服务器
+    checkStatementPolicy(entry, sqlText);
+    await checkAccessPolicy(entry, sqlText);
+    if (tx) {
+      checkTransactionControl(sqlText);
+    }
+    const inputs = prepareQueryParams(params);
     
-    // 添加参数
-    if (params && params.length > 0) {
-      params.forEach((param, index) => {
-        if (param.name && param.type && param.value !== undefined) {
+    const createRequest = () => {
+      // 创建请求
+      const request = tx ? tx.transaction.request() : entry.pool.request();
+      
+      // 添加参数
+      for (const param of inputs) {
+        if (param.output) {
+          request.output(param.name, param.type, param.value);
+        } else {
           request.input(param.name, param.type, param.value);
         }
-      });
+      }
+      return request;
+    };
+    
+    // 分页游标：统计和日志在游标读取完毕或关闭时记录
+    if (options.pageSize) {
+      if (tx) {
+        throw new Error(`事务中不能使用分页游标 (pageSize)，游标会占用事务的连接`);
+      }
+      const request = createRequest();
+      const page = await openCursor(entry, request, { sqlText, params, startTime, pageSize: options.pageSize, ttl: options.cursorTtl, run: () => request.query(sqlText) });
+      return toCursorQueryResult(page, Date.now() - startTime);
     }
     
     // 执行查询
-    const result = await request.query(sqlText);
+    const runQuery = () => {
+      const request = createRequest();
+      return collectResults(request, () => options.procedure ? request.execute(options.procedure) : request.query(sqlText));
+    };
+    const result = tx ? await runTransactionStatement(tx, runQuery) : await runQuery();
     
     const queryTime = Date.now() - startTime;
-    connectionStats.totalQueries++;
-    connectionStats.successfulQueries++;
-    connectionStats.lastQueryTime = new Date().toISOString();
-    connectionStats.totalQueryTime += queryTime;
-    connectionStats.averageQueryTime = connectionStats.totalQueryTime / connectionStats.totalQueries;
+    recordQueryStats(entry, queryTime, true);
+    recordJournalEntry({ sqlText, params, entry, transactionId, startTime, queryTime, result });
     
-    updateActivityTime();
+    updateActivityTime(entry);
     
     return {
       success: true,
+      connection: entry.name,
+      transactionId: transactionId,
       rowsAffected: result.rowsAffected,
       recordset: result.recordset || [],
+      recordsets: result.recordsets,
+      resultSets: result.recordsets.map((recordset, index) => ({
+        index: index + 1,
+        rowCount: recordset.length,
+        rowsAffected: recordset.rowsAffected,
+        columns: describeRecordsetColumns(recordset)
+      })),
+      returnValue: result.returnValue,
+      output: result.output || {},
+      messages: result.messages,
+      statistics: summarizeStatisticsMessages(result.messages),
       queryTime: queryTime,
-      rowCount: result.recordset ? result.recordset.length : 0
+      rowCount: result.recordsets.reduce((sum, recordset) => sum + recordset.length, 0)
     };
   } catch (error) {
     const queryTime = Date.now() - startTime;
-    connectionStats.totalQueries++;
-    connectionStats.failedQueries++;
+    recordQueryStats(entry, queryTime, false);
+    recordJournalEntry({ sqlText, params, entry, transactionId, startTime, queryTime, error });
+    if (isConnectionError(error)) {
+      markConnectionLost(entry, error, "执行SQL时连接中断");
+    }
     
-    //console.log(`❌ 执行SQL失败: ${error.message}`);
+    //console.log(`❌ [${entry.name}] 执行SQL失败: ${error.message}`);
     throw error;
   }
 }
 
-// 注册工具1：连接数据库
-server.registerTool("connect_database", {
-  title: "连接MSSQL数据库",
-  description: "建立与MSSQL数据库的连接",
-  inputSchema: {
-    server: z.string().min(1, "服务器地址不能为空").describe("数据库服务器地址 (IP或域名)"),
-    database: z.string().min(1, "数据库名称不能为空").describe("要连接的数据库名称"),
-    user: z.string().min(1, "用户名不能为空").describe("数据库用户名"),
-    password: z.string().min(1, "密码不能为空").describe("数据库密码"),
-    port: z.number().min(1).max(65535).optional().default(1433).describe("数据库端口 (默认1433)"),
-    encrypt: z.boolean().optional().default(true).describe("是否启用加密连接"),
-    trustServerCertificate: z.boolean().optional().default(false).describe("是否信任服务器证书"),
-    requestTimeout: z.number().min(1000).optional().default(30000).describe("请求超时时间(毫秒)"),
-    connectionTimeout: z.number().min(1000).optional().default(30000).describe("连接超时时间(毫秒)"),
-    maxPoolSize: z.number().min(1).max(100).optional().default(10).describe("连接池最大连接数"),
-    minPoolSize: z.number().min(0).optional().default(0).describe("连接池最小连接数"),
-    idleTimeout: z.number().min(1000).optional().default(600000).describe("空闲连接超时时间(毫秒)")
-  }
-}, async (params) => {
+// 以流模式接收结果：按服务器返回的顺序收集每个结果集，并把产生结果集的语句报告的影响行数记在结果集上
+// 非流模式下 mssql 只给出按语句排列的 rowsAffected，无法对应到结果集
+async function collectResults(request, run) {
+  const recordsets = [];
+  const rowsAffected = [];
+  const messages = [];
+  let current = null;
+  let counting = null;
+  let firstError = null;
+
+  request.stream = true;
+  request.on('recordset', columns => {
+    current = [];
+    Object.defineProperty(current, 'columns', { value: columns, enumerable: false });
+    Object.defineProperty(current, 'rowsAffected', { value: null, writable: true, enumerable: false });
+    recordsets.push(current);
+    counting = current;
+  });
+  request.on('row', row => {
+    current.push(row);
+  });
+  // 结果集之后的第一个 rowsaffected 来自产生它的语句 (SET NOCOUNT ON 时不会报告)
+  request.on('rowsaffected', count => {
+    rowsAffected.push(count);
+    if (counting) {
+      counting.rowsAffected = count;
+      counting = null;
+    }
+  });
+  request.on('info', info => {
+    messages.push(toServerMessage(info));
+  });
+  request.on('error', error => {
+    firstError = firstError || error;
+  });
+
+  let done;
   try {
-    await connectDatabase(params);
-    
-    return {
-      content: [
-        {
-          type: "text",
-          text: `✅ 数据库连接成功！\n\n📊 连接信息:\n- 服务器: ${params.server}:${params.port}\n- 数据库: ${params.database}\n- 用户: ${params.user}\n- 加密: ${params.encrypt ? '启用' : '禁用'}\n- 连接池: ${params.minPoolSize}-${params.maxPoolSize}\n- 空闲超时: ${Math.round(params.idleTimeout/60000)}分钟\n\n💡 提示:\n- 连接将在5分钟无活动后自动断开\n- 连接断开时会自动重连\n- 使用 execute_sql 工具执行SQL查询\n- 使用 batch_execute_sql 工具批量执行\n- 使用 disconnect_database 工具手动断开连接`
-        }
-      ]
-    };
+    done = await run();
   } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: `❌ 连接失败: ${error.message}\n\n🔍 常见问题:\n- 检查服务器地址和端口是否正确\n- 确认用户名和密码是否正确\n- 检查网络连接和防火墙设置\n- 确认SQL Server服务是否运行`
-        }
-      ]
-    };
+    firstError = firstError || error;
   }
-});
+  if (firstError) {
+    // 出错前收到的消息（如 PRINT 的调试输出）随错误一起返回
+    firstError.messages = messages;
+    throw firstError;
+  }
+  return {
+    recordsets,
+    recordset: recordsets[0],
+    rowsAffected,
+    messages,
+    output: done ? done.output : {},
+    returnValue: done ? done.returnValue : undefined
+  };
+}
 
-// 注册工具2：执行SQL查询
-server.registerTool("execute_sql", {
-  title: "执行SQL查询",
-  description: "在已连接的数据库中执行SQL查询",
-  inputSchema: {
-    sql: z.string().min(1, "SQL语句不能为空").describe("要执行的SQL语句"),
-    params: z.array(z.object({
-      name: z.string().describe("参数名称"),
-      type: z.any().describe("参数类型 (如: sql.VarChar, sql.Int等)"),
-      value: z.any().describe("参数值")
-    })).optional().default([]).describe("SQL参数 (可选)")
+// 服务器消息：PRINT、严重级别不超过 10 的 RAISERROR 以及 SET STATISTICS IO/TIME 的输出，以 info 事件返回
+function toServerMessage(info) {
+  return {
+    message: String(info.message || "").trim(),
+    number: info.number ?? null,
+    severity: info.class ?? null,
+    state: info.state ?? null,
+    line: info.lineNumber ?? null,
+    procedure: info.procName || null
+  };
+}
+
+// 分页游标：execute_sql 指定 pageSize 时以流模式执行，读满一页后暂停请求 (request.pause)，
+// 返回第一页和游标ID，fetch_rows 继续读取。内存中最多缓冲约一页数据；游标超过 TTL 未读取时取消查询
+const cursors = new Map();
+// 最近关闭的游标，调用方使用已关闭的游标ID时可以说明原因
+const closedCursors = [];
+const MAX_CLOSED_CURSORS = 50;
+const DEFAULT_CURSOR_TTL = 300000;
+const MAX_CURSOR_PAGE_SIZE = 5000;
+// 暂停的游标独占连接池中的一个连接
+const MAX_CURSORS_PER_CONNECTION = 5;
+
+// 打开游标并读取第一页
+// 游标在读取完毕或关闭时记录查询统计和日志
+async function openCursor(entry, request, { sqlText, params, run, startTime, pageSize, ttl }) {
+  const openCount = Array.from(cursors.values()).filter(cursor => cursor.entry === entry).length;
+  if (openCount >= MAX_CURSORS_PER_CONNECTION) {
+    throw new Error(`连接 "${entry.name}" 已有 ${openCount} 个打开的游标 (上限 ${MAX_CURSORS_PER_CONNECTION})，请先读取完或使用 fetch_rows 的 close 参数关闭`);
+  }
+
+  const cursor = {
+    id: `cur-${crypto.randomBytes(4).toString("hex")}`,
+    connection: entry.name,
+    entry,
+    request,
+    sqlText,
+    params,
+    startTime,
+    pageSize,
+    ttl: ttl || DEFAULT_CURSOR_TTL,
+    sets: [],
+    currentSet: null,
+    buffer: [],
+    bufferedRows: 0,
+    position: 0,
+    totalRows: 0,
+    rowsAffected: [],
+    messages: [],
+    paused: false,
+    wanted: 0,
+    opened: false,
+    reading: false,
+    done: false,
+    error: null,
+    closed: false,
+    lastActivityTime: startTime,
+    expiryTimer: null,
+    wake: null
+  };
+  let counting = null;
+
+  request.stream = true;
+  // 结果集开始时在缓冲区放一个标记，页不跨越结果集
+  request.on('recordset', columns => {
+    if (cursor.closed) return;
+    const set = { index: cursor.sets.length + 1, columns, rowsAffected: null, rowCount: 0 };
+    cursor.sets.push(set);
+    cursor.buffer.push({ set });
+    counting = set;
+    wakeCursor(cursor);
+  });
+  request.on('row', row => {
+    if (cursor.closed) return;
+    const set = cursor.sets[cursor.sets.length - 1];
+    set.rowCount++;
+    cursor.totalRows++;
+    cursor.buffer.push({ set, row });
+    cursor.bufferedRows++;
+    // 缓冲够一页后暂停，等待下一次读取
+    if (cursor.bufferedRows >= Math.max(cursor.pageSize, cursor.wanted) && !cursor.paused) {
+      cursor.paused = true;
+      request.pause();
+    }
+    wakeCursor(cursor);
+  });
+  request.on('rowsaffected', count => {
+    cursor.rowsAffected.push(count);
+    if (counting) {
+      counting.rowsAffected = count;
+      counting = null;
+    }
+  });
+  request.on('info', info => {
+    if (!cursor.closed) {
+      cursor.messages.push(toServerMessage(info));
+    }
+  });
+  request.on('error', error => {
+    if (!cursor.closed) {
+      cursor.error = cursor.error || error;
+    }
+    wakeCursor(cursor);
+  });
+
+  cursors.set(cursor.id, cursor);
+  Promise.resolve().then(run).then(() => {
+    cursor.done = true;
+    wakeCursor(cursor);
+  }, error => {
+    if (!cursor.closed) {
+      cursor.error = cursor.error || error;
+    }
+    cursor.done = true;
+    wakeCursor(cursor);
+  });
+
+  const page = await readCursorPage(cursor, pageSize);
+  cursor.opened = true;
+  scheduleCursorExpiry(cursor);
+  return page;
+}
+
+// 查找游标，已关闭的游标会说明关闭原因
+function getCursor(id) {
+  const cursor = cursors.get(id);
+  if (!cursor) {
+    const closed = closedCursors.find(item => item.id === id);
+    if (closed) {
+      throw new Error(`游标 ${id} 已关闭: ${closed.reason} (${closed.closedAt})`);
+    }
+    throw new Error(`游标 ${id} 不存在，当前打开的游标: ${Array.from(cursors.keys()).join(', ') || '无'}`);
+  }
+  return cursor;
+}
+
+function wakeCursor(cursor) {
+  if (cursor.wake) {
+    const wake = cursor.wake;
+    cursor.wake = null;
+    wake();
+  }
+}
+
+// 缓冲区已有一整页、遇到下一个结果集或查询已结束
+function isCursorPageReady(cursor, size) {
+  if (cursor.done || cursor.error) {
+    return true;
+  }
+  let rows = 0;
+  for (let i = 0; i < cursor.buffer.length; i++) {
+    if (cursor.buffer[i].row === undefined) {
+      if (i > 0) return true;
+      continue;
+    }
+    if (++rows >= size) return true;
+  }
+  return false;
+}
+
+// 读取一页，页中的行都属于同一个结果集
+async function readCursorPage(cursor, size) {
+  cursor.wanted = size;
+  while (!isCursorPageReady(cursor, size)) {
+    const wait = new Promise(resolve => { cursor.wake = resolve; });
+    if (cursor.paused) {
+      cursor.paused = false;
+      cursor.request.resume();
+    }
+    await wait;
+  }
+
+  if (cursor.buffer.length > 0 && cursor.buffer[0].row === undefined) {
+    cursor.currentSet = cursor.buffer.shift().set;
+  }
+  if (cursor.buffer.length === 0 && cursor.error) {
+    // 第一页就失败时由 executeQuery 记录统计和日志
+    const error = cursor.error;
+    error.messages = cursor.messages.splice(0);
+    closeCursor(cursor, `执行失败: ${error.message}`, { record: cursor.opened });
+    throw error;
+  }
+
+  const rows = [];
+  while (rows.length < size && cursor.buffer.length > 0 && cursor.buffer[0].row !== undefined) {
+    rows.push(cursor.buffer.shift().row);
+  }
+  cursor.bufferedRows -= rows.length;
+  const offset = cursor.position;
+  cursor.position += rows.length;
+  cursor.lastActivityTime = Date.now();
+  updateActivityTime(cursor.entry);
+
+  const set = cursor.currentSet;
+  // 查询出错时先返回已缓冲的行，下一次读取再报告错误
+  const hasMore = cursor.buffer.length > 0 || !cursor.done || Boolean(cursor.error);
+  const page = {
+    cursorId: hasMore ? cursor.id : null,
+    connection: cursor.connection,
+    resultSet: set ? { index: set.index, rowsAffected: set.rowsAffected, columns: set.columns } : null,
+    rows,
+    offset,
+    rowsAffected: cursor.rowsAffected.slice(),
+    // 每页返回上一页之后收到的消息
+    messages: cursor.messages.splice(0),
+    hasMore,
+    expiresAt: hasMore ? new Date(cursor.lastActivityTime + cursor.ttl).toISOString() : null
+  };
+  if (!hasMore) {
+    closeCursor(cursor, "已读取完毕");
+  }
+  return page;
+}
+
+// 读取游标的下一页；offset 只能向前，跳过的行直接丢弃
+async function fetchCursorRows(id, { size, offset } = {}) {
+  const cursor = getCursor(id);
+  if (!isEntryActive(cursor.entry)) {
+    closeCursor(cursor, `连接 "${cursor.connection}" 已断开`);
+    throw new Error(`游标 ${id} 所在的连接 "${cursor.connection}" 已断开`);
+  }
+  if (offset !== undefined && offset < cursor.position) {
+    throw new Error(`游标 ${id} 只能向前读取，当前位置 ${cursor.position}，不能回到 ${offset}`);
+  }
+  if (cursor.reading) {
+    throw new Error(`游标 ${id} 正在读取中，请等待上一次 fetch_rows 完成`);
+  }
+
+  cursor.reading = true;
+  clearCursorExpiry(cursor);
+  try {
+    let skipped = 0;
+    while (offset !== undefined && cursor.position < offset) {
+      const page = await readCursorPage(cursor, Math.min(offset - cursor.position, MAX_CURSOR_PAGE_SIZE));
+      skipped += page.rows.length;
+      if (!page.hasMore) {
+        return { ...page, rows: [], offset: cursor.position, skipped };
+      }
+    }
+    const page = await readCursorPage(cursor, size || cursor.pageSize);
+    return { ...page, skipped };
+  } finally {
+    cursor.reading = false;
+    scheduleCursorExpiry(cursor);
+  }
+}
+
+function clearCursorExpiry(cursor) {
+  if (cursor.expiryTimer) {
+    clearTimeout(cursor.expiryTimer);
+    cursor.expiryTimer = null;
+  }
+}
+
+// 超过 TTL 未读取时关闭游标
+function scheduleCursorExpiry(cursor) {
+  clearCursorExpiry(cursor);
+  if (cursors.get(cursor.id) !== cursor) {
+    return;
+  }
+  cursor.expiryTimer = setTimeout(() => {
+    cursor.expiryTimer = null;
+    closeCursor(cursor, `超过 ${Math.round(cursor.ttl / 1000)} 秒未读取，已过期`);
+  }, Math.max(0, cursor.lastActivityTime + cursor.ttl - Date.now()));
+}
+
+// 关闭游标：未读取完的查询被取消，释放连接；记录查询统计和日志
+function closeCursor(cursor, reason, { record = true } = {}) {
+  clearCursorExpiry(cursor);
+  if (cursor.closed) {
+    return;
+  }
+  cursor.closed = true;
+  cursors.delete(cursor.id);
+  closedCursors.push({ id: cursor.id, connection: cursor.connection, reason, rowsRead: cursor.position, closedAt: new Date().toISOString() });
+  if (closedCursors.length > MAX_CLOSED_CURSORS) {
+    closedCursors.shift();
+  }
+
+  const cancelled = !cursor.done;
+  if (cancelled) {
+    // 取消后需要恢复流，否则请求不会结束，连接不会归还连接池
+    cursor.request.cancel();
+    if (cursor.paused) {
+      cursor.paused = false;
+      cursor.request.resume();
+    }
+  }
+  cursor.buffer = [];
+  cursor.bufferedRows = 0;
+
+  if (record) {
+    const queryTime = Date.now() - cursor.startTime;
+    const error = cursor.error;
+    recordQueryStats(cursor.entry, queryTime, !error);
+    recordJournalEntry({ sqlText: cursor.sqlText, params: cursor.params, entry: cursor.entry, startTime: cursor.startTime, queryTime, result: { rowsAffected: cursor.rowsAffected }, rowCount: cursor.totalRows, error });
+    if (error && isConnectionError(error)) {
+      markConnectionLost(cursor.entry, error, "读取游标时连接中断");
+    }
+  }
+}
+
+// 关闭连接上所有打开的游标（断开连接前调用）
+function closeConnectionCursors(connectionName, reason) {
+  for (const cursor of Array.from(cursors.values())) {
+    if (cursor.connection === connectionName) {
+      closeCursor(cursor, reason);
+    }
+  }
+}
+
+// 把游标的一页转换为 executeQuery 的结果格式，页中只有一个结果集
+function toCursorQueryResult(page, queryTime) {
+  const recordset = page.rows;
+  if (page.resultSet) {
+    Object.defineProperty(recordset, 'columns', { value: page.resultSet.columns, enumerable: false });
+  }
+  return {
+    success: true,
+    connection: page.connection,
+    transactionId: null,
+    rowsAffected: page.rowsAffected,
+    recordset,
+    recordsets: page.resultSet ? [recordset] : [],
+    resultSets: page.resultSet ? [{
+      index: page.resultSet.index,
+      rowCount: recordset.length,
+      rowsAffected: page.resultSet.rowsAffected,
+      columns: describeRecordsetColumns(recordset)
+    }] : [],
+    returnValue: undefined,
+    output: {},
+    messages: page.messages,
+    statistics: summarizeStatisticsMessages(page.messages),
+    queryTime,
+    rowCount: recordset.length,
+    cursor: {
+      id: page.cursorId,
+      offset: page.offset,
+      nextOffset: page.offset + recordset.length,
+      hasMore: page.hasMore,
+      skipped: page.skipped || 0,
+      expiresAt: page.expiresAt
+    }
+  };
+}
+
+// 游标状态提示
+function formatCursorStatus(cursor) {
+  if (!cursor.hasMore) {
+    return `📑 已读取全部数据，游标已关闭\n`;
+  }
+  return `📑 游标: ${cursor.id}\n- 还有更多数据，使用 fetch_rows 工具读取下一页\n- 下一页起始位置: ${cursor.nextOffset}\n- 过期时间: ${cursor.expiresAt}\n`;
+}
+
+// 描述游标
+function describeCursor(cursor, now = Date.now()) {
+  const expiresIn = Math.max(0, Math.ceil((cursor.lastActivityTime + cursor.ttl - now) / 1000));
+  return `${cursor.id} [${cursor.connection}] 已读取 ${cursor.position} 行，每页 ${cursor.pageSize} 行，${expiresIn}秒后过期: ${cursor.sqlText.replace(/\s+/g, ' ').slice(0, 60)}`;
+}
+
+// 数据导出：export_query 通过分页游标按页读取行 (request.stream 的 row 事件)，逐页写入文件，内存中只保留一页
+const EXPORT_FORMATS = ["csv", "json", "ndjson", "xlsx"];
+const EXPORT_PAGE_SIZE = 1000;
+// XLSX 限制：每个工作表最多 1048576 行（含标题行），单元格文本最多 32767 个字符
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_CELL_TEXT = 32767;
+
+// 按文件扩展名推断导出格式
+function inferExportFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".csv" || extension === ".tsv" || extension === ".txt") return "csv";
+  if (extension === ".jsonl" || extension === ".ndjson") return "ndjson";
+  if (extension === ".json") return "json";
+  if (extension === ".xlsx") return "xlsx";
+  throw new Error(`无法从文件扩展名 "${extension || '(无)'}" 推断导出格式，请指定 format (${EXPORT_FORMATS.join(', ')})`);
+}
+
+// 小数秒：按列的精度 (scale) 输出，datetime2/time 的 100 纳秒部分来自 nanosecondDelta
+function formatFractionalSeconds(value, scale) {
+  if (!scale) return '';
+  const ticks = value.getUTCMilliseconds() * 10000 + Math.round((value.nanosecondDelta || 0) * 1e7);
+  return '.' + String(ticks).padStart(7, '0').slice(0, scale);
+}
+
+// 根据结果集的列信息确定每列的导出方式
+// 重名的列在 mssql 的行对象中合并为数组，按出现顺序取值
+function createExportColumns(columns, binaryEncoding) {
+  const ordered = Object.values(columns || {}).sort((a, b) => a.index - b.index);
+  const occurrences = new Map();
+  return ordered.map((column, index) => {
+    const declaration = column.type && column.type.declaration ? column.type.declaration.toLowerCase() : '';
+    const key = column.name;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    const duplicated = ordered.filter(item => item.name === key).length > 1;
+
+    let kind = "value";
+    let scale = column.scale;
+    if (["decimal", "numeric"].includes(declaration)) {
+      kind = "decimal";
+    } else if (["money", "smallmoney"].includes(declaration)) {
+      kind = "decimal";
+      scale = 4;
+    } else if (declaration === "bigint") {
+      kind = "bigint";
+    } else if (declaration === "date") {
+      kind = "date";
+    } else if (declaration === "time") {
+      kind = "time";
+      scale = scale ?? 7;
+    } else if (["datetime", "datetime2", "smalldatetime", "datetimeoffset"].includes(declaration)) {
+      kind = "datetime";
+      scale = declaration === "datetime" ? 3 : declaration === "smalldatetime" ? 0 : scale ?? 7;
+    } else if (["binary", "varbinary", "image", "timestamp", "rowversion", "udt"].includes(declaration)) {
+      kind = "binary";
+    } else if (declaration === "bit") {
+      kind = "bit";
+    }
+
+    return {
+      name: column.name || `column${index + 1}`,
+      declaration,
+      kind,
+      scale: scale || 0,
+      read: (row) => {
+        const value = row[key];
+        return duplicated && Array.isArray(value) ? value[occurrence] : value;
+      },
+      binaryEncoding
+    };
+  });
+}
+
+// 导出值的文本形式（CSV 和 JSON 中的字符串）；数值类型返回 null 表示按数值处理
+function formatExportText(column, value) {
+  if (value instanceof Date) {
+    if (column.kind === "date") return value.toISOString().slice(0, 10);
+    if (column.kind === "time") return value.toISOString().slice(11, 19) + formatFractionalSeconds(value, column.scale);
+    return value.toISOString().slice(0, 19) + formatFractionalSeconds(value, column.scale) + 'Z';
+  }
+  if (Buffer.isBuffer(value)) {
+    return column.binaryEncoding === "hex" ? `0x${value.toString("hex").toUpperCase()}` : value.toString("base64");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// 驱动把 decimal/numeric/money 读取为 JavaScript 数值；按小数位数放大后不超过 15 位的值可以由 toFixed 精确还原，
+// 更长的值在读取时可能已被舍入，此时中止导出而不是写入不准确的数字
+const EXACT_DECIMAL_LIMIT = 1e15;
+
+function formatExactDecimal(column, value) {
+  if (Math.abs(value) * 10 ** column.scale >= EXACT_DECIMAL_LIMIT) {
+    throw new Error(`列 "${column.name}" 的值 ${value} 超过 15 位有效数字，驱动读取时可能已被舍入，无法精确导出；请在查询中用 CAST(${column.name} AS VARCHAR(50)) 转换为字符串后导出`);
+  }
+  return value.toFixed(column.scale);
+}
+
+// 小数按列的小数位数输出，不使用科学计数法
+function formatExportNumber(column, value) {
+  if (column.kind === "decimal" && typeof value === "number") {
+    return formatExactDecimal(column, value);
+  }
+  return String(value);
+}
+
+// 文本输出：按编码转换后写入，写入缓冲区满时等待 drain
+function createTextOutput(stream, encoding) {
+  return async (text) => {
+    if (text && !stream.write(iconv.encode(text, encoding))) {
+      await once(stream, "drain");
+    }
+  };
+}
+
+// CSV：NULL 写为 nullValue，空字符串在 minimal 模式下写为 "" 以便与 NULL 区分
+function createCsvWriter(stream, options) {
+  const write = createTextOutput(stream, options.encoding);
+  const { delimiter, quote, quoteMode, nullValue } = options;
+  const newline = options.lineEnding === "lf" ? "\n" : "\r\n";
+  const escapeQuote = new RegExp(quote.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g");
+  const quoteText = (text) => quote + text.replace(escapeQuote, quote + quote) + quote;
+  const needsQuote = (text) => text === '' || text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text) || /^\s|\s$/.test(text);
+  let columns = null;
+
+  const formatField = (column, value) => {
+    if (value === null || value === undefined) return nullValue;
+    if (typeof value === "boolean") return value ? "1" : "0";
+    if (typeof value === "number" || column.kind === "bigint") {
+      const text = formatExportNumber(column, value);
+      return quoteMode === "all" ? quoteText(text) : text;
+    }
+    const text = formatExportText(column, value);
+    return quoteMode === "minimal" && !needsQuote(text) ? text : quoteText(text);
+  };
+
+  return {
+    async begin(exportColumns) {
+      columns = exportColumns;
+      if (options.bom) {
+        stream.write(iconv.encode('', options.encoding, { addBOM: true }));
+      }
+      if (options.header) {
+        await write(columns.map(column => quoteMode === "minimal" && !needsQuote(column.name) ? column.name : quoteText(column.name)).join(delimiter) + newline);
+      }
+    },
+    async write(rows) {
+      await write(rows.map(row => columns.map(column => formatField(column, column.read(row))).join(delimiter) + newline).join(''));
+    },
+    async end() {}
+  };
+}
+
+// JSON 字面量：小数按列的小数位数输出；bigint 由驱动以字符串返回，按原始数字输出
+function formatJsonLiteral(column, value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") return formatExportNumber(column, value);
+  if (column.kind === "bigint" && /^-?\d+$/.test(String(value))) return String(value);
+  return JSON.stringify(formatExportText(column, value));
+}
+
+// JSON 数组或 NDJSON（每行一个对象）
+function createJsonWriter(stream, options, lineDelimited) {
+  const write = createTextOutput(stream, options.encoding);
+  let columns = null;
+  let first = true;
+  const formatRow = (row) => `{${columns.map(column => `${JSON.stringify(column.name)}:${formatJsonLiteral(column, column.read(row))}`).join(',')}}`;
+
+  return {
+    async begin(exportColumns) {
+      columns = exportColumns;
+      if (options.bom) {
+        stream.write(iconv.encode('', options.encoding, { addBOM: true }));
+      }
+      if (!lineDelimited) {
+        await write("[");
+      }
+    },
+    async write(rows) {
+      if (lineDelimited) {
+        await write(rows.map(row => formatRow(row) + "\n").join(''));
+        return;
+      }
+      let text = '';
+      for (const row of rows) {
+        text += (first ? "\n" : ",\n") + formatRow(row);
+        first = false;
+      }
+      await write(text);
+    },
+    async end() {
+      if (!lineDelimited) {
+        await write(first ? "]\n" : "\n]\n");
+      }
+    }
+  };
+}
+
+// XLSX：使用 exceljs 的流式工作簿，每行写完即提交；日期写为日期单元格，小数按列的小数位数设置格式
+function createXlsxWriter(filePath, options, warnings) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet(options.sheetName);
+  let columns = null;
+  let rowCount = 0;
+  let truncatedCells = 0;
+
+  const formatCell = (column, value) => {
+    if (value === null || value === undefined) return null;
+    if (column.kind === "decimal" && typeof value === "number") {
+      formatExactDecimal(column, value);
+      return value;
+    }
+    if (column.kind === "bigint") {
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : String(value);
+    }
+    if (value instanceof Date && column.kind !== "time") return value;
+    if (typeof value === "number" || typeof value === "boolean") return value;
+    const text = formatExportText(column, value);
+    if (text.length > XLSX_MAX_CELL_TEXT) {
+      truncatedCells++;
+      return text.slice(0, XLSX_MAX_CELL_TEXT);
+    }
+    return text;
+  };
+
+  const numberFormat = (column) => {
+    if (column.kind === "date") return "yyyy-mm-dd";
+    if (column.kind === "datetime") return `yyyy-mm-dd hh:mm:ss${column.scale > 0 ? '.000' : ''}`;
+    if (column.kind === "decimal") return column.scale > 0 ? `0.${'0'.repeat(column.scale)}` : "0";
+    return undefined;
+  };
+
+  return {
+    async begin(exportColumns) {
+      columns = exportColumns;
+      worksheet.columns = columns.map(column => ({
+        header: options.header ? column.name : undefined,
+        width: Math.min(60, Math.max(10, column.name.length + 2)),
+        style: numberFormat(column) ? { numFmt: numberFormat(column) } : {}
+      }));
+      if (options.header) {
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).commit();
+      }
+    },
+    async write(rows) {
+      for (const row of rows) {
+        if (rowCount + (options.header ? 1 : 0) >= XLSX_MAX_ROWS) {
+          throw new Error(`XLSX 工作表最多 ${XLSX_MAX_ROWS} 行（含标题行），请缩小查询范围或导出为 CSV`);
+        }
+        worksheet.addRow(columns.map(column => formatCell(column, column.read(row)))).commit();
+        rowCount++;
+      }
+    },
+    async end() {
+      worksheet.commit();
+      await workbook.commit();
+      if (truncatedCells > 0) {
+        warnings.push(`${truncatedCells} 个单元格的文本超过 ${XLSX_MAX_CELL_TEXT} 个字符，已截断`);
+      }
+    },
+    async abort() {
+      // 工作簿的文件流可能仍然打开，提交后由调用方删除临时文件
+      try {
+        worksheet.commit();
+        await workbook.commit();
+      } catch (error) {
+        // 忽略
+      }
+    }
+  };
+}
+
+// 创建导出写入器；文本格式写入文件流，XLSX 由 exceljs 写入文件
+function createExportWriter(format, filePath, options, warnings) {
+  if (format === "xlsx") {
+    return createXlsxWriter(filePath, options, warnings);
+  }
+  const stream = fs.createWriteStream(filePath);
+  const writer = format === "csv" ? createCsvWriter(stream, options) : createJsonWriter(stream, options, format === "ndjson");
+  return {
+    ...writer,
+    async end() {
+      await writer.end();
+      stream.end();
+      await once(stream, "close");
+    },
+    async abort() {
+      stream.destroy();
+      await once(stream, "close").catch(() => {});
+    }
+  };
+}
+
+// 导出和导入的文件只能位于服务器的文件目录内，相对路径以文件目录为基准
+// 除按路径文本检查外，还检查最近的已存在上级目录的真实路径，防止通过符号链接指向目录以外
+async function resolveDataFilePath(filePath, label) {
+  const base = path.resolve(serverSettings.filesDirectory);
+  const target = path.resolve(base, filePath);
+  const isInside = (root, candidate) => {
+    const relative = path.relative(root, candidate);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+  if (!isInside(base, target)) {
+    throw new Error(`${label}必须位于文件目录 ${base} 内: ${filePath}`);
+  }
+  
+  await fs.promises.mkdir(base, { recursive: true });
+  const realBase = await fs.promises.realpath(base);
+  let existing = target;
+  while (!fs.existsSync(existing)) {
+    existing = path.dirname(existing);
+  }
+  const realExisting = await fs.promises.realpath(existing);
+  if (realExisting !== realBase && !isInside(realBase, realExisting)) {
+    throw new Error(`${label}必须位于文件目录 ${base} 内: ${filePath} 经符号链接指向 ${realExisting}`);
+  }
+  return target;
+}
+
+// 执行查询并导出指定结果集到文件
+// 先写入同目录的临时文件，成功后重命名，失败时删除临时文件
+async function exportQuery(sqlText, params, options) {
+  const entry = getConnection(options.connection);
+  if ((serverSettings.readOnly || (entry && entry.statementPolicy.readOnly)) && !serverSettings.allowExportInReadOnly) {
+    throw new Error(`只读模式已启用，不允许导出文件；如需导出请使用 --allow-export-in-read-only 参数或在配置文件中设置 files.allowExportInReadOnly: true`);
+  }
+  const target = await resolveDataFilePath(options.path, "导出文件");
+  const format = options.format || inferExportFormat(target);
+  if (format !== "xlsx" && !iconv.encodingExists(options.encoding)) {
+    throw new Error(`不支持的编码: ${options.encoding}，可使用 utf8、utf16le、gbk、gb18030、big5、latin1 等`);
+  }
+  if (!options.overwrite && fs.existsSync(target)) {
+    throw new Error(`文件已存在: ${target}，如需覆盖请设置 overwrite: true`);
+  }
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  const startTime = Date.now();
+  const temp = `${target}.${crypto.randomBytes(4).toString("hex")}.part`;
+  const warnings = [];
+  const writer = createExportWriter(format, temp, options, warnings);
+  let cursorId = null;
+  let columns = null;
+  let rowCount = 0;
+  let setCount = 0;
+
+  try {
+    const first = await executeQuery(sqlText, params, { connection: options.connection, pageSize: EXPORT_PAGE_SIZE });
+    cursorId = first.cursor.id;
+    let page = {
+      resultSet: first.resultSets.length > 0 ? { index: first.resultSets[0].index, columns: first.recordset.columns } : null,
+      rows: first.recordset,
+      hasMore: first.cursor.hasMore
+    };
+    // 读取到查询结束，其他结果集的行被丢弃
+    while (true) {
+      if (page.resultSet) {
+        setCount = Math.max(setCount, page.resultSet.index);
+        if (page.resultSet.index === options.resultSet) {
+          if (!columns) {
+            columns = createExportColumns(page.resultSet.columns, options.binaryEncoding);
+            await writer.begin(columns);
+          }
+          await writer.write(page.rows);
+          rowCount += page.rows.length;
+        }
+      }
+      if (!page.hasMore) {
+        break;
+      }
+      page = await fetchCursorRows(cursorId, { size: EXPORT_PAGE_SIZE });
+    }
+    if (!columns) {
+      throw new Error(`查询只返回了 ${setCount} 个结果集，没有第 ${options.resultSet} 个结果集可以导出`);
+    }
+    await writer.end();
+    await fs.promises.rename(temp, target);
+  } catch (error) {
+    if (cursorId && cursors.has(cursorId)) {
+      closeCursor(cursors.get(cursorId), `导出失败: ${error.message}`);
+    }
+    await writer.abort();
+    await fs.promises.rm(temp, { force: true });
+    throw error;
+  }
+
+  const stats = await fs.promises.stat(target);
+  return {
+    path: target,
+    format,
+    resultSet: options.resultSet,
+    rowCount,
+    bytes: stats.size,
+    duration: Date.now() - startTime,
+    encoding: format === "xlsx" ? null : options.encoding,
+    columns: columns.map(column => ({ name: column.name, type: column.declaration || null })),
+    warnings
+  };
+}
+
+// 数据导入：import_data 读取 CSV/NDJSON/JSON 文件，按 sys.columns 把文件的列对应到目标表的列，
+// 逐批通过 request.bulk() 写入会话临时表，再用 INSERT 或 MERGE 移入目标表；整个导入在一个事务中执行
+const IMPORT_FORMATS = ["csv", "json", "ndjson"];
+const IMPORT_MODES = ["append", "truncate", "upsert"];
+const DEFAULT_IMPORT_BATCH_SIZE = 5000;
+// 建表时用文件的前 N 行推断列类型
+const IMPORT_SAMPLE_ROWS = 1000;
+
+// 按文件扩展名推断导入格式
+function inferImportFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".csv" || extension === ".tsv" || extension === ".txt") return "csv";
+  if (extension === ".jsonl" || extension === ".ndjson") return "ndjson";
+  if (extension === ".json") return "json";
+  throw new Error(`无法从文件扩展名 "${extension || '(无)'}" 推断导入格式，请指定 format (${IMPORT_FORMATS.join(', ')})`);
+}
+
+// 逐条读取 CSV 记录：支持引号中的分隔符、换行和转义的引号 ("")
+// 每个字段记录是否带引号，未加引号且等于 nullValue 的字段视为 NULL
+async function* readCsvRecords(filePath, { delimiter, quote, encoding }) {
+  const input = fs.createReadStream(filePath).pipe(iconv.decodeStream(encoding));
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push({ value: field, quoted });
+    field = '';
+    quoted = false;
+  };
+
+  for await (const chunk of input) {
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (inQuotes) {
+        if (afterQuote) {
+          afterQuote = false;
+          if (ch === quote) {
+            field += quote;
+            continue;
+          }
+          inQuotes = false;
+        } else if (ch === quote) {
+          afterQuote = true;
+          continue;
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+          continue;
+        }
+      }
+      if (ch === quote && field === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\n') {
+        endField();
+        // 跳过空行
+        if (fields.length > 1 || fields[0].value !== '' || fields[0].quoted) {
+          yield { line: recordLine, fields };
+        }
+        fields = [];
+        line++;
+        recordLine = line;
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+  }
+  if (inQuotes && !afterQuote) {
+    throw new Error(`第 ${recordLine} 行的引号没有闭合`);
+  }
+  if (field !== '' || quoted || fields.length > 0) {
+    endField();
+    yield { line: recordLine, fields };
+  }
+}
+
+// 读取文件中的行，统一为 { line, values: { 列名: 值 } } 或 { line, error, raw }
+async function* readImportRows(filePath, format, options) {
+  if (format === "csv") {
+    let header = null;
+    for await (const record of readCsvRecords(filePath, options)) {
+      if (!header) {
+        if (options.header) {
+          header = record.fields.map(item => item.value.trim());
+          const duplicates = header.filter((name, index) => header.findIndex(other => other.toLowerCase() === name.toLowerCase()) !== index);
+          if (header.some(name => name === '')) {
+            throw new Error(`CSV 标题行包含空的列名`);
+          }
+          if (duplicates.length > 0) {
+            throw new Error(`CSV 标题行包含重复的列名: ${duplicates.join(', ')}`);
+          }
+          yield { header };
+          continue;
+        }
+        header = options.defaultColumns;
+        yield { header };
+      }
+      const raw = record.fields.map(item => item.value);
+      if (record.fields.length !== header.length) {
+        yield { line: record.line, error: `有 ${record.fields.length} 个字段，应为 ${header.length} 个`, raw };
+        continue;
+      }
+      const values = {};
+      header.forEach((name, index) => {
+        const item = record.fields[index];
+        values[name] = !item.quoted && item.value === options.nullValue ? null : item.value;
+      });
+      yield { line: record.line, values, raw };
+    }
+    return;
+  }
+
+  const checkRow = (line, value, raw) => value !== null && typeof value === "object" && !Array.isArray(value)
+    ? { line, values: value, raw: value }
+    : { line, error: "不是 JSON 对象", raw };
+
+  if (format === "ndjson") {
+    const input = fs.createReadStream(filePath).pipe(iconv.decodeStream(options.encoding));
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+    for await (const text of lines) {
+      line++;
+      if (!text.trim()) {
+        continue;
+      }
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        yield { line, error: `JSON 解析失败: ${error.message}`, raw: text };
+        continue;
+      }
+      yield checkRow(line, value, text);
+    }
+    return;
+  }
+
+  // JSON 数组需要完整读入，大文件请使用 NDJSON
+  const text = iconv.decode(await fs.promises.readFile(filePath), options.encoding);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`JSON 文件解析失败: ${error.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error(`JSON 文件的内容必须是对象数组，大文件请使用 NDJSON (每行一个对象)`);
+  }
+  for (let i = 0; i < data.length; i++) {
+    yield checkRow(i + 1, data[i], data[i]);
+  }
+}
+
+// 读取目标表的列定义和主键，表不存在时返回 null
+async function getImportTableMetadata(entry, target) {
+  const statement = `
+    DECLARE @id int = OBJECT_ID(@name);
+    SELECT o.type, SCHEMA_NAME(o.schema_id) AS schema_name, o.name FROM sys.objects o WHERE o.object_id = @id;
+    SELECT c.name, TYPE_NAME(c.system_type_id) AS system_type, c.max_length, c.precision, c.scale,
+           c.is_nullable, c.is_identity, c.is_computed, CAST(CASE WHEN c.default_object_id <> 0 THEN 1 ELSE 0 END AS bit) AS has_default
+    FROM sys.columns c WHERE c.object_id = @id
+    ORDER BY c.column_id;
+    SELECT c.name
+    FROM sys.indexes i
+    JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+    JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+    WHERE i.object_id = @id AND i.is_primary_key = 1
+    ORDER BY ic.key_ordinal;
+  `;
+  const request = entry.pool.request();
+  request.input('statement', sql.NVarChar(sql.MAX), statement);
+  request.input('name', sql.NVarChar(776), target.schema ? `${quoteIdentifier(target.schema)}.${quoteIdentifier(target.object)}` : quoteIdentifier(target.object));
+  const database = target.database || entry.config.database || null;
+  const procedure = database ? `${quoteIdentifier(database)}.sys.sp_executesql` : "sys.sp_executesql";
+  const result = await request.query(`EXEC ${procedure} @statement, N'@name nvarchar(776)', @name = @name`);
+  const recordsets = result.recordsets || [];
+
+  const object = recordsets[0] && recordsets[0][0];
+  if (!object) {
+    return null;
+  }
+  if (object.type.trim() !== "U") {
+    throw new Error(`${target.quoted} 不是用户表 (对象类型 ${object.type.trim()})`);
+  }
+  return {
+    name: `${object.schema_name}.${object.name}`,
+    quoted: `${database ? `${quoteIdentifier(database)}.` : ''}${quoteIdentifier(object.schema_name)}.${quoteIdentifier(object.name)}`,
+    columns: (recordsets[1] || []).map(row => ({
+      name: row.name,
+      type: formatSqlTypeDeclaration(row.system_type, row.max_length, row.precision, row.scale),
+      precision: row.precision,
+      scale: row.scale,
+      nullable: Boolean(row.is_nullable),
+      identity: Boolean(row.is_identity),
+      // rowversion 由服务器生成，与计算列一样不能写入
+      computed: Boolean(row.is_computed) || row.system_type === "timestamp",
+      hasDefault: Boolean(row.has_default)
+    })),
+    primaryKey: (recordsets[2] || []).map(row => row.name)
+  };
+}
+
+// 按样本行推断建表的列类型：整数、小数、日期时间、布尔、GUID，其余为 NVarChar
+function inferImportColumnType(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) {
+    return "NVarChar(255)";
+  }
+  if (present.some(value => typeof value === "object")) {
+    return "NVarChar(max)";
+  }
+  const texts = present.map(value => String(value).trim());
+  const every = (pattern) => texts.every(text => pattern.test(text));
+  if (present.every(value => typeof value === "boolean") || every(/^(true|false)$/i)) {
+    return "Bit";
+  }
+  if (every(/^-?\d{1,19}$/)) {
+    const fitsInt = texts.every(text => Number(text) >= -2147483648 && Number(text) <= 2147483647);
+    const fitsBigInt = texts.every(text => BigInt(text) >= -(2n ** 63n) && BigInt(text) < 2n ** 63n);
+    if (fitsInt) return "Int";
+    if (fitsBigInt) return "BigInt";
+  }
+  if (every(/^-?\d+(\.\d+)?$/)) {
+    const scale = Math.max(...texts.map(text => (text.split(".")[1] || "").length));
+    const digits = Math.max(...texts.map(text => text.replace(/^-/, "").split(".")[0].length));
+    if (digits + scale <= 38) {
+      return `Decimal(${Math.max(digits + scale, 18)},${scale})`;
+    }
+  }
+  if (every(/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i)) {
+    return "Float";
+  }
+  if (every(/^\d{4}-\d{2}-\d{2}$/)) {
+    return "Date";
+  }
+  if (every(/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,7})?)?$/i)) {
+    return "DateTime2(7)";
+  }
+  if (every(/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,7})?)?(Z|[+-]\d{2}:?\d{2})$/i)) {
+    return "DateTimeOffset(7)";
+  }
+  if (every(/^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i)) {
+    return "UniqueIdentifier";
+  }
+  const maxLength = Math.max(...texts.map(text => text.length));
+  return maxLength > 4000 ? "NVarChar(max)" : `NVarChar(${Math.min(4000, Math.max(50, maxLength * 2))})`;
+}
+
+// 把文件的列对应到表的列：columnMap 优先，其次按名称（不区分大小写）
+// 返回写入的列、被忽略的文件列；缺少不可为空且没有默认值的列时报错
+function resolveImportColumns(metadata, fileColumns, columnMap, mode, keyColumns) {
+  const mapping = new Map(Object.entries(columnMap || {}).map(([source, column]) => [source.toLowerCase(), column]));
+  const findColumn = (name) => metadata.columns.find(column => column.name.toLowerCase() === name.toLowerCase());
+  const columns = [];
+  const ignored = [];
+  const warnings = [];
+
+  for (const source of fileColumns) {
+    const targetName = mapping.get(source.toLowerCase()) || source;
+    const column = findColumn(targetName);
+    if (!column) {
+      if (mapping.has(source.toLowerCase())) {
+        throw new Error(`columnMap 把文件列 "${source}" 对应到 "${targetName}"，但表 ${metadata.name} 中没有该列`);
+      }
+      ignored.push(source);
+      continue;
+    }
+    if (column.computed) {
+      warnings.push(`列 ${column.name} 是计算列或 rowversion，文件中的值被忽略`);
+      continue;
+    }
+    if (columns.some(item => item.column === column)) {
+      throw new Error(`文件中有多个列对应到表的列 ${column.name}`);
+    }
+    let typeInfo;
+    try {
+      typeInfo = parseSqlType(column.type);
+    } catch (error) {
+      throw new Error(`列 ${column.name} 的类型 ${column.type} 不支持导入: ${error.message}`);
+    }
+    if (typeInfo.kind === "any") {
+      throw new Error(`列 ${column.name} 的类型 sql_variant 不支持导入`);
+    }
+    columns.push({ source, column, typeInfo });
+  }
+  for (const source of Object.keys(columnMap || {})) {
+    if (!fileColumns.some(name => name.toLowerCase() === source.toLowerCase())) {
+      throw new Error(`columnMap 中的列 "${source}" 在文件中不存在`);
+    }
+  }
+  if (columns.length === 0) {
+    throw new Error(`文件中没有与表 ${metadata.name} 对应的列，文件的列: ${fileColumns.join(', ')}`);
+  }
+
+  const missing = metadata.columns.filter(column => !column.nullable && !column.hasDefault && !column.identity && !column.computed && !columns.some(item => item.column === column));
+  if (missing.length > 0) {
+    throw new Error(`表 ${metadata.name} 的列 ${missing.map(column => column.name).join(', ')} 不能为空且没有默认值，但文件中没有对应的列`);
+  }
+
+  let keys = [];
+  if (mode === "upsert") {
+    const keyNames = keyColumns && keyColumns.length > 0 ? keyColumns : metadata.primaryKey;
+    if (keyNames.length === 0) {
+      throw new Error(`upsert 模式需要键列: 表 ${metadata.name} 没有主键，请通过 keyColumns 指定`);
+    }
+    keys = keyNames.map(name => {
+      const item = columns.find(entry => entry.column.name.toLowerCase() === name.toLowerCase());
+      if (!item) {
+        throw new Error(`键列 ${name} ${findColumn(name) ? '在文件中没有对应的列' : `不是表 ${metadata.name} 的列`}`);
+      }
+      return item;
+    });
+  }
+  return { columns, keys, ignored, warnings };
+}
+
+// 校验并转换一行，返回按写入列顺序的值；无法写入时抛出错误（该行被拒绝）
+function coerceImportRow(values, columns) {
+  const lookup = new Map(Object.keys(values).map(key => [key.toLowerCase(), values[key]]));
+  return columns.map(({ source, column, typeInfo }) => {
+    const raw = lookup.get(source.toLowerCase());
+    const value = raw === undefined ? null : raw;
+    if (value === null) {
+      if (!column.nullable) {
+        throw new Error(`列 ${column.name} 不能为 NULL`);
+      }
+      return null;
+    }
+    let coerced;
+    try {
+      coerced = coerceParamValue(typeInfo, value);
+    } catch (error) {
+      throw new Error(`列 ${column.name} 的值无效: ${error.message}`);
+    }
+    // 超出 Decimal(p,s) 范围的值会使整批写入失败，在这里拒绝
+    if ((typeInfo.name === "Decimal" || typeInfo.name === "Numeric") && column.precision && Math.abs(coerced) >= 10 ** (column.precision - column.scale)) {
+      throw new Error(`列 ${column.name} 的值 ${value} 超出 ${column.type} 的范围`);
+    }
+    return coerced;
+  });
+}
+
+// 被拒绝的行写入错误文件 (NDJSON)：行号、原因和原始数据
+function createImportErrorLog(filePath) {
+  let stream = null;
+  let count = 0;
+  return {
+    get count() {
+      return count;
+    },
+    async write(line, reason, raw) {
+      if (!stream) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        stream = fs.createWriteStream(filePath);
+      }
+      count++;
+      if (!stream.write(JSON.stringify({ line, reason, row: raw }) + "\n")) {
+        await once(stream, "drain");
+      }
+    },
+    async close() {
+      if (stream) {
+        stream.end();
+        await once(stream, "close");
+      }
+    }
+  };
+}
+
+// 执行导入，返回读取、写入、更新和拒绝的行数
+async function importData(options) {
+  const startTime = Date.now();
+  const filePath = await resolveDataFilePath(options.path, "导入文件");
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`文件不存在: ${filePath}`);
+  }
+  const errorFile = await resolveDataFilePath(options.errorFile || `${filePath}.errors.ndjson`, "错误文件");
+  const format = options.format || inferImportFormat(filePath);
+  if (!iconv.encodingExists(options.encoding)) {
+    throw new Error(`不支持的编码: ${options.encoding}，可使用 utf8、utf16le、gbk、gb18030、big5、latin1 等`);
+  }
+  if (!await reconnectIfNeeded(options.connection)) {
+    throw notConnectedError(options.connection);
+  }
+  const entry = getConnection(options.connection);
+  const target = parseObjectName(options.table, "表");
+
+  let metadata = await getImportTableMetadata(entry, target);
+  if (!metadata && !options.createTable) {
+    throw new Error(`表 ${target.quoted} 不存在，如需自动建表请设置 createTable: true`);
+  }
+  if (!metadata && options.mode === "truncate") {
+    options = { ...options, mode: "append" };
+  }
+  if (!metadata && format === "csv" && !options.header) {
+    throw new Error(`自动建表时 CSV 文件必须有标题行`);
+  }
+
+  // 读取标题和样本行：确定文件的列，建表时推断类型
+  const rows = readImportRows(filePath, format, {
+    ...options,
+    defaultColumns: metadata ? metadata.columns.filter(column => !column.computed).map(column => column.name) : []
+  });
+  const sample = [];
+  let fileColumns = null;
+  while (sample.length < IMPORT_SAMPLE_ROWS) {
+    const next = await rows.next();
+    if (next.done) break;
+    if (next.value.header) {
+      fileColumns = next.value.header;
+      continue;
+    }
+    sample.push(next.value);
+  }
+  if (!fileColumns) {
+    // JSON 没有标题，以样本行中出现过的键作为文件的列，之后的行中缺少的键按 NULL 处理
+    const keys = new Map();
+    for (const row of sample) {
+      for (const key of Object.keys(row.values || {})) {
+        if (!keys.has(key.toLowerCase())) keys.set(key.toLowerCase(), key);
+      }
+    }
+    fileColumns = Array.from(keys.values());
+  }
+
+  let createSql = null;
+  if (!metadata) {
+    const keyNames = options.mode === "upsert" ? options.keyColumns || [] : [];
+    const definitions = fileColumns.map(name => {
+      const targetName = (options.columnMap || {})[name] || name;
+      const declared = Object.entries(options.columnTypes || {}).find(([column]) => column.toLowerCase() === targetName.toLowerCase());
+      const type = declared ? declared[1] : inferImportColumnType(sample.map(row => row.values ? Object.entries(row.values).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1] : null));
+      parseSqlType(type);
+      const isKey = keyNames.some(key => key.toLowerCase() === targetName.toLowerCase());
+      return { name: targetName, type, isKey };
+    });
+    const primaryKey = definitions.filter(column => column.isKey);
+    createSql = `CREATE TABLE ${target.quoted} (\n${definitions.map(column => `  ${quoteIdentifier(column.name)} ${column.type} ${column.isKey ? 'NOT NULL' : 'NULL'}`).join(',\n')}${primaryKey.length > 0 ? `,\n  PRIMARY KEY (${primaryKey.map(column => quoteIdentifier(column.name)).join(', ')})` : ''}\n)`;
+    metadata = {
+      name: [target.database, target.schema, target.object].filter(Boolean).join("."),
+      quoted: target.quoted,
+      columns: definitions.map(column => {
+        const precision = /\((\d+),(\d+)\)/.exec(column.type);
+        return { name: column.name, type: column.type, precision: precision ? Number(precision[1]) : 0, scale: precision ? Number(precision[2]) : 0, nullable: !column.isKey, identity: false, computed: false, hasDefault: false };
+      }),
+      primaryKey: primaryKey.map(column => column.name)
+    };
+  }
+
+  const { columns, keys, ignored, warnings } = resolveImportColumns(metadata, fileColumns, options.columnMap, options.mode, options.keyColumns);
+  if (ignored.length > 0) {
+    warnings.push(`文件中的列 ${ignored.join(', ')} 在表中不存在，已忽略`);
+  }
+  const identity = columns.some(item => item.column.identity);
+
+  // 会话临时表使用 c1..cN 列名，避免表的列名中的特殊字符
+  const staging = `#mcp_import_${crypto.randomBytes(4).toString("hex")}`;
+  const stagingColumns = columns.map((item, index) => `c${index + 1}`);
+  const stagingSql = `CREATE TABLE ${staging} (${columns.map((item, index) => `${stagingColumns[index]} ${item.column.type} NULL`).join(', ')})`;
+  const targetColumns = columns.map(item => quoteIdentifier(item.column.name)).join(', ');
+  const identityOn = identity ? `SET IDENTITY_INSERT ${metadata.quoted} ON;\n` : '';
+  const identityOff = identity ? `SET IDENTITY_INSERT ${metadata.quoted} OFF;\n` : '';
+  let moveSql;
+  if (options.mode === "upsert") {
+    const updates = columns.map((item, index) => ({ item, index })).filter(({ item }) => !keys.includes(item) && !item.column.identity);
+    moveSql = `DECLARE @actions TABLE (action nvarchar(10));\n${identityOn}` +
+      `MERGE ${metadata.quoted} AS t\nUSING ${staging} AS s ON ${keys.map(item => `t.${quoteIdentifier(item.column.name)} = s.${stagingColumns[columns.indexOf(item)]}`).join(' AND ')}\n` +
+      (updates.length > 0 ? `WHEN MATCHED THEN UPDATE SET ${updates.map(({ item, index }) => `${quoteIdentifier(item.column.name)} = s.${stagingColumns[index]}`).join(', ')}\n` : '') +
+      `WHEN NOT MATCHED BY TARGET THEN INSERT (${targetColumns}) VALUES (${stagingColumns.map(name => `s.${name}`).join(', ')})\n` +
+      `OUTPUT $action INTO @actions;\n${identityOff}` +
+      `DELETE FROM ${staging};\n` +
+      `SELECT COUNT(CASE WHEN action = 'INSERT' THEN 1 END) AS inserted, COUNT(CASE WHEN action = 'UPDATE' THEN 1 END) AS updated FROM @actions;`;
+  } else {
+    moveSql = `${identityOn}INSERT INTO ${metadata.quoted} (${targetColumns})\nSELECT ${stagingColumns.join(', ')} FROM ${staging};\n${identityOff}DELETE FROM ${staging};`;
+  }
+
+  // 批量写入会话临时表不受语句策略限制，先按移入目标表的语句检查
+  const truncateSql = `TRUNCATE TABLE ${metadata.quoted}`;
+  checkStatementPolicy(entry, [createSql, options.mode === "truncate" ? truncateSql : null, moveSql].filter(Boolean).join(";\n"));
+  await checkAccessPolicy(entry, moveSql);
+
+  const errorLog = createImportErrorLog(errorFile);
+  const summary = { read: 0, inserted: 0, updated: 0, rejected: 0, batches: 0, created: Boolean(createSql), truncated: false };
+  const seenKeys = new Set();
+  const tx = await beginTransaction(entry.name, { idleTimeout: 0, label: `import_data → ${metadata.name}` });
+  const run = (statement) => executeQuery(statement, [], { transactionId: tx.id });
+
+  let batch = new sql.Table(staging);
+  const newBatch = () => {
+    batch = new sql.Table(staging);
+    columns.forEach((item, index) => batch.columns.add(stagingColumns[index], item.typeInfo.type, { nullable: true }));
+  };
+  const flush = async () => {
+    if (batch.rows.length === 0) return;
+    const table = batch;
+    newBatch();
+    await runTransactionStatement(tx, () => tx.transaction.request().bulk(table));
+    const result = await run(moveSql);
+    if (options.mode === "upsert") {
+      const counts = result.recordset[0] || {};
+      summary.inserted += counts.inserted || 0;
+      summary.updated += counts.updated || 0;
+    } else {
+      summary.inserted += result.rowsAffected[0] || 0;
+    }
+    summary.batches++;
+  };
+  const reject = async (row, reason) => {
+    summary.rejected++;
+    await errorLog.write(row.line, reason, row.raw);
+    if (options.maxErrors !== undefined && summary.rejected > options.maxErrors) {
+      throw new Error(`被拒绝的行超过 maxErrors (${options.maxErrors})，导入已中止，最后一个错误: 第 ${row.line} 行 ${reason}`);
+    }
+  };
+
+  try {
+    if (createSql) {
+      await run(createSql);
+    }
+    if (options.mode === "truncate") {
+      try {
+        await run(truncateSql);
+      } catch (error) {
+        // 被外键引用的表不能 TRUNCATE
+        if (error.number !== 4712) throw error;
+        await run(`DELETE FROM ${metadata.quoted}`);
+      }
+      summary.truncated = true;
+    }
+    await run(stagingSql);
+    newBatch();
+
+    const loadRow = async (row) => {
+      summary.read++;
+      if (row.error) {
+        await reject(row, row.error);
+        return;
+      }
+      let values;
+      try {
+        values = coerceImportRow(row.values, columns);
+      } catch (error) {
+        await reject(row, error.message);
+        return;
+      }
+      if (keys.length > 0) {
+        const nullKey = keys.find(item => values[columns.indexOf(item)] === null);
+        if (nullKey) {
+          await reject(row, `键列 ${nullKey.column.name} 不能为 NULL`);
+          return;
+        }
+        const key = JSON.stringify(keys.map(item => {
+          const value = values[columns.indexOf(item)];
+          return value instanceof Date ? value.toISOString() : typeof value === "string" ? value.toLowerCase() : value;
+        }));
+        if (seenKeys.has(key)) {
+          await reject(row, `键 (${keys.map(item => item.column.name).join(', ')}) 与文件中前面的行重复`);
+          return;
+        }
+        seenKeys.add(key);
+      }
+      batch.rows.add(...values);
+      if (batch.rows.length >= options.batchSize) {
+        await flush();
+      }
+    };
+
+    for (const row of sample) {
+      await loadRow(row);
+    }
+    for await (const row of rows) {
+      await loadRow(row);
+    }
+    await flush();
+    await run(`DROP TABLE ${staging}`);
+    await endTransaction(tx, "commit", "import_data 完成，已提交");
+  } catch (error) {
+    if (transactions.get(tx.id) === tx) {
+      await endTransaction(tx, "rollback", `import_data 失败，已回滚: ${error.message}`).catch(() => {});
+    }
+    await errorLog.close();
+    error.message = `${error.message}（导入已回滚，目标表未改变${summary.rejected > 0 ? `；被拒绝的行见 ${errorFile}` : ''}）`;
+    throw error;
+  }
+  await errorLog.close();
+
+  return {
+    path: filePath,
+    format,
+    table: metadata.name,
+    mode: options.mode,
+    ...summary,
+    columns: columns.map(item => ({ source: item.source, column: item.column.name, type: item.column.type })),
+    keyColumns: keys.map(item => item.column.name),
+    errorFile: summary.rejected > 0 ? errorFile : null,
+    duration: Date.now() - startTime,
+    warnings
+  };
+}
+
+// 结果集的列信息：名称、SQL 类型、是否可空、长度
+function describeRecordsetColumns(recordset) {
+  return Object.values(recordset.columns || {}).sort((a, b) => a.index - b.index).map(column => ({
+    name: column.name,
+    type: column.type ? formatSqlTypeDeclaration(column.type.declaration, column.length === 65535 ? -1 : column.length, column.precision, column.scale) : null,
+    nullable: Boolean(column.nullable),
+    length: column.length === 65535 ? "max" : column.length ?? null,
+    identity: Boolean(column.identity)
+  }));
+}
+
+// 格式化所有结果集：每个结果集一个表格，附带列类型信息
+function formatResultSets(result, limit = 10) {
+  let text = '';
+  result.resultSets.forEach((set, index) => {
+    const recordset = result.recordsets[index];
+    text += `📋 结果集 ${set.index} (${set.rowCount}行，影响行数 ${set.rowsAffected === null ? '未报告' : set.rowsAffected}${set.rowCount > limit ? `，显示前${limit}行` : ''}):\n`;
+    if (set.columns.length > 0) {
+      text += `- 列: ${set.columns.map(column => `${column.name} ${column.type || '未知类型'}${column.nullable ? ' NULL' : ' NOT NULL'}${column.identity ? ' IDENTITY' : ''}`).join(', ')}\n`;
+    }
+    text += set.rowCount > 0 || set.columns.length > 0 ? formatRecordsetTable(recordset, limit) : '(无数据)\n';
+    text += `\n`;
+  });
+  return text;
+}
+
+// SET STATISTICS IO / TIME 的消息号；消息文本随会话语言变化，按消息号识别，英文文本作为后备
+const STATISTICS_IO_MESSAGE = 3615;
+const STATISTICS_TIME_MESSAGES = { 3612: "execution", 3613: "compile" };
+
+// STATISTICS IO 中的计数，英文消息按名称对应
+const STATISTICS_IO_FIELDS = {
+  "scan count": "scanCount",
+  "logical reads": "logicalReads",
+  "physical reads": "physicalReads",
+  "read-ahead reads": "readAheadReads",
+  "lob logical reads": "lobLogicalReads",
+  "lob physical reads": "lobPhysicalReads",
+  "lob read-ahead reads": "lobReadAheadReads"
+};
+
+// 其他语言的消息按位置对应：SQL Server 2019 之前 7 个计数，之后增加了 page server 的 4 个计数
+const STATISTICS_IO_POSITIONS = {
+  7: ["scanCount", "logicalReads", "physicalReads", "readAheadReads", "lobLogicalReads", "lobPhysicalReads", "lobReadAheadReads"],
+  11: ["scanCount", "logicalReads", "physicalReads", null, "readAheadReads", null, "lobLogicalReads", "lobPhysicalReads", null, "lobReadAheadReads", null]
+};
+
+// 判断消息是否为 STATISTICS IO ("io") 或 STATISTICS TIME ("execution"/"compile") 的输出
+// 英文文本只用于没有消息号、严重级别为 0 的消息；PRINT (消息号 0) 和 RAISERROR 输出的相同文本不会被当作统计信息
+function classifyStatisticsMessage(message) {
+  if (message.number === STATISTICS_IO_MESSAGE) {
+    return "io";
+  }
+  if (STATISTICS_TIME_MESSAGES[message.number]) {
+    return STATISTICS_TIME_MESSAGES[message.number];
+  }
+  if ((message.number ?? null) !== null || ![0, null].includes(message.severity ?? null)) {
+    return null;
+  }
+  if (/^Table '/.test(message.message)) {
+    return "io";
+  }
+  if (/^SQL Server Execution Times:/.test(message.message)) {
+    return "execution";
+  }
+  return /^SQL Server parse and compile time:/.test(message.message) ? "compile" : null;
+}
+
+// 解析一条 STATISTICS IO 消息：Table 'Orders'. Scan count 1, logical reads 12, physical reads 0, ...
+function parseStatisticsIoMessage(text) {
+  const match = /'((?:[^']|'')*)'/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const rest = text.slice(match.index + match[0].length);
+  const counts = {};
+  for (const [, label, value] of rest.matchAll(/([A-Za-z][A-Za-z -]*?)\s+(\d+)/g)) {
+    const field = STATISTICS_IO_FIELDS[label.trim().toLowerCase()];
+    if (field) {
+      counts[field] = Number(value);
+    }
+  }
+  if (Object.keys(counts).length === 0) {
+    const values = (rest.match(/\d+/g) || []).map(Number);
+    const positions = STATISTICS_IO_POSITIONS[values.length];
+    if (!positions) {
+      return null;
+    }
+    positions.forEach((field, index) => {
+      if (field) {
+        counts[field] = values[index];
+      }
+    });
+  }
+  return { table: match[1].replace(/''/g, "'"), ...counts };
+}
+
+// 汇总 STATISTICS IO（按表累加，按首次出现的顺序）和 STATISTICS TIME（按类型累加），没有统计消息时返回 null
+function summarizeStatisticsMessages(messages) {
+  const tables = new Map();
+  let time = null;
+  for (const message of messages || []) {
+    const kind = classifyStatisticsMessage(message);
+    if (kind === "io") {
+      const counts = parseStatisticsIoMessage(message.message);
+      if (!counts) {
+        continue;
+      }
+      const summary = tables.get(counts.table) || { table: counts.table, scanCount: 0, logicalReads: 0, physicalReads: 0, readAheadReads: 0, lobLogicalReads: 0, lobPhysicalReads: 0, lobReadAheadReads: 0 };
+      for (const field of Object.values(STATISTICS_IO_FIELDS)) {
+        summary[field] += counts[field] || 0;
+      }
+      tables.set(counts.table, summary);
+    } else if (kind) {
+      // CPU time = 15 ms, elapsed time = 20 ms：取最后两个数字
+      const values = (message.message.match(/\d+/g) || []).map(Number).slice(-2);
+      if (values.length < 2) {
+        continue;
+      }
+      time = time || { compileCpuMs: 0, compileElapsedMs: 0, executionCpuMs: 0, executionElapsedMs: 0 };
+      time[`${kind}CpuMs`] += values[0];
+      time[`${kind}ElapsedMs`] += values[1];
+    }
+  }
+  return tables.size > 0 || time ? { io: Array.from(tables.values()), time } : null;
+}
+
+// 格式化服务器消息和统计汇总；STATISTICS IO/TIME 的原始消息只在结构化输出中返回
+function formatServerMessages(result, indent = "") {
+  let text = '';
+  const messages = (result.messages || []).filter(message => !classifyStatisticsMessage(message));
+  if (messages.length > 0) {
+    text += `${indent}💬 消息 (${messages.length} 条):\n`;
+    for (const message of messages) {
+      const location = `${message.procedure ? `${message.procedure} ` : ''}${message.line ? `第 ${message.line} 行` : ''}`;
+      const source = message.number ? `[消息 ${message.number}，级别 ${message.severity}] ` : '';
+      text += `${indent}- ${location ? `${location}: ` : ''}${source}${message.message}\n`;
+    }
+  }
+  const statistics = result.statistics;
+  if (statistics && statistics.io.length > 0) {
+    text += `${indent}📈 STATISTICS IO:\n`;
+    for (const table of statistics.io) {
+      const lob = table.lobLogicalReads || table.lobPhysicalReads || table.lobReadAheadReads ? `，LOB 逻辑读 ${table.lobLogicalReads}，LOB 物理读 ${table.lobPhysicalReads}，LOB 预读 ${table.lobReadAheadReads}` : '';
+      text += `${indent}- ${table.table}: 扫描 ${table.scanCount} 次，逻辑读 ${table.logicalReads}，物理读 ${table.physicalReads}，预读 ${table.readAheadReads}${lob}\n`;
+    }
+  }
+  if (statistics && statistics.time) {
+    const time = statistics.time;
+    text += `${indent}⏱️ STATISTICS TIME: 编译 CPU ${time.compileCpuMs}ms / 耗时 ${time.compileElapsedMs}ms，执行 CPU ${time.executionCpuMs}ms / 耗时 ${time.executionElapsedMs}ms\n`;
+  }
+  return text;
+}
+
+// 格式化单元格值用于表格显示
+function formatCellValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `0x${value.toString("hex", 0, 25).toUpperCase()}${value.length > 25 ? '...' : ''}`;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 50 ? text.substring(0, 50) + '...' : text;
+}
+
+// 把结果集格式化为 Markdown 表格，最多显示 limit 行
+function formatRecordsetTable(recordset, limit = 10) {
+  const columns = recordset.columns ? Object.keys(recordset.columns) : Object.keys(recordset[0] || {});
+  let text = `| ${columns.join(' | ')} |\n`;
+  text += `| ${columns.map(() => '---').join(' | ')} |\n`;
+  for (const row of recordset.slice(0, limit)) {
+    text += `| ${columns.map(col => formatCellValue(row[col])).join(' | ')} |\n`;
+  }
+  if (recordset.length > limit) {
+    text += `\n... 还有 ${recordset.length - limit} 行数据未显示\n`;
+  }
+  return text;
+}
+
+// 记录查询统计（汇总统计和单个连接统计）
+function recordQueryStats(entry, queryTime, success) {
+  const now = new Date().toISOString();
+  for (const stats of [connectionStats, entry.stats]) {
+    stats.totalQueries++;
+    if (success) {
+      stats.successfulQueries++;
+      stats.lastQueryTime = now;
+      stats.totalQueryTime += queryTime;
+      stats.averageQueryTime = stats.totalQueryTime / stats.totalQueries;
+    } else {
+      stats.failedQueries++;
+    }
+  }
+}
+
+// 显式事务：begin_transaction 返回事务ID，execute_sql / batch_execute_sql 通过 transactionId 在同一事务中执行
+// 每个事务独占连接池中的一个连接，空闲超过 idleTimeout 后自动回滚
+const transactions = new Map();
+// 最近结束的事务，调用方使用已结束的事务ID时可以说明原因
+const closedTransactions = [];
+const MAX_CLOSED_TRANSACTIONS = 50;
+const DEFAULT_TRANSACTION_IDLE_TIMEOUT = 120000;
+
+// 事务隔离级别，对应 sql.ISOLATION_LEVEL
+const ISOLATION_LEVELS = {
+  READ_UNCOMMITTED: "READ UNCOMMITTED",
+  READ_COMMITTED: "READ COMMITTED",
+  REPEATABLE_READ: "REPEATABLE READ",
+  SERIALIZABLE: "SERIALIZABLE",
+  SNAPSHOT: "SNAPSHOT"
+};
+
+// 保存点名称：SQL Server 标识符，最长 32 个字符
+const savepointNameSchema = z.string().regex(/^[A-Za-z_][A-Za-z0-9_]{0,31}$/, "保存点名称只能包含字母、数字和下划线，以字母或下划线开头，最长32个字符");
+
+// 开始事务，返回事务条目
+async function beginTransaction(connectionName, { isolationLevel = "READ_COMMITTED", idleTimeout, label } = {}) {
+  if (!await reconnectIfNeeded(connectionName)) {
+    throw notConnectedError(connectionName);
+  }
+
+  const entry = getConnection(connectionName);
+  const transaction = new sql.Transaction(entry.pool);
+  await transaction.begin(sql.ISOLATION_LEVEL[isolationLevel]);
+
+  const now = Date.now();
+  const tx = {
+    id: `tx-${crypto.randomBytes(4).toString("hex")}`,
+    label: label || null,
+    connection: entry.name,
+    entry,
+    transaction,
+    isolationLevel,
+    idleTimeout: idleTimeout ?? serverSettings.transactionIdleTimeout ?? DEFAULT_TRANSACTION_IDLE_TIMEOUT,
+    startedAt: now,
+    lastActivityTime: now,
+    statements: 0,
+    running: 0,
+    savepoints: [],
+    queue: Promise.resolve(),
+    idleTimer: null
+  };
+
+  // 服务器中止事务（如 XACT_ABORT 下的错误）时 mssql 会触发 rollback 事件
+  transaction.on("rollback", (aborted) => {
+    if (aborted && transactions.get(tx.id) === tx) {
+      closeTransaction(tx, "服务器中止了事务，已回滚");
+    }
+  });
+
+  transactions.set(tx.id, tx);
+  scheduleTransactionTimeout(tx);
+  updateActivityTime(entry);
+  return tx;
+}
+
+// 查找事务，已结束的事务会说明结束原因
+function getTransaction(id, connectionName) {
+  const tx = transactions.get(id);
+  if (!tx) {
+    const closed = closedTransactions.find(item => item.id === id);
+    if (closed) {
+      throw new Error(`事务 ${id} 已结束: ${closed.reason} (${closed.closedAt})`);
+    }
+    throw new Error(`事务 ${id} 不存在，当前打开的事务: ${Array.from(transactions.keys()).join(', ') || '无'}`);
+  }
+  if (connectionName && connectionName !== tx.connection) {
+    throw new Error(`事务 ${id} 属于连接 "${tx.connection}"，不能在连接 "${connectionName}" 上使用`);
+  }
+  if (!isEntryActive(tx.entry)) {
+    closeTransaction(tx, `连接 "${tx.connection}" 已断开，事务已由服务器回滚`);
+    throw new Error(`事务 ${id} 所在的连接 "${tx.connection}" 已断开，事务已由服务器回滚`);
+  }
+  return tx;
+}
+
+// 从打开的事务列表中移除并记录结束原因
+function closeTransaction(tx, reason) {
+  if (tx.idleTimer) {
+    clearTimeout(tx.idleTimer);
+    tx.idleTimer = null;
+  }
+  if (transactions.get(tx.id) !== tx) {
+    return;
+  }
+  transactions.delete(tx.id);
+  closedTransactions.push({ id: tx.id, connection: tx.connection, reason, statements: tx.statements, closedAt: new Date().toISOString() });
+  if (closedTransactions.length > MAX_CLOSED_TRANSACTIONS) {
+    closedTransactions.shift();
+  }
+}
+
+// 同一事务的请求只能串行执行，按顺序排队
+function runInTransaction(tx, task) {
+  const run = tx.queue.then(() => {
+    // 排队期间事务可能已经结束
+    if (transactions.get(tx.id) !== tx) {
+      getTransaction(tx.id);
+    }
+    return task();
+  });
+  tx.queue = run.catch(() => {});
+  return run;
+}
+
+// 在事务中执行一条语句并刷新空闲计时
+function runTransactionStatement(tx, task) {
+  return runInTransaction(tx, async () => {
+    tx.running++;
+    try {
+      return await task();
+    } finally {
+      tx.running--;
+      tx.statements++;
+      tx.lastActivityTime = Date.now();
+      scheduleTransactionTimeout(tx);
+    }
+  });
+}
+
+// 空闲超时后自动回滚
+function scheduleTransactionTimeout(tx) {
+  if (tx.idleTimer) {
+    clearTimeout(tx.idleTimer);
+    tx.idleTimer = null;
+  }
+  if (!tx.idleTimeout || transactions.get(tx.id) !== tx) {
+    return;
+  }
+
+  const remaining = Math.max(0, tx.lastActivityTime + tx.idleTimeout - Date.now());
+  tx.idleTimer = setTimeout(() => {
+    tx.idleTimer = null;
+    if (tx.running > 0 || Date.now() - tx.lastActivityTime < tx.idleTimeout) {
+      scheduleTransactionTimeout(tx);
+      return;
+    }
+    endTransaction(tx, "rollback", `空闲超过 ${Math.round(tx.idleTimeout / 1000)} 秒，已自动回滚`).catch(() => {});
+  }, remaining);
+}
+
+// 提交或回滚事务；提交失败时尝试回滚以释放连接
+async function endTransaction(tx, action, reason) {
+  return runInTransaction(tx, async () => {
+    if (action === "commit") {
+      try {
+        await tx.transaction.commit();
+      } catch (error) {
+        try {
+          await tx.transaction.rollback();
+        } catch (rollbackError) {
+          // 事务可能已被服务器回滚
+        }
+        closeTransaction(tx, `提交失败，已回滚: ${error.message}`);
+        throw error;
+      }
+    } else {
+      try {
+        await tx.transaction.rollback();
+      } catch (error) {
+        closeTransaction(tx, `回滚失败: ${error.message}`);
+        throw error;
+      }
+    }
+    closeTransaction(tx, reason);
+    updateActivityTime(tx.entry);
+  });
+}
+
+// 创建保存点
+async function saveTransactionPoint(tx, savepoint) {
+  return runTransactionStatement(tx, async () => {
+    const request = tx.transaction.request();
+    request.input("savepoint", sql.NVarChar(32), savepoint);
+    await request.query("SAVE TRANSACTION @savepoint");
+    tx.savepoints = tx.savepoints.filter(name => name !== savepoint);
+    tx.savepoints.push(savepoint);
+  });
+}
+
+// 回滚到保存点，事务保持打开；之后创建的保存点失效
+async function rollbackToSavepoint(tx, savepoint) {
+  const index = tx.savepoints.indexOf(savepoint);
+  if (index === -1) {
+    throw new Error(`事务 ${tx.id} 中没有保存点 "${savepoint}"，现有保存点: ${tx.savepoints.join(', ') || '无'}`);
+  }
+  return runTransactionStatement(tx, async () => {
+    const request = tx.transaction.request();
+    request.input("savepoint", sql.NVarChar(32), savepoint);
+    await request.query("ROLLBACK TRANSACTION @savepoint");
+    tx.savepoints = tx.savepoints.slice(0, index + 1);
+  });
+}
+
+// 结束原子批处理的事务：没有失败时提交，否则回滚；返回 { committed, rolledBack, reason }
+async function finishAtomicBatch(tx, failure) {
+  // 服务器可能已经中止了事务
+  if (transactions.get(tx.id) !== tx) {
+    const closed = closedTransactions.find(item => item.id === tx.id);
+    return { committed: false, rolledBack: true, reason: closed ? closed.reason : "事务已结束" };
+  }
+  if (!failure) {
+    try {
+      await endTransaction(tx, "commit", "批量执行完成，已提交");
+      return { committed: true, rolledBack: false, reason: "已提交" };
+    } catch (error) {
+      const closed = closedTransactions.find(item => item.id === tx.id);
+      return { committed: false, rolledBack: Boolean(closed && closed.reason.startsWith("提交失败，已回滚")), reason: closed ? closed.reason : error.message };
+    }
+  }
+  const reason = `第 ${failure.index} 条语句失败，已回滚整个批处理`;
+  try {
+    await endTransaction(tx, "rollback", reason);
+    return { committed: false, rolledBack: true, reason };
+  } catch (error) {
+    return { committed: false, rolledBack: false, reason: `回滚失败: ${error.message}` };
+  }
+}
+
+// 回滚连接上所有打开的事务（断开连接前调用）
+async function rollbackConnectionTransactions(connectionName, reason) {
+  for (const tx of Array.from(transactions.values())) {
+    if (tx.connection === connectionName) {
+      await endTransaction(tx, "rollback", reason).catch(() => {});
+    }
+  }
+}
+
+// 连接中断时服务器会回滚会话中的事务，这里只移除记录
+function abandonConnectionTransactions(connectionName, reason) {
+  for (const tx of Array.from(transactions.values())) {
+    if (tx.connection === connectionName) {
+      closeTransaction(tx, reason);
+    }
+  }
+}
+
+// 事务中不允许直接执行事务控制语句，否则事务ID与服务器状态不一致
+function checkTransactionControl(sqlText) {
+  const tokens = tokenizeSql(sqlText);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1] || { upper: "" };
+    if (token.type !== "word" || (tokens[i - 1] && tokens[i - 1].value === ".")) {
+      continue;
+    }
+    const isControl = ["COMMIT", "ROLLBACK"].includes(token.upper) ||
+      (token.upper === "BEGIN" && ["TRAN", "TRANSACTION", "DISTRIBUTED"].includes(next.upper)) ||
+      (token.upper === "SAVE" && ["TRAN", "TRANSACTION"].includes(next.upper));
+    if (isControl) {
+      throw new Error(`事务中不能直接执行 ${token.upper}${token.upper === "BEGIN" || token.upper === "SAVE" ? ` ${next.upper}` : ''} (第 ${token.line} 行)，请使用 commit_transaction、rollback_transaction 或 save_transaction 工具`);
+    }
+  }
+}
+
+// 描述事务
+function describeTransaction(tx, now = Date.now()) {
+  const idleSeconds = Math.floor((now - tx.lastActivityTime) / 1000);
+  const timeout = tx.idleTimeout ? `，${Math.max(0, Math.ceil((tx.lastActivityTime + tx.idleTimeout - now) / 1000))}秒后自动回滚` : '';
+  return `${tx.id}${tx.label ? ` (${tx.label})` : ''} [${tx.connection}] ${ISOLATION_LEVELS[tx.isolationLevel]}，已执行 ${tx.statements} 条，空闲 ${idleSeconds}秒${timeout}${tx.savepoints.length > 0 ? `，保存点: ${tx.savepoints.join(', ')}` : ''}`;
+}
+
+// 查询日志：每次通过 executeQuery 执行的SQL都追加到按天分割的 JSONL 文件 (history-YYYY-MM-DD.jsonl)
+// 目录通过 --history-dir 参数、MSSQL_HISTORY_DIR 环境变量或配置文件的 history.directory 指定
+const queryJournal = {
+  enabled: true,
+  directory: path.join(os.homedir(), ".mcp-mssql", "history"),
+  directoryReady: false,
+  writeChain: Promise.resolve(),
+  sequence: 0,
+  failedWrites: 0,
+  lastWriteError: null
+};
+
+// 日志中的语句类型（history:// 的 queryType）
+const JOURNAL_STATEMENT_TYPES = ["select", "insert", "update", "delete", "merge", "exec", "ddl", "admin", "other"];
+
+const JOURNAL_FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// 本地日期 YYYY-MM-DD
+function formatLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 按批处理中影响最大的语句确定类型：admin > ddl > delete > update > insert > merge > exec > select
+function classifyStatementType(sqlText) {
+  let statements;
+  try {
+    statements = analyzeSqlStatements(sqlText).statements;
+  } catch (error) {
+    return "other";
+  }
+  if (statements.some(s => s.class === "admin")) {
+    return "admin";
+  }
+  if (statements.some(s => /^(CREATE|ALTER|DROP|TRUNCATE)\b/.test(s.keyword) || s.keyword === "SELECT INTO")) {
+    return "ddl";
+  }
+  for (const keyword of ["DELETE", "UPDATE", "INSERT", "MERGE"]) {
+    if (statements.some(s => s.keyword === keyword)) {
+      return keyword.toLowerCase();
+    }
+  }
+  if (statements.some(s => s.class === "exec")) {
+    return "exec";
+  }
+  return statements.some(s => s.keyword === "SELECT") ? "select" : "other";
+}
+
+// 隐藏SQL文本中的密码和密钥常量 (CREATE LOGIN ... PASSWORD = '...')
+function redactSqlText(sqlText) {
+  return sqlText.replace(/\b(PASSWORD|SECRET)(\s*=\s*)N?'(?:[^']|'')*'/gi, "$1$2'***'");
+}
+
+// 参数只记录名称、类型和值的形态，不记录值本身
+function redactParams(params) {
+  return (params || []).map(param => {
+    const value = param.value;
+    let shape;
+    if (value === null || value === undefined) {
+      shape = String(value);
+    } else if (typeof value === "string") {
+      shape = `string(${value.length})`;
+    } else if (Buffer.isBuffer(value)) {
+      shape = `binary(${value.length})`;
+    } else {
+      shape = Array.isArray(value) ? `array(${value.length})` : typeof value;
+    }
+    const type = param.type === undefined ? null : (typeof param.type === "function" ? param.type.name : String(param.type.type ? param.type.type.name : param.type));
+    return { name: param.name, type, value: `[redacted:${shape}]` };
+  });
+}
+
+// 追加一条日志记录；写入失败不影响查询结果，只在第一次失败时输出到 stderr，之后的失败计入 get_connection_status
+// rowCount 未指定时按结果中的行数计算（游标读取的行不保留在结果中）
+function recordJournalEntry({ sqlText, params, entry, connection, transactionId, startTime, queryTime, result, rowCount, error }) {
+  if (!queryJournal.enabled) {
+    return;
+  }
+
+  const now = new Date(startTime || Date.now());
+  const record = {
+    id: `${now.getTime().toString(36)}-${(++queryJournal.sequence).toString(36)}`,
+    timestamp: now.toISOString(),
+    connection: entry ? entry.name : connection,
+    server: entry ? entry.config.server : null,
+    database: entry ? entry.config.database || null : null,
+    transactionId: transactionId || null,
+    statementType: classifyStatementType(sqlText),
+    sql: redactSqlText(sqlText),
+    params: redactParams(params),
+    durationMs: queryTime || 0,
+    success: !error,
+    rowCount: rowCount ?? (result && result.recordsets ? result.recordsets.reduce((sum, recordset) => sum + recordset.length, 0) : 0),
+    rowsAffected: result ? result.rowsAffected || [] : [],
+    error: error ? { message: error.message, code: error.code || null, number: error.number || null } : null
+  };
+  const file = path.join(queryJournal.directory, `history-${formatLocalDate(now)}.jsonl`);
+
+  queryJournal.writeChain = queryJournal.writeChain.then(async () => {
+    if (!queryJournal.directoryReady) {
+      await fs.promises.mkdir(queryJournal.directory, { recursive: true });
+      queryJournal.directoryReady = true;
+    }
+    await fs.promises.appendFile(file, JSON.stringify(record) + "\n", "utf8");
+  }).catch(writeError => {
+    queryJournal.failedWrites++;
+    queryJournal.lastWriteError = `${file}: ${writeError.message}`;
+    if (queryJournal.failedWrites === 1) {
+      console.error(`⚠️ 写入查询日志失败 (${file}): ${writeError.message}，后续失败只计数，可通过 get_connection_status 查看`);
+    }
+  });
+}
+
+// 列出有日志记录的日期（最新在前）
+async function listJournalDates() {
+  let files;
+  try {
+    files = await fs.promises.readdir(queryJournal.directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  return files.map(file => JOURNAL_FILE_PATTERN.exec(file)).filter(Boolean).map(match => match[1]).sort().reverse();
+}
+
+// 解析日期范围：YYYY-MM-DD、YYYY-MM-DD..YYYY-MM-DD、..YYYY-MM-DD 或 all
+function parseJournalDateRange(value) {
+  const text = (value || "all").trim();
+  if (text === "all" || text === "") {
+    return { from: null, to: null };
+  }
+  const [from, to] = text.includes("..") ? text.split("..") : [text, text];
+  for (const date of [from, to]) {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`日期格式无效: ${text}，应为 YYYY-MM-DD、YYYY-MM-DD..YYYY-MM-DD 或 all`);
+    }
+  }
+  return { from: from || null, to: to || null };
+}
+
+// 按语句类型、日期范围、文本、执行结果和连接查询日志，结果按时间倒序
+async function searchQueryJournal({ queryType = "all", from = null, to = null, search = null, success = null, connection = null, limit = 100 } = {}) {
+  const dates = (await listJournalDates()).filter(date => (!from || date >= from) && (!to || date <= to));
+  const keyword = search ? search.toLowerCase() : null;
+  const matches = [];
+  let corruptLines = 0;
+
+  for (const date of dates) {
+    const raw = await fs.promises.readFile(path.join(queryJournal.directory, `history-${date}.jsonl`), "utf8");
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        corruptLines++;
+        continue;
+      }
+      if (queryType !== "all" && record.statementType !== queryType) continue;
+      if (success !== null && record.success !== success) continue;
+      if (connection && record.connection !== connection) continue;
+      if (keyword && !record.sql.toLowerCase().includes(keyword) && !(record.error && record.error.message.toLowerCase().includes(keyword))) continue;
+      matches.push(record);
+    }
+  }
+
+  matches.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  const successful = matches.filter(record => record.success);
+  return {
+    totalQueries: matches.length,
+    successfulQueries: successful.length,
+    failedQueries: matches.length - successful.length,
+    averageQueryTime: matches.length > 0 ? Math.round(matches.reduce((sum, record) => sum + record.durationMs, 0) / matches.length) : 0,
+    datesSearched: dates,
+    corruptLines,
+    queries: matches.slice(0, limit)
+  };
+}
+
+// T-SQL 词法分析
+// 返回 token 列表 { type, value, upper, line, depth }，跳过空白和注释
+// type: word (关键字/标识符，含 #临时表)、quoted ([x] 或 "x")、string ('..' / N'..')、number、variable (@x)、symbol
+function tokenizeSql(text) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let depth = 0;
+  
+  const advance = (count) => {
+    for (let k = 0; k < count; k++) {
+      if (text[i] === "\n") line++;
+      i++;
+    }
+  };
+  
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    
+    if (/\s/.test(ch)) {
+      advance(1);
+      continue;
+    }
+    
+    // 单行注释
+    if (ch === "-" && next === "-") {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    
+    // 块注释（T-SQL 支持嵌套）
+    if (ch === "/" && next === "*") {
+      const startLine = line;
+      let nesting = 0;
+      while (i < text.length) {
+        if (text[i] === "/" && text[i + 1] === "*") {
+          nesting++;
+          advance(2);
+        } else if (text[i] === "*" && text[i + 1] === "/") {
+          nesting--;
+          advance(2);
+          if (nesting === 0) break;
+        } else {
+          advance(1);
+        }
+      }
+      if (nesting !== 0) {
+        throw new Error(`SQL 词法错误: 第 ${startLine} 行的块注释未闭合`);
+      }
+      continue;
+    }
+    
+    const startLine = line;
+    const start = i;
+    
+    // 字符串常量，'' 表示转义的单引号
+    if (ch === "'" || ((ch === "N" || ch === "n") && next === "'")) {
+      advance(ch === "'" ? 1 : 2);
+      let closed = false;
+      while (i < text.length) {
+        if (text[i] === "'") {
+          if (text[i + 1] === "'") {
+            advance(2);
+            continue;
+          }
+          advance(1);
+          closed = true;
+          break;
+        }
+        advance(1);
+      }
+      if (!closed) {
+        throw new Error(`SQL 词法错误: 第 ${startLine} 行的字符串未闭合`);
+      }
+      tokens.push({ type: "string", value: text.substring(start, i), upper: null, line: startLine, depth });
+      continue;
+    }
+    
+    // 带引号的标识符 [name] 或 "name"
+    if (ch === "[" || ch === '"') {
+      const close = ch === "[" ? "]" : '"';
+      advance(1);
+      let value = "";
+      let closed = false;
+      while (i < text.length) {
+        if (text[i] === close) {
+          if (text[i + 1] === close) {
+            value += close;
+            advance(2);
+            continue;
+          }
+          advance(1);
+          closed = true;
+          break;
+        }
+        value += text[i];
+        advance(1);
+      }
+      if (!closed) {
+        throw new Error(`SQL 词法错误: 第 ${startLine} 行的标识符 ${ch}...${close} 未闭合`);
+      }
+      tokens.push({ type: "quoted", value: value, upper: value.toUpperCase(), line: startLine, depth });
+      continue;
+    }
+    
+    // 变量 @x / @@x
+    if (ch === "@") {
+      advance(1);
+      while (i < text.length && /[\w@$#]/.test(text[i])) advance(1);
+      tokens.push({ type: "variable", value: text.substring(start, i), upper: text.substring(start, i).toUpperCase(), line: startLine, depth });
+      continue;
+    }
+    
+    // 数字
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next || ""))) {
+      while (i < text.length && /[0-9a-fA-FxX.]/.test(text[i])) advance(1);
+      if ((text[i] === "e" || text[i] === "E") && /[-+0-9]/.test(text[i + 1] || "")) {
+        advance(2);
+        while (i < text.length && /[0-9]/.test(text[i])) advance(1);
+      }
+      tokens.push({ type: "number", value: text.substring(start, i), upper: null, line: startLine, depth });
+      continue;
+    }
+    
+    // 关键字、标识符和临时表名
+    if (/[\p{L}_#]/u.test(ch)) {
+      while (i < text.length && /[\p{L}\p{N}_#$@]/u.test(text[i])) advance(1);
+      const value = text.substring(start, i);
+      tokens.push({ type: "word", value: value, upper: value.toUpperCase(), line: startLine, depth });
+      continue;
+    }
+    
+    // 符号
+    if (ch === "(") {
+      tokens.push({ type: "symbol", value: ch, upper: ch, line: startLine, depth });
+      depth++;
+      advance(1);
+      continue;
+    }
+    if (ch === ")") {
+      depth = Math.max(0, depth - 1);
+      tokens.push({ type: "symbol", value: ch, upper: ch, line: startLine, depth });
+      advance(1);
+      continue;
+    }
+    tokens.push({ type: "symbol", value: ch, upper: ch, line: startLine, depth });
+    advance(1);
+  }
+  
+  return tokens;
+}
+
+// 语句类别
+const STATEMENT_CLASSES = {
+  select: "查询 (SELECT)",
+  dml: "数据修改 (INSERT/UPDATE/DELETE/MERGE)",
+  ddl: "结构变更 (CREATE/ALTER/DROP/TRUNCATE)",
+  exec: "存储过程执行 (EXEC)",
+  admin: "管理操作 (GRANT/BACKUP/DBCC/USE 等)"
+};
+
+// 各语句关键字对应的类别
+const STATEMENT_KEYWORD_CLASSES = {
+  SELECT: "select",
+  INSERT: "dml",
+  UPDATE: "dml",
+  DELETE: "dml",
+  MERGE: "dml",
+  WRITETEXT: "dml",
+  UPDATETEXT: "dml",
+  RECEIVE: "dml",
+  SEND: "dml",
+  CREATE: "ddl",
+  ALTER: "ddl",
+  DROP: "ddl",
+  TRUNCATE: "ddl",
+  ENABLE: "ddl",
+  DISABLE: "ddl",
+  EXEC: "exec",
+  EXECUTE: "exec",
+  GRANT: "admin",
+  REVOKE: "admin",
+  DENY: "admin",
+  BACKUP: "admin",
+  RESTORE: "admin",
+  DBCC: "admin",
+  KILL: "admin",
+  SHUTDOWN: "admin",
+  RECONFIGURE: "admin",
+  CHECKPOINT: "admin",
+  USE: "admin",
+  REVERT: "admin",
+  BULK: "admin",
+  OPENROWSET: "admin",
+  OPENDATASOURCE: "admin",
+  OPENQUERY: "admin"
+};
+
+// 不改变数据的控制流和会话语句，可以出现在任何批处理中
+const NEUTRAL_STATEMENT_KEYWORDS = new Set([
+  "WITH", "DECLARE", "SET", "PRINT", "IF", "ELSE", "WHILE", "BEGIN", "END", "BREAK", "CONTINUE",
+  "RETURN", "GOTO", "THROW", "RAISERROR", "WAITFOR", "COMMIT", "ROLLBACK", "SAVE", "OPEN", "CLOSE",
+  "FETCH", "DEALLOCATE", "GO", "TRY", "CATCH"
+]);
+
+// CREATE/ALTER/DROP 后面的这些对象属于服务器或安全管理
+const ADMIN_OBJECT_KEYWORDS = new Set([
+  "DATABASE", "LOGIN", "USER", "ROLE", "SERVER", "ENDPOINT", "CERTIFICATE", "CREDENTIAL", "AVAILABILITY",
+  "RESOURCE", "ASYMMETRIC", "SYMMETRIC", "MASTER", "APPLICATION", "AUDIT", "EVENT", "WORKLOAD", "EXTERNAL"
+]);
+
+// CREATE/ALTER 这些对象时，其后到批处理结束都是模块定义，不再单独分类
+const MODULE_OBJECT_KEYWORDS = new Set(["PROCEDURE", "PROC", "FUNCTION", "TRIGGER", "VIEW"]);
+
+// 从 DML 关键字后找到目标对象，跳过 INTO/FROM/TOP (n) [PERCENT]
+function findStatementTarget(tokens, index) {
+  let j = index + 1;
+  while (j < tokens.length) {
+    const token = tokens[j];
+    if (token.upper === "INTO" || token.upper === "FROM" || token.upper === "PERCENT") {
+      j++;
+    } else if (token.upper === "TOP") {
+      j++;
+      if (tokens[j] && tokens[j].value === "(") {
+        const depth = tokens[j].depth;
+        j++;
+        while (j < tokens.length && !(tokens[j].value === ")" && tokens[j].depth === depth)) j++;
+      }
+      j++;
+    } else {
+      return token;
+    }
+  }
+  return null;
+}
+
+// 判断 token 是否为临时表或表变量（只影响当前会话）
+function isSessionObject(token) {
+  return Boolean(token && ((token.type === "word" && token.value.startsWith("#")) || token.type === "variable"));
+}
+
+// 找出作为子句而不是独立语句出现的 INSERT/UPDATE/DELETE，返回其 token 下标：
+// 外键动作 (REFERENCES t (id) ON DELETE CASCADE)、触发器定义头部 (AFTER INSERT, UPDATE)、
+// 权限列表 (GRANT SELECT, INSERT ON ...) 和游标的 FOR UPDATE [OF ...]
+function findClauseDmlKeywords(tokens) {
+  const indexes = new Set();
+  const isWord = (index, ...values) => Boolean(tokens[index] && tokens[index].type === "word" && values.includes(tokens[index].upper));
+  const isDml = (index) => isWord(index, "INSERT", "UPDATE", "DELETE");
+  
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== "word") {
+      continue;
+    }
+    
+    if (token.upper === "REFERENCES") {
+      // 跳过被引用的表名和列清单，之后只有完整的 ON DELETE/UPDATE 动作才算外键子句
+      let j = i + 1;
+      while (tokens[j + 1] && tokens[j + 1].value === ".") j += 2;
+      j++;
+      if (tokens[j] && tokens[j].value === "(") {
+        const depth = tokens[j].depth;
+        j++;
+        while (j < tokens.length && !(tokens[j].value === ")" && tokens[j].depth === depth)) j++;
+        j++;
+      }
+      while (isWord(j, "ON") && isWord(j + 1, "DELETE", "UPDATE")) {
+        let actionEnd = j + 2;
+        if (isWord(actionEnd, "CASCADE")) {
+          actionEnd += 1;
+        } else if ((isWord(actionEnd, "NO") && isWord(actionEnd + 1, "ACTION")) || (isWord(actionEnd, "SET") && isWord(actionEnd + 1, "NULL", "DEFAULT"))) {
+          actionEnd += 2;
+        } else {
+          break;
+        }
+        indexes.add(j + 1);
+        j = actionEnd;
+      }
+    } else if (token.upper === "TRIGGER" && isWord(i - 1, "CREATE", "ALTER")) {
+      // 触发器头部到 AS 为止（WITH EXECUTE AS 除外）
+      for (let j = i + 1; j < tokens.length && !(isWord(j, "AS") && !isWord(j - 1, "EXEC", "EXECUTE")); j++) {
+        if (isDml(j)) indexes.add(j);
+      }
+    } else if (["GRANT", "DENY", "REVOKE"].includes(token.upper) && !isWord(i - 1, "WITH")) {
+      // 权限列表到 ON/TO/FROM 为止
+      for (let j = i + 1; j < tokens.length && tokens[j].value !== ";" && !(tokens[j].depth === token.depth && isWord(j, "ON", "TO", "FROM")); j++) {
+        if (isDml(j)) indexes.add(j);
+      }
+    } else if (token.upper === "FOR" && isWord(i + 1, "UPDATE")) {
+      // 游标定义 FOR UPDATE [OF 列]
+      indexes.add(i + 1);
+    }
+  }
+  
+  return indexes;
+}
+
+// 分析SQL批处理中的所有语句，返回每条语句的关键字、类别和行号
+function analyzeSqlStatements(sqlText) {
+  const tokens = tokenizeSql(sqlText);
+  const statements = [];
+  const words = (index) => tokens[index] || { type: "eof", value: "", upper: "" };
+  const clauseDmlKeywords = findClauseDmlKeywords(tokens);
+  
+  // 批处理以 [schema].[proc] 开头时同样是隐式存储过程调用
+  if (tokens.length > 0 && tokens[0].type === "quoted") {
+    statements.push({ keyword: tokens[0].value, class: "exec", line: tokens[0].line, note: "隐式存储过程调用" });
+  }
+  
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== "word") {
+      continue;
+    }
+    
+    const prev = words(i - 1);
+    const next = words(i + 1);
+    
+    // 批处理首个单词不是关键字时，按存储过程调用处理 (如 sp_who)
+    if (i === 0 && !STATEMENT_KEYWORD_CLASSES[token.upper] && !NEUTRAL_STATEMENT_KEYWORDS.has(token.upper)) {
+      statements.push({ keyword: token.value, class: "exec", line: token.line, note: "隐式存储过程调用" });
+      continue;
+    }
+    
+    let statementClass = STATEMENT_KEYWORD_CLASSES[token.upper];
+    // GRANT SELECT, INSERT ON ... 中的是权限名称
+    if (statementClass && ["GRANT", "DENY", "REVOKE"].includes(prev.upper) && !["GRANT", "DENY", "REVOKE"].includes(token.upper)) {
+      continue;
+    }
+    if (!statementClass || prev.value === ".") {
+      // SELECT ... INTO 新表 属于结构变更
+      if (token.upper === "INTO" && !["INSERT", "MERGE"].includes(prev.upper) && next.type !== "variable" && !isSessionObject(next) && next.type !== "eof") {
+        const intoInsert = tokens.slice(0, i).reverse().find(t => t.depth === token.depth && ["SELECT", "INSERT", "MERGE", "FETCH", "OUTPUT"].includes(t.upper));
+        if (intoInsert && intoInsert.upper === "SELECT") {
+          statements.push({ keyword: "SELECT INTO", class: "ddl", line: token.line, note: `创建表 ${next.value}` });
+        }
+      }
+      continue;
+    }
+    
+    let note = null;
+    switch (token.upper) {
+      case "INSERT":
+      case "UPDATE":
+      case "DELETE": {
+        // 触发器定义、外键动作、权限列表、游标 FOR UPDATE 和 UPDATE() 函数不是语句
+        if (clauseDmlKeywords.has(i) || (token.upper === "UPDATE" && next.value === "(")) {
+          continue;
+        }
+        if (token.upper === "INSERT" && prev.upper === "BULK") {
+          continue;
+        }
+        if (token.upper === "UPDATE" && next.upper === "STATISTICS") {
+          statementClass = "admin";
+          note = "UPDATE STATISTICS";
+          break;
+        }
+        const target = findStatementTarget(tokens, i);
+        if (isSessionObject(target)) {
+          statementClass = "select";
+          note = `临时对象 ${target.value}`;
+        }
+        break;
+      }
+      case "MERGE":
+        // MERGE JOIN / MERGE UNION 是查询提示
+        if (["JOIN", "UNION"].includes(next.upper)) {
+          continue;
+        }
+        if (isSessionObject(findStatementTarget(tokens, i))) {
+          statementClass = "select";
+          note = "临时对象";
+        }
+        break;
+      case "SEND":
+      case "RECEIVE":
+        // 仅 Service Broker 语句 (SEND ON CONVERSATION / RECEIVE ... FROM queue)
+        if (token.upper === "SEND" && next.upper !== "ON") {
+          continue;
+        }
+        break;
+      case "CREATE":
+      case "ALTER":
+      case "DROP": {
+        let objectIndex = i + 1;
+        if (token.upper === "CREATE" && words(objectIndex).upper === "OR" && words(objectIndex + 1).upper === "ALTER") {
+          objectIndex += 2;
+        }
+        // 跳过 UNIQUE/CLUSTERED 等修饰词
+        while (["UNIQUE", "CLUSTERED", "NONCLUSTERED", "COLUMNSTORE", "PRIMARY", "SPATIAL", "FULLTEXT"].includes(words(objectIndex).upper)) {
+          objectIndex++;
+        }
+        const objectType = words(objectIndex);
+        // ALTER TABLE ... DROP COLUMN / ALTER COLUMN 是 ALTER TABLE 的子句
+        if (token.upper !== "CREATE" && ["COLUMN", "CONSTRAINT", "PERIOD"].includes(objectType.upper)) {
+          continue;
+        }
+        if (ADMIN_OBJECT_KEYWORDS.has(objectType.upper)) {
+          statementClass = "admin";
+        }
+        if (objectType.upper === "TABLE") {
+          let targetIndex = objectIndex + 1;
+          if (words(targetIndex).upper === "IF" && words(targetIndex + 1).upper === "EXISTS") {
+            targetIndex += 2;
+          }
+          if (isSessionObject(words(targetIndex))) {
+            statementClass = "select";
+            note = `临时表 ${words(targetIndex).value}`;
+          }
+        }
+        statements.push({ keyword: `${token.upper} ${objectType.upper || ''}`.trim(), class: statementClass, line: token.line, note });
+        // 模块定义的主体延伸到批处理末尾，其中的语句在调用时才执行
+        if (token.upper !== "DROP" && MODULE_OBJECT_KEYWORDS.has(objectType.upper)) {
+          return { statements, classes: new Set(statements.map(s => s.class)) };
+        }
+        continue;
+      }
+      case "ENABLE":
+      case "DISABLE":
+        if (next.upper !== "TRIGGER") {
+          continue;
+        }
+        break;
+      case "EXEC":
+      case "EXECUTE":
+        // 权限列表中的 EXECUTE (GRANT SELECT, EXECUTE ON ...)
+        if (prev.upper === ",") {
+          continue;
+        }
+        // EXECUTE AS 是身份切换
+        if (next.upper === "AS") {
+          statementClass = "admin";
+          note = "EXECUTE AS 身份切换";
+        }
+        break;
+      case "USE":
+        // OPTION (USE HINT / USE PLAN) 是查询提示
+        if (["HINT", "PLAN"].includes(next.upper)) {
+          continue;
+        }
+        break;
+      case "BULK":
+        if (next.upper !== "INSERT") {
+          continue;
+        }
+        note = "BULK INSERT";
+        break;
+      case "GRANT":
+      case "REVOKE":
+      case "DENY":
+        // WITH GRANT OPTION / GRANT OPTION FOR
+        if (prev.upper === "WITH" || next.upper === "OPTION") {
+          continue;
+        }
+        break;
+    }
+    
+    statements.push({ keyword: token.upper, class: statementClass, line: token.line, note });
+  }
+  
+  return { statements, classes: new Set(statements.map(s => s.class)) };
+}
+
+// 计算连接的语句策略：服务器级设置是上限，连接级设置只能进一步收紧
+function resolveStatementPolicy(config) {
+  const allClasses = Object.keys(STATEMENT_CLASSES);
+  let allowed = allClasses;
+  for (const source of [serverSettings, config]) {
+    if (source.allowedStatements) {
+      allowed = allowed.filter(item => source.allowedStatements.includes(item));
+    }
+    if (source.readOnly) {
+      allowed = allowed.filter(item => item === "select");
+    }
+  }
+  return {
+    readOnly: Boolean(serverSettings.readOnly || config.readOnly),
+    allowed: allowed
+  };
+}
+
+// 描述语句策略
+function describeStatementPolicy(policy) {
+  if (policy.allowed.length === Object.keys(STATEMENT_CLASSES).length) {
+    return "不限制";
+  }
+  const allowed = policy.allowed.join(', ') || '无';
+  return `${policy.readOnly ? '只读模式，' : ''}允许: ${allowed}`;
+}
+
+// 执行前检查语句是否符合连接的语句策略，不符合时抛出说明原因的错误
+function checkStatementPolicy(entry, sqlText) {
+  const policy = entry.statementPolicy;
+  if (policy.allowed.length === Object.keys(STATEMENT_CLASSES).length) {
+    return;
+  }
+  
+  let analysis;
+  try {
+    analysis = analyzeSqlStatements(sqlText);
+  } catch (error) {
+    throw new Error(`语句被拒绝: 无法解析SQL，${error.message}`);
+  }
+  
+  const blocked = analysis.statements.filter(statement => !policy.allowed.includes(statement.class));
+  if (blocked.length > 0) {
+    const details = blocked.map(statement => `第 ${statement.line} 行 ${statement.keyword}${statement.note ? ` (${statement.note})` : ''} → ${STATEMENT_CLASSES[statement.class]}`).join('; ');
+    const reason = policy.readOnly ? `只读模式已启用，连接 "${entry.name}" 只允许查询语句` : `连接 "${entry.name}" 只允许以下语句类型: ${policy.allowed.map(item => STATEMENT_CLASSES[item]).join('、') || '无'}`;
+    throw new Error(`语句被拒绝（未发送到服务器）: ${reason}。被阻止的语句: ${details}`);
+  }
+}
+
+// 对象级访问策略：按 schema / 对象 / 列 允许或拒绝访问
+// 策略文件通过 --policy 参数、MSSQL_POLICY 环境变量或配置文件的 accessPolicy 字段指定
+let accessPolicy = null;
+
+const accessPolicyRuleSchema = z.object({
+  effect: z.enum(["allow", "deny"]),
+  match: z.string().min(1, "match 不能为空"),
+  database: z.string().min(1).optional(),
+  connections: z.array(z.string().min(1)).optional(),
+  reason: z.string().optional()
+}).strict();
+
+const accessPolicyFileSchema = z.object({
+  default: z.enum(["allow", "deny"]).optional().default("allow"),
+  allowDynamicSql: z.boolean().optional().default(false),
+  rules: z.array(accessPolicyRuleSchema).optional().default([])
+}).strict();
+
+// 不指向表对象的 FROM 子句内置行集函数
+const BUILTIN_ROWSET_FUNCTIONS = new Set([
+  "STRING_SPLIT", "OPENJSON", "OPENXML", "GENERATE_SERIES", "CHANGETABLE", "CONTAINSTABLE", "FREETEXTTABLE",
+  "PREDICT", "VALUES"
+]);
+
+// 访问远程或外部数据源的行集函数，无法做对象级检查
+const REMOTE_ROWSET_FUNCTIONS = new Set(["OPENROWSET", "OPENQUERY", "OPENDATASOURCE"]);
+
+// 表名之后不会是别名的关键字
+const TABLE_ALIAS_STOP_WORDS = new Set([
+  "WHERE", "JOIN", "INNER", "LEFT", "RIGHT", "FULL", "CROSS", "OUTER", "ON", "GROUP", "ORDER", "HAVING",
+  "UNION", "EXCEPT", "INTERSECT", "WITH", "SET", "OUTPUT", "VALUES", "SELECT", "OPTION", "FOR", "WHEN",
+  "USING", "PIVOT", "UNPIVOT", "TABLESAMPLE", "GO", "INSERT", "UPDATE", "DELETE", "MERGE", "DECLARE", "IF",
+  "ELSE", "BEGIN", "END", "RETURN", "EXEC", "EXECUTE", "DEFAULT", "FROM", "INTO", "APPLY", "WINDOW",
+  "WHILE", "PRINT", "THROW", "COMMIT", "ROLLBACK", "TRUNCATE", "DROP", "CREATE", "ALTER", "USE", "AS"
+]);
+
+// 把带通配符 (* 和 ?) 的名称模式转换为不区分大小写的正则表达式
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// 拆分多段名称，支持 [a.b] 和 "a.b" 形式的带引号标识符
+function splitQualifiedName(text) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) {
+        if (text[i + 1] === quote) {
+          current += ch;
+          i++;
+        } else {
+          quote = null;
+        }
+      } else {
+        current += ch;
+      }
+    } else if (ch === "[") {
+      quote = "]";
+    } else if (ch === '"') {
+      quote = '"';
+    } else if (ch === ".") {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+// 编译策略规则：match 为 对象、schema.对象 或 schema.对象.列
+function compileAccessRule(rule, index) {
+  const parts = splitQualifiedName(rule.match);
+  if (parts.length > 3 || parts.some(part => part === "")) {
+    throw new Error(`规则 #${index + 1} 的 match "${rule.match}" 无效，格式应为 对象、schema.对象 或 schema.对象.列`);
+  }
+  const [schema, object, column] = parts.length === 1 ? ["*", parts[0], null] : [parts[0], parts[1], parts[2] || null];
+  return {
+    index: index + 1,
+    effect: rule.effect,
+    match: rule.match,
+    reason: rule.reason || null,
+    connections: rule.connections || null,
+    database: rule.database ? wildcardToRegExp(rule.database) : null,
+    schema: wildcardToRegExp(schema),
+    object: wildcardToRegExp(object),
+    column: column ? wildcardToRegExp(column) : null
+  };
+}
+
+// 加载访问策略文件 (JSON 或 YAML)
+function loadAccessPolicy(policyPath, env) {
+  const { resolvedPath, data } = readStructuredFile(policyPath, "访问策略文件");
+  const parsed = accessPolicyFileSchema.safeParse(expandEnvReferences(data || {}, env));
+  if (!parsed.success) {
+    throw new Error(`访问策略文件 ${resolvedPath} 校验失败: ${formatZodError(parsed.error)}`);
+  }
+
+  try {
+    accessPolicy = {
+      file: resolvedPath,
+      default: parsed.data.default,
+      allowDynamicSql: parsed.data.allowDynamicSql,
+      rules: parsed.data.rules.map(compileAccessRule)
+    };
+  } catch (error) {
+    throw new Error(`访问策略文件 ${resolvedPath} 校验失败: ${error.message}`);
+  }
+  return accessPolicy;
+}
+
+// 描述访问策略
+function describeAccessPolicy() {
+  if (!accessPolicy) {
+    return "未启用";
+  }
+  return `${accessPolicy.rules.length} 条规则，默认${accessPolicy.default === "allow" ? '允许' : '拒绝'}${accessPolicy.allowDynamicSql ? '，允许动态SQL' : ''} (${accessPolicy.file})`;
+}
+
+// 描述匹配到的规则
+function describeAccessRule(rule) {
+  if (!rule) {
+    return `默认策略: ${accessPolicy.default}`;
+  }
+  return `规则 #${rule.index}: ${rule.effect} ${rule.match}${rule.database ? ` (数据库 ${rule.database.source.slice(1, -1)})` : ''}${rule.reason ? ` — ${rule.reason}` : ''}`;
+}
+
+// 判断规则的 schema/对象 部分是否匹配目标
+function accessRuleAppliesTo(rule, target) {
+  if (rule.connections && !rule.connections.includes(target.connection)) {
+    return false;
+  }
+  if (rule.database && !rule.database.test(target.database || "")) {
+    return false;
+  }
+  return rule.schema.test(target.schema) && rule.object.test(target.object);
+}
+
+// 按顺序评估规则，第一条匹配的规则决定结果；不带列的规则同样适用于该对象的所有列
+function evaluateAccess(target) {
+  for (const rule of accessPolicy.rules) {
+    if (!accessRuleAppliesTo(rule, target)) {
+      continue;
+    }
+    if (rule.column) {
+      if (target.column === undefined || !rule.column.test(target.column)) {
+        continue;
+      }
+    }
+    return { allowed: rule.effect === "allow", rule };
+  }
+  return { allowed: accessPolicy.default === "allow", rule: null };
+}
+
+// 对象是否有列级规则（决定是否需要展开 SELECT *）
+function hasColumnRules(target) {
+  return accessPolicy.rules.some(rule => rule.column && accessRuleAppliesTo(rule, target));
+}
+
+// 架构资源使用：对象是否允许访问
+function isObjectAccessible(connection, database, schema, object) {
+  if (!accessPolicy) {
+    return true;
+  }
+  return evaluateAccess({ connection, database, schema, object }).allowed;
+}
+
+// 架构资源使用：列是否允许访问
+function isColumnAccessible(connection, database, schema, object, column) {
+  if (!accessPolicy) {
+    return true;
+  }
+  return evaluateAccess({ connection, database, schema, object, column }).allowed;
+}
+
+// 格式化对象名称
+function formatObjectName(target) {
+  return `${target.database ? `${target.database}.` : ''}${target.schema}.${target.object}${target.column !== undefined ? `.${target.column}` : ''}`;
+}
+
+// 读取多段名称 (server.db.schema.object，允许 db..object)，返回名称片段和结束位置
+function readMultipartName(tokens, index) {
+  const parts = [];
+  let j = index;
+  while (j < tokens.length && (tokens[j].type === "word" || tokens[j].type === "quoted")) {
+    parts.push(tokens[j].value);
+    j++;
+    if (!tokens[j] || tokens[j].value !== ".") {
+      break;
+    }
+    j++;
+    // db..object 省略了 schema
+    while (tokens[j] && tokens[j].value === ".") {
+      parts.push("");
+      j++;
+    }
+  }
+  return { parts, end: j };
+}
+
+// 跳过从 index 处的左括号开始到对应右括号的 token，返回右括号之后的位置
+function skipParentheses(tokens, index) {
+  const depth = tokens[index].depth;
+  let j = index + 1;
+  while (j < tokens.length && !(tokens[j].value === ")" && tokens[j].depth === depth)) j++;
+  return j + 1;
+}
+
+// 提取SQL批处理引用的对象、列、SELECT * 、动态SQL 和 USE 语句
+function extractObjectReferences(sqlText) {
+  const tokens = tokenizeSql(sqlText);
+  const words = (index) => tokens[index] || { type: "eof", value: "", upper: "" };
+  const objects = [];
+  const aliases = new Map();
+  const consumed = new Set();
+  const dynamicSql = [];
+  const useStatements = [];
+  const clauseDmlKeywords = findClauseDmlKeywords(tokens);
+
+  // 从 WITH 之后的主语句开始，找到语句结束的位置：分号、外层的右括号或同一层的下一条语句关键字
+  // INSERT ... SELECT、UPDATE ... SET、UNION SELECT、表提示 WITH (...)、OFFSET ... FETCH 和 CASE ... ELSE/END 仍属于同一条语句；MERGE 以分号结束
+  const findStatementEnd = (start) => {
+    const main = words(start).upper;
+    const depth = words(start).depth;
+    let caseDepth = 0;
+    let clauseSeen = false;
+    for (let j = start + 1; j < tokens.length; j++) {
+      const token = tokens[j];
+      if (token.value === ";" || token.depth < depth) {
+        return j;
+      }
+      if (token.depth > depth || token.type !== "word" || words(j - 1).value === "." || main === "MERGE") {
+        continue;
+      }
+      if (token.upper === "CASE") {
+        caseDepth++;
+        continue;
+      }
+      if (caseDepth > 0) {
+        if (token.upper === "END") caseDepth--;
+        continue;
+      }
+      if (!STATEMENT_KEYWORD_CLASSES[token.upper] && !NEUTRAL_STATEMENT_KEYWORDS.has(token.upper)) {
+        continue;
+      }
+      const prev = words(j - 1);
+      const next = words(j + 1);
+      if (token.upper === "SELECT" && ["UNION", "ALL", "EXCEPT", "INTERSECT"].includes(prev.upper)) continue;
+      if ((main === "INSERT" && token.upper === "SELECT") || (main === "UPDATE" && token.upper === "SET")) {
+        if (!clauseSeen) {
+          clauseSeen = true;
+          continue;
+        }
+      }
+      if (token.upper === "WITH" && (next.value === "(" || next.upper === "TIES")) continue;
+      if (token.upper === "FETCH" && ["ROWS", "ROW"].includes(prev.upper)) continue;
+      if (REMOTE_ROWSET_FUNCTIONS.has(token.upper) && next.value === "(") continue;
+      return j;
+    }
+    return tokens.length;
+  };
+
+  // 公用表表达式: WITH name [(列)] AS (...) [, name AS (...)]，名称只在定义它的语句内有效
+  const cteScopes = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== "word" || tokens[i].upper !== "WITH") {
+      continue;
+    }
+    const names = new Set();
+    let j = i + 1;
+    while (words(j).type === "word" || words(j).type === "quoted") {
+      let k = j + 1;
+      if (words(k).value === "(") {
+        k = skipParentheses(tokens, k);
+      }
+      if (words(k).upper !== "AS" || words(k + 1).value !== "(") {
+        break;
+      }
+      names.add(words(j).upper);
+      consumed.add(j);
+      j = skipParentheses(tokens, k + 1);
+      if (words(j).value !== ",") {
+        break;
+      }
+      j++;
+    }
+    if (names.size > 0) {
+      cteScopes.push({ names, start: i, end: findStatementEnd(j) });
+    }
+  }
+  const isCteName = (name, index) => cteScopes.some(scope => scope.names.has(name.toUpperCase()) && index >= scope.start && index < scope.end);
+
+  const addObject = (i, kind) => {
+    const { parts, end } = readMultipartName(tokens, i);
+    if (parts.length === 0) {
+      return i;
+    }
+    for (let k = i; k < end; k++) consumed.add(k);
+    const name = parts[parts.length - 1];
+    // 临时表、公用表表达式和单段的内置函数不是持久对象
+    if (name.startsWith("#") || (parts.length === 1 && isCteName(name, i))) {
+      return end;
+    }
+    if (parts.length === 1 && REMOTE_ROWSET_FUNCTIONS.has(name.toUpperCase())) {
+      dynamicSql.push({ line: tokens[i].line, reason: `${name.toUpperCase()} 访问外部数据源` });
+      return end;
+    }
+    if (parts.length === 1 && words(end).value === "(" && BUILTIN_ROWSET_FUNCTIONS.has(name.toUpperCase())) {
+      return end;
+    }
+    const reversed = parts.slice().reverse();
+    const reference = {
+      object: name,
+      schema: reversed[1] || null,
+      database: reversed[2] || null,
+      kind,
+      line: tokens[i].line,
+      aliases: [name.toUpperCase()]
+    };
+    objects.push(reference);
+    return end;
+  };
+
+  // 读取表引用之后的参数列表、别名和表提示
+  const readAlias = (reference, j) => {
+    if (words(j).value === "(") {
+      j = skipParentheses(tokens, j);
+    }
+    if (words(j).upper === "AS") {
+      j++;
+    }
+    const aliasToken = words(j);
+    if ((aliasToken.type === "word" && !TABLE_ALIAS_STOP_WORDS.has(aliasToken.upper)) || aliasToken.type === "quoted") {
+      consumed.add(j);
+      if (reference) {
+        reference.aliases.push(aliasToken.upper);
+        aliases.set(aliasToken.upper, [...(aliases.get(aliasToken.upper) || []), reference]);
+      }
+      j++;
+    }
+    if (words(j).upper === "WITH" && words(j + 1).value === "(") {
+      j = skipParentheses(tokens, j + 1);
+    }
+    return j;
+  };
+
+  // 读取一个表源，返回之后的位置，不是表源时返回 null
+  // 派生表（子查询或 VALUES）跳过括号、别名和列名列表，其中的 FROM 由外层循环处理；
+  // 括号中的连接 (a JOIN b ON ...) 读取括号内的第一个表源，其后的 JOIN 同样由外层循环处理
+  const readTableSource = (j) => {
+    const source = words(j);
+    if (source.value === "(") {
+      let k = j;
+      while (words(k).value === "(") k++;
+      if (["SELECT", "WITH", "VALUES"].includes(words(k).upper)) {
+        j = readAlias(null, skipParentheses(tokens, j));
+        return words(j).value === "(" ? skipParentheses(tokens, j) : j;
+      }
+      readTableSource(j + 1);
+      return skipParentheses(tokens, j);
+    }
+    // 表变量
+    if (source.type === "variable") {
+      return readAlias(null, j + 1);
+    }
+    if (source.type !== "word" && source.type !== "quoted") {
+      return null;
+    }
+    const before = objects.length;
+    const end = addObject(j, "table");
+    return readAlias(objects.length > before ? objects[objects.length - 1] : null, end);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = words(i - 1);
+    const next = words(i + 1);
+    if (token.type !== "word" || prev.value === ".") {
+      continue;
+    }
+
+    switch (token.upper) {
+      case "FROM":
+      case "JOIN":
+      case "APPLY":
+      case "USING": {
+        // TRIM('x' FROM col) 不是表引用
+        if (token.upper === "FROM" && prev.type === "string") {
+          break;
+        }
+        let j = i + 1;
+        while (j < tokens.length) {
+          j = readTableSource(j);
+          // FROM a, b 以逗号分隔的多个表源
+          if (j !== null && token.upper === "FROM" && words(j).value === ",") {
+            j++;
+            continue;
+          }
+          break;
+        }
+        break;
+      }
+      case "INTO":
+      case "TABLE":
+        if (next.type === "word" || next.type === "quoted") {
+          const before = objects.length;
+          const end = addObject(i + 1, "table");
+          if (objects.length > before && token.upper === "INTO" && prev.upper === "MERGE") {
+            readAlias(objects[objects.length - 1], end);
+          }
+        }
+        break;
+      case "UPDATE":
+      case "DELETE":
+      case "INSERT":
+      case "MERGE": {
+        // 触发器定义、外键动作、权限列表、游标 FOR UPDATE、UPDATE() 函数和 MERGE JOIN 查询提示不是修改语句
+        if (clauseDmlKeywords.has(i) || next.value === "(" || next.upper === "STATISTICS" || (token.upper === "MERGE" && ["JOIN", "UNION"].includes(next.upper))) {
+          break;
+        }
+        let j = i + 1;
+        if (next.upper === "TOP") {
+          j = words(j + 1).value === "(" ? skipParentheses(tokens, j + 1) : j + 2;
+          if (words(j).upper === "PERCENT") j++;
+        }
+        const target = words(j);
+        if (["FROM", "INTO"].includes(target.upper) || (target.type !== "word" && target.type !== "quoted")) {
+          break;
+        }
+        // DELETE t FROM table t / UPDATE t SET ... FROM 中的 t 可能是别名，稍后与别名比对
+        const before = objects.length;
+        const end = addObject(j, "table");
+        if (objects.length > before) {
+          objects[objects.length - 1].maybeAlias = readMultipartName(tokens, j).parts.length === 1;
+          if (token.upper === "MERGE") {
+            readAlias(objects[objects.length - 1], end);
+          }
+        }
+        break;
+      }
+      case "EXEC":
+      case "EXECUTE": {
+        if (prev.value === "," || next.upper === "AS" || ["GRANT", "DENY", "REVOKE"].includes(prev.upper)) {
+          break;
+        }
+        let j = i + 1;
+        // EXEC @rc = dbo.proc
+        if (words(j).type === "variable" && words(j + 1).value === "=") {
+          j += 2;
+        }
+        const target = words(j);
+        if (target.value === "(" || target.type === "variable" || target.type === "string") {
+          dynamicSql.push({ line: token.line, reason: "EXEC 执行动态SQL" });
+        } else if (target.type === "word" || target.type === "quoted") {
+          const { parts } = readMultipartName(tokens, j);
+          if (/^sp_executesql$/i.test(parts[parts.length - 1])) {
+            dynamicSql.push({ line: token.line, reason: "sp_executesql 执行动态SQL" });
+            for (let k = j; k < j + parts.length * 2 - 1; k++) consumed.add(k);
+          } else {
+            addObject(j, "procedure");
+          }
+        }
+        break;
+      }
+      case "USE":
+        // OPTION (USE HINT / USE PLAN) 是查询提示
+        if ((next.type === "word" || next.type === "quoted") && !["HINT", "PLAN"].includes(next.upper)) {
+          consumed.add(i + 1);
+          useStatements.push({ line: token.line, database: next.value });
+        }
+        break;
+      default:
+        // 批处理首个单词是隐式存储过程调用
+        if (i === 0 && !STATEMENT_KEYWORD_CLASSES[token.upper] && !NEUTRAL_STATEMENT_KEYWORDS.has(token.upper)) {
+          addObject(i, "procedure");
+        }
+    }
+  }
+  if (tokens.length > 0 && tokens[0].type === "quoted") {
+    addObject(0, "procedure");
+  }
+
+  // UPDATE/DELETE 的目标是 FROM 子句中的别名时，不是独立的表引用
+  const references = objects.filter(reference => !(reference.maybeAlias && aliases.has(reference.object.toUpperCase())));
+
+  // 列引用和 SELECT *
+  const columns = [];
+  const stars = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = words(i - 1);
+    if (token.value === "*" && token.type === "symbol") {
+      if (prev.value === ".") {
+        stars.push({ qualifier: words(i - 2).upper, line: token.line });
+      } else if (["SELECT", "DISTINCT", "ALL", ",", "PERCENT", "TIES"].includes(prev.upper) || (prev.type === "number" && words(i - 2).upper === "TOP")) {
+        stars.push({ qualifier: null, line: token.line });
+      } else if (prev.value === ")") {
+        let k = i - 1;
+        while (k > 0 && !(tokens[k].value === "(" && tokens[k].depth === prev.depth)) k--;
+        if (words(k - 1).upper === "TOP") {
+          stars.push({ qualifier: null, line: token.line });
+        }
+      }
+      continue;
+    }
+    if ((token.type !== "word" && token.type !== "quoted") || consumed.has(i) || words(i + 1).value === "." || token.value.startsWith("#")) {
+      continue;
+    }
+    columns.push({ qualifier: prev.value === "." ? words(i - 2).upper : null, column: token.value, line: token.line });
+  }
+
+  return { objects: references, aliases, columns, stars, dynamicSql, useStatements };
+}
+
+// 读取登录在数据库中的默认架构，结果按连接缓存 60 秒
+async function getDefaultSchema(entry, database) {
+  const key = `DEFAULT_SCHEMA|${database || ''}`.toUpperCase();
+  const cached = entry.objectMetadataCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < 60000) {
+    return cached.schema;
+  }
+  const request = entry.pool.request();
+  request.input('statement', sql.NVarChar(sql.MAX), "SELECT SCHEMA_NAME() AS name");
+  const target = database ? `${quoteIdentifier(database)}.sys.sp_executesql` : "sys.sp_executesql";
+  const result = await request.query(`EXEC ${target} @statement`);
+  const schema = (result.recordset[0] && result.recordset[0].name) || "dbo";
+  entry.objectMetadataCache.set(key, { schema, loadedAt: Date.now() });
+  return schema;
+}
+
+// 读取对象的类型、列和依赖（视图和函数），在对象所在数据库中执行，结果按连接缓存 60 秒
+async function getObjectMetadata(entry, database, schema, object) {
+  const key = `${database || ''}|${schema}|${object}`.toUpperCase();
+  const cached = entry.objectMetadataCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < 60000) {
+    return cached;
+  }
+
+  const statement = `
+    DECLARE @id int = OBJECT_ID(@name);
+    SELECT o.type FROM sys.objects o WHERE o.object_id = @id;
+    SELECT c.name FROM sys.columns c WHERE c.object_id = @id ORDER BY c.column_id;
+    IF EXISTS (SELECT 1 FROM sys.objects WHERE object_id = @id AND type IN ('V', 'IF', 'TF', 'FN'))
+      SELECT referenced_database_name, referenced_schema_name, referenced_entity_name, referenced_minor_name
+      FROM sys.dm_sql_referenced_entities(@name, 'OBJECT');
+  `;
+  const request = entry.pool.request();
+  request.input('statement', sql.NVarChar(sql.MAX), statement);
+  request.input('name', sql.NVarChar(776), `${quoteIdentifier(schema)}.${quoteIdentifier(object)}`);
+  const target = database ? `${quoteIdentifier(database)}.sys.sp_executesql` : "sys.sp_executesql";
+  const result = await request.query(`EXEC ${target} @statement, N'@name nvarchar(776)', @name = @name`);
+  const recordsets = result.recordsets || [];
+
+  const metadata = {
+    type: recordsets[0] && recordsets[0][0] ? recordsets[0][0].type.trim() : null,
+    columns: (recordsets[1] || []).map(row => row.name),
+    dependencies: (recordsets[2] || []).map(row => ({
+      database: row.referenced_database_name || database,
+      schema: row.referenced_schema_name || "dbo",
+      object: row.referenced_entity_name,
+      column: row.referenced_minor_name || undefined
+    })),
+    loadedAt: Date.now()
+  };
+  entry.objectMetadataCache.set(key, metadata);
+  return metadata;
+}
+
+// 给标识符加方括号
+function quoteIdentifier(name) {
+  return `[${String(name).replace(/]/g, "]]")}]`;
+}
+
+// 解析对象名称 ([db.]schema.name 或 name)，kind 用于错误信息，如 存储过程、表
+function parseObjectName(text, kind) {
+  const tokens = tokenizeSql(text);
+  const { parts, end } = readMultipartName(tokens, 0);
+  if (parts.length === 0 || parts.length > 3 || end !== tokens.length || parts.some(part => part === "")) {
+    throw new Error(`${kind}名称无效: ${text}，格式应为 name、schema.name 或 database.schema.name`);
+  }
+  const [object, schema, database] = parts.slice().reverse();
+  return {
+    database: database || null,
+    schema: schema || null,
+    object,
+    quoted: parts.map(quoteIdentifier).join(".")
+  };
+}
+
+// 在指定数据库中执行目录查询：通过 [database].sys.sp_executesql 切换上下文，不改变连接的当前数据库
+// name 指定时作为 @name 参数传入（对象名称，供 OBJECT_ID(@name) 使用）
+async function queryDatabaseCatalog(entry, database, statement, name = null) {
+  const request = entry.pool.request();
+  request.input('statement', sql.NVarChar(sql.MAX), statement);
+  const target = database ? `${quoteIdentifier(database)}.sys.sp_executesql` : "sys.sp_executesql";
+  try {
+    if (name !== null) {
+      request.input('name', sql.NVarChar(776), name);
+      return await request.query(`EXEC ${target} @statement, N'@name nvarchar(776)', @name = @name`);
+    }
+    return await request.query(`EXEC ${target} @statement`);
+  } catch (error) {
+    // 911: 数据库不存在；916: 当前登录不能访问该数据库
+    if (error.number === 911 || error.number === 916) {
+      error.message = `数据库 ${database} 不存在或当前登录无法访问: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+// 列出服务器上的数据库：状态、恢复模式、兼容级别和数据/日志文件大小
+async function listDatabases(entry) {
+  const result = await entry.pool.request().query(`
+    SELECT d.name, d.database_id, d.state_desc, d.recovery_model_desc, d.compatibility_level, d.collation_name,
+           d.create_date, d.is_read_only, d.user_access_desc, HAS_DBACCESS(d.name) AS has_access,
+           s.data_pages, s.log_pages
+    FROM sys.databases d
+    OUTER APPLY (
+      SELECT SUM(CASE WHEN f.type = 0 THEN CAST(f.size AS bigint) END) AS data_pages,
+             SUM(CASE WHEN f.type = 1 THEN CAST(f.size AS bigint) END) AS log_pages
+      FROM sys.master_files f WHERE f.database_id = d.database_id
+    ) s
+    ORDER BY d.name
+  `);
+  // 文件大小以 8KB 页为单位；没有 VIEW ANY DEFINITION 权限时 sys.master_files 只返回部分数据库
+  const toMegabytes = (pages) => pages === null || pages === undefined ? null : Math.round(Number(pages) * 8 / 1024 * 100) / 100;
+  return result.recordset.map(row => ({
+    name: row.name,
+    id: row.database_id,
+    state: row.state_desc,
+    recoveryModel: row.recovery_model_desc,
+    compatibilityLevel: row.compatibility_level,
+    collation: row.collation_name,
+    created: row.create_date,
+    readOnly: Boolean(row.is_read_only),
+    userAccess: row.user_access_desc,
+    accessible: row.has_access === 1,
+    dataSizeMB: toMegabytes(row.data_pages),
+    logSizeMB: toMegabytes(row.log_pages)
+  }));
+}
+
+// 资源 URI 补全：从当前连接的目录视图读取数据库、架构和对象名称，按连接缓存一小段时间
+const COMPLETION_CACHE_TTL = 30000;
+const SYSTEM_DATABASES = ["master", "tempdb", "model", "msdb"];
+const SCHEMA_OBJECT_TYPES = ["tables", "views", "procedures", "functions", "triggers", "indexes"];
+
+// sys.objects 的类型代码对应 schema:// 的对象类型
+const OBJECT_TYPE_CODES = {
+  U: "tables",
+  V: "views",
+  P: "procedures",
+  PC: "procedures",
+  FN: "functions",
+  IF: "functions",
+  TF: "functions",
+  FS: "functions",
+  FT: "functions",
+  TR: "triggers"
+};
+
+// 读取补全数据：缓存未过期时直接返回，否则重新加载
+async function getCompletionData(entry, key, load) {
+  const cacheKey = `COMPLETE|${key}`.toUpperCase();
+  const cached = entry.objectMetadataCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < COMPLETION_CACHE_TTL) {
+    return cached.data;
+  }
+  const data = await load();
+  entry.objectMetadataCache.set(cacheKey, { data, loadedAt: Date.now() });
+  return data;
+}
+
+// 按前缀过滤补全候选项（不区分大小写）
+function filterCompletions(values, prefix) {
+  const text = (prefix || "").toLowerCase();
+  return values.filter(value => value.toLowerCase().startsWith(text));
+}
+
+// 当前登录可以访问的数据库名称
+function getDatabaseNames(entry) {
+  return getCompletionData(entry, "DATABASES", async () => {
+    const result = await entry.pool.request().query(`SELECT name FROM sys.databases WHERE HAS_DBACCESS(name) = 1 ORDER BY name`);
+    return result.recordset.map(row => row.name);
+  });
+}
+
+// 数据库中的用户对象 (架构、名称、对象类型) 以及是否有索引
+function getDatabaseObjects(entry, database) {
+  return getCompletionData(entry, `OBJECTS|${database || ''}`, async () => {
+    const result = await queryDatabaseCatalog(entry, database, `
+      SELECT SCHEMA_NAME(o.schema_id) AS schema_name, o.name, RTRIM(o.type) AS type
+      FROM sys.objects o
+      WHERE o.is_ms_shipped = 0 AND o.type IN ('U', 'V', 'P', 'PC', 'FN', 'IF', 'TF', 'FS', 'FT', 'TR')
+      ORDER BY schema_name, o.name;
+      SELECT CAST(CASE WHEN EXISTS (
+        SELECT 1 FROM sys.indexes i JOIN sys.tables t ON t.object_id = i.object_id WHERE t.is_ms_shipped = 0 AND i.index_id > 0
+      ) THEN 1 ELSE 0 END AS bit) AS has_indexes;
+    `);
+    const [objects = [], flags = []] = result.recordsets || [];
+    return {
+      objects: objects.map(row => ({ schema: row.schema_name, name: row.name, type: OBJECT_TYPE_CODES[row.type] })),
+      hasIndexes: Boolean(flags[0] && flags[0].has_indexes)
+    };
+  });
+}
+
+// 补全时使用的连接，未连接时返回 null
+function getCompletionConnection() {
+  return isConnectionActive() ? getConnection() : null;
+}
+
+// 补全 {database}：未连接或读取失败时返回系统数据库
+async function completeDatabaseName(value) {
+  const entry = getCompletionConnection();
+  let names = SYSTEM_DATABASES;
+  if (entry) {
+    try {
+      names = await getDatabaseNames(entry);
+    } catch (error) {
+      //console.log(`⚠️ 读取数据库列表失败: ${error.message}`);
+    }
+  }
+  return filterCompletions(names, value);
+}
+
+// 补全 schema://{database}/{objectType}：只列出数据库中实际存在的对象类型
+async function completeObjectType(value, context) {
+  const entry = getCompletionConnection();
+  if (!entry) {
+    return filterCompletions(SCHEMA_OBJECT_TYPES, value);
+  }
+  try {
+    const database = context && context.arguments && context.arguments.database ? context.arguments.database : entry.config.database || null;
+    const { objects, hasIndexes } = await getDatabaseObjects(entry, database);
+    const types = SCHEMA_OBJECT_TYPES.filter(type => type === "indexes" ? hasIndexes : objects.some(object => object.type === type));
+    return filterCompletions(types, value);
+  } catch (error) {
+    return filterCompletions(SCHEMA_OBJECT_TYPES, value);
+  }
+}
+
+// 补全表结构资源的 {schema} 和 {name}：只列出表和视图，隐藏访问策略拒绝的对象
+async function completeTableName(part, value, context) {
+  const entry = getCompletionConnection();
+  if (!entry) {
+    return [];
+  }
+  const args = (context && context.arguments) || {};
+  const database = args.database || entry.config.database || null;
+  try {
+    const { objects } = await getDatabaseObjects(entry, database);
+    const tables = objects.filter(object => (object.type === "tables" || object.type === "views") &&
+      isObjectAccessible(entry.name, database, object.schema, object.name));
+    if (part === "schema") {
+      return filterCompletions(Array.from(new Set(tables.map(object => object.schema))), value);
+    }
+    return filterCompletions(tables.filter(object => !args.schema || object.schema.toLowerCase() === args.schema.toLowerCase()).map(object => object.name), value);
+  } catch (error) {
+    return [];
+  }
+}
+
+// 目录视图的行转换为列、索引、外键和检查约束的描述（getTableDetails 和 getSchemaSnapshot 共用）
+// systemNamed 表示约束名由服务器生成（建表时未指定名称），比较结构时按定义而不是名称匹配
+function describeCatalogColumn(column) {
+  const lower = column.system_type.toLowerCase();
+  const isText = /char|binary/.test(lower);
+  return {
+    name: column.name,
+    type: formatSqlTypeDeclaration(column.system_type, column.max_length, column.precision, column.scale),
+    // 别名类型 (CREATE TYPE ... FROM)，如 dbo.PhoneNumber
+    userType: column.is_user_defined ? { schema: column.user_type_schema, name: column.user_type } : null,
+    length: isText ? (column.max_length === -1 ? "max" : lower.startsWith("n") ? column.max_length / 2 : column.max_length) : null,
+    precision: /decimal|numeric/.test(lower) ? column.precision : null,
+    scale: /decimal|numeric|datetime2|datetimeoffset|^time$/.test(lower) ? column.scale : null,
+    nullable: Boolean(column.is_nullable),
+    default: column.default_definition ? { name: column.default_name, definition: column.default_definition, systemNamed: Boolean(column.default_system_named) } : null,
+    identity: column.is_identity ? { seed: column.seed_value, increment: column.increment_value } : null,
+    computed: column.is_computed ? { definition: column.computed_definition, persisted: Boolean(column.is_persisted) } : null,
+    collation: column.collation_name || null,
+    description: column.description || null
+  };
+}
+
+// indexColumns 为索引所在对象的 sys.index_columns 行
+function describeCatalogIndex(index, indexColumns) {
+  const items = indexColumns.filter(column => column.index_id === index.index_id);
+  return {
+    name: index.name,
+    type: index.type_desc,
+    unique: Boolean(index.is_unique),
+    primaryKey: Boolean(index.is_primary_key),
+    uniqueConstraint: Boolean(index.is_unique_constraint),
+    keyColumns: items.filter(column => !column.is_included_column).map(column => ({ name: column.name, descending: Boolean(column.is_descending_key) })),
+    includedColumns: items.filter(column => column.is_included_column).map(column => column.name),
+    filter: index.filter_definition || null,
+    disabled: Boolean(index.is_disabled),
+    systemNamed: Boolean(index.is_system_named)
+  };
+}
+
+function describeCatalogForeignKey(fk, foreignKeyColumns) {
+  const items = foreignKeyColumns.filter(column => column.constraint_object_id === fk.object_id);
+  return {
+    name: fk.name,
+    table: { schema: fk.parent_schema, name: fk.parent_table },
+    columns: items.map(column => column.parent_column),
+    referencedTable: { schema: fk.referenced_schema, name: fk.referenced_table },
+    referencedColumns: items.map(column => column.referenced_column),
+    onDelete: fk.delete_referential_action_desc,
+    onUpdate: fk.update_referential_action_desc,
+    disabled: Boolean(fk.is_disabled),
+    trusted: !fk.is_not_trusted,
+    systemNamed: Boolean(fk.is_system_named)
+  };
+}
+
+function describeCatalogCheck(check) {
+  return {
+    name: check.name,
+    column: check.column_name || null,
+    definition: check.definition,
+    disabled: Boolean(check.is_disabled),
+    trusted: !check.is_not_trusted,
+    systemNamed: Boolean(check.is_system_named)
+  };
+}
+
+// 读取表或视图的详细结构：列、主键、双向外键、唯一约束、检查约束、索引、行数和说明 (MS_Description)
+// 在目标数据库中通过 sp_executesql 查询目录视图，表不存在时返回 null；schema 为 null 时按默认架构解析
+async function getTableDetails(entry, database, schema, object) {
+  const statement = `
+    DECLARE @id int = OBJECT_ID(@name);
+    SELECT o.type, SCHEMA_NAME(o.schema_id) AS schema_name, o.name, o.create_date, o.modify_date,
+           CAST(ep.value AS nvarchar(4000)) AS description
+    FROM sys.objects o
+    LEFT JOIN sys.extended_properties ep ON ep.class = 1 AND ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.name = N'MS_Description'
+    WHERE o.object_id = @id AND o.type IN ('U', 'V');
+    SELECT c.name, TYPE_NAME(c.system_type_id) AS system_type, ut.name AS user_type, SCHEMA_NAME(ut.schema_id) AS user_type_schema, ut.is_user_defined,
+           c.max_length, c.precision, c.scale,
+           c.is_nullable, c.is_identity, c.is_computed, c.collation_name, dc.name AS default_name, dc.definition AS default_definition, dc.is_system_named AS default_system_named,
+           CAST(idc.seed_value AS nvarchar(50)) AS seed_value, CAST(idc.increment_value AS nvarchar(50)) AS increment_value,
+           cc.definition AS computed_definition, cc.is_persisted, CAST(ep.value AS nvarchar(4000)) AS description
+    FROM sys.columns c
+    JOIN sys.types ut ON ut.user_type_id = c.user_type_id
+    LEFT JOIN sys.default_constraints dc ON dc.object_id = c.default_object_id
+    LEFT JOIN sys.identity_columns idc ON idc.object_id = c.object_id AND idc.column_id = c.column_id
+    LEFT JOIN sys.computed_columns cc ON cc.object_id = c.object_id AND cc.column_id = c.column_id
+    LEFT JOIN sys.extended_properties ep ON ep.class = 1 AND ep.major_id = c.object_id AND ep.minor_id = c.column_id AND ep.name = N'MS_Description'
+    WHERE c.object_id = @id
+    ORDER BY c.column_id;
+    SELECT i.index_id, i.name, i.type_desc, i.is_primary_key, i.is_unique, i.is_unique_constraint, i.filter_definition, i.is_disabled, kc.is_system_named
+    FROM sys.indexes i
+    LEFT JOIN sys.key_constraints kc ON kc.parent_object_id = i.object_id AND kc.unique_index_id = i.index_id
+    WHERE i.object_id = @id AND i.type > 0
+    ORDER BY i.index_id;
+    SELECT ic.index_id, c.name, ic.is_descending_key, ic.is_included_column
+    FROM sys.index_columns ic JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+    WHERE ic.object_id = @id
+    ORDER BY ic.index_id, ic.is_included_column, ic.key_ordinal, ic.index_column_id;
+    SELECT fk.object_id, fk.name, SCHEMA_NAME(p.schema_id) AS parent_schema, p.name AS parent_table,
+           SCHEMA_NAME(r.schema_id) AS referenced_schema, r.name AS referenced_table,
+           fk.delete_referential_action_desc, fk.update_referential_action_desc, fk.is_disabled, fk.is_not_trusted, fk.is_system_named,
+           CAST(CASE WHEN fk.parent_object_id = @id THEN 1 ELSE 0 END AS bit) AS is_outgoing,
+           CAST(CASE WHEN fk.referenced_object_id = @id THEN 1 ELSE 0 END AS bit) AS is_incoming
+    FROM sys.foreign_keys fk
+    JOIN sys.objects p ON p.object_id = fk.parent_object_id
+    JOIN sys.objects r ON r.object_id = fk.referenced_object_id
+    WHERE fk.parent_object_id = @id OR fk.referenced_object_id = @id
+    ORDER BY fk.name;
+    SELECT fkc.constraint_object_id, pc.name AS parent_column, rc.name AS referenced_column
+    FROM sys.foreign_key_columns fkc
+    JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+    JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+    WHERE fkc.parent_object_id = @id OR fkc.referenced_object_id = @id
+    ORDER BY fkc.constraint_object_id, fkc.constraint_column_id;
+    SELECT cc.name, COL_NAME(cc.parent_object_id, cc.parent_column_id) AS column_name, cc.definition, cc.is_disabled, cc.is_not_trusted, cc.is_system_named
+    FROM sys.check_constraints cc WHERE cc.parent_object_id = @id
+    ORDER BY cc.name;
+    SELECT CAST(SUM(p.rows) AS bigint) AS row_count FROM sys.partitions p WHERE p.object_id = @id AND p.index_id IN (0, 1);
+  `;
+  const name = schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(object)}` : quoteIdentifier(object);
+  const result = await queryDatabaseCatalog(entry, database, statement, name);
+  const [objects = [], columns = [], indexes = [], indexColumns = [], foreignKeys = [], foreignKeyColumns = [], checks = [], counts = []] = result.recordsets || [];
+
+  const table = objects[0];
+  if (!table) {
+    return null;
+  }
+
+  const primaryKey = indexes.find(index => index.is_primary_key);
+  const rowCount = counts[0] && counts[0].row_count !== null ? Number(counts[0].row_count) : null;
+
+  return {
+    database: database || entry.config.database || null,
+    schema: table.schema_name,
+    name: table.name,
+    type: table.type.trim() === "U" ? "table" : "view",
+    description: table.description || null,
+    created: table.create_date,
+    modified: table.modify_date,
+    // 来自 sys.partitions 的近似行数，视图为 null
+    rowCount: table.type.trim() === "U" ? rowCount : null,
+    columns: columns.map(describeCatalogColumn),
+    primaryKey: primaryKey ? {
+      name: primaryKey.name,
+      type: primaryKey.type_desc,
+      columns: indexColumns.filter(column => column.index_id === primaryKey.index_id && !column.is_included_column).map(column => column.name)
+    } : null,
+    foreignKeys: foreignKeys.filter(fk => fk.is_outgoing).map(fk => describeCatalogForeignKey(fk, foreignKeyColumns)),
+    // 自引用的外键同时出现在两边
+    referencedBy: foreignKeys.filter(fk => fk.is_incoming).map(fk => describeCatalogForeignKey(fk, foreignKeyColumns)),
+    uniqueConstraints: indexes.filter(index => index.is_unique_constraint).map(index => ({
+      name: index.name,
+      columns: indexColumns.filter(column => column.index_id === index.index_id && !column.is_included_column).map(column => column.name)
+    })),
+    checkConstraints: checks.map(describeCatalogCheck),
+    indexes: indexes.map(index => describeCatalogIndex(index, indexColumns))
+  };
+}
+
+// 生成对象的 DDL 脚本 (script_object)：表按 getTableDetails 的目录信息拼装 CREATE TABLE，
+// 视图、存储过程、函数和触发器使用 sys.sql_modules 中保存的定义 (OBJECT_DEFINITION)
+const SCRIPT_OBJECT_TYPES = {
+  U: { kind: "table", label: "表", drop: "TABLE" },
+  V: { kind: "view", label: "视图", drop: "VIEW" },
+  P: { kind: "procedure", label: "存储过程", drop: "PROCEDURE" },
+  FN: { kind: "function", label: "标量函数", drop: "FUNCTION" },
+  IF: { kind: "function", label: "内联表值函数", drop: "FUNCTION" },
+  TF: { kind: "function", label: "表值函数", drop: "FUNCTION" },
+  TR: { kind: "trigger", label: "触发器", drop: "TRIGGER" }
+};
+
+// 外键的级联操作 (sys.foreign_keys 的 *_referential_action_desc)
+const REFERENTIAL_ACTIONS = {
+  CASCADE: "CASCADE",
+  SET_NULL: "SET NULL",
+  SET_DEFAULT: "SET DEFAULT"
+};
+
+// 读取对象的类型、模块定义、表或视图上的触发器和对象权限
+async function getObjectScriptInfo(entry, database, schema, object) {
+  const statement = `
+    DECLARE @id int = OBJECT_ID(@name);
+    SELECT RTRIM(o.type) AS type, o.type_desc, SCHEMA_NAME(o.schema_id) AS schema_name, o.name,
+           m.definition, m.uses_ansi_nulls, m.uses_quoted_identifier,
+           OBJECT_SCHEMA_NAME(o.parent_object_id) AS parent_schema, OBJECT_NAME(o.parent_object_id) AS parent_name,
+           CAST(OBJECTPROPERTY(o.object_id, 'IsEncrypted') AS bit) AS is_encrypted,
+           CAST(OBJECTPROPERTY(o.object_id, 'ExecIsTriggerDisabled') AS bit) AS is_disabled
+    FROM sys.objects o LEFT JOIN sys.sql_modules m ON m.object_id = o.object_id
+    WHERE o.object_id = @id;
+    SELECT tr.name, tr.is_disabled, m.definition, m.uses_ansi_nulls, m.uses_quoted_identifier
+    FROM sys.triggers tr JOIN sys.sql_modules m ON m.object_id = tr.object_id
+    WHERE tr.parent_id = @id
+    ORDER BY tr.name;
+    SELECT p.state_desc, p.permission_name, USER_NAME(p.grantee_principal_id) AS grantee,
+           COL_NAME(p.major_id, p.minor_id) AS column_name
+    FROM sys.database_permissions p
+    WHERE p.class = 1 AND p.major_id = @id
+    ORDER BY grantee, p.permission_name, column_name;
+  `;
+  const name = schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(object)}` : quoteIdentifier(object);
+  const result = await queryDatabaseCatalog(entry, database, statement, name);
+  const [objects = [], triggers = [], permissions = []] = result.recordsets || [];
+  return objects[0] ? { object: objects[0], triggers, permissions } : null;
+}
+
+// 把模块定义开头的 CREATE 改为 CREATE OR ALTER（跳过前面的注释），无法识别时返回 null
+function toCreateOrAlter(definition) {
+  const match = /^((?:\s|--[^\n]*(?:\n|$)|\/\*[\s\S]*?\*\/)*)CREATE(\s+OR\s+ALTER)?\b/i.exec(definition);
+  if (!match) {
+    return null;
+  }
+  return match[2] ? definition : `${match[1]}CREATE OR ALTER${definition.slice(match[0].length)}`;
+}
+
+// 模块定义前的 SET 选项：定义保存时的 ANSI_NULLS 和 QUOTED_IDENTIFIER 设置会随模块一起保存
+function scriptModuleSettings(module) {
+  return [
+    `SET ANSI_NULLS ${module.uses_ansi_nulls ? 'ON' : 'OFF'};`,
+    `SET QUOTED_IDENTIFIER ${module.uses_quoted_identifier ? 'ON' : 'OFF'};`
+  ];
+}
+
+// 模块定义 (CREATE VIEW/PROCEDURE/FUNCTION/TRIGGER ...)
+function scriptModuleDefinition(module, createOrAlter, warnings, label) {
+  let definition = module.definition.trim();
+  if (createOrAlter) {
+    const altered = toCreateOrAlter(definition);
+    if (altered === null) {
+      warnings.push(`${label} 的定义不是以 CREATE 开头，未改为 CREATE OR ALTER`);
+    } else {
+      definition = altered;
+    }
+  }
+  return definition;
+}
+
+// 列的数据类型，别名类型写为 [schema].[name]
+function scriptColumnType(column) {
+  if (column.userType) {
+    return `${quoteIdentifier(column.userType.schema)}.${quoteIdentifier(column.userType.name)}`;
+  }
+  // formatSqlTypeDeclaration 把 sql_variant 写为驱动的类型名 Variant
+  return column.type === "Variant" ? "sql_variant" : column.type.toLowerCase();
+}
+
+// 列定义：类型、排序规则、标识、计算列、默认约束和可空性
+function scriptColumnDefinition(column) {
+  if (column.computed) {
+    return `${quoteIdentifier(column.name)} AS ${column.computed.definition}${column.computed.persisted ? ` PERSISTED${column.nullable ? '' : ' NOT NULL'}` : ''}`;
+  }
+  let text = `${quoteIdentifier(column.name)} ${scriptColumnType(column)}`;
+  if (column.collation && !column.userType) {
+    text += ` COLLATE ${column.collation}`;
+  }
+  if (column.identity) {
+    text += ` IDENTITY(${column.identity.seed},${column.identity.increment})`;
+  }
+  text += column.nullable ? ' NULL' : ' NOT NULL';
+  if (column.default) {
+    text += ` CONSTRAINT ${quoteIdentifier(column.default.name)} DEFAULT ${column.default.definition}`;
+  }
+  return text;
+}
+
+// 索引键列 ([a] ASC, [b] DESC)
+function scriptIndexColumns(index) {
+  return index.keyColumns.map(column => `${quoteIdentifier(column.name)} ${column.descending ? 'DESC' : 'ASC'}`).join(', ');
+}
+
+// 主键或唯一约束的定义 (CONSTRAINT [PK_x] PRIMARY KEY CLUSTERED (...))
+function scriptKeyConstraint(index) {
+  return `CONSTRAINT ${quoteIdentifier(index.name)} ${index.primaryKey ? 'PRIMARY KEY' : 'UNIQUE'} ${index.type} (${scriptIndexColumns(index)})`;
+}
+
+// 不属于主键和唯一约束的索引
+function scriptIndex(index, target, warnings) {
+  const statements = [];
+  if (index.type === "CLUSTERED COLUMNSTORE") {
+    statements.push(`CREATE CLUSTERED COLUMNSTORE INDEX ${quoteIdentifier(index.name)} ON ${target};`);
+  } else if (index.type === "NONCLUSTERED COLUMNSTORE") {
+    statements.push(`CREATE NONCLUSTERED COLUMNSTORE INDEX ${quoteIdentifier(index.name)} ON ${target} (${index.includedColumns.map(quoteIdentifier).join(', ')})${index.filter ? ` WHERE ${index.filter}` : ''};`);
+  } else if (index.type === "CLUSTERED" || index.type === "NONCLUSTERED") {
+    statements.push(`CREATE ${index.unique ? 'UNIQUE ' : ''}${index.type} INDEX ${quoteIdentifier(index.name)} ON ${target} (${scriptIndexColumns(index)})` +
+      `${index.includedColumns.length > 0 ? ` INCLUDE (${index.includedColumns.map(quoteIdentifier).join(', ')})` : ''}${index.filter ? ` WHERE ${index.filter}` : ''};`);
+  } else {
+    warnings.push(`索引 ${index.name} 的类型 ${index.type} 不支持生成脚本，已跳过`);
+    return statements;
+  }
+  if (index.disabled) {
+    statements.push(`ALTER INDEX ${quoteIdentifier(index.name)} ON ${target} DISABLE;`);
+  }
+  return statements;
+}
+
+// 添加外键，不受信任或禁用的约束按原状态恢复
+function scriptForeignKey(fk, target) {
+  const actions = [
+    REFERENTIAL_ACTIONS[fk.onDelete] ? ` ON DELETE ${REFERENTIAL_ACTIONS[fk.onDelete]}` : '',
+    REFERENTIAL_ACTIONS[fk.onUpdate] ? ` ON UPDATE ${REFERENTIAL_ACTIONS[fk.onUpdate]}` : ''
+  ].join('');
+  const statements = [`ALTER TABLE ${target} WITH ${fk.trusted ? 'CHECK' : 'NOCHECK'} ADD CONSTRAINT ${quoteIdentifier(fk.name)} FOREIGN KEY (${fk.columns.map(quoteIdentifier).join(', ')}) ` +
+    `REFERENCES ${quoteIdentifier(fk.referencedTable.schema)}.${quoteIdentifier(fk.referencedTable.name)} (${fk.referencedColumns.map(quoteIdentifier).join(', ')})${actions};`];
+  if (fk.disabled) {
+    statements.push(`ALTER TABLE ${target} NOCHECK CONSTRAINT ${quoteIdentifier(fk.name)};`);
+  }
+  return statements;
+}
+
+// CREATE TABLE 以及之后添加的外键和约束状态
+function scriptTable(details, target) {
+  const lines = details.columns.map(scriptColumnDefinition);
+  const constraintIndexes = details.indexes.filter(index => index.primaryKey || index.uniqueConstraint);
+  for (const index of constraintIndexes) {
+    lines.push(scriptKeyConstraint(index));
+  }
+  for (const check of details.checkConstraints) {
+    lines.push(`CONSTRAINT ${quoteIdentifier(check.name)} CHECK ${check.definition}`);
+  }
+  const batches = [`CREATE TABLE ${target} (\n    ${lines.join(',\n    ')}\n);`];
+
+  // 外键在建表后添加，避免引用的表尚未创建
+  for (const fk of details.foreignKeys) {
+    batches.push(scriptForeignKey(fk, target).join('\n'));
+  }
+  for (const check of details.checkConstraints.filter(check => check.disabled)) {
+    batches.push(`ALTER TABLE ${target} NOCHECK CONSTRAINT ${quoteIdentifier(check.name)};`);
+  }
+  return batches;
+}
+
+// 对象权限 (GRANT/DENY)，列级权限带列名
+function scriptPermissions(permissions, target) {
+  return permissions.map(permission => {
+    const columns = permission.column_name ? ` (${quoteIdentifier(permission.column_name)})` : '';
+    const grantee = quoteIdentifier(permission.grantee);
+    if (permission.state_desc === "GRANT_WITH_GRANT_OPTION") {
+      return `GRANT ${permission.permission_name} ON ${target}${columns} TO ${grantee} WITH GRANT OPTION;`;
+    }
+    return `${permission.state_desc} ${permission.permission_name} ON ${target}${columns} TO ${grantee};`;
+  });
+}
+
+// 生成对象的部署脚本，批之间用 GO 分隔
+async function scriptObject(options) {
+  if (!await reconnectIfNeeded(options.connection)) {
+    throw notConnectedError(options.connection);
+  }
+  const entry = getConnection(options.connection);
+  const name = parseObjectName(options.object, "对象");
+  const database = options.database || name.database || entry.config.database || null;
+
+  const info = await getObjectScriptInfo(entry, database, name.schema, name.object);
+  if (!info) {
+    throw new Error(`数据库 ${database || '(当前)'} 中没有对象 ${name.quoted}`);
+  }
+  const { object } = info;
+  const objectType = SCRIPT_OBJECT_TYPES[object.type];
+  if (!objectType) {
+    throw new Error(`不支持为 ${object.type_desc} 类型的对象生成脚本，支持: 表、视图、存储过程、函数、触发器`);
+  }
+  if (!isObjectAccessible(entry.name, database, object.schema_name, object.name)) {
+    throw new Error(`访问策略不允许访问 ${database}.${object.schema_name}.${object.name}`);
+  }
+  if (object.type !== "U" && (object.is_encrypted || object.definition === null)) {
+    throw new Error(`${object.schema_name}.${object.name} 的定义已加密 (WITH ENCRYPTION) 或当前登录没有 VIEW DEFINITION 权限，无法生成脚本`);
+  }
+
+  const target = `${quoteIdentifier(object.schema_name)}.${quoteIdentifier(object.name)}`;
+  const label = `${object.schema_name}.${object.name}`;
+  const warnings = [];
+  const batches = [];
+
+  if (options.dropIfExists) {
+    batches.push(`DROP ${objectType.drop} IF EXISTS ${target};`);
+  }
+
+  let details = null;
+  if (object.type === "U" || object.type === "V") {
+    details = await getTableDetails(entry, database, object.schema_name, object.name);
+    const hidden = details.columns.filter(column => !isColumnAccessible(entry.name, database, object.schema_name, object.name, column.name));
+    if (hidden.length > 0) {
+      throw new Error(`访问策略不允许访问 ${label} 的列 ${hidden.map(column => column.name).join(', ')}，不能生成完整的脚本`);
+    }
+  }
+
+  if (object.type === "U") {
+    if (options.createOrAlter) {
+      warnings.push(`表不支持 CREATE OR ALTER，已生成 CREATE TABLE`);
+    }
+    batches.push(...scriptTable(details, target));
+  } else {
+    batches.push(scriptModuleSettings(object).join('\n'));
+    batches.push(scriptModuleDefinition(object, options.createOrAlter, warnings, label));
+    if (object.type === "TR" && object.is_disabled) {
+      batches.push(`DISABLE TRIGGER ${target} ON ${quoteIdentifier(object.parent_schema)}.${quoteIdentifier(object.parent_name)};`);
+    }
+  }
+
+  // 表和索引视图的索引（主键和唯一约束已包含在 CREATE TABLE 中）
+  if (details && options.includeIndexes) {
+    for (const index of details.indexes.filter(index => !index.primaryKey && !index.uniqueConstraint)) {
+      const statements = scriptIndex(index, target, warnings);
+      if (statements.length > 0) {
+        batches.push(statements.join('\n'));
+      }
+    }
+  }
+
+  if (details && options.includeTriggers) {
+    for (const trigger of info.triggers) {
+      const triggerLabel = `触发器 ${object.schema_name}.${trigger.name}`;
+      if (trigger.definition === null) {
+        warnings.push(`${triggerLabel} 的定义已加密或没有权限读取，已跳过`);
+        continue;
+      }
+      batches.push(scriptModuleSettings(trigger).join('\n'));
+      batches.push(scriptModuleDefinition(trigger, options.createOrAlter, warnings, triggerLabel));
+      if (trigger.is_disabled) {
+        batches.push(`DISABLE TRIGGER ${quoteIdentifier(object.schema_name)}.${quoteIdentifier(trigger.name)} ON ${target};`);
+      }
+    }
+  }
+
+  if (options.includePermissions && info.permissions.length > 0) {
+    batches.push(scriptPermissions(info.permissions, target).join('\n'));
+  }
+
+  const header = `-- ${objectType.label}: ${database ? `${database}.` : ''}${label}\n-- 生成时间: ${new Date().toISOString()}`;
+  const useDatabase = options.includeUse && database ? `USE ${quoteIdentifier(database)};\nGO\n` : '';
+  return {
+    database,
+    schema: object.schema_name,
+    name: object.name,
+    type: objectType.kind,
+    typeLabel: objectType.label,
+    script: `${header}\n${useDatabase}${batches.map(batch => `${batch}\nGO`).join('\n')}\n`,
+    batches: batches.length,
+    warnings
+  };
+}
+
+// 比较两个数据库的结构 (compare_schemas)：读取双方的表、列、索引、约束、外键和模块，
+// 生成把目标数据库变更为与源数据库一致的迁移脚本。语句按阶段排序，同一阶段内模块按依赖关系排序
+const MIGRATION_PHASES = {
+  dropForeignKeys: 0,
+  dropModules: 1,
+  dropConstraints: 2,
+  dropTables: 3,
+  createTables: 4,
+  alterColumns: 5,
+  addConstraints: 6,
+  createIndexes: 7,
+  addForeignKeys: 8,
+  modules: 9
+};
+const MIGRATION_PHASE_LABELS = ["删除外键", "删除模块", "删除约束和索引", "删除表", "创建表", "添加和修改列", "添加约束", "创建索引", "添加外键", "创建和修改模块"];
+
+// 没有依赖关系时模块的创建顺序：函数、视图、存储过程、触发器
+const MODULE_TYPE_ORDER = ["FN", "IF", "TF", "V", "P", "TR"];
+
+// 可以无损扩大的整数类型
+const INTEGER_TYPE_ORDER = ["tinyint", "smallint", "int", "bigint"];
+
+// 结构快照中对象的键，按不区分大小写的排序规则匹配
+function snapshotKey(schema, name) {
+  return `${schema}.${name}`.toLowerCase();
+}
+
+// 忽略换行符和行尾空白的差异后比较定义
+function normalizeDefinition(definition) {
+  return (definition || "").replace(/\r\n?/g, "\n").split("\n").map(line => line.replace(/\s+$/, "")).join("\n").trim();
+}
+
+// 读取数据库的结构快照；schemas 为 null 时包含所有架构，访问策略拒绝的表和模块不参与比较
+async function getSchemaSnapshot(entry, database, schemas) {
+  const statement = `
+    SELECT t.object_id, SCHEMA_NAME(t.schema_id) AS schema_name, t.name
+    FROM sys.tables t WHERE t.is_ms_shipped = 0
+    ORDER BY schema_name, t.name;
+    SELECT c.object_id, c.name, TYPE_NAME(c.system_type_id) AS system_type, ut.name AS user_type, SCHEMA_NAME(ut.schema_id) AS user_type_schema, ut.is_user_defined,
+           c.max_length, c.precision, c.scale,
+           c.is_nullable, c.is_identity, c.is_computed, c.collation_name, dc.name AS default_name, dc.definition AS default_definition, dc.is_system_named AS default_system_named,
+           CAST(idc.seed_value AS nvarchar(50)) AS seed_value, CAST(idc.increment_value AS nvarchar(50)) AS increment_value,
+           cc.definition AS computed_definition, cc.is_persisted
+    FROM sys.columns c
+    JOIN sys.tables t ON t.object_id = c.object_id
+    JOIN sys.types ut ON ut.user_type_id = c.user_type_id
+    LEFT JOIN sys.default_constraints dc ON dc.object_id = c.default_object_id
+    LEFT JOIN sys.identity_columns idc ON idc.object_id = c.object_id AND idc.column_id = c.column_id
+    LEFT JOIN sys.computed_columns cc ON cc.object_id = c.object_id AND cc.column_id = c.column_id
+    WHERE t.is_ms_shipped = 0
+    ORDER BY c.object_id, c.column_id;
+    SELECT i.object_id, i.index_id, i.name, i.type_desc, i.is_primary_key, i.is_unique, i.is_unique_constraint, i.filter_definition, i.is_disabled, kc.is_system_named
+    FROM sys.indexes i
+    JOIN sys.tables t ON t.object_id = i.object_id
+    LEFT JOIN sys.key_constraints kc ON kc.parent_object_id = i.object_id AND kc.unique_index_id = i.index_id
+    WHERE t.is_ms_shipped = 0 AND i.type > 0
+    ORDER BY i.object_id, i.index_id;
+    SELECT ic.object_id, ic.index_id, c.name, ic.is_descending_key, ic.is_included_column
+    FROM sys.index_columns ic
+    JOIN sys.tables t ON t.object_id = ic.object_id
+    JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+    WHERE t.is_ms_shipped = 0
+    ORDER BY ic.object_id, ic.index_id, ic.is_included_column, ic.key_ordinal, ic.index_column_id;
+    SELECT fk.object_id, fk.parent_object_id, fk.name, SCHEMA_NAME(p.schema_id) AS parent_schema, p.name AS parent_table,
+           SCHEMA_NAME(r.schema_id) AS referenced_schema, r.name AS referenced_table,
+           fk.delete_referential_action_desc, fk.update_referential_action_desc, fk.is_disabled, fk.is_not_trusted, fk.is_system_named
+    FROM sys.foreign_keys fk
+    JOIN sys.objects p ON p.object_id = fk.parent_object_id
+    JOIN sys.objects r ON r.object_id = fk.referenced_object_id
+    WHERE fk.is_ms_shipped = 0
+    ORDER BY fk.name;
+    SELECT fkc.constraint_object_id, pc.name AS parent_column, rc.name AS referenced_column
+    FROM sys.foreign_key_columns fkc
+    JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+    JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+    ORDER BY fkc.constraint_object_id, fkc.constraint_column_id;
+    SELECT cc.parent_object_id, cc.name, COL_NAME(cc.parent_object_id, cc.parent_column_id) AS column_name, cc.definition, cc.is_disabled, cc.is_not_trusted, cc.is_system_named
+    FROM sys.check_constraints cc WHERE cc.is_ms_shipped = 0
+    ORDER BY cc.name;
+    SELECT o.object_id, RTRIM(o.type) AS type, SCHEMA_NAME(o.schema_id) AS schema_name, o.name,
+           m.definition, m.uses_ansi_nulls, m.uses_quoted_identifier,
+           OBJECT_SCHEMA_NAME(o.parent_object_id) AS parent_schema, OBJECT_NAME(o.parent_object_id) AS parent_name,
+           CAST(OBJECTPROPERTY(o.object_id, 'ExecIsTriggerDisabled') AS bit) AS is_disabled
+    FROM sys.objects o JOIN sys.sql_modules m ON m.object_id = o.object_id
+    WHERE o.is_ms_shipped = 0 AND o.type IN ('V', 'P', 'FN', 'IF', 'TF', 'TR')
+      AND (o.type <> 'TR' OR o.parent_object_id <> 0)
+    ORDER BY schema_name, o.name;
+    SELECT DISTINCT d.referencing_id, d.referenced_id
+    FROM sys.sql_expression_dependencies d WHERE d.referenced_id IS NOT NULL;
+  `;
+  const result = await queryDatabaseCatalog(entry, database, statement);
+  const [tables = [], columns = [], indexes = [], indexColumns = [], foreignKeys = [], foreignKeyColumns = [], checks = [], modules = [], dependencies = []] = result.recordsets || [];
+  const schemaFilter = schemas ? new Set(schemas.map(schema => schema.toLowerCase())) : null;
+  const included = (schema, name) => (!schemaFilter || schemaFilter.has(schema.toLowerCase())) && isObjectAccessible(entry.name, database, schema, name);
+  const warnings = [];
+
+  const snapshot = { database, tables: new Map(), modules: new Map(), warnings };
+  const tablesById = new Map();
+  for (const table of tables) {
+    if (!included(table.schema_name, table.name)) {
+      continue;
+    }
+    const tableColumns = columns.filter(column => column.object_id === table.object_id);
+    const hidden = tableColumns.filter(column => !isColumnAccessible(entry.name, database, table.schema_name, table.name, column.name));
+    if (hidden.length > 0) {
+      warnings.push(`${database || '(当前)'}.${table.schema_name}.${table.name} 有访问策略拒绝的列 (${hidden.map(column => column.name).join(', ')})，已跳过比较`);
+      continue;
+    }
+    const tableIndexColumns = indexColumns.filter(column => column.object_id === table.object_id);
+    const item = {
+      schema: table.schema_name,
+      name: table.name,
+      columns: tableColumns.map(describeCatalogColumn),
+      indexes: indexes.filter(index => index.object_id === table.object_id).map(index => describeCatalogIndex(index, tableIndexColumns)),
+      foreignKeys: foreignKeys.filter(fk => fk.parent_object_id === table.object_id).map(fk => describeCatalogForeignKey(fk, foreignKeyColumns)),
+      checkConstraints: checks.filter(check => check.parent_object_id === table.object_id).map(describeCatalogCheck)
+    };
+    tablesById.set(table.object_id, item);
+    snapshot.tables.set(snapshotKey(item.schema, item.name), item);
+  }
+
+  const modulesById = new Map();
+  for (const module of modules) {
+    if (!included(module.schema_name, module.name)) {
+      continue;
+    }
+    if (module.definition === null) {
+      warnings.push(`${database || '(当前)'}.${module.schema_name}.${module.name} 的定义已加密或没有权限读取，已跳过比较`);
+      continue;
+    }
+    const item = { ...module, key: snapshotKey(module.schema_name, module.name), dependsOn: [] };
+    modulesById.set(module.object_id, item);
+    snapshot.modules.set(item.key, item);
+  }
+  // 只记录模块之间的依赖，表总是在模块之前创建
+  for (const dependency of dependencies) {
+    const module = modulesById.get(dependency.referencing_id);
+    const referenced = modulesById.get(dependency.referenced_id);
+    if (module && referenced && referenced !== module) {
+      module.dependsOn.push(referenced.key);
+    }
+  }
+  return snapshot;
+}
+
+// 类型修改是否不会丢失数据：同一类型的长度或精度变大，或整数类型变宽
+function isWideningColumnChange(from, to) {
+  if (from.userType || to.userType) {
+    return false;
+  }
+  const baseType = (column) => column.type.toLowerCase().replace(/\(.*$/, "");
+  const fromType = baseType(from);
+  const toType = baseType(to);
+  if (fromType !== toType) {
+    const fromRank = INTEGER_TYPE_ORDER.indexOf(fromType);
+    return fromRank !== -1 && INTEGER_TYPE_ORDER.indexOf(toType) > fromRank;
+  }
+  if (from.length !== null && to.length !== null && to.length !== "max" && (from.length === "max" || to.length < from.length)) {
+    return false;
+  }
+  if (from.precision !== null && to.precision !== null && to.precision - (to.scale || 0) < from.precision - (from.scale || 0)) {
+    return false;
+  }
+  return from.scale === null || to.scale === null || to.scale >= from.scale;
+}
+
+// 按依赖关系排序模块（被依赖的在前），循环依赖的模块按原顺序追加到最后
+function orderModulesByDependency(modules, warnings) {
+  const pending = modules.slice().sort((a, b) =>
+    MODULE_TYPE_ORDER.indexOf(a.type) - MODULE_TYPE_ORDER.indexOf(b.type) || a.key.localeCompare(b.key));
+  const keys = new Set(pending.map(module => module.key));
+  const ordered = [];
+  const done = new Set();
+  while (pending.length > 0) {
+    const index = pending.findIndex(module => module.dependsOn.every(key => done.has(key) || !keys.has(key)));
+    if (index === -1) {
+      warnings.push(`模块之间存在循环依赖: ${pending.map(module => `${module.schema_name}.${module.name}`).join(', ')}，按类型顺序生成`);
+      ordered.push(...pending);
+      break;
+    }
+    const [module] = pending.splice(index, 1);
+    done.add(module.key);
+    ordered.push(module);
+  }
+  return ordered;
+}
+
+// 比较结构快照，返回变更列表和迁移语句；迁移方向为把 target 变更为与 source 一致
+function compareSchemaSnapshots(source, target, { includeModules = true } = {}) {
+  const changes = [];
+  const statements = [];
+  const warnings = [...source.warnings, ...target.warnings];
+  const record = (objectType, change, table, name, details = null, destructive = false) => {
+    changes.push({ objectType, change, table, name, details, destructive });
+  };
+  const emit = (phase, batches, description, destructive = false) => {
+    statements.push({ phase, batches: Array.isArray(batches) ? batches : [batches], description, destructive });
+  };
+  const quoteTable = (table) => `${quoteIdentifier(table.schema)}.${quoteIdentifier(table.name)}`;
+  const tableLabel = (table) => `${table.schema}.${table.name}`;
+
+  // 被删除或重建的主键和唯一约束、修改的列，引用它们的外键需要先删除再重新添加
+  const rebuiltKeys = new Set();
+  const alteredColumns = new Set();
+  const columnKey = (table, column) => `${snapshotKey(table.schema, table.name)}|${column.toLowerCase()}`;
+
+  for (const [key, table] of source.tables) {
+    if (target.tables.has(key)) {
+      continue;
+    }
+    const name = quoteTable(table);
+    record("table", "added", tableLabel(table), tableLabel(table));
+    emit(MIGRATION_PHASES.createTables, scriptTable({ ...table, foreignKeys: [] }, name), `创建表 ${tableLabel(table)}`);
+    for (const index of table.indexes.filter(index => !index.primaryKey && !index.uniqueConstraint)) {
+      const batches = scriptIndex(index, name, warnings);
+      if (batches.length > 0) {
+        emit(MIGRATION_PHASES.createIndexes, batches.join('\n'), `创建索引 ${tableLabel(table)}.${index.name}`);
+      }
+    }
+  }
+
+  for (const [key, table] of target.tables) {
+    if (source.tables.has(key)) {
+      continue;
+    }
+    const name = quoteTable(table);
+    record("table", "removed", tableLabel(table), tableLabel(table), null, true);
+    // 先删除表自身的外键，删除表的顺序就不受外键影响
+    for (const fk of table.foreignKeys) {
+      emit(MIGRATION_PHASES.dropForeignKeys, `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(fk.name)};`, `删除外键 ${tableLabel(table)}.${fk.name} (随表删除)`, true);
+    }
+    emit(MIGRATION_PHASES.dropTables, `DROP TABLE ${name};`, `删除表 ${tableLabel(table)}`, true);
+  }
+
+  const commonTables = Array.from(source.tables.keys()).filter(key => target.tables.has(key))
+    .map(key => ({ key, source: source.tables.get(key), target: target.tables.get(key) }));
+
+  // 列：新增、删除、类型/可空性/排序规则修改和默认约束
+  for (const { source: sourceTable, target: targetTable } of commonTables) {
+    const name = quoteTable(targetTable);
+    const label = tableLabel(targetTable);
+    const targetColumns = new Map(targetTable.columns.map(column => [column.name.toLowerCase(), column]));
+    const sourceColumns = new Map(sourceTable.columns.map(column => [column.name.toLowerCase(), column]));
+
+    for (const column of sourceTable.columns) {
+      const existing = targetColumns.get(column.name.toLowerCase());
+      if (!existing) {
+        record("column", "added", label, column.name, scriptColumnDefinition(column));
+        if (!column.nullable && !column.default && !column.identity && !column.computed) {
+          warnings.push(`新增的列 ${label}.${column.name} 不允许 NULL 且没有默认值，表中已有数据时会失败`);
+        }
+        emit(MIGRATION_PHASES.alterColumns, `ALTER TABLE ${name} ADD ${scriptColumnDefinition(column)};`, `添加列 ${label}.${column.name}`);
+        continue;
+      }
+
+      const dropDefault = existing.default ? `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(existing.default.name)};\n` : '';
+      const computedChanged = Boolean(column.computed) !== Boolean(existing.computed) ||
+        (column.computed && (normalizeDefinition(column.computed.definition) !== normalizeDefinition(existing.computed.definition) || column.computed.persisted !== existing.computed.persisted));
+      if (computedChanged) {
+        // 计算列不能用 ALTER COLUMN 修改，只能删除后重新添加；原来是普通列时会丢失数据
+        const destructive = !existing.computed;
+        alteredColumns.add(columnKey(targetTable, column.name));
+        record("column", "changed", label, column.name, `${scriptColumnDefinition(existing)} → ${scriptColumnDefinition(column)}`, destructive);
+        emit(MIGRATION_PHASES.alterColumns, `${dropDefault}ALTER TABLE ${name} DROP COLUMN ${quoteIdentifier(existing.name)};\nALTER TABLE ${name} ADD ${scriptColumnDefinition(column)};`,
+          `重建计算列 ${label}.${column.name}`, destructive);
+        continue;
+      }
+      if (column.computed) {
+        continue;
+      }
+
+      if (Boolean(column.identity) !== Boolean(existing.identity)) {
+        record("column", "changed", label, column.name, `标识列: ${existing.identity ? '是' : '否'} → ${column.identity ? '是' : '否'}`);
+        warnings.push(`${label}.${column.name} 的 IDENTITY 属性不同，需要手动重建表，脚本中未包含`);
+      }
+
+      const differences = [];
+      const typeChanged = scriptColumnType(column) !== scriptColumnType(existing);
+      if (typeChanged) {
+        differences.push(`${scriptColumnType(existing)} → ${scriptColumnType(column)}`);
+      }
+      if ((column.collation || null) !== (existing.collation || null)) {
+        differences.push(`排序规则 ${existing.collation || '(无)'} → ${column.collation || '(无)'}`);
+      }
+      if (column.nullable !== existing.nullable) {
+        differences.push(column.nullable ? 'NOT NULL → NULL' : 'NULL → NOT NULL');
+        if (!column.nullable) {
+          warnings.push(`${label}.${column.name} 改为 NOT NULL，已有 NULL 值时会失败`);
+        }
+      }
+      if (differences.length > 0) {
+        const destructive = typeChanged && !isWideningColumnChange(existing, column);
+        alteredColumns.add(columnKey(targetTable, column.name));
+        record("column", "changed", label, column.name, differences.join('，'), destructive);
+        const collation = column.collation && !column.userType ? ` COLLATE ${column.collation}` : '';
+        emit(MIGRATION_PHASES.alterColumns, `ALTER TABLE ${name} ALTER COLUMN ${quoteIdentifier(column.name)} ${scriptColumnType(column)}${collation} ${column.nullable ? 'NULL' : 'NOT NULL'};`,
+          `修改列 ${label}.${column.name}${destructive ? ' (可能截断数据)' : ''}`, destructive);
+      }
+
+      const sourceDefault = column.default ? normalizeDefinition(column.default.definition) : null;
+      const targetDefault = existing.default ? normalizeDefinition(existing.default.definition) : null;
+      if (sourceDefault !== targetDefault) {
+        record("constraint", existing.default ? (column.default ? "changed" : "removed") : "added", label, `DEFAULT ${column.name}`, `${targetDefault || '(无)'} → ${sourceDefault || '(无)'}`);
+        if (existing.default) {
+          emit(MIGRATION_PHASES.dropConstraints, `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(existing.default.name)};`, `删除默认约束 ${label}.${existing.default.name}`);
+        }
+        if (column.default) {
+          emit(MIGRATION_PHASES.addConstraints, `ALTER TABLE ${name} ADD CONSTRAINT ${quoteIdentifier(column.default.name)} DEFAULT ${column.default.definition} FOR ${quoteIdentifier(column.name)};`,
+            `添加默认约束 ${label}.${column.default.name}`);
+        }
+      }
+    }
+
+    for (const column of targetTable.columns) {
+      if (sourceColumns.has(column.name.toLowerCase())) {
+        continue;
+      }
+      const dropDefault = column.default ? `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(column.default.name)};\n` : '';
+      record("column", "removed", label, column.name, scriptColumnDefinition(column), true);
+      emit(MIGRATION_PHASES.alterColumns, `${dropDefault}ALTER TABLE ${name} DROP COLUMN ${quoteIdentifier(column.name)};`, `删除列 ${label}.${column.name}`, true);
+    }
+  }
+
+  // 主键、唯一约束和索引：系统命名的约束按列匹配，其余按名称匹配；包含被修改的列时重建
+  const indexKey = (index) => index.primaryKey ? "pk" :
+    index.systemNamed ? `uq:${index.keyColumns.map(column => column.name).join(',')}`.toLowerCase() : index.name.toLowerCase();
+  const indexSignature = (index) => JSON.stringify([
+    index.type, index.unique, index.primaryKey, index.uniqueConstraint,
+    index.keyColumns.map(column => `${column.name.toLowerCase()} ${column.descending ? 'DESC' : 'ASC'}`),
+    index.includedColumns.map(column => column.toLowerCase()).sort(),
+    normalizeDefinition(index.filter), index.disabled
+  ]);
+  const usesAlteredColumn = (table, names) => names.some(column => alteredColumns.has(columnKey(table, column)));
+  const indexColumnNames = (index) => index.keyColumns.map(column => column.name).concat(index.includedColumns);
+
+  for (const { source: sourceTable, target: targetTable } of commonTables) {
+    const name = quoteTable(targetTable);
+    const label = tableLabel(targetTable);
+    const sourceIndexes = new Map(sourceTable.indexes.map(index => [indexKey(index), index]));
+    const targetIndexes = new Map(targetTable.indexes.map(index => [indexKey(index), index]));
+    const recreate = new Set();
+
+    for (const [key, index] of targetIndexes) {
+      const match = sourceIndexes.get(key);
+      const changed = match && indexSignature(match) !== indexSignature(index);
+      const rebuild = match && !changed && usesAlteredColumn(targetTable, indexColumnNames(index));
+      if (match && !changed && !rebuild) {
+        continue;
+      }
+      const kind = index.primaryKey ? "主键" : index.uniqueConstraint ? "唯一约束" : "索引";
+      if (!match) {
+        record(index.primaryKey || index.uniqueConstraint ? "constraint" : "index", "removed", label, index.name);
+      } else if (changed) {
+        record(index.primaryKey || index.uniqueConstraint ? "constraint" : "index", "changed", label, match.name,
+          `${index.type} (${scriptIndexColumns(index)}) → ${match.type} (${scriptIndexColumns(match)})`);
+      }
+      if (match) {
+        recreate.add(key);
+      }
+      if (index.primaryKey || index.uniqueConstraint) {
+        rebuiltKeys.add(snapshotKey(targetTable.schema, targetTable.name));
+        emit(MIGRATION_PHASES.dropConstraints, `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(index.name)};`, `删除${kind} ${label}.${index.name}${rebuild ? ' (列修改后重建)' : ''}`);
+      } else {
+        emit(MIGRATION_PHASES.dropConstraints, `DROP INDEX ${quoteIdentifier(index.name)} ON ${name};`, `删除${kind} ${label}.${index.name}${rebuild ? ' (列修改后重建)' : ''}`);
+      }
+    }
+
+    for (const [key, index] of sourceIndexes) {
+      if (targetIndexes.has(key) && !recreate.has(key)) {
+        continue;
+      }
+      if (!targetIndexes.has(key)) {
+        record(index.primaryKey || index.uniqueConstraint ? "constraint" : "index", "added", label, index.name);
+      }
+      if (index.primaryKey || index.uniqueConstraint) {
+        emit(MIGRATION_PHASES.addConstraints, `ALTER TABLE ${name} ADD ${scriptKeyConstraint(index)};`, `添加${index.primaryKey ? '主键' : '唯一约束'} ${label}.${index.name}`);
+      } else {
+        const batches = scriptIndex(index, name, warnings);
+        if (batches.length > 0) {
+          emit(MIGRATION_PHASES.createIndexes, batches.join('\n'), `创建索引 ${label}.${index.name}`);
+        }
+      }
+    }
+
+    // 检查约束：系统命名的按定义匹配
+    const checkKey = (check) => check.systemNamed ? `ck:${normalizeDefinition(check.definition)}`.toLowerCase() : check.name.toLowerCase();
+    const checkReferencesAlteredColumn = (check) => targetTable.columns.some(column =>
+      alteredColumns.has(columnKey(targetTable, column.name)) && check.definition.toLowerCase().includes(`[${column.name.toLowerCase()}]`));
+    const sourceChecks = new Map(sourceTable.checkConstraints.map(check => [checkKey(check), check]));
+    const targetChecks = new Map(targetTable.checkConstraints.map(check => [checkKey(check), check]));
+    const recreateChecks = new Set();
+    for (const [key, check] of targetChecks) {
+      const match = sourceChecks.get(key);
+      const changed = match && (normalizeDefinition(match.definition) !== normalizeDefinition(check.definition) || match.disabled !== check.disabled);
+      const rebuild = match && !changed && checkReferencesAlteredColumn(check);
+      if (match && !changed && !rebuild) {
+        continue;
+      }
+      if (!match) {
+        record("constraint", "removed", label, check.name, check.definition);
+      } else if (changed) {
+        record("constraint", "changed", label, match.name, `${check.definition} → ${match.definition}`);
+      }
+      if (match) {
+        recreateChecks.add(key);
+      }
+      emit(MIGRATION_PHASES.dropConstraints, `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(check.name)};`, `删除检查约束 ${label}.${check.name}${rebuild ? ' (列修改后重建)' : ''}`);
+    }
+    for (const [key, check] of sourceChecks) {
+      if (targetChecks.has(key) && !recreateChecks.has(key)) {
+        continue;
+      }
+      if (!targetChecks.has(key)) {
+        record("constraint", "added", label, check.name, check.definition);
+      }
+      const batches = [`ALTER TABLE ${name} WITH CHECK ADD CONSTRAINT ${quoteIdentifier(check.name)} CHECK ${check.definition};`];
+      if (check.disabled) {
+        batches.push(`ALTER TABLE ${name} NOCHECK CONSTRAINT ${quoteIdentifier(check.name)};`);
+      }
+      emit(MIGRATION_PHASES.addConstraints, batches.join('\n'), `添加检查约束 ${label}.${check.name}`);
+    }
+  }
+
+  // 外键：新表的外键全部添加；已有的表按名称或（系统命名时）按列和引用的表匹配
+  const foreignKeyKey = (fk) => fk.systemNamed
+    ? `fk:${fk.columns.join(',')}>${snapshotKey(fk.referencedTable.schema, fk.referencedTable.name)}(${fk.referencedColumns.join(',')})`.toLowerCase()
+    : fk.name.toLowerCase();
+  const foreignKeySignature = (fk) => JSON.stringify([
+    fk.columns.map(column => column.toLowerCase()),
+    snapshotKey(fk.referencedTable.schema, fk.referencedTable.name),
+    fk.referencedColumns.map(column => column.toLowerCase()),
+    fk.onDelete, fk.onUpdate, fk.disabled
+  ]);
+  for (const [key, table] of source.tables) {
+    const existing = target.tables.get(key);
+    const label = tableLabel(table);
+    const name = quoteTable(table);
+    const targetForeignKeys = existing ? new Map(existing.foreignKeys.map(fk => [foreignKeyKey(fk), fk])) : new Map();
+    const sourceForeignKeys = new Map(table.foreignKeys.map(fk => [foreignKeyKey(fk), fk]));
+
+    for (const [fkKey, fk] of targetForeignKeys) {
+      const match = sourceForeignKeys.get(fkKey);
+      const changed = match && foreignKeySignature(match) !== foreignKeySignature(fk);
+      const rebuild = match && !changed && (rebuiltKeys.has(snapshotKey(fk.referencedTable.schema, fk.referencedTable.name)) ||
+        usesAlteredColumn(existing, fk.columns) ||
+        fk.referencedColumns.some(column => alteredColumns.has(`${snapshotKey(fk.referencedTable.schema, fk.referencedTable.name)}|${column.toLowerCase()}`)));
+      if (match && !changed && !rebuild) {
+        sourceForeignKeys.delete(fkKey);
+        continue;
+      }
+      if (!match) {
+        record("foreignKey", "removed", label, fk.name, `(${fk.columns.join(', ')}) → ${fk.referencedTable.schema}.${fk.referencedTable.name}`);
+      } else if (changed) {
+        record("foreignKey", "changed", label, match.name,
+          `(${fk.columns.join(', ')}) → ${fk.referencedTable.schema}.${fk.referencedTable.name} 改为 (${match.columns.join(', ')}) → ${match.referencedTable.schema}.${match.referencedTable.name}`);
+      }
+      emit(MIGRATION_PHASES.dropForeignKeys, `ALTER TABLE ${name} DROP CONSTRAINT ${quoteIdentifier(fk.name)};`, `删除外键 ${label}.${fk.name}${rebuild ? ' (引用的键或列修改后重建)' : ''}`);
+    }
+    for (const [fkKey, fk] of sourceForeignKeys) {
+      if (!targetForeignKeys.has(fkKey)) {
+        record("foreignKey", "added", label, fk.name, `(${fk.columns.join(', ')}) → ${fk.referencedTable.schema}.${fk.referencedTable.name}`);
+      }
+      if (!fk.trusted) {
+        warnings.push(`外键 ${label}.${fk.name} 在源数据库中不受信任，使用 WITH NOCHECK 添加`);
+      }
+      emit(MIGRATION_PHASES.addForeignKeys, scriptForeignKey(fk, name).join('\n'), `添加外键 ${label}.${fk.name}`);
+    }
+  }
+
+  // 模块：定义不同时使用 CREATE OR ALTER；删除的表上的触发器随表删除
+  if (includeModules) {
+    const created = [];
+    const dropped = [];
+    for (const [key, module] of source.modules) {
+      const existing = target.modules.get(key);
+      const label = `${module.schema_name}.${module.name}`;
+      const typeLabel = SCRIPT_OBJECT_TYPES[module.type].label;
+      if (!existing) {
+        record("module", "added", module.parent_name ? `${module.parent_schema}.${module.parent_name}` : null, label, typeLabel);
+        created.push({ module, createOrAlter: false, description: `创建${typeLabel} ${label}` });
+        continue;
+      }
+      if (existing.type !== module.type) {
+        record("module", "changed", null, label, `${SCRIPT_OBJECT_TYPES[existing.type].label} → ${typeLabel}`);
+        dropped.push({ module: existing, destructive: false, description: `删除${SCRIPT_OBJECT_TYPES[existing.type].label} ${label} (类型改变后重新创建)` });
+        created.push({ module, createOrAlter: false, description: `创建${typeLabel} ${label}` });
+        continue;
+      }
+      const settingsChanged = Boolean(module.uses_ansi_nulls) !== Boolean(existing.uses_ansi_nulls) || Boolean(module.uses_quoted_identifier) !== Boolean(existing.uses_quoted_identifier);
+      if (normalizeDefinition(module.definition) !== normalizeDefinition(existing.definition) || settingsChanged) {
+        record("module", "changed", module.parent_name ? `${module.parent_schema}.${module.parent_name}` : null, label, settingsChanged ? `${typeLabel}的定义或 SET 选项不同` : `${typeLabel}的定义不同`);
+        if (toCreateOrAlter(module.definition.trim()) === null) {
+          dropped.push({ module: existing, destructive: false, description: `删除${typeLabel} ${label} (定义不是以 CREATE 开头，重新创建)` });
+          created.push({ module, createOrAlter: false, description: `创建${typeLabel} ${label}` });
+        } else {
+          created.push({ module, createOrAlter: true, description: `修改${typeLabel} ${label}` });
+        }
+      } else if (module.type === "TR" && Boolean(module.is_disabled) !== Boolean(existing.is_disabled)) {
+        record("module", "changed", `${module.parent_schema}.${module.parent_name}`, label, module.is_disabled ? "启用 → 禁用" : "禁用 → 启用");
+        created.push({ module, state: true, description: `${module.is_disabled ? '禁用' : '启用'}触发器 ${label}` });
+      }
+    }
+    for (const [key, module] of target.modules) {
+      if (source.modules.has(key)) {
+        continue;
+      }
+      // 表被删除时触发器随表删除
+      if (module.type === "TR" && !source.tables.has(snapshotKey(module.parent_schema, module.parent_name)) && target.tables.has(snapshotKey(module.parent_schema, module.parent_name))) {
+        continue;
+      }
+      const typeLabel = SCRIPT_OBJECT_TYPES[module.type].label;
+      record("module", "removed", module.parent_name ? `${module.parent_schema}.${module.parent_name}` : null, `${module.schema_name}.${module.name}`, typeLabel, true);
+      dropped.push({ module, destructive: true, description: `删除${typeLabel} ${module.schema_name}.${module.name}` });
+    }
+
+    // 删除时先删除依赖其他模块的模块
+    const dropOrder = orderModulesByDependency(dropped.map(item => item.module), warnings).reverse();
+    for (const module of dropOrder) {
+      const item = dropped.find(candidate => candidate.module === module);
+      emit(MIGRATION_PHASES.dropModules, `DROP ${SCRIPT_OBJECT_TYPES[module.type].drop} IF EXISTS ${quoteIdentifier(module.schema_name)}.${quoteIdentifier(module.name)};`, item.description, item.destructive);
+    }
+    for (const module of orderModulesByDependency(created.map(item => item.module), warnings)) {
+      const item = created.find(candidate => candidate.module === module);
+      const name = `${quoteIdentifier(module.schema_name)}.${quoteIdentifier(module.name)}`;
+      const trigger = module.type === "TR" ? `${name} ON ${quoteIdentifier(module.parent_schema)}.${quoteIdentifier(module.parent_name)}` : null;
+      if (item.state) {
+        emit(MIGRATION_PHASES.modules, `${module.is_disabled ? 'DISABLE' : 'ENABLE'} TRIGGER ${trigger};`, item.description);
+        continue;
+      }
+      const batches = [scriptModuleSettings(module).join('\n'), scriptModuleDefinition(module, item.createOrAlter, warnings, `${module.schema_name}.${module.name}`)];
+      if (trigger && module.is_disabled) {
+        batches.push(`DISABLE TRIGGER ${trigger};`);
+      }
+      emit(MIGRATION_PHASES.modules, batches, item.description);
+    }
+  }
+
+  // 同一阶段内保持生成顺序
+  const ordered = statements.map((statement, index) => ({ statement, index }))
+    .sort((a, b) => a.statement.phase - b.statement.phase || a.index - b.index)
+    .map(item => item.statement);
+  return { changes, statements: ordered, warnings };
+}
+
+// 把迁移语句拼成脚本，每个阶段前加注释，语句之间用 GO 分隔
+function buildMigrationScript(statements, header) {
+  const lines = [header];
+  let phase = -1;
+  for (const statement of statements) {
+    if (statement.phase !== phase) {
+      phase = statement.phase;
+      lines.push('', `-- ===== ${phase + 1}. ${MIGRATION_PHASE_LABELS[phase]} =====`);
+    }
+    lines.push(`-- ${statement.destructive ? '⚠️ 破坏性变更: ' : ''}${statement.description}`);
+    for (const batch of statement.batches) {
+      lines.push(batch, 'GO');
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// 比较源和目标数据库的结构，生成把目标变更为与源一致的迁移脚本
+async function compareSchemas(options) {
+  const entries = {};
+  for (const side of ["source", "target"]) {
+    const connection = options[`${side}Connection`];
+    if (!await reconnectIfNeeded(connection)) {
+      throw notConnectedError(connection);
+    }
+    entries[side] = getConnection(connection);
+  }
+  const sourceDatabase = options.sourceDatabase || entries.source.config.database || null;
+  const targetDatabase = options.targetDatabase || entries.target.config.database || null;
+  if (entries.source === entries.target && (sourceDatabase || '').toLowerCase() === (targetDatabase || '').toLowerCase()) {
+    throw new Error(`源和目标是同一个数据库 (${entries.source.name}/${sourceDatabase || '当前数据库'})，请指定不同的 sourceDatabase、targetDatabase 或连接`);
+  }
+
+  const schemas = options.schemas && options.schemas.length > 0 ? options.schemas : null;
+  const source = await getSchemaSnapshot(entries.source, sourceDatabase, schemas);
+  const target = await getSchemaSnapshot(entries.target, targetDatabase, schemas);
+  const { changes, statements, warnings } = compareSchemaSnapshots(source, target, { includeModules: options.includeModules });
+
+  const summary = {};
+  for (const objectType of ["table", "column", "index", "constraint", "foreignKey", "module"]) {
+    const items = changes.filter(change => change.objectType === objectType);
+    summary[objectType] = {
+      added: items.filter(change => change.change === "added").length,
+      removed: items.filter(change => change.change === "removed").length,
+      changed: items.filter(change => change.change === "changed").length
+    };
+  }
+  // 表的“修改”按包含列、索引、约束或外键变更的已有表计算
+  const addedOrRemoved = new Set(changes.filter(change => change.objectType === "table").map(change => change.table.toLowerCase()));
+  summary.table.changed = new Set(changes.filter(change => !["table", "module"].includes(change.objectType) && !addedOrRemoved.has(change.table.toLowerCase()))
+    .map(change => change.table.toLowerCase())).size;
+
+  const describeSide = (entry, database) => `${entry.name}/${database || '当前数据库'}`;
+  const header = [
+    `-- 结构迁移: ${describeSide(entries.target, targetDatabase)} → 与 ${describeSide(entries.source, sourceDatabase)} 一致`,
+    `-- 生成时间: ${new Date().toISOString()}`
+  ];
+  const destructive = statements.filter(statement => statement.destructive);
+  const applied = options.includeDestructive ? statements : statements.filter(statement => !statement.destructive);
+  if (!options.includeDestructive && destructive.length > 0) {
+    header.push(`-- 未包含 ${destructive.length} 条破坏性变更，见 destructiveScript 或使用 includeDestructive: true`);
+  }
+  const useDatabase = options.includeUse && targetDatabase ? `\nUSE ${quoteIdentifier(targetDatabase)};\nGO` : '';
+
+  return {
+    source: { connection: entries.source.name, database: sourceDatabase },
+    target: { connection: entries.target.name, database: targetDatabase },
+    identical: changes.length === 0,
+    summary,
+    changes,
+    statements: applied.length,
+    destructiveStatements: destructive.length,
+    script: buildMigrationScript(applied, header.join('\n') + useDatabase),
+    destructiveScript: destructive.length > 0
+      ? buildMigrationScript(destructive, `-- ⚠️ 以下变更会删除对象或数据，请确认后执行（需要按阶段插入到迁移脚本的相应位置）${useDatabase}`)
+      : null,
+    warnings: Array.from(new Set(warnings))
+  };
+}
+
+// 版本化迁移 (migrate_status / migrate_up / migrate_down)：迁移目录中的 .sql 文件按版本号顺序执行，
+// 已执行的版本和文件校验和记录在连接当前数据库的 dbo.__mcp_migrations 表中
+// 文件名: <版本号>_<说明>.sql（或 .up.sql），回滚脚本: <版本号>_<说明>.down.sql；版本号为数字，如 0001 或 20240115093000
+const MIGRATION_TABLE = "[dbo].[__mcp_migrations]";
+const MIGRATION_FILE_PATTERN = /^(\d+)[_-](.+?)(?:\.(up|down))?\.sql$/i;
+// 应用锁：同一数据库同时只有一个会话执行迁移，锁随事务释放
+const MIGRATION_LOCK_TIMEOUT = 30000;
+
+// 按 GO 分隔批：GO 必须单独成行，可以带重复次数 (GO 3)；字符串和注释中的 GO 不分隔
+// 返回 [{ sql, line }]，line 为批在文件中的起始行号
+function splitSqlBatches(text) {
+  const goLines = new Set(tokenizeSql(text).filter(token => token.type === "word" && token.upper === "GO").map(token => token.line));
+  const batches = [];
+  let current = [];
+  let startLine = 1;
+  const push = (count) => {
+    const body = current.join("\n");
+    if (body.trim()) {
+      for (let k = 0; k < count; k++) {
+        batches.push({ sql: body, line: startLine });
+      }
+    }
+  };
+  text.split(/\r?\n/).forEach((line, index) => {
+    const match = /^\s*GO(?:\s+(\d+))?\s*(?:--.*)?$/i.exec(line);
+    if (match && goLines.has(index + 1)) {
+      push(match[1] ? Number(match[1]) : 1);
+      current = [];
+      startLine = index + 2;
+    } else {
+      if (current.length === 0 && !line.trim()) {
+        startLine = index + 2;
+        return;
+      }
+      current.push(line);
+    }
+  });
+  push(1);
+  return batches;
+}
+
+// 迁移目录：工具参数 > --migrations-dir 参数 / MSSQL_MIGRATIONS_DIR 环境变量 > 配置文件的 migrations.directory
+function resolveMigrationsDirectory(directory) {
+  const resolved = directory ? path.resolve(directory) : serverSettings.migrationsDirectory;
+  if (!resolved) {
+    throw new Error(`未指定迁移目录，请传入 directory 参数，或通过 --migrations-dir 参数、MSSQL_MIGRATIONS_DIR 环境变量、配置文件的 migrations.directory 指定`);
+  }
+  return resolved;
+}
+
+// 版本号按数值比较，0001 与 1 是同一个版本
+function normalizeMigrationVersion(version) {
+  if (!/^\d+$/.test(String(version))) {
+    throw new Error(`版本号无效: ${version}，应为数字`);
+  }
+  return String(version).replace(/^0+(?=\d)/, "");
+}
+
+function compareMigrationVersions(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+// 文件校验和：统一换行符后计算 SHA-256，Git 检出时的换行符转换不算作修改
+function computeMigrationChecksum(text) {
+  return crypto.createHash("sha256").update(text.replace(/\r\n?/g, "\n"), "utf8").digest("hex");
+}
+
+// 读取迁移文件（UTF-8，去掉 BOM）
+async function readMigrationText(directory, file) {
+  return (await fs.promises.readFile(path.join(directory, file), "utf8")).replace(/^\uFEFF/, "");
+}
+
+// 列出迁移目录中的文件，按版本排序；同一版本有多个文件时报错
+async function readMigrationFiles(directory) {
+  let files;
+  try {
+    files = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`迁移目录不存在: ${directory}`);
+    }
+    throw error;
+  }
+
+  const migrations = new Map();
+  const ignored = [];
+  for (const file of files.sort()) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      if (/\.sql$/i.test(file)) {
+        ignored.push(file);
+      }
+      continue;
+    }
+    const version = normalizeMigrationVersion(match[1]);
+    const migration = migrations.get(version) || { version, description: null, file: null, downFile: null, checksum: null };
+    if (match[3] && match[3].toLowerCase() === "down") {
+      if (migration.downFile) {
+        throw new Error(`版本 ${version} 有多个回滚脚本: ${migration.downFile}、${file}`);
+      }
+      migration.downFile = file;
+    } else {
+      if (migration.file) {
+        throw new Error(`版本 ${version} 有多个迁移文件: ${migration.file}、${file}`);
+      }
+      migration.file = file;
+      migration.description = match[2].replace(/[_-]+/g, " ").trim();
+    }
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.file) {
+      throw new Error(`回滚脚本 ${migration.downFile} 没有对应的迁移文件`);
+    }
+    migration.checksum = computeMigrationChecksum(await readMigrationText(directory, migration.file));
+  }
+  return {
+    migrations: Array.from(migrations.values()).sort((a, b) => compareMigrationVersions(a.version, b.version)),
+    ignored
+  };
+}
+
+// 读取已执行的迁移记录，表不存在时返回空列表
+async function getAppliedMigrations(entry) {
+  const result = await executeQuery(`
+    IF OBJECT_ID(N'dbo.__mcp_migrations', N'U') IS NOT NULL
+      SELECT version, description, script_name, checksum, applied_at, applied_by, execution_ms FROM ${MIGRATION_TABLE};
+  `, [], { connection: entry.name });
+  const rows = result.recordsets[0] || null;
+  return {
+    tableExists: Boolean(rows),
+    rows: (rows || []).sort((a, b) => compareMigrationVersions(a.version, b.version))
+  };
+}
+
+// 创建迁移记录表
+async function ensureMigrationTable(entry) {
+  await executeQuery(`
+    IF OBJECT_ID(N'dbo.__mcp_migrations', N'U') IS NULL
+    CREATE TABLE ${MIGRATION_TABLE} (
+      version nvarchar(50) NOT NULL CONSTRAINT [PK___mcp_migrations] PRIMARY KEY,
+      description nvarchar(200) NOT NULL,
+      script_name nvarchar(260) NOT NULL,
+      checksum char(64) NOT NULL,
+      applied_at datetime2(3) NOT NULL CONSTRAINT [DF___mcp_migrations_applied_at] DEFAULT SYSUTCDATETIME(),
+      applied_by nvarchar(128) NOT NULL CONSTRAINT [DF___mcp_migrations_applied_by] DEFAULT SUSER_SNAME(),
+      execution_ms int NOT NULL
+    );
+  `, [], { connection: entry.name });
+}
+
+// applied_at 为 UTC 时间 (SYSUTCDATETIME)
+function formatMigrationTime(value) {
+  return value instanceof Date ? value.toISOString() : value === null || value === undefined ? null : String(value);
+}
+
+// 对比迁移目录和记录表：已执行后被修改的文件 (drifted) 和低于已执行最高版本的未执行文件 (outOfOrder) 是错误，
+// 已执行但目录中没有文件的版本 (missing) 只给出警告
+async function getMigrationStatus(entry, directory) {
+  const { migrations, ignored } = await readMigrationFiles(directory);
+  const { tableExists, rows } = await getAppliedMigrations(entry);
+  const applied = new Map(rows.map(row => [normalizeMigrationVersion(row.version), row]));
+  const current = rows.length > 0 ? normalizeMigrationVersion(rows[rows.length - 1].version) : null;
+  const errors = [];
+  const warnings = [];
+  if (ignored.length > 0) {
+    warnings.push(`文件名不符合 <版本号>_<说明>.sql 格式，已忽略: ${ignored.join(', ')}`);
+  }
+
+  const items = [];
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    let state = "pending";
+    if (row) {
+      state = row.checksum.trim() === migration.checksum ? "applied" : "drifted";
+      if (state === "drifted") {
+        errors.push(`版本 ${migration.version} (${migration.file}) 执行后文件被修改: 记录的校验和 ${row.checksum.trim().slice(0, 12)}，当前文件 ${migration.checksum.slice(0, 12)}`);
+      }
+    } else if (current !== null && compareMigrationVersions(migration.version, current) < 0) {
+      state = "outOfOrder";
+      errors.push(`版本 ${migration.version} (${migration.file}) 尚未执行，但更高的版本 ${current} 已经执行，请为新迁移使用更大的版本号`);
+    }
+    items.push({
+      version: migration.version,
+      description: migration.description,
+      file: migration.file,
+      downFile: migration.downFile,
+      state,
+      checksum: migration.checksum,
+      appliedAt: row ? formatMigrationTime(row.applied_at) : null,
+      appliedBy: row ? row.applied_by : null,
+      executionMs: row ? row.execution_ms : null
+    });
+  }
+  for (const [version, row] of applied) {
+    if (!migrations.some(migration => migration.version === version)) {
+      warnings.push(`版本 ${version} (${row.script_name}) 已执行，但迁移目录中没有对应的文件`);
+      items.push({
+        version,
+        description: row.description,
+        file: row.script_name,
+        downFile: null,
+        state: "missing",
+        checksum: row.checksum.trim(),
+        appliedAt: formatMigrationTime(row.applied_at),
+        appliedBy: row.applied_by,
+        executionMs: row.execution_ms
+      });
+    }
+  }
+  items.sort((a, b) => compareMigrationVersions(a.version, b.version));
+
+  return {
+    connection: entry.name,
+    database: entry.config.database || null,
+    directory,
+    tableExists,
+    current,
+    pending: items.filter(item => item.state === "pending").length,
+    migrations: items,
+    errors,
+    warnings
+  };
+}
+
+// 读取并检查要执行的脚本：先对所有批做语句策略、访问策略和事务控制检查，有问题时不执行任何迁移
+async function prepareMigrationScripts(entry, directory, items, direction) {
+  const plans = [];
+  for (const item of items) {
+    const file = direction === "up" ? item.file : item.downFile;
+    const text = await readMigrationText(directory, file);
+    let batches;
+    try {
+      batches = splitSqlBatches(text);
+      for (const batch of batches) {
+        try {
+          checkStatementPolicy(entry, batch.sql);
+          await checkAccessPolicy(entry, batch.sql);
+          checkTransactionControl(batch.sql);
+        } catch (error) {
+          error.message = `第 ${batch.line} 行开始的批: ${error.message}`;
+          throw error;
+        }
+      }
+    } catch (error) {
+      error.message = `${file}: ${error.message}`;
+      throw error;
+    }
+    if (batches.length === 0) {
+      throw new Error(`${file} 中没有可执行的语句`);
+    }
+    plans.push({ item, file, batches, checksum: computeMigrationChecksum(text) });
+  }
+  return plans;
+}
+
+// 在一个事务中执行迁移脚本的所有批并更新记录表，失败时回滚整个文件
+async function runMigrationScript(entry, plan, direction) {
+  const startTime = Date.now();
+  const tx = await beginTransaction(entry.name, { idleTimeout: 0, label: `migrate_${direction} → ${plan.file}` });
+  const run = (statement, params = []) => executeQuery(statement, params, { transactionId: tx.id });
+  const version = [{ name: "version", type: "nvarchar(50)", value: plan.item.version }];
+
+  try {
+    const lock = await run(`DECLARE @result int;
+      EXEC @result = sp_getapplock @Resource = N'__mcp_migrations', @LockMode = N'Exclusive', @LockOwner = N'Transaction', @LockTimeout = ${MIGRATION_LOCK_TIMEOUT};
+      SELECT @result AS result;`);
+    if (!lock.recordset[0] || lock.recordset[0].result < 0) {
+      throw new Error(`等待迁移锁超过 ${MIGRATION_LOCK_TIMEOUT / 1000} 秒，可能有其他会话正在执行迁移`);
+    }
+    // 等待锁期间其他会话可能已经执行或回滚了同一个版本
+    const existing = await run(`SELECT COUNT(*) AS count FROM ${MIGRATION_TABLE} WHERE version = @version`, version);
+    if ((existing.recordset[0].count > 0) !== (direction === "down")) {
+      throw new Error(`版本 ${plan.item.version} 已由其他会话${direction === "up" ? '执行' : '回滚'}`);
+    }
+
+    for (const batch of plan.batches) {
+      try {
+        await run(batch.sql);
+      } catch (error) {
+        const line = error.lineNumber ? batch.line + error.lineNumber - 1 : batch.line;
+        error.message = `${plan.file} 第 ${line} 行: ${error.message}`;
+        throw error;
+      }
+    }
+
+    const executionMs = Date.now() - startTime;
+    if (direction === "up") {
+      await run(`INSERT INTO ${MIGRATION_TABLE} (version, description, script_name, checksum, execution_ms) VALUES (@version, @description, @script, @checksum, @ms)`, [
+        ...version,
+        { name: "description", type: "nvarchar(200)", value: plan.item.description.slice(0, 200) },
+        { name: "script", type: "nvarchar(260)", value: plan.file },
+        { name: "checksum", type: "char(64)", value: plan.checksum },
+        { name: "ms", type: "int", value: executionMs }
+      ]);
+    } else {
+      await run(`DELETE FROM ${MIGRATION_TABLE} WHERE version = @version`, version);
+    }
+    await endTransaction(tx, "commit", `migrate_${direction} ${plan.file} 完成，已提交`);
+    return executionMs;
+  } catch (error) {
+    if (transactions.get(tx.id) === tx) {
+      await endTransaction(tx, "rollback", `migrate_${direction} ${plan.file} 失败，已回滚: ${error.message}`).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+// 迁移状态有错误时拒绝执行
+function assertMigrationStatus(status) {
+  if (status.errors.length > 0) {
+    throw new Error(`迁移状态有 ${status.errors.length} 个错误，未执行任何迁移:\n${status.errors.map(error => `- ${error}`).join('\n')}`);
+  }
+}
+
+// 按版本顺序执行未执行的迁移，target 指定时只执行到该版本；某个文件失败时停止，之前的文件保持已提交
+async function migrateUp(options) {
+  if (!await reconnectIfNeeded(options.connection)) {
+    throw notConnectedError(options.connection);
+  }
+  const entry = getConnection(options.connection);
+  const directory = resolveMigrationsDirectory(options.directory);
+  const status = await getMigrationStatus(entry, directory);
+  assertMigrationStatus(status);
+
+  let pending = status.migrations.filter(item => item.state === "pending");
+  if (options.target !== undefined) {
+    const target = normalizeMigrationVersion(options.target);
+    if (!status.migrations.some(item => item.version === target)) {
+      throw new Error(`迁移目录中没有版本 ${target}`);
+    }
+    pending = pending.filter(item => compareMigrationVersions(item.version, target) <= 0);
+  }
+  if (options.count !== undefined) {
+    pending = pending.slice(0, options.count);
+  }
+
+  const plans = await prepareMigrationScripts(entry, directory, pending, "up");
+  const result = {
+    connection: entry.name,
+    database: entry.config.database || null,
+    directory,
+    dryRun: Boolean(options.dryRun),
+    migrations: plans.map(plan => ({ version: plan.item.version, file: plan.file, batches: plan.batches.length, executionMs: null })),
+    failure: null,
+    current: status.current,
+    pending: status.pending,
+    warnings: status.warnings
+  };
+  if (options.dryRun || plans.length === 0) {
+    return result;
+  }
+
+  await ensureMigrationTable(entry);
+  const applied = [];
+  for (const plan of plans) {
+    try {
+      const executionMs = await runMigrationScript(entry, plan, "up");
+      applied.push({ version: plan.item.version, file: plan.file, batches: plan.batches.length, executionMs });
+      result.current = plan.item.version;
+    } catch (error) {
+      result.failure = { version: plan.item.version, file: plan.file, error: describeToolError(error) };
+      break;
+    }
+  }
+  result.migrations = applied;
+  result.pending = status.pending - applied.length;
+  return result;
+}
+
+// 按版本从高到低回滚已执行的迁移：默认回滚最近的一个，steps 指定个数，target 指定回滚到哪个版本（不含该版本，0 表示全部）
+async function migrateDown(options) {
+  if (!await reconnectIfNeeded(options.connection)) {
+    throw notConnectedError(options.connection);
+  }
+  const entry = getConnection(options.connection);
+  const directory = resolveMigrationsDirectory(options.directory);
+  const status = await getMigrationStatus(entry, directory);
+
+  const applied = status.migrations.filter(item => item.state !== "pending" && item.state !== "outOfOrder").reverse();
+  let selected;
+  if (options.target !== undefined) {
+    const target = normalizeMigrationVersion(options.target);
+    if (target !== "0" && !applied.some(item => item.version === target)) {
+      throw new Error(`版本 ${target} 未执行，不能作为回滚目标`);
+    }
+    selected = applied.filter(item => compareMigrationVersions(item.version, target) > 0);
+  } else {
+    selected = applied.slice(0, options.steps);
+  }
+
+  for (const item of selected) {
+    if (item.state === "missing") {
+      throw new Error(`版本 ${item.version} (${item.file}) 的迁移文件不在目录中，无法回滚`);
+    }
+    if (item.state === "drifted") {
+      throw new Error(`版本 ${item.version} (${item.file}) 执行后文件被修改，回滚脚本可能与数据库状态不一致，请先恢复文件`);
+    }
+    if (!item.downFile) {
+      throw new Error(`版本 ${item.version} (${item.file}) 没有回滚脚本，请添加 ${item.file.replace(/(\.up)?\.sql$/i, '.down.sql')}`);
+    }
+  }
+
+  const plans = await prepareMigrationScripts(entry, directory, selected, "down");
+  const result = {
+    connection: entry.name,
+    database: entry.config.database || null,
+    directory,
+    dryRun: Boolean(options.dryRun),
+    migrations: plans.map(plan => ({ version: plan.item.version, file: plan.file, batches: plan.batches.length, executionMs: null })),
+    failure: null,
+    current: status.current,
+    pending: status.pending,
+    warnings: status.warnings
+  };
+  if (options.dryRun || plans.length === 0) {
+    return result;
+  }
+
+  const reverted = [];
+  for (const plan of plans) {
+    try {
+      const executionMs = await runMigrationScript(entry, plan, "down");
+      reverted.push({ version: plan.item.version, file: plan.file, batches: plan.batches.length, executionMs });
+    } catch (error) {
+      result.failure = { version: plan.item.version, file: plan.file, error: describeToolError(error) };
+      break;
+    }
+  }
+  const left = applied.slice(reverted.length);
+  result.migrations = reverted;
+  result.current = left.length > 0 ? left[0].version : null;
+  result.pending = status.pending + reverted.length;
+  return result;
+}
+
+// 执行计划：explain_query 在单独打开的连接上设置 SHOWPLAN_XML（估计计划，不执行语句）或 STATISTICS XML（实际计划，
+// 在事务中执行后回滚），用完即关闭该连接，会话选项不会遗留在连接池中
+const SHOWPLAN_COLUMN_PATTERN = /XML Showplan/i;
+// 实际行数与估计行数相差的倍数达到该值（且行数较多）时标记为估计偏差
+const PLAN_ROW_SKEW_RATIO = 10;
+const PLAN_ROW_SKEW_MIN_ROWS = 100;
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+// 去掉命名空间前缀
+function localXmlName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (whole, hex, dec, name) => {
+    if (hex) {
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    return dec ? String.fromCodePoint(parseInt(dec, 10)) : (XML_ENTITIES[name] ?? whole);
+  });
+}
+
+// 把 XML 文本解析为元素树 { name, attributes, children }，只保留元素和属性（执行计划的信息都在属性中）
+function parseXmlDocument(text) {
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1]) {
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== localXmlName(match[1])) {
+        throw new Error(`XML 格式无效: 结束标签 </${match[1]}> 与开始标签不匹配`);
+      }
+    } else if (match[2]) {
+      const element = { name: localXmlName(match[2]), attributes: {}, children: [] };
+      for (const attribute of match[3].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        element.attributes[localXmlName(attribute[1])] = decodeXmlEntities(attribute[2] ?? attribute[3]);
+      }
+      stack[stack.length - 1].children.push(element);
+      if (!match[4]) {
+        stack.push(element);
+      }
+    }
+  }
+  if (stack.length !== 1 || root.children.length !== 1) {
+    throw new Error("XML 格式无效: 元素未闭合或缺少根元素");
+  }
+  return root.children[0];
+}
+
+// 查找后代元素；stopAt 指定的元素本身会被检查，但不再向下查找（如子运算符的 RelOp）
+function findXmlElements(element, name, stopAt = null, found = []) {
+  for (const child of element.children) {
+    if (child.name === name) {
+      found.push(child);
+    }
+    if (child.name !== stopAt) {
+      findXmlElements(child, name, stopAt, found);
+    }
+  }
+  return found;
+}
+
+function childXmlElements(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+function toPlanNumber(value) {
+  return value === undefined || value === "" ? null : Number(value);
+}
+
+function isPlanFlag(value) {
+  return value === "true" || value === "1";
+}
+
+// 计划中的名称带方括号，如 [dbo]
+function unquotePlanName(name) {
+  return name.replace(/^\[([\s\S]*)\]$/, "$1").replace(/\]\]/g, "]");
+}
+
+function formatPlanColumn(reference) {
+  return [reference.attributes.Table, reference.attributes.Column].filter(Boolean).join(".");
+}
+
+// 把 <Warnings> 元素转换为 { type, message } 列表
+function describePlanWarnings(warnings) {
+  if (!warnings) {
+    return [];
+  }
+  const result = [];
+  if (isPlanFlag(warnings.attributes.NoJoinPredicate)) {
+    result.push({ type: "noJoinPredicate", message: "没有连接谓词，可能产生笛卡尔积" });
+  }
+  const spillLabels = { SortSpillDetails: "排序", HashSpillDetails: "哈希", ExchangeSpillDetails: "交换" };
+  for (const child of warnings.children) {
+    const attrs = child.attributes;
+    switch (child.name) {
+      case "PlanAffectingConvert":
+        result.push({ type: "implicitConversion", message: `隐式转换影响${attrs.ConvertIssue === "Seek Plan" ? "索引查找" : "基数估计"}: ${attrs.Expression}` });
+        break;
+      case "SpillToTempDb":
+        result.push({ type: "spill", message: `溢出到 tempdb (溢出级别 ${attrs.SpillLevel ?? '?'}${attrs.SpilledThreadCount ? `，${attrs.SpilledThreadCount} 个线程` : ''})` });
+        break;
+      case "SortSpillDetails":
+      case "HashSpillDetails":
+      case "ExchangeSpillDetails":
+        result.push({ type: "spill", message: `${spillLabels[child.name]}溢出: 写入 tempdb ${attrs.WritesToTempDb ?? 0} 页，读取 ${attrs.ReadsFromTempDb ?? 0} 页` });
+        break;
+      case "ColumnsWithNoStatistics":
+        result.push({ type: "noStatistics", message: `列没有统计信息: ${findXmlElements(child, "ColumnReference").map(formatPlanColumn).join(", ")}` });
+        break;
+      case "MemoryGrantWarning":
+        result.push({ type: "memoryGrant", message: `内存授予${attrs.GrantWarningKind ? ` (${attrs.GrantWarningKind})` : ''}: 请求 ${attrs.RequestedMemory} KB，授予 ${attrs.GrantedMemory} KB，最多使用 ${attrs.MaxUsedMemory} KB` });
+        break;
+      case "Wait":
+        result.push({ type: "wait", message: `等待 ${attrs.WaitType} ${attrs.WaitTime} ms` });
+        break;
+      default:
+        result.push({ type: "other", message: [child.name, ...Object.entries(attrs).map(([key, value]) => `${key}=${value}`)].join(" ") });
+    }
+  }
+  return result;
+}
+
+// 缺失索引建议：等值列在前、不等列在后作为键列，其余为包含列
+function describeMissingIndexes(queryPlan) {
+  const suggestions = [];
+  for (const group of childXmlElements(childXmlElements(queryPlan, "MissingIndexes")[0], "MissingIndexGroup")) {
+    for (const index of childXmlElements(group, "MissingIndex")) {
+      const columns = (usage) => childXmlElements(index, "ColumnGroup")
+        .filter(columnGroup => columnGroup.attributes.Usage === usage)
+        .flatMap(columnGroup => childXmlElements(columnGroup, "Column").map(column => column.attributes.Name));
+      const { Database: database, Schema: schema, Table: table } = index.attributes;
+      const equalityColumns = columns("EQUALITY");
+      const inequalityColumns = columns("INEQUALITY");
+      const includeColumns = columns("INCLUDE");
+      const keyColumns = [...equalityColumns, ...inequalityColumns];
+      const indexName = `IX_${[table, ...keyColumns].map(unquotePlanName).join("_")}`.slice(0, 128);
+      suggestions.push({
+        impact: toPlanNumber(group.attributes.Impact),
+        database: database ? unquotePlanName(database) : null,
+        schema: unquotePlanName(schema),
+        table: unquotePlanName(table),
+        equalityColumns: equalityColumns.map(unquotePlanName),
+        inequalityColumns: inequalityColumns.map(unquotePlanName),
+        includeColumns: includeColumns.map(unquotePlanName),
+        script: `CREATE NONCLUSTERED INDEX ${quoteIdentifier(indexName)}\nON ${[database, schema, table].filter(Boolean).join(".")} (${keyColumns.join(", ")})${includeColumns.length > 0 ? `\nINCLUDE (${includeColumns.join(", ")})` : ''};`
+      });
+    }
+  }
+  return suggestions;
+}
+
+// 按深度优先顺序展开运算符树；运算符自身的成本 = 子树成本 - 直接子运算符的子树成本
+function describePlanOperators(relOp, statementCost, operators = [], parentNodeId = null, depth = 0) {
+  const attrs = relOp.attributes;
+  const operator = {
+    nodeId: toPlanNumber(attrs.NodeId),
+    parentNodeId,
+    depth,
+    physicalOp: attrs.PhysicalOp,
+    logicalOp: attrs.LogicalOp || null,
+    object: null,
+    estimatedRows: toPlanNumber(attrs.EstimateRows),
+    estimatedExecutions: 1 + (toPlanNumber(attrs.EstimateRebinds) || 0) + (toPlanNumber(attrs.EstimateRewinds) || 0),
+    actualRows: null,
+    actualExecutions: null,
+    actualElapsedMs: null,
+    estimatedCost: 0,
+    subtreeCost: toPlanNumber(attrs.EstimatedTotalSubtreeCost) || 0,
+    costPercent: 0,
+    parallel: isPlanFlag(attrs.Parallel),
+    executionMode: attrs.EstimatedExecutionMode || null,
+    predicate: null,
+    misestimated: false,
+    warnings: describePlanWarnings(childXmlElements(relOp, "Warnings")[0])
+  };
+  operators.push(operator);
+
+  const object = findXmlElements(relOp, "Object", "RelOp")[0];
+  if (object) {
+    operator.object = [object.attributes.Database, object.attributes.Schema, object.attributes.Table, object.attributes.Index].filter(Boolean).join(".") || null;
+  }
+  const predicate = findXmlElements(relOp, "Predicate", "RelOp")[0];
+  const scalar = predicate ? findXmlElements(predicate, "ScalarOperator")[0] : null;
+  if (scalar && scalar.attributes.ScalarString) {
+    operator.predicate = scalar.attributes.ScalarString;
+  }
+
+  // 实际计划中每个线程一组计数器
+  const counters = childXmlElements(childXmlElements(relOp, "RunTimeInformation")[0], "RunTimeCountersPerThread");
+  if (counters.length > 0) {
+    operator.actualRows = counters.reduce((sum, counter) => sum + (toPlanNumber(counter.attributes.ActualRows) || 0), 0);
+    operator.actualExecutions = counters.reduce((sum, counter) => sum + (toPlanNumber(counter.attributes.ActualExecutions) || 0), 0);
+    const elapsed = counters.map(counter => toPlanNumber(counter.attributes.ActualElapsedms)).filter(value => value !== null);
+    operator.actualElapsedMs = elapsed.length > 0 ? Math.max(...elapsed) : null;
+    const estimated = (operator.estimatedRows || 0) * operator.estimatedExecutions;
+    const high = Math.max(estimated, operator.actualRows);
+    operator.misestimated = high >= PLAN_ROW_SKEW_MIN_ROWS && high / Math.max(Math.min(estimated, operator.actualRows), 1) >= PLAN_ROW_SKEW_RATIO;
+  }
+
+  let childCost = 0;
+  for (const child of findXmlElements(relOp, "RelOp", "RelOp")) {
+    const index = operators.length;
+    describePlanOperators(child, statementCost, operators, operator.nodeId, depth + 1);
+    childCost += operators[index].subtreeCost;
+  }
+  operator.estimatedCost = Math.max(0, Number((operator.subtreeCost - childCost).toPrecision(6)));
+  operator.costPercent = statementCost > 0 ? Math.round(operator.estimatedCost / statementCost * 1000) / 10 : 0;
+  return operators;
+}
+
+// 解析一个 ShowPlanXML 文档中带查询计划的语句（包括存储过程内部的语句）
+function describeShowPlan(xml) {
+  const statements = [];
+  for (const statement of findXmlElements(parseXmlDocument(xml), "StmtSimple")) {
+    const queryPlan = childXmlElements(statement, "QueryPlan")[0];
+    if (!queryPlan) {
+      continue;
+    }
+    const attrs = statement.attributes;
+    const statementCost = toPlanNumber(attrs.StatementSubTreeCost);
+    const timeStats = childXmlElements(queryPlan, "QueryTimeStats")[0];
+    const memoryGrant = childXmlElements(queryPlan, "MemoryGrantInfo")[0];
+    const rootOp = childXmlElements(queryPlan, "RelOp")[0];
+    statements.push({
+      type: attrs.StatementType || null,
+      text: (attrs.StatementText || "").trim(),
+      estimatedCost: statementCost,
+      estimatedRows: toPlanNumber(attrs.StatementEstRows),
+      degreeOfParallelism: toPlanNumber(queryPlan.attributes.DegreeOfParallelism),
+      compileTimeMs: toPlanNumber(queryPlan.attributes.CompileTime),
+      cpuTimeMs: timeStats ? toPlanNumber(timeStats.attributes.CpuTime) : null,
+      elapsedMs: timeStats ? toPlanNumber(timeStats.attributes.ElapsedTime) : null,
+      memoryGrantKb: memoryGrant ? toPlanNumber(memoryGrant.attributes.GrantedMemory) : null,
+      warnings: describePlanWarnings(childXmlElements(queryPlan, "Warnings")[0]),
+      missingIndexes: describeMissingIndexes(queryPlan),
+      operators: rootOp ? describePlanOperators(rootOp, statementCost || 0) : []
+    });
+  }
+  return statements;
+}
+
+// 获取查询的估计执行计划或实际执行计划
+// 估计计划不执行语句，只检查访问策略；实际计划会执行语句，另外检查语句类别，并在事务中执行后回滚
+async function explainQuery(sqlText, params = [], options = {}) {
+  if (!await reconnectIfNeeded(options.connection)) {
+    throw notConnectedError(options.connection);
+  }
+  const entry = getConnection(options.connection);
+  const actual = options.mode === "actual";
+  const startTime = Date.now();
+  let pool = null;
+  let transaction = null;
+  let result;
+
+  try {
+    if (actual) {
+      checkStatementPolicy(entry, sqlText);
+      checkTransactionControl(sqlText);
+    }
+    await checkAccessPolicy(entry, sqlText);
+    const inputs = prepareQueryParams(params);
+
+    // 单独的连接：SET SHOWPLAN_XML / STATISTICS XML 必须单独成批，并对同一会话之后的批生效
+    pool = await createPool({ ...entry.config, minPoolSize: 1, maxPoolSize: 1 });
+    pool.on("error", () => {});
+    let request;
+    if (actual) {
+      transaction = new sql.Transaction(pool);
+      await transaction.begin();
+      await transaction.request().batch("SET STATISTICS XML ON");
+      request = transaction.request();
+    } else {
+      await pool.request().batch("SET SHOWPLAN_XML ON");
+      request = pool.request();
+    }
+    for (const param of inputs) {
+      if (param.output) {
+        request.output(param.name, param.type, param.value);
+      } else {
+        request.input(param.name, param.type, param.value);
+      }
+    }
+    result = await collectResults(request, () => request.query(sqlText));
+  } catch (error) {
+    const queryTime = Date.now() - startTime;
+    recordQueryStats(entry, queryTime, false);
+    recordJournalEntry({ sqlText, params, entry, startTime, queryTime, error });
+    throw error;
+  } finally {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (pool) {
+      await pool.close().catch(() => {});
+    }
+  }
+
+  // 计划以单列 XML 结果集返回；实际计划模式下其他结果集是查询本身的结果
+  const planXml = [];
+  let resultSets = 0;
+  let rowCount = 0;
+  for (const recordset of result.recordsets) {
+    const names = Object.keys(recordset.columns);
+    if (names.length === 1 && SHOWPLAN_COLUMN_PATTERN.test(names[0])) {
+      planXml.push(...recordset.map(row => row[names[0]]));
+    } else {
+      resultSets++;
+      rowCount += recordset.length;
+    }
+  }
+
+  const queryTime = Date.now() - startTime;
+  recordQueryStats(entry, queryTime, true);
+  recordJournalEntry({ sqlText, params, entry, startTime, queryTime, result });
+  updateActivityTime(entry);
+
+  const statements = planXml.flatMap(xml => describeShowPlan(xml)).map((statement, index) => ({ index: index + 1, ...statement }));
+  return {
+    connection: entry.name,
+    mode: actual ? "actual" : "estimated",
+    executed: actual,
+    statements,
+    resultSets,
+    rowCount,
+    queryTime,
+    planXml: options.includeXml ? planXml : undefined
+  };
+}
+
+// 读取存储过程的参数定义（包括表值参数的列），按 database|schema|name 缓存 60 秒
+// 在事务中时通过事务的连接读取，避免被事务持有的架构锁阻塞
+async function getProcedureMetadata(entry, procedure, tx) {
+  const database = procedure.database || entry.config.database || null;
+  const key = `PROC|${database || ''}|${procedure.schema || ''}|${procedure.object}`.toUpperCase();
+  const cached = entry.objectMetadataCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < 60000) {
+    return cached;
+  }
+
+  const statement = `
+    DECLARE @id int = OBJECT_ID(@name);
+    SELECT o.type, SCHEMA_NAME(o.schema_id) AS schema_name, o.name FROM sys.all_objects o WHERE o.object_id = @id;
+    SELECT p.name, TYPE_NAME(p.system_type_id) AS system_type, t.name AS type_name, SCHEMA_NAME(t.schema_id) AS type_schema,
+           t.is_table_type, p.max_length, p.precision, p.scale, p.is_output
+    FROM sys.all_parameters p JOIN sys.types t ON t.user_type_id = p.user_type_id
+    WHERE p.object_id = @id AND p.parameter_id > 0
+    ORDER BY p.parameter_id;
+    SELECT p.name AS parameter_name, c.name, TYPE_NAME(c.system_type_id) AS system_type, c.max_length, c.precision, c.scale, c.is_nullable
+    FROM sys.all_parameters p
+    JOIN sys.table_types tt ON tt.user_type_id = p.user_type_id
+    JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+    WHERE p.object_id = @id
+    ORDER BY p.parameter_id, c.column_id;
+  `;
+  const name = procedure.schema ? `${quoteIdentifier(procedure.schema)}.${quoteIdentifier(procedure.object)}` : quoteIdentifier(procedure.object);
+  const load = async (request) => {
+    request.input('statement', sql.NVarChar(sql.MAX), statement);
+    request.input('name', sql.NVarChar(776), name);
+    const target = database ? `${quoteIdentifier(database)}.sys.sp_executesql` : "sys.sp_executesql";
+    return request.query(`EXEC ${target} @statement, N'@name nvarchar(776)', @name = @name`);
+  };
+  const result = tx ? await runInTransaction(tx, () => load(tx.transaction.request())) : await load(entry.pool.request());
+  const recordsets = result.recordsets || [];
+
+  const object = recordsets[0] && recordsets[0][0];
+  if (!object) {
+    throw new Error(`存储过程 ${procedure.quoted} 不存在，或当前登录没有查看其定义的权限`);
+  }
+  if (!["P", "PC", "X"].includes(object.type.trim())) {
+    throw new Error(`${procedure.quoted} 不是存储过程 (对象类型 ${object.type.trim()})`);
+  }
+
+  const tableColumns = recordsets[2] || [];
+  const metadata = {
+    name: `${object.schema_name}.${object.name}`,
+    parameters: (recordsets[1] || []).map(row => ({
+      name: row.name.replace(/^@/, ""),
+      output: Boolean(row.is_output),
+      tableType: row.is_table_type ? `${quoteIdentifier(row.type_schema)}.${quoteIdentifier(row.type_name)}` : null,
+      type: row.is_table_type ? "TVP" : formatSqlTypeDeclaration(row.system_type, row.max_length, row.precision, row.scale),
+      columns: row.is_table_type
+        ? tableColumns.filter(column => column.parameter_name === row.name).map(column => ({
+          name: column.name,
+          type: formatSqlTypeDeclaration(column.system_type, column.max_length, column.precision, column.scale),
+          nullable: Boolean(column.is_nullable)
+        }))
+        : null
+    })),
+    loadedAt: Date.now()
+  };
+  entry.objectMetadataCache.set(key, metadata);
+  return metadata;
+}
+
+// 按存储过程定义校验参数：拒绝不存在的参数和错误的 OUTPUT 声明，类型不一致时报错，未声明的类型自动填充
+function resolveProcedureParams(metadata, params) {
+  return params.map(param => {
+    const name = String(param.name || "").replace(/^@/, "");
+    const definition = metadata.parameters.find(item => item.name.toLowerCase() === name.toLowerCase());
+    if (!definition) {
+      throw new Error(`存储过程 ${metadata.name} 没有参数 @${name}，可用参数: ${metadata.parameters.map(item => `@${item.name}${item.output ? ' OUTPUT' : ''}`).join(', ') || '无'}`);
+    }
+    if (param.output && !definition.output) {
+      throw new Error(`参数 @${name} 在存储过程 ${metadata.name} 中不是 OUTPUT 参数`);
+    }
+
+    const resolved = { ...param, name: definition.name };
+    if (definition.tableType) {
+      if (param.type && param.type.trim().toUpperCase() !== "TVP") {
+        throw new Error(`参数 @${name} 声明为 ${param.type}，但存储过程定义为表值参数 ${definition.tableType}`);
+      }
+      resolved.type = "TVP";
+      resolved.table = param.table || { typeName: definition.tableType, columns: definition.columns };
+      return resolved;
+    }
+    if (param.type) {
+      let declared;
+      try {
+        declared = parseSqlType(param.type).name;
+      } catch (error) {
+        throw new Error(`参数 @${name} 的类型声明无效: ${error.message}`);
+      }
+      const actual = SQL_PARAM_TYPE_NAMES.get(definition.type.replace(/\(.*$/, "").toLowerCase());
+      if (actual && declared !== actual) {
+        throw new Error(`参数 @${name} 声明为 ${param.type}，但存储过程定义为 ${definition.type}`);
+      }
+    } else {
+      resolved.type = definition.type;
+    }
+    return resolved;
+  });
+}
+
+// 生成用于策略检查和查询日志的 EXEC 文本
+function formatProcedureCall(procedure, params) {
+  const args = params.map(param => {
+    const name = String(param.name).replace(/^@/, "");
+    return `@${name} = @${name}${param.output ? " OUTPUT" : ""}`;
+  });
+  return `EXEC ${procedure.quoted}${args.length > 0 ? ` ${args.join(", ")}` : ""}`;
+}
+
+// 执行前检查批处理引用的对象和列是否被访问策略允许，拒绝时抛出包含匹配规则的错误
+async function checkAccessPolicy(entry, sqlText) {
+  if (!accessPolicy) {
+    return;
+  }
+
+  let references;
+  try {
+    references = extractObjectReferences(sqlText);
+  } catch (error) {
+    throw new Error(`访问被拒绝: 无法解析SQL，${error.message}`);
+  }
+
+  const deny = (target, rule, detail) => {
+    throw new Error(`访问被拒绝（未发送到服务器）: ${detail || `引用了 ${formatObjectName(target)}`}。匹配${describeAccessRule(rule)}`);
+  };
+
+  if (references.dynamicSql.length > 0 && !accessPolicy.allowDynamicSql) {
+    const item = references.dynamicSql[0];
+    throw new Error(`访问被拒绝（未发送到服务器）: 第 ${item.line} 行 ${item.reason}，无法做对象级访问检查（策略未开启 allowDynamicSql）`);
+  }
+
+  // 未限定数据库的引用按连接的数据库检查；USE 切换的数据库会保留在连接池的连接上，影响之后的请求，因此不允许
+  if (references.useStatements.length > 0) {
+    const item = references.useStatements[0];
+    throw new Error(`访问被拒绝（未发送到服务器）: 第 ${item.line} 行 USE ${item.database}，启用访问策略时不能切换数据库，请使用三段式名称 (数据库.架构.对象) 或连接到该数据库`);
+  }
+
+  const connection = entry.name;
+  const defaultDatabase = entry.config.database || null;
+  // 未指定 schema 的名称先按登录在该数据库中的默认架构解析，找不到时再按 dbo 解析，两者都要检查
+  const targets = [];
+  for (const reference of references.objects) {
+    const database = reference.database || defaultDatabase;
+    const schemas = reference.schema ? [reference.schema] : Array.from(new Set([await getDefaultSchema(entry, database), "dbo"]));
+    for (const schema of schemas) {
+      targets.push({
+        connection,
+        database,
+        schema,
+        object: reference.object,
+        kind: reference.kind,
+        line: reference.line,
+        aliases: reference.aliases
+      });
+    }
+  }
+
+  // 检查视图和函数引用的底层对象和列（嵌套视图逐层展开）
+  const checkDependencies = async (target, via, depth, visited) => {
+    const metadata = await getObjectMetadata(entry, target.database, target.schema, target.object);
+    for (const dependency of metadata.dependencies) {
+      const dependencyTarget = { connection, ...dependency };
+      const result = evaluateAccess(dependencyTarget);
+      if (!result.allowed) {
+        deny(dependencyTarget, result.rule, `第 ${target.line} 行通过 ${via.join(' → ')} 引用了 ${formatObjectName(dependencyTarget)}`);
+      }
+      const key = formatObjectName({ ...dependencyTarget, column: undefined }).toUpperCase();
+      if (dependency.column === undefined && depth < 8 && !visited.has(key)) {
+        visited.add(key);
+        await checkDependencies({ ...dependencyTarget, line: target.line }, [...via, `${dependency.schema}.${dependency.object}`], depth + 1, visited);
+      }
+    }
+    return metadata;
+  };
+
+  // 对象引用（含视图展开）
+  const metadataByTarget = new Map();
+  for (const target of targets) {
+    const result = evaluateAccess(target);
+    if (!result.allowed) {
+      deny(target, result.rule, `第 ${target.line} 行引用了 ${formatObjectName(target)}`);
+    }
+    if (target.kind === "table") {
+      const metadata = await checkDependencies(target, [`${target.schema}.${target.object}`], 0, new Set());
+      metadataByTarget.set(target, metadata);
+    }
+  }
+
+  // 根据限定名找到列所属的对象，无法确定时（派生表、CTE 或未限定）检查批处理中所有的表
+  const tableTargets = targets.filter(target => target.kind === "table");
+  const candidatesFor = (qualifier) => {
+    if (qualifier) {
+      const matched = tableTargets.filter(target => target.aliases.includes(qualifier));
+      if (matched.length > 0) {
+        return matched;
+      }
+    }
+    return tableTargets;
+  };
+
+  for (const column of references.columns) {
+    for (const target of candidatesFor(column.qualifier)) {
+      if (!hasColumnRules(target)) {
+        continue;
+      }
+      const columnTarget = { ...target, column: column.column };
+      const result = evaluateAccess(columnTarget);
+      if (!result.allowed && result.rule && result.rule.column) {
+        deny(columnTarget, result.rule, `第 ${column.line} 行引用了列 ${formatObjectName(columnTarget)}`);
+      }
+    }
+  }
+
+  // SELECT * 按实际列展开后检查
+  for (const star of references.stars) {
+    for (const target of candidatesFor(star.qualifier)) {
+      if (!hasColumnRules(target)) {
+        continue;
+      }
+      const metadata = metadataByTarget.get(target);
+      for (const columnName of metadata.columns) {
+        const columnTarget = { ...target, column: columnName };
+        const result = evaluateAccess(columnTarget);
+        if (!result.allowed) {
+          deny(columnTarget, result.rule, `第 ${star.line} 行的 SELECT * 会展开到被拒绝的列 ${formatObjectName(columnTarget)}`);
+        }
+      }
+    }
+  }
+}
+
+// 认证方式：对应 tedious 的 authentication 配置块
+const AUTHENTICATION_TYPES = {
+  "default": "SQL Server 登录",
+  "ntlm": "Windows/NTLM 域认证",
+  "azure-active-directory-password": "Azure AD (Entra ID) 用户密码",
+  "azure-active-directory-access-token": "Azure AD (Entra ID) 访问令牌",
+  "azure-active-directory-service-principal-secret": "Azure AD (Entra ID) 服务主体密钥"
+};
+
+// 认证参数校验；user/password 未提供时回退到连接配置顶层的 user/password
+const authenticationSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("default"),
+    user: z.string().min(1).optional().describe("SQL登录用户名"),
+    password: z.string().min(1).optional().describe("SQL登录密码")
+  }).strict(),
+  z.object({
+    type: z.literal("ntlm"),
+    domain: z.string().min(1, "域名不能为空").describe("Windows 域名"),
+    user: z.string().min(1).optional().describe("域用户名 (不含域名)"),
+    password: z.string().min(1).optional().describe("域用户密码")
+  }).strict(),
+  z.object({
+    type: z.literal("azure-active-directory-password"),
+    user: z.string().min(1).optional().describe("Azure AD 用户名 (如 user@contoso.com)"),
+    password: z.string().min(1).optional().describe("Azure AD 用户密码"),
+    clientId: z.string().min(1, "clientId 不能为空").describe("应用程序(客户端) ID"),
+    tenantId: z.string().min(1).optional().describe("租户 ID (可选)")
+  }).strict(),
+  z.object({
+    type: z.literal("azure-active-directory-access-token"),
+    token: z.string().min(1, "访问令牌不能为空").describe("Azure AD 访问令牌")
+  }).strict(),
+  z.object({
+    type: z.literal("azure-active-directory-service-principal-secret"),
+    clientId: z.string().min(1, "clientId 不能为空").describe("服务主体的应用程序(客户端) ID"),
+    clientSecret: z.string().min(1, "clientSecret 不能为空").describe("服务主体客户端密钥"),
+    tenantId: z.string().min(1, "tenantId 不能为空").describe("租户 ID")
+  }).strict()
+]);
+
+// 将连接配置转换为 tedious 的 authentication 配置块，缺少凭据时抛出错误
+function resolveAuthentication(config) {
+  const authentication = config.authentication || { type: "default" };
+  const userName = authentication.user ?? config.user;
+  const password = authentication.password ?? config.password;
+  const label = AUTHENTICATION_TYPES[authentication.type];
+  
+  const requireParameters = (parameters) => {
+    const missing = Object.keys(parameters).filter(key => !parameters[key]);
+    if (missing.length > 0) {
+      throw new Error(`${label} 认证缺少参数: ${missing.join(', ')}`);
+    }
+  };
+  
+  switch (authentication.type) {
+    case "default":
+      requireParameters({ user: userName, password });
+      return { type: "default", options: { userName, password } };
+    case "ntlm":
+      requireParameters({ domain: authentication.domain, user: userName, password });
+      return { type: "ntlm", options: { domain: authentication.domain, userName, password } };
+    case "azure-active-directory-password":
+      requireParameters({ user: userName, password, clientId: authentication.clientId });
+      return {
+        type: "azure-active-directory-password",
+        options: { userName, password, clientId: authentication.clientId, tenantId: authentication.tenantId }
+      };
+    case "azure-active-directory-access-token":
+      requireParameters({ token: authentication.token });
+      return { type: "azure-active-directory-access-token", options: { token: authentication.token } };
+    case "azure-active-directory-service-principal-secret":
+      requireParameters({ clientId: authentication.clientId, clientSecret: authentication.clientSecret, tenantId: authentication.tenantId });
+      return {
+        type: "azure-active-directory-service-principal-secret",
+        options: { clientId: authentication.clientId, clientSecret: authentication.clientSecret, tenantId: authentication.tenantId }
+      };
+    default:
+      throw new Error(`不支持的认证方式: ${authentication.type}`);
+  }
+}
+
+// 描述连接使用的认证方式（不包含密码、令牌和密钥）
+function describeAuthentication(config) {
+  const authentication = config.authentication || { type: "default" };
+  const userName = authentication.user ?? config.user;
+  const label = AUTHENTICATION_TYPES[authentication.type] || authentication.type;
+  
+  switch (authentication.type) {
+    case "ntlm":
+      return `${label} (${authentication.domain}\\${userName || '-'})`;
+    case "azure-active-directory-password":
+      return `${label} (${userName || '-'})`;
+    case "azure-active-directory-access-token":
+      return label;
+    case "azure-active-directory-service-principal-secret":
+      return `${label} (clientId: ${authentication.clientId})`;
+    default:
+      return `${label} (${userName || '-'})`;
+  }
+}
+
+// 预定义连接：启动时从配置文件和 MSSQL_* 环境变量加载
+// 凭据只保存在服务器进程中，connect_database 通过名称引用，不会出现在工具参数和输出中
+const predefinedConnections = new Map();
+
+// 服务器级配置（来自配置文件）
+let serverSettings = {
+  configFile: null,
+  defaultConnection: null,
+  reconnect: null,
+  readOnly: false,
+  allowedStatements: null,
+  accessPolicy: null,
+  transactionIdleTimeout: null,
+  filesDirectory: path.join(os.homedir(), ".mcp-mssql", "files"),
+  allowExportInReadOnly: false,
+  migrationsDirectory: null
+};
+
+// 语句类别校验
+const statementClassSchema = z.enum(["select", "dml", "ddl", "exec", "admin"]);
+
+// 预定义连接配置校验
+const predefinedConnectionSchema = z.object({
+  connectionString: z.string().min(1).optional(),
+  server: z.string().min(1, "服务器地址不能为空").optional(),
+  database: z.string().min(1, "数据库名称不能为空").optional(),
+  instanceName: z.string().min(1).optional(),
+  user: z.string().optional(),
+  password: z.string().optional(),
+  authentication: authenticationSchema.optional(),
+  port: z.number().int().min(1).max(65535).optional(),
+  encrypt: z.boolean().optional(),
+  trustServerCertificate: z.boolean().optional(),
+  requestTimeout: z.number().min(1000).optional(),
+  connectionTimeout: z.number().min(1000).optional(),
+  maxPoolSize: z.number().min(1).max(100).optional(),
+  minPoolSize: z.number().min(0).optional(),
+  idleTimeout: z.number().min(1000).optional(),
+  applicationName: z.string().optional(),
+  readOnlyIntent: z.boolean().optional(),
+  multiSubnetFailover: z.boolean().optional(),
+  workstationId: z.string().optional(),
+  language: z.string().optional(),
+  reconnect: reconnectPolicySchema.optional(),
+  readOnly: z.boolean().optional(),
+  allowedStatements: z.array(statementClassSchema).optional()
+}).strict().refine(config => config.server || config.connectionString, {
+  message: "必须提供 server 或 connectionString"
+});
+
+// 配置文件校验
+const configFileSchema = z.object({
+  defaultConnection: z.string().min(1).optional(),
+  reconnect: reconnectPolicySchema.optional(),
+  readOnly: z.boolean().optional(),
+  allowedStatements: z.array(statementClassSchema).optional(),
+  accessPolicy: z.string().min(1).optional(),
+  transactionIdleTimeout: z.number().int().min(0).optional(),
+  history: z.object({
+    enabled: z.boolean().optional(),
+    directory: z.string().min(1).optional()
+  }).strict().optional(),
+  files: z.object({
+    directory: z.string().min(1).optional(),
+    allowExportInReadOnly: z.boolean().optional()
+  }).strict().optional(),
+  migrations: z.object({
+    directory: z.string().min(1).optional()
+  }).strict().optional(),
+  connections: z.record(predefinedConnectionSchema).optional().default({})
+}).strict();
+
+// MSSQL_* 环境变量到连接配置字段的映射
+const ENV_CONNECTION_FIELDS = {
+  MSSQL_CONNECTION_STRING: ["connectionString", "string"],
+  MSSQL_SERVER: ["server", "string"],
+  MSSQL_DATABASE: ["database", "string"],
+  MSSQL_USER: ["user", "string"],
+  MSSQL_PASSWORD: ["password", "string"],
+  MSSQL_PORT: ["port", "number"],
+  MSSQL_ENCRYPT: ["encrypt", "boolean"],
+  MSSQL_TRUST_SERVER_CERTIFICATE: ["trustServerCertificate", "boolean"],
+  MSSQL_REQUEST_TIMEOUT: ["requestTimeout", "number"],
+  MSSQL_CONNECTION_TIMEOUT: ["connectionTimeout", "number"],
+  MSSQL_MAX_POOL_SIZE: ["maxPoolSize", "number"],
+  MSSQL_MIN_POOL_SIZE: ["minPoolSize", "number"],
+  MSSQL_IDLE_TIMEOUT: ["idleTimeout", "number"]
+};
+
+// MSSQL_* 环境变量到认证参数的映射（MSSQL_AUTHENTICATION_TYPE 指定认证方式）
+const ENV_AUTHENTICATION_FIELDS = {
+  MSSQL_DOMAIN: "domain",
+  MSSQL_CLIENT_ID: "clientId",
+  MSSQL_CLIENT_SECRET: "clientSecret",
+  MSSQL_TENANT_ID: "tenantId",
+  MSSQL_ACCESS_TOKEN: "token"
+};
+
+// 读取命令行参数，支持 --name value 和 --name=value 两种写法
+function getCommandLineOption(argv, name) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}`) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`--${name}=`)) {
+      return argv[i].substring(name.length + 3);
+    }
+  }
+  return undefined;
+}
+
+// 展开配置值中的 ${ENV_VAR} 引用，便于把密码留在环境变量中
+function expandEnvReferences(value, env) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, varName) => {
+      if (env[varName] === undefined) {
+        throw new Error(`配置引用的环境变量 ${varName} 未设置`);
+      }
+      return env[varName];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => expandEnvReferences(item, env));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnvReferences(item, env)]));
+  }
+  return value;
+}
+
+// 格式化 zod 校验错误
+function formatZodError(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(根)'}: ${issue.message}`).join('; ');
+}
+
+// 读取 JSON 或 YAML 文件（按扩展名判断格式）
+function readStructuredFile(filePath, label) {
+  const resolvedPath = path.resolve(filePath);
+  let raw;
+  try {
+    raw = fs.readFileSync(resolvedPath, "utf8");
+  } catch (error) {
+    throw new Error(`无法读取${label} ${resolvedPath}: ${error.message}`);
+  }
+  
+  try {
+    return { resolvedPath, data: /\.ya?ml$/i.test(resolvedPath) ? YAML.parse(raw) : JSON.parse(raw) };
+  } catch (error) {
+    throw new Error(`${label} ${resolvedPath} 格式错误: ${error.message}`);
+  }
+}
+
+function loadConfigFile(configPath, env) {
+  const { resolvedPath, data } = readStructuredFile(configPath, "配置文件");
+  
+  const parsed = configFileSchema.safeParse(expandEnvReferences(data || {}, env));
+  if (!parsed.success) {
+    throw new Error(`配置文件 ${resolvedPath} 校验失败: ${formatZodError(parsed.error)}`);
+  }
+  
+  serverSettings.configFile = resolvedPath;
+  if (parsed.data.defaultConnection) {
+    serverSettings.defaultConnection = parsed.data.defaultConnection;
+  }
+  if (parsed.data.reconnect) {
+    serverSettings.reconnect = parsed.data.reconnect;
+  }
+  if (parsed.data.readOnly) {
+    serverSettings.readOnly = true;
+  }
+  if (parsed.data.allowedStatements) {
+    serverSettings.allowedStatements = parsed.data.allowedStatements;
+  }
+  if (parsed.data.accessPolicy) {
+    // 相对路径以配置文件所在目录为基准
+    serverSettings.accessPolicy = path.resolve(path.dirname(resolvedPath), parsed.data.accessPolicy);
+  }
+  if (parsed.data.transactionIdleTimeout !== undefined) {
+    serverSettings.transactionIdleTimeout = parsed.data.transactionIdleTimeout;
+  }
+  if (parsed.data.history) {
+    if (parsed.data.history.enabled !== undefined) {
+      queryJournal.enabled = parsed.data.history.enabled;
+    }
+    if (parsed.data.history.directory) {
+      queryJournal.directory = path.resolve(path.dirname(resolvedPath), parsed.data.history.directory);
+    }
+  }
+  if (parsed.data.files) {
+    if (parsed.data.files.directory) {
+      serverSettings.filesDirectory = path.resolve(path.dirname(resolvedPath), parsed.data.files.directory);
+    }
+    if (parsed.data.files.allowExportInReadOnly !== undefined) {
+      serverSettings.allowExportInReadOnly = parsed.data.files.allowExportInReadOnly;
+    }
+  }
+  if (parsed.data.migrations && parsed.data.migrations.directory) {
+    serverSettings.migrationsDirectory = path.resolve(path.dirname(resolvedPath), parsed.data.migrations.directory);
+  }
+  for (const [name, config] of Object.entries(parsed.data.connections)) {
+    predefinedConnections.set(name, createPredefinedConnection(name, "config", config));
+  }
+  return parsed.data;
+}
+
+// 创建预定义连接条目，连接字符串和认证配置在加载时即校验，错误在启动时暴露
+function createPredefinedConnection(name, source, rawConfig) {
+  let expanded;
+  try {
+    expanded = expandConnectionString(rawConfig);
+  } catch (error) {
+    throw new Error(`预定义连接 "${name}" 的连接字符串无效: ${error.message}`);
+  }
+  try {
+    resolveAuthentication(expanded.config);
+  } catch (error) {
+    throw new Error(`预定义连接 "${name}" 的认证配置无效: ${error.message}`);
+  }
+  return {
+    name: name,
+    source: source,
+    rawConfig: rawConfig,
+    config: expanded.config,
+    connectionStringFormat: expanded.format,
+    warnings: expanded.warnings
+  };
+}
+
+// 从 MSSQL_* 环境变量读取连接（MSSQL_CONNECTION_NAME 指定名称，默认 default）
+// 同名的配置文件连接会被环境变量中的字段覆盖
+function loadEnvConnection(env) {
+  const values = {};
+  for (const [envName, [field, type]] of Object.entries(ENV_CONNECTION_FIELDS)) {
+    const raw = env[envName];
+    if (raw === undefined || raw === "") {
+      continue;
+    }
+    if (type === "number") {
+      const number = Number(raw);
+      if (!Number.isFinite(number)) {
+        throw new Error(`环境变量 ${envName} 必须是数字: ${raw}`);
+      }
+      values[field] = number;
+    } else if (type === "boolean") {
+      if (!/^(true|false|1|0|yes|no)$/i.test(raw)) {
+        throw new Error(`环境变量 ${envName} 必须是布尔值 (true/false): ${raw}`);
+      }
+      values[field] = /^(true|1|yes)$/i.test(raw);
+    } else {
+      values[field] = raw;
+    }
+  }
+  
+  if (env.MSSQL_AUTHENTICATION_TYPE) {
+    values.authentication = { type: env.MSSQL_AUTHENTICATION_TYPE };
+    for (const [envName, field] of Object.entries(ENV_AUTHENTICATION_FIELDS)) {
+      if (env[envName]) {
+        values.authentication[field] = env[envName];
+      }
+    }
+  }
+  
+  if (Object.keys(values).length === 0) {
+    return null;
+  }
+  
+  const name = env.MSSQL_CONNECTION_NAME || serverSettings.defaultConnection || DEFAULT_CONNECTION_NAME;
+  const existing = predefinedConnections.get(name);
+  const parsed = predefinedConnectionSchema.safeParse({ ...(existing ? existing.rawConfig : {}), ...values });
+  if (!parsed.success) {
+    throw new Error(`MSSQL_* 环境变量配置的连接 "${name}" 校验失败: ${formatZodError(parsed.error)}`);
+  }
+  
+  predefinedConnections.set(name, createPredefinedConnection(name, existing ? "config+env" : "env", parsed.data));
+  return name;
+}
+
+// 加载服务器配置：配置文件路径来自 --config 参数或 MSSQL_CONFIG 环境变量
+function loadServerConfiguration(argv = process.argv.slice(2), env = process.env) {
+  const configPath = getCommandLineOption(argv, "config") || env.MSSQL_CONFIG;
+  if (configPath) {
+    loadConfigFile(configPath, env);
+  }
+  
+  // 只读模式：--read-only 参数或 MSSQL_READ_ONLY 环境变量，优先于配置文件
+  if (argv.includes("--read-only")) {
+    serverSettings.readOnly = true;
+  } else if (env.MSSQL_READ_ONLY !== undefined && env.MSSQL_READ_ONLY !== "") {
+    if (!/^(true|false|1|0|yes|no)$/i.test(env.MSSQL_READ_ONLY)) {
+      throw new Error(`环境变量 MSSQL_READ_ONLY 必须是布尔值 (true/false): ${env.MSSQL_READ_ONLY}`);
+    }
+    serverSettings.readOnly = /^(true|1|yes)$/i.test(env.MSSQL_READ_ONLY);
+  }
+  
+  // 访问策略文件：--policy 参数 > MSSQL_POLICY 环境变量 > 配置文件的 accessPolicy
+  const policyPath = getCommandLineOption(argv, "policy") || env.MSSQL_POLICY || serverSettings.accessPolicy;
+  if (policyPath) {
+    loadAccessPolicy(policyPath, env);
+  }
+  
+  // 查询日志目录：--history-dir 参数 > MSSQL_HISTORY_DIR 环境变量 > 配置文件；--no-history 关闭日志
+  const historyDir = getCommandLineOption(argv, "history-dir") || env.MSSQL_HISTORY_DIR;
+  if (historyDir) {
+    queryJournal.directory = path.resolve(historyDir);
+  }
+  if (argv.includes("--no-history")) {
+    queryJournal.enabled = false;
+  }
+  
+  // 文件目录（导出和导入的文件只能位于此目录内）：--files-dir 参数 > MSSQL_FILES_DIR 环境变量 > 配置文件
+  const filesDir = getCommandLineOption(argv, "files-dir") || env.MSSQL_FILES_DIR;
+  if (filesDir) {
+    serverSettings.filesDirectory = path.resolve(filesDir);
+  }
+  if (argv.includes("--allow-export-in-read-only")) {
+    serverSettings.allowExportInReadOnly = true;
+  }
+  
+  // 迁移目录：--migrations-dir 参数 > MSSQL_MIGRATIONS_DIR 环境变量 > 配置文件
+  const migrationsDir = getCommandLineOption(argv, "migrations-dir") || env.MSSQL_MIGRATIONS_DIR;
+  if (migrationsDir) {
+    serverSettings.migrationsDirectory = path.resolve(migrationsDir);
+  }
+  loadEnvConnection(env);
+  
+  if (serverSettings.defaultConnection && !predefinedConnections.has(serverSettings.defaultConnection)) {
+    throw new Error(`默认连接 "${serverSettings.defaultConnection}" 未在配置中定义`);
+  }
+}
+
+// 连接字符串解析：支持 ADO.NET、JDBC (jdbc:sqlserver://) 和 ODBC 三种格式
+// 关键字不区分大小写，忽略空格；未知关键字会报错而不是被静默丢弃
+const CONNECTION_STRING_KEYWORDS = {
+  server: "server",
+  datasource: "server",
+  address: "server",
+  addr: "server",
+  networkaddress: "server",
+  servername: "server",
+  portnumber: "port",
+  port: "port",
+  instancename: "instanceName",
+  database: "database",
+  initialcatalog: "database",
+  databasename: "database",
+  userid: "user",
+  uid: "user",
+  user: "user",
+  username: "user",
+  password: "password",
+  pwd: "password",
+  encrypt: "encrypt",
+  trustservercertificate: "trustServerCertificate",
+  connecttimeout: "connectionTimeout",
+  connectiontimeout: "connectionTimeout",
+  timeout: "connectionTimeout",
+  logintimeout: "connectionTimeout",
+  commandtimeout: "requestTimeout",
+  querytimeout: "requestTimeout",
+  applicationname: "applicationName",
+  app: "applicationName",
+  applicationintent: "applicationIntent",
+  multisubnetfailover: "multiSubnetFailover",
+  maxpoolsize: "maxPoolSize",
+  minpoolsize: "minPoolSize",
+  workstationid: "workstationId",
+  wsid: "workstationId",
+  currentlanguage: "language",
+  language: "language"
+};
+
+// 可识别但在本工具中不起作用的关键字，解析时给出警告
+const IGNORED_CONNECTION_STRING_KEYWORDS = {
+  driver: "ODBC 驱动由本工具内置的 tedious 驱动代替",
+  provider: "OLE DB 提供程序由本工具内置的 tedious 驱动代替",
+  pooling: "连接池始终启用，使用 maxPoolSize/minPoolSize 调整",
+  persistsecurityinfo: "凭据不会被回显，此选项无效",
+  multipleactiveresultsets: "不支持 MARS，每个请求使用独立连接",
+  mars_connection: "不支持 MARS，每个请求使用独立连接",
+  hostnameincertificate: "证书主机名校验使用服务器地址",
+  failoverpartner: "不支持数据库镜像故障转移伙伴",
+  packetsize: "使用驱动默认数据包大小",
+  loadbalancetimeout: "连接池空闲超时使用 idleTimeout 设置",
+  connectionlifetime: "连接池空闲超时使用 idleTimeout 设置",
+  connectretrycount: "重连由服务器的自动重连机制处理",
+  connectretryinterval: "重连由服务器的自动重连机制处理",
+  sendstringparametersasunicode: "字符串参数始终以 Unicode 发送",
+  selectmethod: "JDBC 游标模式不适用"
+};
+
+// 不支持、需要明确报错的关键字
+const UNSUPPORTED_CONNECTION_STRING_KEYWORDS = {
+  integratedsecurity: "不支持 Windows 集成身份验证 (Integrated Security)，请使用 authentication 参数的 ntlm 方式并提供域账号",
+  trusted_connection: "不支持 Windows 集成身份验证 (Trusted_Connection)，请使用 authentication 参数的 ntlm 方式并提供域账号",
+  authentication: "连接字符串中的 Authentication 关键字不受支持，请使用 authentication 参数指定认证方式",
+  attachdbfilename: "不支持附加数据库文件 (AttachDBFilename)",
+  userinstance: "不支持用户实例 (User Instance)",
+  contextconnection: "不支持上下文连接 (Context Connection)"
+};
+
+// 将连接字符串拆分为 [关键字, 值] 列表，支持 '...'、"..." 和 {...} 引号
+function splitConnectionString(text) {
+  const pairs = [];
+  let i = 0;
+  while (i < text.length) {
+    // 跳过分隔符和空白
+    while (i < text.length && /[;\s]/.test(text[i])) i++;
+    if (i >= text.length) break;
+    
+    const eq = text.indexOf("=", i);
+    const semicolon = text.indexOf(";", i);
+    if (eq === -1 || (semicolon !== -1 && semicolon < eq)) {
+      const fragment = text.substring(i, semicolon === -1 ? text.length : semicolon).trim();
+      throw new Error(`连接字符串片段缺少 "=": ${fragment}`);
+    }
+    const key = text.substring(i, eq).trim();
+    i = eq + 1;
+    while (i < text.length && text[i] === " ") i++;
+    
+    let value = "";
+    const quote = text[i];
+    if (quote === "'" || quote === '"' || quote === "{") {
+      const close = quote === "{" ? "}" : quote;
+      i++;
+      let closed = false;
+      while (i < text.length) {
+        if (text[i] === close) {
+          // 连续两个结束符表示转义
+          if (text[i + 1] === close) {
+            value += close;
+            i += 2;
+            continue;
+          }
+          closed = true;
+          i++;
+          break;
+        }
+        value += text[i++];
+      }
+      if (!closed) {
+        throw new Error(`连接字符串中 "${key}" 的值缺少结束引号 ${close}`);
+      }
+      while (i < text.length && text[i] === " ") i++;
+      if (i < text.length && text[i] !== ";") {
+        throw new Error(`连接字符串中 "${key}" 的引号值后存在多余字符`);
+      }
+    } else {
+      const end = text.indexOf(";", i);
+      value = text.substring(i, end === -1 ? text.length : end).trim();
+      i = end === -1 ? text.length : end;
+    }
+    pairs.push([key, value]);
+  }
+  return pairs;
+}
+
+// 解析连接字符串中的布尔值
+function parseConnectionStringBoolean(key, value) {
+  const normalized = value.trim().toLowerCase();
+  if (["true", "yes", "1", "sspi", "mandatory", "strict"].includes(normalized)) return true;
+  if (["false", "no", "0", "optional"].includes(normalized)) return false;
+  throw new Error(`连接字符串中 "${key}" 的值不是有效的布尔值: ${value}`);
+}
+
+// 解析连接字符串中的整数
+function parseConnectionStringInteger(key, value) {
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`连接字符串中 "${key}" 的值不是有效的整数: ${value}`);
+  }
+  return parseInt(value, 10);
+}
+
+// 解析 ADO.NET/ODBC 的服务器地址：[tcp:]host[\instance][,port]
+function parseServerAddress(value) {
+  let address = value.trim();
+  const protocol = address.match(/^([a-z]+):(.*)$/i);
+  if (protocol) {
+    if (protocol[1].toLowerCase() !== "tcp") {
+      throw new Error(`不支持的网络协议 "${protocol[1]}:"，仅支持 TCP 连接`);
+    }
+    address = protocol[2];
+  }
+  
+  const result = {};
+  const comma = address.lastIndexOf(",");
+  if (comma !== -1) {
+    result.port = parseConnectionStringInteger("Server", address.substring(comma + 1));
+    address = address.substring(0, comma);
+  }
+  
+  const backslash = address.indexOf("\\");
+  if (backslash !== -1) {
+    result.instanceName = address.substring(backslash + 1);
+    address = address.substring(0, backslash);
+  }
+  
+  if (/^\(localdb\)$/i.test(address)) {
+    throw new Error("不支持 LocalDB 实例，请使用 TCP 地址");
+  }
+  if (address === "." || /^\(local\)$/i.test(address)) {
+    address = "localhost";
+  }
+  if (!address) {
+    throw new Error(`无效的服务器地址: ${value}`);
+  }
+  result.server = address;
+  return result;
+}
+
+// 解析 JDBC URL 中的地址部分：host[\instance][:port]
+function parseJdbcAddress(value) {
+  const result = {};
+  let address = value;
+  const colon = address.lastIndexOf(":");
+  if (colon !== -1 && !address.startsWith("[")) {
+    result.port = parseConnectionStringInteger("port", address.substring(colon + 1));
+    address = address.substring(0, colon);
+  }
+  const backslash = address.indexOf("\\");
+  if (backslash !== -1) {
+    result.instanceName = address.substring(backslash + 1);
+    address = address.substring(0, backslash);
+  }
+  if (address) {
+    result.server = address;
+  }
+  return result;
+}
+
+// 识别连接字符串格式
+function detectConnectionStringFormat(text, pairs) {
+  if (/^jdbc:sqlserver:\/\//i.test(text)) return "JDBC";
+  if (pairs.some(([key]) => key.replace(/\s+/g, "").toLowerCase() === "driver")) return "ODBC";
+  return "ADO.NET";
+}
+
+// 解析连接字符串，返回 { format, config, warnings }
+function parseConnectionString(connectionString) {
+  let text = connectionString.trim();
+  let jdbcAddress = null;
+  
+  const jdbc = text.match(/^jdbc:sqlserver:\/\/([^;]*)(;.*)?$/i);
+  if (jdbc) {
+    jdbcAddress = jdbc[1];
+    text = jdbc[2] || "";
+  }
+  
+  const pairs = splitConnectionString(text);
+  const format = jdbc ? "JDBC" : detectConnectionStringFormat(text, pairs);
+  const config = jdbcAddress ? parseJdbcAddress(jdbcAddress) : {};
+  const warnings = [];
+  const unknownKeywords = [];
+  const unsupported = [];
+  
+  for (const [rawKey, value] of pairs) {
+    const key = rawKey.replace(/\s+/g, "").toLowerCase();
+    const field = CONNECTION_STRING_KEYWORDS[key];
+    
+    if (!field) {
+      if (IGNORED_CONNECTION_STRING_KEYWORDS[key]) {
+        warnings.push(`已忽略 "${rawKey}": ${IGNORED_CONNECTION_STRING_KEYWORDS[key]}`);
+      } else if (UNSUPPORTED_CONNECTION_STRING_KEYWORDS[key]) {
+        // 显式关闭的选项不影响连接
+        if (!/^(false|no|0)$/i.test(value.trim())) {
+          unsupported.push(UNSUPPORTED_CONNECTION_STRING_KEYWORDS[key]);
+        }
+      } else {
+        unknownKeywords.push(rawKey);
+      }
+      continue;
+    }
+    
+    switch (field) {
+      case "server":
+        if (format === "JDBC") {
+          Object.assign(config, parseJdbcAddress(value));
+        } else {
+          Object.assign(config, parseServerAddress(value));
+        }
+        break;
+      case "port":
+      case "maxPoolSize":
+      case "minPoolSize":
+        config[field] = parseConnectionStringInteger(rawKey, value);
+        break;
+      case "connectionTimeout":
+      case "requestTimeout":
+        // 连接字符串中的超时单位为秒
+        config[field] = parseConnectionStringInteger(rawKey, value) * 1000;
+        break;
+      case "encrypt":
+      case "trustServerCertificate":
+      case "multiSubnetFailover":
+        config[field] = parseConnectionStringBoolean(rawKey, value);
+        break;
+      case "applicationIntent":
+        if (!/^(readonly|readwrite)$/i.test(value.trim())) {
+          throw new Error(`连接字符串中 "${rawKey}" 只能是 ReadOnly 或 ReadWrite: ${value}`);
+        }
+        config.readOnlyIntent = /^readonly$/i.test(value.trim());
+        break;
+      default:
+        config[field] = value;
+    }
+  }
+  
+  if (unknownKeywords.length > 0) {
+    throw new Error(`${format} 连接字符串包含无法识别的关键字: ${unknownKeywords.join(', ')}`);
+  }
+  if (unsupported.length > 0) {
+    throw new Error(unsupported.join('; '));
+  }
+  if (!config.server) {
+    throw new Error(`${format} 连接字符串缺少服务器地址`);
+  }
+  
+  // 同时指定端口和实例名时直接连接端口，不再通过 SQL Browser 解析实例
+  if (config.port && config.instanceName) {
+    warnings.push(`同时指定了端口 ${config.port} 和实例名 ${config.instanceName}，将直接连接端口`);
+    delete config.instanceName;
+  }
+  
+  return { format, config, warnings };
+}
+
+// 展开配置中的 connectionString，显式字段优先于连接字符串中的值
+function expandConnectionString(config) {
+  if (!config.connectionString) {
+    return { config, format: null, warnings: [] };
+  }
+  const { connectionString, ...fields } = config;
+  const parsed = parseConnectionString(connectionString);
+  return {
+    config: { ...parsed.config, ...fields },
+    format: parsed.format,
+    warnings: parsed.warnings
+  };
+}
+
+// 计算 connect_database 实际使用的连接配置
+// 提供 server 时为临时连接；否则按名称使用预定义连接，其余参数作为覆盖项
+function resolveConnectConfig(name, params) {
+  const overrides = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+  
+  if (overrides.connectionString) {
+    const expanded = expandConnectionString(overrides);
+    resolveAuthentication(expanded.config);
+    return { config: expanded.config, source: "tool", connectionStringFormat: expanded.format, warnings: expanded.warnings };
+  }
+  
+  if (overrides.server) {
+    if (!overrides.database) {
+      throw new Error(`临时连接缺少参数: database`);
+    }
+    resolveAuthentication(overrides);
+    return { config: overrides, source: "tool", connectionStringFormat: null, warnings: [] };
+  }
+  
+  const predefined = predefinedConnections.get(name);
+  if (!predefined) {
+    const available = Array.from(predefinedConnections.keys());
+    throw new Error(`未提供 server 参数，且没有名为 "${name}" 的预定义连接（可用的预定义连接: ${available.join(', ') || '无'}）`);
+  }
+  const config = { ...predefined.config, ...overrides };
+  // 预定义连接的语句策略是上限，调用方只能进一步收紧
+  if (predefined.config.readOnly) {
+    config.readOnly = true;
+  }
+  if (predefined.config.allowedStatements) {
+    config.allowedStatements = predefined.config.allowedStatements.filter(item => !overrides.allowedStatements || overrides.allowedStatements.includes(item));
+  }
+  return {
+    config,
+    source: predefined.source,
+    connectionStringFormat: predefined.connectionStringFormat,
+    warnings: predefined.warnings
+  };
+}
+
+// 工具的结构化输出 (structuredContent)，文本内容保留为面向人的显示
+const serverMessageSchema = z.object({
+  message: z.string(),
+  number: z.number().nullable().describe("消息号，PRINT 为 0"),
+  severity: z.number().nullable().describe("严重级别"),
+  state: z.number().nullable(),
+  line: z.number().nullable().describe("消息所在的行号 (相对于批处理或存储过程)"),
+  procedure: z.string().nullable().describe("产生消息的存储过程")
+});
+
+const toolErrorSchema = z.object({
+  message: z.string().describe("错误信息"),
+  code: z.string().nullable().describe("驱动错误代码，如 ETIMEOUT、ELOGIN"),
+  number: z.number().nullable().describe("SQL Server 错误号"),
+  messages: z.array(serverMessageSchema).optional().describe("出错前收到的服务器消息 (PRINT 等)")
+});
+
+const columnMetadataSchema = z.object({
+  name: z.string().describe("列名"),
+  type: z.string().nullable().describe("SQL 类型，如 NVarChar(100)、Decimal(18,2)"),
+  nullable: z.boolean().describe("是否可空"),
+  length: z.union([z.number(), z.literal("max")]).nullable().describe("长度 (字节)"),
+  identity: z.boolean().describe("是否为标识列")
+});
+
+const resultSetSchema = z.object({
+  index: z.number().describe("结果集序号，从 1 开始"),
+  rowCount: z.number().describe("行数"),
+  rowsAffected: z.number().nullable().describe("产生该结果集的语句报告的影响行数，SET NOCOUNT ON 时为 null"),
+  columns: z.array(columnMetadataSchema).describe("列信息"),
+  rows: z.array(z.record(z.any())).describe("数据行：日期为 ISO 8601 字符串，二进制为 base64 字符串")
+});
+
+const cursorOutputSchema = z.object({
+  id: z.string().nullable().describe("游标ID，已读取完毕时为 null"),
+  offset: z.number().describe("本页第一行在所有结果集中的位置，从 0 开始"),
+  nextOffset: z.number().describe("下一页第一行的位置"),
+  hasMore: z.boolean().describe("是否还有未读取的行"),
+  skipped: z.number().describe("按 offset 跳过的行数"),
+  expiresAt: z.string().nullable().describe("游标过期时间")
+});
+
+const statisticsSchema = z.object({
+  io: z.array(z.object({
+    table: z.string(),
+    scanCount: z.number(),
+    logicalReads: z.number(),
+    physicalReads: z.number(),
+    readAheadReads: z.number(),
+    lobLogicalReads: z.number(),
+    lobPhysicalReads: z.number(),
+    lobReadAheadReads: z.number()
+  })).describe("SET STATISTICS IO ON 的输出，按表累加"),
+  time: z.object({
+    compileCpuMs: z.number(),
+    compileElapsedMs: z.number(),
+    executionCpuMs: z.number(),
+    executionElapsedMs: z.number()
+  }).nullable().describe("SET STATISTICS TIME ON 的输出，按消息累加")
+});
+
+const queryResultSchema = z.object({
+  connection: z.string().describe("执行的连接"),
+  transactionId: z.string().nullable().describe("所在的事务ID"),
+  rowsAffected: z.array(z.number()).describe("按语句顺序的影响行数"),
+  rowCount: z.number().describe("所有结果集的总行数"),
+  queryTime: z.number().describe("执行时间(毫秒)"),
+  resultSets: z.array(resultSetSchema).describe("所有结果集"),
+  messages: z.array(serverMessageSchema).describe("按收到顺序的服务器消息：PRINT、严重级别不超过 10 的 RAISERROR、STATISTICS IO/TIME 输出；分页时为上一页之后收到的消息"),
+  statistics: statisticsSchema.nullable().describe("STATISTICS IO/TIME 汇总，没有统计输出时为 null"),
+  cursor: cursorOutputSchema.optional().describe("分页游标 (指定 pageSize 时)，resultSets 只包含当前页")
+});
+
+const queryStatsSchema = z.object({
+  totalQueries: z.number(),
+  successfulQueries: z.number(),
+  failedQueries: z.number(),
+  averageQueryTime: z.number().describe("平均查询时间(毫秒)"),
+  lastQueryTime: z.string().nullable()
+});
+
+const statementPolicyOutputSchema = z.object({
+  readOnly: z.boolean().describe("是否只读"),
+  allowed: z.array(z.enum(Object.keys(STATEMENT_CLASSES))).describe("允许的语句类别")
+});
+
+const transactionOutputSchema = z.object({
+  id: z.string().describe("事务ID"),
+  state: z.enum(["open", "committed", "rolled-back"]).describe("事务状态"),
+  label: z.string().nullable(),
+  connection: z.string(),
+  isolationLevel: z.enum(Object.keys(ISOLATION_LEVELS)).describe("隔离级别"),
+  statements: z.number().describe("已执行的语句数"),
+  startedAt: z.string(),
+  lastActivityTime: z.string(),
+  idleTimeout: z.number().describe("空闲自动回滚的毫秒数，0 表示不自动回滚"),
+  savepoints: z.array(z.string()).describe("保存点")
+});
+
+const journalRecordSchema = z.object({
+  id: z.string(),
+  timestamp: z.string(),
+  connection: z.string().nullable(),
+  server: z.string().nullable(),
+  database: z.string().nullable(),
+  transactionId: z.string().nullable(),
+  statementType: z.string().describe("语句类型"),
+  sql: z.string().describe("SQL文本 (字符串常量已脱敏)"),
+  params: z.array(z.object({
+    name: z.string(),
+    type: z.string().nullable(),
+    value: z.string().describe("脱敏后的值，只保留类型和长度")
+  })),
+  durationMs: z.number(),
+  success: z.boolean(),
+  rowCount: z.number(),
+  rowsAffected: z.array(z.number()),
+  error: toolErrorSchema.nullable()
+});
+
+// 把错误转换为结构化输出
+function describeToolError(error) {
+  return {
+    message: error.message,
+    code: typeof error.code === "string" ? error.code : null,
+    number: typeof error.number === "number" ? error.number : null,
+    ...(error.messages && error.messages.length > 0 ? { messages: error.messages } : {})
+  };
+}
+
+// 单元格值转换为 JSON：二进制为 base64，与参数的写法一致
+function toJsonValue(value) {
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+// executeQuery 的结果转换为结构化输出
+function toStructuredQueryResult(result) {
+  return {
+    connection: result.connection,
+    transactionId: result.transactionId || null,
+    rowsAffected: result.rowsAffected,
+    rowCount: result.rowCount,
+    queryTime: result.queryTime,
+    messages: result.messages || [],
+    statistics: result.statistics || null,
+    resultSets: result.resultSets.map((set, index) => ({
+      ...set,
+      rows: result.recordsets[index].map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toJsonValue(value)])))
+    })),
+    ...(result.cursor ? { cursor: result.cursor } : {})
+  };
+}
+
+// 事务转换为结构化输出
+function toStructuredTransaction(tx, state = "open") {
+  return {
+    id: tx.id,
+    state,
+    label: tx.label || null,
+    connection: tx.connection,
+    isolationLevel: tx.isolationLevel,
+    statements: tx.statements,
+    startedAt: new Date(tx.startedAt).toISOString(),
+    lastActivityTime: new Date(tx.lastActivityTime).toISOString(),
+    idleTimeout: tx.idleTimeout,
+    savepoints: tx.savepoints.slice()
+  };
+}
+
+// 日志记录转换为结构化输出，补齐旧版本日志中缺少的字段
+function toStructuredJournalRecord(record) {
+  return {
+    id: String(record.id),
+    timestamp: record.timestamp,
+    connection: record.connection || null,
+    server: record.server || null,
+    database: record.database || null,
+    transactionId: record.transactionId || null,
+    statementType: record.statementType,
+    sql: record.sql,
+    params: (record.params || []).map(param => ({ name: param.name, type: param.type || null, value: String(param.value) })),
+    durationMs: record.durationMs || 0,
+    success: Boolean(record.success),
+    rowCount: record.rowCount || 0,
+    rowsAffected: record.rowsAffected || [],
+    error: record.error ? describeToolError(record.error) : null
+  };
+}
+
+function toStructuredQueryStats(stats) {
+  return {
+    totalQueries: stats.totalQueries,
+    successfulQueries: stats.successfulQueries,
+    failedQueries: stats.failedQueries,
+    averageQueryTime: Math.round(stats.averageQueryTime),
+    lastQueryTime: stats.lastQueryTime || null
+  };
+}
+
+// 注册工具1：连接数据库
+server.registerTool("connect_database", {
+  title: "连接MSSQL数据库",
+  description: "建立与MSSQL数据库的连接。可通过 name 为连接命名，同时保持多个数据库连接；只提供 name 时使用服务器配置中的预定义连接（无需传入凭据）",
+  inputSchema: {
+    name: z.string().min(1, "连接名称不能为空").optional().describe("连接名称/别名，同名连接会被替换。未提供 server 时表示预定义连接的名称 (默认为配置中的默认连接或 default)"),
+    connectionString: z.string().min(1, "连接字符串不能为空").optional().describe("连接字符串，支持 ADO.NET (Server=tcp:host,1433;Initial Catalog=...)、JDBC (jdbc:sqlserver://host:1433;databaseName=...) 和 ODBC (Driver={...};Server=...) 格式。与其他参数同时提供时，显式参数优先"),
+    server: z.string().min(1, "服务器地址不能为空").optional().describe("数据库服务器地址 (IP或域名)，使用预定义连接时省略"),
+    instanceName: z.string().min(1).optional().describe("命名实例名称 (可选，通过 SQL Browser 解析端口)"),
+    database: z.string().min(1, "数据库名称不能为空").optional().describe("要连接的数据库名称，使用预定义连接时可用于切换数据库"),
+    user: z.string().min(1, "用户名不能为空").optional().describe("数据库用户名，使用预定义连接时省略"),
+    password: z.string().min(1, "密码不能为空").optional().describe("数据库密码，使用预定义连接时省略"),
+    authentication: authenticationSchema.optional().describe("认证方式 (默认SQL登录)：default、ntlm (Windows域认证)、azure-active-directory-password、azure-active-directory-access-token、azure-active-directory-service-principal-secret。user/password 未在此提供时使用顶层参数"),
+    port: z.number().min(1).max(65535).optional().describe("数据库端口 (默认1433)"),
+    encrypt: z.boolean().optional().describe("是否启用加密连接 (默认启用)"),
+    trustServerCertificate: z.boolean().optional().describe("是否信任服务器证书 (默认否)"),
+    requestTimeout: z.number().min(1000).optional().describe("请求超时时间(毫秒，默认30000)"),
+    connectionTimeout: z.number().min(1000).optional().describe("连接超时时间(毫秒，默认30000)"),
+    maxPoolSize: z.number().min(1).max(100).optional().describe("连接池最大连接数 (默认10)"),
+    minPoolSize: z.number().min(0).optional().describe("连接池最小连接数 (默认1)"),
+    idleTimeout: z.number().min(1000).optional().describe("空闲连接超时时间(毫秒，默认600000)"),
+    applicationName: z.string().optional().describe("应用程序名称 (Application Name)"),
+    readOnlyIntent: z.boolean().optional().describe("是否以只读意图连接 (ApplicationIntent=ReadOnly，用于可用性组只读副本)"),
+    multiSubnetFailover: z.boolean().optional().describe("是否启用多子网故障转移 (MultiSubnetFailover)"),
+    readOnly: z.boolean().optional().describe("是否以只读模式使用此连接 (只允许查询语句)"),
+    allowedStatements: z.array(statementClassSchema).optional().describe("此连接允许的语句类别: select(查询)、dml(增删改)、ddl(结构变更)、exec(存储过程)、admin(管理操作)。只能在服务器策略的基础上进一步收紧"),
+    reconnect: reconnectPolicySchema.optional().describe("重连策略 (可选)：心跳间隔、空闲断开时间、重试次数、指数退避和熔断器设置，未提供的字段使用服务器配置或默认值")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否连接成功"),
+    connection: z.object({
+      name: z.string().describe("连接名称"),
+      source: z.string().describe("来源: tool 表示 connect_database 参数，其他为预定义连接的来源"),
+      server: z.string(),
+      port: z.number().nullable(),
+      instanceName: z.string().nullable(),
+      database: z.string().nullable().describe("数据库，null 表示登录默认数据库"),
+      authentication: z.string().describe("认证方式"),
+      encrypt: z.boolean(),
+      minPoolSize: z.number(),
+      maxPoolSize: z.number(),
+      idleTimeout: z.number().describe("连接池空闲超时(毫秒)"),
+      readOnlyIntent: z.boolean(),
+      multiSubnetFailover: z.boolean(),
+      connectionStringFormat: z.string().nullable(),
+      reconnectPolicy: z.record(z.number()).describe("生效的重连策略"),
+      statementPolicy: statementPolicyOutputSchema,
+      accessPolicy: z.string().describe("访问策略摘要")
+    }).optional(),
+    activeConnections: z.array(z.string()).optional().describe("当前所有连接"),
+    warnings: z.array(z.string()).optional().describe("连接字符串警告"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const { name: requestedName, ...connectParams } = params;
+    const name = requestedName || (connectParams.server || connectParams.connectionString ? DEFAULT_CONNECTION_NAME : serverSettings.defaultConnection || DEFAULT_CONNECTION_NAME);
+    const { config, source, connectionStringFormat, warnings } = resolveConnectConfig(name, connectParams);
+    const entry = await connectDatabase(config, name, source);
+    
+    let extraText = '';
+    if (connectionStringFormat) {
+      extraText += `\n- 连接字符串格式: ${connectionStringFormat}`;
+    }
+    if (config.readOnlyIntent) {
+      extraText += `\n- 应用意图: ReadOnly`;
+    }
+    if (config.multiSubnetFailover) {
+      extraText += `\n- 多子网故障转移: 启用`;
+    }
+    if (warnings.length > 0) {
+      extraText += `\n\n⚠️ 连接字符串警告:\n${warnings.map(warning => `- ${warning}`).join('\n')}`;
+    }
+    
+    const structuredContent = {
+      success: true,
+      connection: {
+        name,
+        source,
+        server: config.server,
+        port: config.instanceName ? null : config.port || 1433,
+        instanceName: config.instanceName || null,
+        database: config.database || null,
+        authentication: describeAuthentication(config),
+        encrypt: config.encrypt !== false,
+        minPoolSize: config.minPoolSize || 1,
+        maxPoolSize: config.maxPoolSize || 10,
+        idleTimeout: config.idleTimeout || 600000,
+        readOnlyIntent: Boolean(config.readOnlyIntent),
+        multiSubnetFailover: Boolean(config.multiSubnetFailover),
+        connectionStringFormat: connectionStringFormat || null,
+        reconnectPolicy: { ...entry.policy },
+        statementPolicy: entry.statementPolicy,
+        accessPolicy: describeAccessPolicy()
+      },
+      activeConnections: Array.from(connections.keys()),
+      warnings
+    };
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ 数据库连接成功！\n\n📊 连接信息:\n- 连接名称: ${name}${source === "tool" ? '' : ' (预定义连接)'}\n- 当前活动连接: ${Array.from(connections.keys()).join(', ')}\n- 服务器: ${config.server}${config.instanceName ? `\\${config.instanceName}` : `:${config.port || 1433}`}\n- 数据库: ${config.database || '(登录默认数据库)'}\n- 认证方式: ${describeAuthentication(config)}\n- 加密: ${config.encrypt !== false ? '启用' : '禁用'}\n- 连接池: ${config.minPoolSize || 1}-${config.maxPoolSize || 10}\n- 空闲超时: ${Math.round((config.idleTimeout || 600000)/60000)}分钟\n- 重连策略: ${describeReconnectPolicy(entry.policy)}\n- 语句策略: ${describeStatementPolicy(entry.statementPolicy)}\n- 访问策略: ${describeAccessPolicy()}${extraText}\n\n💡 提示:\n- ${entry.policy.idleDisconnectTimeout ? `连接将在${Math.round(entry.policy.idleDisconnectTimeout / 1000)}秒无活动后自动断开` : '连接不会因无活动自动断开'}\n- 连接断开时会按重连策略自动重连\n- 使用 execute_sql 工具执行SQL查询（通过 connection 参数指定连接，默认使用 ${name}）\n- 使用 batch_execute_sql 工具批量执行\n- 使用 disconnect_database 工具手动断开连接`
+        }
+      ],
+      structuredContent
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 连接失败: ${error.message}\n\n🔍 常见问题:\n- 检查服务器地址和端口是否正确\n- 确认用户名和密码是否正确\n- 检查网络连接和防火墙设置\n- 确认SQL Server服务是否运行`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具2：执行SQL查询
+server.registerTool("execute_sql", {
+  title: "执行SQL查询",
+  description: "在已连接的数据库中执行SQL查询",
+  inputSchema: {
+    sql: z.string().min(1, "SQL语句不能为空").describe("要执行的SQL语句"),
+    params: z.array(sqlParamSchema).optional().default([]).describe("SQL参数 (可选)"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    transactionId: z.string().optional().describe("事务ID (可选，由 begin_transaction 返回，在该事务中执行)"),
+    pageSize: z.number().int().min(1).max(MAX_CURSOR_PAGE_SIZE).optional().describe(`分页大小 (可选，1-${MAX_CURSOR_PAGE_SIZE})，指定时只返回第一页和游标ID，使用 fetch_rows 读取后续页；不能与 transactionId 同时使用`),
+    cursorTtl: z.number().int().min(1000).optional().describe(`游标过期时间(毫秒，可选，默认 ${DEFAULT_CURSOR_TTL})，超过该时间未读取时取消查询并关闭游标`)
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否执行成功"),
+    result: queryResultSchema.optional().describe("执行结果"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const result = await executeQuery(params.sql, params.params, { connection: params.connection, transactionId: params.transactionId, pageSize: params.pageSize, cursorTtl: params.cursorTtl });
+    
+    let displayText;
+    if (result.cursor) {
+      displayText = `✅ SQL执行成功！\n\n📊 执行结果 (第一页):\n- 连接: ${result.connection}\n- 本页行数: ${result.rowCount} (每页 ${params.pageSize} 行)\n- 执行时间: ${result.queryTime}ms\n\n`;
+      displayText += result.resultSets.length > 0 ? formatResultSets(result, params.pageSize) : `📝 查询完成，无返回数据\n`;
+      displayText += formatServerMessages(result);
+      displayText += `\n${formatCursorStatus(result.cursor)}`;
+    } else {
+      displayText = `✅ SQL执行成功！\n\n📊 执行结果:\n- 连接: ${result.connection}\n${result.transactionId ? `- 事务: ${result.transactionId} (尚未提交)\n` : ''}- 影响行数 (按语句): ${result.rowsAffected.join(', ') || '无'}\n- 结果集: ${result.resultSets.length} 个\n- 返回行数: ${result.rowCount}\n- 执行时间: ${result.queryTime}ms\n\n`;
+      
+      if (result.resultSets.length > 0) {
+        displayText += formatResultSets(result);
+      } else {
+        displayText += `📝 查询完成，无返回数据\n`;
+      }
+      displayText += formatServerMessages(result);
+    }
+    
+    displayText += `\n💡 提示:\n- 连接活动时间已更新\n- 如需断开连接，使用 disconnect_database 工具`;
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
+        }
+      ],
+      structuredContent: { success: true, result: toStructuredQueryResult(result) }
+    };
+  } catch (error) {
+    const messages = formatServerMessages(error);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ SQL执行失败: ${error.message}\n\n${messages ? `${messages}\n` : ''}🔍 可能的原因:\n- SQL语法错误\n- 表或字段不存在\n- 权限不足\n- 连接已断开\n\n💡 建议:\n- 检查SQL语句语法\n- 确认表结构和字段名\n- 检查用户权限\n- 重新连接数据库`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具3：断开数据库连接
+server.registerTool("disconnect_database", {
+  title: "断开数据库连接",
+  description: "手动断开与MSSQL数据库的连接，可指定连接名称或断开全部连接",
+  inputSchema: {
+    connection: z.string().optional().describe("要断开的连接名称 (可选，默认使用最近建立的连接)"),
+    all: z.boolean().optional().default(false).describe("是否断开所有连接")
+  },
+  outputSchema: {
+    success: z.boolean().describe("操作是否成功 (没有可断开的连接时也为 true)"),
+    disconnected: z.array(z.string()).optional().describe("本次断开的连接"),
+    remaining: z.array(z.string()).optional().describe("剩余连接"),
+    stats: queryStatsSchema.optional().describe("断开的连接的查询统计 (断开全部时为本次会话的汇总统计)"),
+    message: z.string().optional().describe("没有可断开的连接时的说明"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    if (params.all) {
+      const names = await disconnectAllDatabases();
+      if (names.length > 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `🔌 已断开所有数据库连接: ${names.join(', ')}\n\n📊 本次会话统计:\n- 总查询次数: ${connectionStats.totalQueries}\n- 成功查询: ${connectionStats.successfulQueries}\n- 失败查询: ${connectionStats.failedQueries}\n- 平均查询时间: ${Math.round(connectionStats.averageQueryTime)}ms\n\n💡 提示:\n- 如需重新连接，使用 connect_database 工具\n- 连接信息已清除`
+            }
+          ],
+          structuredContent: { success: true, disconnected: names, remaining: Array.from(connections.keys()), stats: toStructuredQueryStats(connectionStats) }
+        };
+      }
+    }
+    
+    const entry = params.all ? null : getConnection(params.connection);
+    const disconnected = entry ? await disconnectDatabase(entry.name) : false;
+    
+    if (disconnected) {
+      return {
+        content: [
+          { 
+            type: "text", 
+            text: `🔌 数据库连接 "${entry.name}" 已断开\n\n📊 该连接统计:\n- 总查询次数: ${entry.stats.totalQueries}\n- 成功查询: ${entry.stats.successfulQueries}\n- 失败查询: ${entry.stats.failedQueries}\n- 平均查询时间: ${Math.round(entry.stats.averageQueryTime)}ms\n\n💡 提示:\n- 剩余连接: ${Array.from(connections.keys()).join(', ') || '无'}\n- 如需重新连接，使用 connect_database 工具\n- 连接信息已清除`
+          }
+        ],
+        structuredContent: { success: true, disconnected: [entry.name], remaining: Array.from(connections.keys()), stats: toStructuredQueryStats(entry.stats) }
+      };
+    } else {
+      return {
+        content: [
+          { 
+            type: "text", 
+            text: `ℹ️ ${params.connection ? `连接 "${params.connection}" 不存在` : '当前没有活跃的数据库连接'}\n\n💡 提示:\n- 使用 connect_database 工具建立新连接`
+          }
+        ],
+        structuredContent: {
+          success: true,
+          disconnected: [],
+          remaining: Array.from(connections.keys()),
+          message: params.connection ? `连接 "${params.connection}" 不存在` : '当前没有活跃的数据库连接'
+        }
+      };
+    }
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 断开连接失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具4：批量执行SQL
+server.registerTool("batch_execute_sql", {
+  title: "批量执行SQL",
+  description: "批量执行多个SQL语句，返回每个SQL的执行结果",
+  inputSchema: {
+    sqlList: z.array(z.object({
+      id: z.string().optional().describe("SQL语句标识（可选）"),
+      sql: z.string().min(1, "SQL语句不能为空").describe("要执行的SQL语句"),
+      params: z.array(sqlParamSchema).optional().default([]).describe("SQL参数 (可选)"),
+      savepoint: z.boolean().optional().default(false).describe("原子模式下在执行前创建保存点：该语句失败且 stopOnError 为 false 时只回滚该语句并继续执行")
+    })).min(1, "至少需要一条SQL语句").describe("SQL语句列表"),
+    stopOnError: z.boolean().optional().default(false).describe("遇到错误时是否停止执行后续SQL"),
+    atomic: z.boolean().optional().default(false).describe("原子模式：所有语句在同一事务中串行执行，遇到错误（未设置保存点的语句）时全部回滚，全部成功才提交"),
+    isolationLevel: z.enum(Object.keys(ISOLATION_LEVELS)).optional().describe("原子模式使用的事务隔离级别 (默认 READ_COMMITTED)"),
+    parallel: z.boolean().optional().default(false).describe("是否并行执行（注意：某些SQL可能不支持并行；在事务中总是串行执行）"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    transactionId: z.string().optional().describe("事务ID (可选，由 begin_transaction 返回，所有语句在该事务中执行)")
+  },
+  outputSchema: {
+    success: z.boolean().describe("批处理是否完成 (单条语句失败时仍为 true，见 failed 和 results)"),
+    connection: z.string().optional(),
+    mode: z.enum(["serial", "parallel", "atomic"]).optional().describe("执行模式"),
+    stopOnError: z.boolean().optional(),
+    total: z.number().optional().describe("SQL数量"),
+    succeeded: z.number().optional(),
+    failed: z.number().optional(),
+    notExecuted: z.number().optional().describe("因遇错停止或原子模式回滚而未执行的数量"),
+    totalTime: z.number().optional().describe("总执行时间(毫秒)"),
+    atomic: z.object({
+      committed: z.boolean(),
+      rolledBack: z.boolean().describe("是否已回滚 (为 true 时没有持久化任何更改)"),
+      reason: z.string(),
+      failedIndex: z.number().nullable().describe("导致回滚的语句序号")
+    }).nullable().optional().describe("原子模式的事务结果"),
+    results: z.array(z.object({
+      index: z.number(),
+      id: z.string(),
+      sql: z.string(),
+      success: z.boolean(),
+      recovered: z.boolean().describe("失败后已回滚到保存点并继续执行"),
+      result: queryResultSchema.nullable(),
+      error: toolErrorSchema.nullable()
+    })).optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const transactionId = params.transactionId || null;
+    if (params.atomic && transactionId) {
+      throw new Error("atomic 不能与 transactionId 同时使用：在显式事务中执行时由调用方决定提交或回滚");
+    }
+    // 确保连接可用（事务中的连接由事务确定）
+    const connectionName = transactionId
+      ? getTransaction(transactionId, params.connection).connection
+      : await reconnectIfNeeded(params.connection) && getConnection(params.connection).name;
+    if (!connectionName) {
+      throw notConnectedError(params.connection);
+    }
+    
+    const { sqlList, stopOnError = false, atomic = false } = params;
+    // 同一事务只有一个连接，语句只能串行执行
+    const parallel = params.parallel && !transactionId && !atomic;
+    const results = [];
+    const startTime = Date.now();
+    
+    // 原子模式：整个列表在一个内部事务中执行
+    const atomicTx = atomic ? await beginTransaction(connectionName, {
+      isolationLevel: params.isolationLevel || "READ_COMMITTED",
+      idleTimeout: 0,
+      label: "batch_execute_sql 原子模式"
+    }) : null;
+    let atomicFailure = null;
+    let atomicOutcome = null;
+    
+    if (parallel) {
+      // 并行执行
+      const promises = sqlList.map(async (sqlItem, index) => {
+        try {
+          const result = await executeQuery(sqlItem.sql, sqlItem.params || [], { connection: connectionName, transactionId });
+          return {
+            index: index + 1,
+            id: sqlItem.id || `SQL_${index + 1}`,
+            sql: sqlItem.sql,
+            success: true,
+            result: result,
+            error: null
+          };
+        } catch (error) {
+          return {
+            index: index + 1,
+            id: sqlItem.id || `SQL_${index + 1}`,
+            sql: sqlItem.sql,
+            success: false,
+            result: null,
+            error: error.message,
+            errorInfo: describeToolError(error)
+          };
+        }
+      });
+      
+      const parallelResults = await Promise.all(promises);
+      results.push(...parallelResults);
+    } else {
+      // 串行执行
+      const executionTransactionId = atomicTx ? atomicTx.id : transactionId;
+      for (let i = 0; i < sqlList.length; i++) {
+        const sqlItem = sqlList[i];
+        const savepoint = atomicTx && sqlItem.savepoint ? `batch_item_${i + 1}` : null;
+        
+        try {
+          if (savepoint) {
+            await saveTransactionPoint(atomicTx, savepoint);
+          }
+          const result = await executeQuery(sqlItem.sql, sqlItem.params || [], { connection: connectionName, transactionId: executionTransactionId });
+          results.push({
+            index: i + 1,
+            id: sqlItem.id || `SQL_${i + 1}`,
+            sql: sqlItem.sql,
+            success: true,
+            result: result,
+            error: null
+          });
+        } catch (error) {
+          const failed = {
+            index: i + 1,
+            id: sqlItem.id || `SQL_${i + 1}`,
+            sql: sqlItem.sql,
+            success: false,
+            result: null,
+            error: error.message,
+            errorInfo: describeToolError(error)
+          };
+          results.push(failed);
+          
+          if (atomicTx) {
+            // 设置了保存点且不要求遇错停止时，只撤销这一条语句
+            if (savepoint && !stopOnError) {
+              try {
+                await rollbackToSavepoint(atomicTx, savepoint);
+                failed.recovered = true;
+                continue;
+              } catch (rollbackError) {
+                failed.error += `；回滚到保存点 ${savepoint} 失败: ${rollbackError.message}`;
+              }
+            }
+            atomicFailure = failed;
+            break;
+          }
+          
+          if (stopOnError) {
+            break; // 遇到错误时停止执行
+          }
+        }
+      }
+      
+      if (atomicTx) {
+        atomicOutcome = await finishAtomicBatch(atomicTx, atomicFailure);
+      }
+    }
+    
+    const totalTime = Date.now() - startTime;
+    const successCount = results.filter(r => r.success).length;
+    const errorCount = results.filter(r => !r.success).length;
+    
+    // 构建显示文本
+    let displayText = `✅ 批量SQL执行完成！\n\n📊 执行统计:\n`;
+    displayText += `- 连接: ${connectionName}\n`;
+    if (transactionId) {
+      displayText += `- 事务: ${transactionId} (尚未提交${params.parallel ? '，已改为串行执行' : ''})\n`;
+    }
+    displayText += `- 总SQL数量: ${sqlList.length}\n`;
+    displayText += `- 成功执行: ${successCount}\n`;
+    displayText += `- 执行失败: ${errorCount}\n`;
+    displayText += `- 总执行时间: ${totalTime}ms\n`;
+    displayText += `- 执行模式: ${atomic ? '原子 (单个事务，串行)' : parallel ? '并行' : '串行'}\n`;
+    displayText += `- 错误处理: ${stopOnError ? '遇错停止' : '继续执行'}\n\n`;
+    
+    if (atomicOutcome) {
+      if (atomicOutcome.committed) {
+        const recovered = results.filter(r => r.recovered).length;
+        displayText += `⚛️ 原子模式: 事务已提交${recovered > 0 ? `（${recovered} 条失败语句已回滚到各自的保存点，未包含在提交中）` : '，所有语句均已持久化'}\n\n`;
+      } else if (atomicOutcome.rolledBack) {
+        displayText += `⚛️ 原子模式: 事务已回滚，未持久化任何更改\n`;
+        if (atomicFailure) {
+          displayText += `- 失败语句: ${atomicFailure.id} (第${atomicFailure.index}条)\n- 错误信息: ${atomicFailure.error}\n`;
+          displayText += `- 未执行: ${sqlList.length - results.length} 条\n`;
+        }
+        displayText += `- 回滚说明: ${atomicOutcome.reason}\n\n`;
+      } else {
+        displayText += `⚠️ 原子模式: 事务结束失败，无法确认更改是否已回滚: ${atomicOutcome.reason}\n\n`;
+      }
+    }
+    
+    // 显示每个SQL的执行结果
+    displayText += `📋 详细执行结果:\n`;
+    displayText += `==========================================\n`;
+    
+    for (const result of results) {
+      displayText += `\n🔸 ${result.id} (第${result.index}条)\n`;
+      displayText += `SQL: ${result.sql.substring(0, 100)}${result.sql.length > 100 ? '...' : ''}\n`;
+      
+      if (result.success) {
+        displayText += `✅ 执行成功${atomicOutcome && !atomicOutcome.committed ? ' (已随事务回滚)' : ''}\n`;
+        displayText += `- 影响行数 (按语句): ${result.result.rowsAffected.join(', ') || '无'}\n`;
+        displayText += `- 返回行数: ${result.result.rowCount}${result.result.resultSets.length > 1 ? ` (${result.result.resultSets.length} 个结果集)` : ''}\n`;
+        displayText += `- 执行时间: ${result.result.queryTime}ms\n`;
+        
+        // 如果有返回数据，每个结果集显示前几行
+        result.result.recordsets.forEach((recordset, setIndex) => {
+          if (recordset.length === 0) {
+            return;
+          }
+          const columns = Object.keys(recordset.columns || recordset[0]);
+          displayText += `- 数据预览${result.result.recordsets.length > 1 ? ` (结果集 ${setIndex + 1})` : ''} (前${Math.min(recordset.length, 3)}行):\n`;
+          
+          for (let i = 0; i < Math.min(recordset.length, 3); i++) {
+            const row = recordset[i];
+            const values = columns.map(col => {
+              const value = formatCellValue(row[col]);
+              return value.length > 30 ? value.substring(0, 30) + '...' : value;
+            });
+            displayText += `  ${i + 1}. ${values.join(' | ')}\n`;
+          }
+          
+          if (recordset.length > 3) {
+            displayText += `  ... 还有 ${recordset.length - 3} 行数据\n`;
+          }
+        });
+        displayText += formatServerMessages(result.result);
+      } else {
+        displayText += `❌ 执行失败${result.recovered ? ' (已回滚到保存点，继续执行)' : ''}\n`;
+        displayText += `- 错误信息: ${result.error}\n`;
+        displayText += formatServerMessages({ messages: result.errorInfo.messages });
+      }
+      
+      displayText += `------------------------------------------\n`;
+    }
+    
+    displayText += `\n💡 提示:\n`;
+    displayText += `- 连接活动时间已更新\n`;
+    displayText += `- 如需断开连接，使用 disconnect_database 工具`;
+    
+    const structuredContent = {
+      success: true,
+      connection: connectionName,
+      mode: atomic ? "atomic" : parallel ? "parallel" : "serial",
+      stopOnError,
+      total: sqlList.length,
+      succeeded: successCount,
+      failed: errorCount,
+      notExecuted: sqlList.length - results.length,
+      totalTime,
+      atomic: atomicOutcome ? {
+        committed: atomicOutcome.committed,
+        rolledBack: atomicOutcome.rolledBack,
+        reason: atomicOutcome.reason,
+        failedIndex: atomicFailure ? atomicFailure.index : null
+      } : null,
+      results: results.map(item => ({
+        index: item.index,
+        id: item.id,
+        sql: item.sql,
+        success: item.success,
+        recovered: Boolean(item.recovered),
+        result: item.result ? toStructuredQueryResult(item.result) : null,
+        error: item.success ? null : { ...item.errorInfo, message: item.error }
+      }))
+    };
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
+        }
+      ],
+      structuredContent
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 批量SQL执行失败: ${error.message}\n\n🔍 可能的原因:\n- 未连接到数据库\n- SQL语句格式错误\n- 参数配置错误\n\n💡 建议:\n- 检查数据库连接状态\n- 验证SQL语句语法\n- 确认参数配置`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具5：获取连接状态
+server.registerTool("get_connection_status", {
+  title: "获取连接状态",
+  description: "查看所有数据库连接的状态和统计信息",
+  inputSchema: {},
+  outputSchema: {
+    connected: z.boolean().describe("是否至少有一个连接"),
+    defaultConnection: z.string().nullable().describe("默认连接"),
+    connections: z.array(z.object({
+      name: z.string(),
+      isDefault: z.boolean(),
+      state: z.enum(Object.keys(CONNECTION_STATES)).describe("连接状态"),
+      source: z.string(),
+      server: z.string(),
+      port: z.number().nullable(),
+      instanceName: z.string().nullable(),
+      database: z.string().nullable(),
+      authentication: z.string(),
+      connectedAt: z.string().nullable(),
+      lastActivityTime: z.string().nullable(),
+      idleDisconnectIn: z.number().nullable().describe("距离自动断开的毫秒数，null 表示不自动断开"),
+      reconnectPolicy: z.record(z.number()),
+      statementPolicy: statementPolicyOutputSchema,
+      reconnects: z.number(),
+      consecutiveFailures: z.number(),
+      circuitOpenUntil: z.string().nullable().describe("熔断器打开时允许试探重连的时间"),
+      lastError: z.string().nullable(),
+      stats: queryStatsSchema,
+      pool: z.object({
+        size: z.number(),
+        available: z.number(),
+        borrowed: z.number(),
+        pending: z.number()
+      }).nullable()
+    })),
+    accessPolicy: z.string().describe("访问策略摘要"),
+    transactions: z.array(transactionOutputSchema).describe("打开的事务"),
+    closedTransactions: z.array(z.object({
+      id: z.string(),
+      connection: z.string(),
+      reason: z.string(),
+      statements: z.number(),
+      closedAt: z.string()
+    })).describe("最近结束的事务"),
+    cursors: z.array(z.object({
+      id: z.string(),
+      connection: z.string(),
+      pageSize: z.number(),
+      rowsRead: z.number().describe("已读取的行数"),
+      openedAt: z.string(),
+      expiresAt: z.string()
+    })).describe("打开的分页游标"),
+    predefinedConnections: z.array(z.object({
+      name: z.string(),
+      isDefault: z.boolean(),
+      server: z.string(),
+      port: z.number(),
+      database: z.string().nullable(),
+      source: z.string(),
+      authentication: z.string()
+    })).describe("尚未打开的预定义连接"),
+    events: z.array(z.object({
+      time: z.string(),
+      connection: z.string(),
+      from: z.string().nullable(),
+      to: z.string(),
+      reason: z.string()
+    })).describe("最近的连接状态变化"),
+    queryJournal: z.object({
+      enabled: z.boolean(),
+      directory: z.string(),
+      failedWrites: z.number().describe("写入失败的次数"),
+      lastWriteError: z.string().nullable()
+    }).describe("查询日志"),
+    stats: z.object({
+      totalConnections: z.number(),
+      successfulConnections: z.number(),
+      failedConnections: z.number(),
+      lastConnectionTime: z.string().nullable()
+    }).merge(queryStatsSchema).describe("汇总统计")
+  }
+}, async () => {
+  const isConnected = connections.size > 0;
+  const now = Date.now();
+  
+  let statusText = `📊 数据库连接状态\n\n`;
+  
+  if (isConnected) {
+    statusText += `🟢 连接状态: 已建立 ${connections.size} 个连接（默认连接: ${currentConnectionName}）\n`;
+    
+    for (const entry of connections.values()) {
+      const timeSinceLastActivity = entry.lastActivityTime ? now - entry.lastActivityTime : null;
+      
+      statusText += `\n🔗 连接 "${entry.name}"${entry.name === currentConnectionName ? ' (默认)' : ''}: ${CONNECTION_STATES[entry.state] || entry.state}\n`;
+      statusText += `- 来源: ${entry.source === "tool" ? 'connect_database 参数' : '预定义连接'}\n`;
+      statusText += `- 服务器: ${entry.config.server}${entry.config.instanceName ? `\\${entry.config.instanceName}` : `:${entry.config.port || 1433}`}\n`;
+      statusText += `- 数据库: ${entry.config.database || '(登录默认数据库)'}\n`;
+      statusText += `- 认证方式: ${describeAuthentication(entry.config)}\n`;
+      statusText += `- 连接时间: ${entry.stats.connectedAt}\n`;
+      
+      if (timeSinceLastActivity !== null) {
+        const minutesSinceActivity = Math.floor(timeSinceLastActivity / 60000);
+        const secondsSinceActivity = Math.floor((timeSinceLastActivity % 60000) / 1000);
+        statusText += `- 最后活动: ${minutesSinceActivity}分${secondsSinceActivity}秒前\n`;
+        if (entry.policy.idleDisconnectTimeout) {
+          const remainingTime = Math.max(0, Math.floor((entry.policy.idleDisconnectTimeout - timeSinceLastActivity) / 1000));
+          const remainingMinutes = Math.floor(remainingTime / 60);
+          const remainingSeconds = remainingTime % 60;
+          statusText += `- 自动断开倒计时: ${remainingMinutes}分${remainingSeconds}秒\n`;
+        }
+      }
+      
+      statusText += `- 重连策略: ${describeReconnectPolicy(entry.policy)}\n`;
+      statusText += `- 语句策略: ${describeStatementPolicy(entry.statementPolicy)}\n`;
+      statusText += `- 访问策略: ${describeAccessPolicy()}\n`;
+      statusText += `- 重连次数: ${entry.stats.reconnects}，连续失败: ${entry.consecutiveFailures}\n`;
+      if (entry.state === "circuit-open") {
+        const remaining = Math.max(0, entry.circuitOpenedAt + entry.policy.circuitBreakerResetTimeout - now);
+        statusText += `- 熔断器: 打开，${Math.ceil(remaining / 1000)}秒后允许试探重连\n`;
+      }
+      if (entry.lastError) {
+        statusText += `- 最后错误: ${entry.lastError}\n`;
+      }
+      
+      statusText += `- 查询次数: ${entry.stats.totalQueries} (成功 ${entry.stats.successfulQueries} / 失败 ${entry.stats.failedQueries})\n`;
+      statusText += `- 平均查询时间: ${Math.round(entry.stats.averageQueryTime)}ms\n`;
+      if (entry.stats.lastQueryTime) {
+        statusText += `- 最后查询: ${entry.stats.lastQueryTime}\n`;
+      }
+      if (entry.pool) {
+        statusText += `- 连接池: 共 ${entry.pool.size} 个连接，空闲 ${entry.pool.available}，使用中 ${entry.pool.borrowed}，等待 ${entry.pool.pending}\n`;
+      }
+    }
+  } else {
+    statusText += `🔴 连接状态: 未连接\n`;
+  }
+  
+  // 打开的事务和最近结束的事务
+  if (transactions.size > 0) {
+    statusText += `\n🔒 打开的事务 (${transactions.size}):\n`;
+    for (const tx of transactions.values()) {
+      statusText += `- ${describeTransaction(tx, now)}\n`;
+    }
+  }
+  if (closedTransactions.length > 0) {
+    statusText += `\n🧾 最近结束的事务:\n`;
+    for (const item of closedTransactions.slice(-5)) {
+      statusText += `- ${item.closedAt} ${item.id} [${item.connection}] ${item.reason}\n`;
+    }
+  }
+  
+  // 打开的分页游标
+  if (cursors.size > 0) {
+    statusText += `\n📑 打开的游标 (${cursors.size}):\n`;
+    for (const cursor of cursors.values()) {
+      statusText += `- ${describeCursor(cursor, now)}\n`;
+    }
+  }
+  
+  // 尚未打开的预定义连接（不显示凭据）
+  const pendingPredefined = Array.from(predefinedConnections.values()).filter(item => !connections.has(item.name));
+  if (pendingPredefined.length > 0) {
+    statusText += `\n🗂️ 未打开的预定义连接（首次使用时自动连接）:\n`;
+    for (const item of pendingPredefined) {
+      statusText += `- ${item.name}${item.name === serverSettings.defaultConnection ? ' (默认)' : ''}: ${item.config.server}:${item.config.port || 1433}/${item.config.database || '(默认数据库)'} [来源: ${item.source}，认证: ${describeAuthentication(item.config)}]\n`;
+    }
+  }
+  
+  // 最近的连接状态变化（包括已断开的连接）
+  if (connectionEvents.length > 0) {
+    statusText += `\n🕒 最近连接事件:\n`;
+    for (const event of connectionEvents.slice(-15)) {
+      statusText += `- ${event.time} [${event.connection}] ${CONNECTION_STATES[event.from] || '新建'} → ${CONNECTION_STATES[event.to]}: ${event.reason}\n`;
+    }
+  }
+  
+  // 查询日志写入失败时提示（stderr 只输出第一次失败）
+  if (queryJournal.failedWrites > 0) {
+    statusText += `\n📜 查询日志: 写入失败 ${queryJournal.failedWrites} 次，最后错误: ${queryJournal.lastWriteError}\n`;
+  }
+  
+  statusText += `\n📈 汇总统计信息:\n`;
+  statusText += `- 总连接次数: ${connectionStats.totalConnections}\n`;
+  statusText += `- 成功连接: ${connectionStats.successfulConnections}\n`;
+  statusText += `- 失败连接: ${connectionStats.failedConnections}\n`;
+  statusText += `- 总查询次数: ${connectionStats.totalQueries}\n`;
+  statusText += `- 成功查询: ${connectionStats.successfulQueries}\n`;
+  statusText += `- 失败查询: ${connectionStats.failedQueries}\n`;
+  statusText += `- 平均查询时间: ${Math.round(connectionStats.averageQueryTime)}ms\n`;
+  
+  if (connectionStats.lastConnectionTime) {
+    statusText += `- 最后连接: ${connectionStats.lastConnectionTime}\n`;
+  }
+  
+  if (connectionStats.lastQueryTime) {
+    statusText += `- 最后查询: ${connectionStats.lastQueryTime}\n`;
+  }
+  
+  statusText += `\n💡 提示:\n`;
+  if (isConnected) {
+    statusText += `- 连接按各自的重连策略自动断开和重连\n`;
+    statusText += `- 使用 execute_sql 工具执行查询（connection 参数可指定连接）\n`;
+    statusText += `- 使用 batch_execute_sql 工具批量执行\n`;
+    statusText += `- 使用 disconnect_database 工具手动断开\n`;
+  } else {
+    statusText += `- 使用 connect_database 工具建立连接\n`;
+    if (predefinedConnections.size > 0) {
+      statusText += `- 直接使用 execute_sql 即可自动打开预定义连接\n`;
+    }
+  }
+  
+  const structuredContent = {
+    connected: isConnected,
+    defaultConnection: currentConnectionName || null,
+    connections: Array.from(connections.values()).map(entry => ({
+      name: entry.name,
+      isDefault: entry.name === currentConnectionName,
+      state: entry.state,
+      source: entry.source,
+      server: entry.config.server,
+      port: entry.config.instanceName ? null : entry.config.port || 1433,
+      instanceName: entry.config.instanceName || null,
+      database: entry.config.database || null,
+      authentication: describeAuthentication(entry.config),
+      connectedAt: entry.stats.connectedAt || null,
+      lastActivityTime: entry.lastActivityTime ? new Date(entry.lastActivityTime).toISOString() : null,
+      idleDisconnectIn: entry.policy.idleDisconnectTimeout && entry.lastActivityTime ? Math.max(0, entry.policy.idleDisconnectTimeout - (now - entry.lastActivityTime)) : null,
+      reconnectPolicy: { ...entry.policy },
+      statementPolicy: entry.statementPolicy,
+      reconnects: entry.stats.reconnects,
+      consecutiveFailures: entry.consecutiveFailures,
+      circuitOpenUntil: entry.state === "circuit-open" ? new Date(entry.circuitOpenedAt + entry.policy.circuitBreakerResetTimeout).toISOString() : null,
+      lastError: entry.lastError || null,
+      stats: toStructuredQueryStats(entry.stats),
+      pool: entry.pool ? { size: entry.pool.size, available: entry.pool.available, borrowed: entry.pool.borrowed, pending: entry.pool.pending } : null
+    })),
+    accessPolicy: describeAccessPolicy(),
+    transactions: Array.from(transactions.values()).map(tx => toStructuredTransaction(tx)),
+    closedTransactions: closedTransactions.slice(-5),
+    cursors: Array.from(cursors.values()).map(cursor => ({
+      id: cursor.id,
+      connection: cursor.connection,
+      pageSize: cursor.pageSize,
+      rowsRead: cursor.position,
+      openedAt: new Date(cursor.startTime).toISOString(),
+      expiresAt: new Date(cursor.lastActivityTime + cursor.ttl).toISOString()
+    })),
+    predefinedConnections: pendingPredefined.map(item => ({
+      name: item.name,
+      isDefault: item.name === serverSettings.defaultConnection,
+      server: item.config.server,
+      port: item.config.port || 1433,
+      database: item.config.database || null,
+      source: item.source,
+      authentication: describeAuthentication(item.config)
+    })),
+    events: connectionEvents.slice(-15),
+    queryJournal: {
+      enabled: queryJournal.enabled,
+      directory: queryJournal.directory,
+      failedWrites: queryJournal.failedWrites,
+      lastWriteError: queryJournal.lastWriteError
+    },
+    stats: {
+      totalConnections: connectionStats.totalConnections,
+      successfulConnections: connectionStats.successfulConnections,
+      failedConnections: connectionStats.failedConnections,
+      lastConnectionTime: connectionStats.lastConnectionTime || null,
+      ...toStructuredQueryStats(connectionStats)
+    }
+  };
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: statusText
+      }
+    ],
+    structuredContent
+  };
+});
+
+// 注册工具6：查询历史记录
+server.registerTool("query_history", {
+  title: "查询SQL执行历史",
+  description: "从持久化的查询日志中按语句类型、日期范围、文本和执行结果查找执行过的SQL（参数值已脱敏）",
+  inputSchema: {
+    queryType: z.enum([...JOURNAL_STATEMENT_TYPES, "all"]).optional().default("all").describe("语句类型"),
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "日期格式应为 YYYY-MM-DD").optional().describe("开始日期 (含)，YYYY-MM-DD"),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "日期格式应为 YYYY-MM-DD").optional().describe("结束日期 (含)，YYYY-MM-DD"),
+    search: z.string().optional().describe("在SQL文本和错误信息中搜索的文本 (不区分大小写)"),
+    success: z.boolean().optional().describe("只看成功 (true) 或失败 (false) 的语句"),
+    connection: z.string().optional().describe("连接名称"),
+    limit: z.number().int().min(1).max(1000).optional().default(20).describe("最多返回的条数")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否查询成功"),
+    directory: z.string().optional().describe("日志目录"),
+    enabled: z.boolean().optional().describe("是否记录新的语句"),
+    totalQueries: z.number().optional().describe("匹配的记录数"),
+    successfulQueries: z.number().optional(),
+    failedQueries: z.number().optional(),
+    averageQueryTime: z.number().optional().describe("平均耗时(毫秒)"),
+    corruptLines: z.number().optional().describe("跳过的无法解析的日志行数"),
+    queries: z.array(journalRecordSchema).optional().describe("最新的记录在前，最多 limit 条"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const journal = await searchQueryJournal({
+      queryType: params.queryType,
+      from: params.from || null,
+      to: params.to || null,
+      search: params.search || null,
+      success: params.success === undefined ? null : params.success,
+      connection: params.connection || null,
+      limit: params.limit
+    });
+    
+    let resultText = `📜 SQL执行历史 (${queryJournal.directory})\n\n`;
+    resultText += `📊 匹配 ${journal.totalQueries} 条 (成功 ${journal.successfulQueries} / 失败 ${journal.failedQueries})，平均耗时 ${journal.averageQueryTime}ms\n`;
+    if (!queryJournal.enabled) {
+      resultText += `⚠️ 查询日志已关闭，不会记录新的语句\n`;
+    }
+    if (journal.corruptLines > 0) {
+      resultText += `⚠️ 跳过 ${journal.corruptLines} 行无法解析的日志\n`;
+    }
+    
+    for (const record of journal.queries) {
+      const rows = record.rowCount > 0 ? `返回 ${record.rowCount} 行` : `影响 ${record.rowsAffected.reduce((sum, count) => sum + count, 0)} 行`;
+      resultText += `\n${record.success ? '✅' : '❌'} ${record.timestamp} [${record.connection}${record.database ? `/${record.database}` : ''}] ${record.statementType}，${record.durationMs}ms，${record.success ? rows : `错误: ${record.error.message}`}\n`;
+      resultText += `   ${record.sql.length > 500 ? record.sql.substring(0, 500) + '...' : record.sql}\n`;
+      if (record.params.length > 0) {
+        resultText += `   参数: ${record.params.map(param => `@${param.name}${param.type ? ` ${param.type}` : ''}`).join(', ')}\n`;
+      }
+    }
+    if (journal.totalQueries > journal.queries.length) {
+      resultText += `\n... 还有 ${journal.totalQueries - journal.queries.length} 条记录，可缩小范围或增大 limit\n`;
+    }
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: resultText
+        }
+      ],
+      structuredContent: {
+        success: true,
+        directory: queryJournal.directory,
+        enabled: queryJournal.enabled,
+        totalQueries: journal.totalQueries,
+        successfulQueries: journal.successfulQueries,
+        failedQueries: journal.failedQueries,
+        averageQueryTime: journal.averageQueryTime,
+        corruptLines: journal.corruptLines,
+        queries: journal.queries.map(toStructuredJournalRecord)
+      }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 查询历史记录失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具7：开始事务
+server.registerTool("begin_transaction", {
+  title: "开始事务",
+  description: "在指定连接上开始显式事务，返回事务ID。将事务ID传给 execute_sql / batch_execute_sql 的 transactionId 参数即可在同一事务中执行，最后使用 commit_transaction 或 rollback_transaction 结束",
+  inputSchema: {
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    isolationLevel: z.enum(Object.keys(ISOLATION_LEVELS)).optional().default("READ_COMMITTED").describe("事务隔离级别"),
+    idleTimeout: z.number().int().min(0).optional().describe("空闲超时(毫秒)，超过后自动回滚，0 表示不自动回滚 (默认使用服务器配置或 120000)"),
+    label: z.string().optional().describe("事务说明 (可选，显示在状态中)")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否成功"),
+    transaction: transactionOutputSchema.optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const tx = await beginTransaction(params.connection, {
+      isolationLevel: params.isolationLevel,
+      idleTimeout: params.idleTimeout,
+      label: params.label
+    });
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🔒 事务已开始\n\n📊 事务信息:\n- 事务ID: ${tx.id}\n- 连接: ${tx.connection}\n- 隔离级别: ${ISOLATION_LEVELS[tx.isolationLevel]}\n- 空闲超时: ${tx.idleTimeout ? `${Math.round(tx.idleTimeout / 1000)}秒无活动后自动回滚` : '不自动回滚'}${tx.label ? `\n- 说明: ${tx.label}` : ''}\n\n💡 提示:\n- 在 execute_sql / batch_execute_sql / execute_procedure 中传入 transactionId: "${tx.id}"\n- 使用 save_transaction 创建保存点，rollback_transaction 可回滚到保存点\n- 使用 commit_transaction 提交或 rollback_transaction 回滚\n- 事务持有的锁会阻塞其他会话，请尽快结束事务`
+        }
+      ],
+      structuredContent: { success: true, transaction: toStructuredTransaction(tx) }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 开始事务失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具8：提交事务
+server.registerTool("commit_transaction", {
+  title: "提交事务",
+  description: "提交由 begin_transaction 开始的事务",
+  inputSchema: {
+    transactionId: z.string().describe("事务ID")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否成功"),
+    transaction: transactionOutputSchema.optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const tx = getTransaction(params.transactionId);
+    await endTransaction(tx, "commit", "已提交");
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ 事务 ${tx.id} 已提交\n\n📊 事务统计:\n- 连接: ${tx.connection}\n- 执行语句: ${tx.statements} 条\n- 持续时间: ${Math.round((Date.now() - tx.startedAt) / 1000)}秒`
+        }
+      ],
+      structuredContent: { success: true, transaction: toStructuredTransaction(tx, "committed") }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 提交事务失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具9：回滚事务
+server.registerTool("rollback_transaction", {
+  title: "回滚事务",
+  description: "回滚整个事务；指定 savepoint 时只回滚到该保存点，事务保持打开",
+  inputSchema: {
+    transactionId: z.string().describe("事务ID"),
+    savepoint: savepointNameSchema.optional().describe("保存点名称 (可选，由 save_transaction 创建)")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否成功"),
+    transaction: transactionOutputSchema.optional(),
+    savepoint: z.string().optional().describe("回滚到的保存点，事务仍然打开"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const tx = getTransaction(params.transactionId);
+    
+    if (params.savepoint) {
+      await rollbackToSavepoint(tx, params.savepoint);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `↩️ 事务 ${tx.id} 已回滚到保存点 "${params.savepoint}"，事务仍然打开\n\n📊 事务信息:\n- ${describeTransaction(tx)}`
+          }
+        ],
+        structuredContent: { success: true, transaction: toStructuredTransaction(tx), savepoint: params.savepoint }
+      };
+    }
+    
+    await endTransaction(tx, "rollback", "已回滚");
+    return {
+      content: [
+        {
+          type: "text",
+          text: `↩️ 事务 ${tx.id} 已回滚\n\n📊 事务统计:\n- 连接: ${tx.connection}\n- 执行语句: ${tx.statements} 条 (均已撤销)\n- 持续时间: ${Math.round((Date.now() - tx.startedAt) / 1000)}秒`
+        }
+      ],
+      structuredContent: { success: true, transaction: toStructuredTransaction(tx, "rolled-back") }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 回滚事务失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具10：创建事务保存点
+server.registerTool("save_transaction", {
+  title: "创建事务保存点",
+  description: "在事务中创建保存点 (SAVE TRANSACTION)，之后可以用 rollback_transaction 回滚到该保存点",
+  inputSchema: {
+    transactionId: z.string().describe("事务ID"),
+    savepoint: savepointNameSchema.describe("保存点名称")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否成功"),
+    transaction: transactionOutputSchema.optional(),
+    savepoint: z.string().optional().describe("创建的保存点"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const tx = getTransaction(params.transactionId);
+    await saveTransactionPoint(tx, params.savepoint);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📍 已在事务 ${tx.id} 中创建保存点 "${params.savepoint}"\n\n📊 事务信息:\n- ${describeTransaction(tx)}`
+        }
+      ],
+      structuredContent: { success: true, transaction: toStructuredTransaction(tx), savepoint: params.savepoint }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 创建保存点失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具11：执行存储过程
+server.registerTool("execute_procedure", {
+  title: "执行存储过程",
+  description: "通过 RPC 调用存储过程，支持输入、输出和表值参数，返回返回值、输出参数和所有结果集",
+  inputSchema: {
+    procedure: z.string().min(1, "存储过程名称不能为空").describe("存储过程名称，如 dbo.usp_GetOrders"),
+    params: z.array(procedureParamSchema).optional().default([]).describe("存储过程参数 (可选)"),
+    validateParameters: z.boolean().optional().default(true).describe("是否读取 sys.parameters 校验参数名称、OUTPUT 和类型，并自动填充未声明的类型和表类型定义"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    transactionId: z.string().optional().describe("事务ID (可选，由 begin_transaction 返回，在该事务中执行)")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否执行成功"),
+    result: queryResultSchema.extend({
+      procedure: z.string().describe("存储过程名称"),
+      returnValue: z.number().nullable().describe("返回值 (RETURN)"),
+      output: z.record(z.any()).describe("输出参数，按参数名称 (不含 @)")
+    }).optional().describe("执行结果"),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const procedure = parseObjectName(params.procedure, "存储过程");
+    let procedureParams = params.params || [];
+    
+    if (params.validateParameters) {
+      const tx = params.transactionId ? getTransaction(params.transactionId, params.connection) : null;
+      if (!tx && !await reconnectIfNeeded(params.connection)) {
+        throw notConnectedError(params.connection);
+      }
+      const entry = tx ? tx.entry : getConnection(params.connection);
+      // 先做策略检查，被拒绝的存储过程不读取定义
+      checkStatementPolicy(entry, `EXEC ${procedure.quoted}`);
+      await checkAccessPolicy(entry, `EXEC ${procedure.quoted}`);
+      const metadata = await getProcedureMetadata(entry, procedure, tx);
+      procedureParams = resolveProcedureParams(metadata, procedureParams);
+    }
+    
+    const result = await executeQuery(formatProcedureCall(procedure, procedureParams), procedureParams, {
+      connection: params.connection,
+      transactionId: params.transactionId,
+      procedure: procedure.quoted
+    });
+    
+    let displayText = `✅ 存储过程执行成功！\n\n📊 执行结果:\n- 连接: ${result.connection}\n${result.transactionId ? `- 事务: ${result.transactionId} (尚未提交)\n` : ''}- 存储过程: ${procedure.quoted}\n- 返回值: ${result.returnValue === undefined ? '无' : result.returnValue}\n- 结果集: ${result.resultSets.length} 个\n- 影响行数 (按语句): ${result.rowsAffected.join(', ') || '无'}\n- 执行时间: ${result.queryTime}ms\n\n`;
+    
+    const outputNames = Object.keys(result.output);
+    if (outputNames.length > 0) {
+      displayText += `📤 输出参数:\n`;
+      for (const name of outputNames) {
+        displayText += `- @${name} = ${formatCellValue(result.output[name])}\n`;
+      }
+      displayText += `\n`;
+    }
+    
+    displayText += formatResultSets(result);
+    if (result.resultSets.length === 0) {
+      displayText += `📝 存储过程没有返回结果集\n`;
+    }
+    displayText += formatServerMessages(result);
+    
+    displayText += `\n💡 提示:\n- 连接活动时间已更新\n- 如需断开连接，使用 disconnect_database 工具`;
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
+        }
+      ],
+      structuredContent: {
+        success: true,
+        result: {
+          ...toStructuredQueryResult(result),
+          procedure: procedure.quoted,
+          returnValue: result.returnValue === undefined ? null : result.returnValue,
+          output: Object.fromEntries(outputNames.map(name => [name, toJsonValue(result.output[name])]))
+        }
+      }
+    };
+  } catch (error) {
+    const messages = formatServerMessages(error);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 存储过程执行失败: ${error.message}\n\n${messages ? `${messages}\n` : ''}🔍 可能的原因:\n- 存储过程不存在或没有执行权限\n- 参数名称、类型或 OUTPUT 声明与定义不一致\n- 存储过程内部出错\n\n💡 建议:\n- 确认存储过程名称（可带架构，如 dbo.usp_GetOrders）\n- 省略参数类型，让工具从 sys.parameters 自动填充\n- 检查用户权限`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具12：读取游标的下一页
+server.registerTool("fetch_rows", {
+  title: "读取游标数据",
+  description: "读取 execute_sql 指定 pageSize 时返回的游标的下一页；页不跨越结果集，游标超过 TTL 未读取时自动关闭",
+  inputSchema: {
+    cursorId: z.string().describe("游标ID (由 execute_sql 返回)"),
+    size: z.number().int().min(1).max(MAX_CURSOR_PAGE_SIZE).optional().describe("本页行数 (可选，默认使用打开游标时的 pageSize)"),
+    offset: z.number().int().min(0).optional().describe("从第几行开始读取 (可选，从 0 开始，只能向前，中间的行被跳过)"),
+    close: z.boolean().optional().default(false).describe("关闭游标并取消查询，不再读取")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否成功"),
+    closed: z.boolean().optional().describe("是否通过 close 关闭了游标"),
+    result: queryResultSchema.optional().describe("本页数据"),
+    error: toolErrorSchema.optional()
   }
 }, async (params) => {
   try {
-    const result = await executeQuery(params.sql, params.params);
+    if (params.close) {
+      const cursor = getCursor(params.cursorId);
+      const rowsRead = cursor.position;
+      closeCursor(cursor, "已手动关闭");
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ 游标 ${params.cursorId} 已关闭，查询已取消\n- 已读取行数: ${rowsRead}`
+          }
+        ],
+        structuredContent: { success: true, closed: true }
+      };
+    }
     
-    let displayText = `✅ SQL执行成功！\n\n📊 执行结果:\n- 影响行数: ${result.rowsAffected}\n- 返回行数: ${result.rowCount}\n- 执行时间: ${result.queryTime}ms\n\n`;
+    const startTime = Date.now();
+    const page = await fetchCursorRows(params.cursorId, { size: params.size, offset: params.offset });
+    const result = toCursorQueryResult(page, Date.now() - startTime);
     
-    if (result.recordset && result.recordset.length > 0) {
-      displayText += `📋 查询结果 (前${Math.min(result.recordset.length, 10)}行):\n`;
-      
-      // 显示列名
-      const columns = Object.keys(result.recordset[0]);
-      displayText += `| ${columns.join(' | ')} |\n`;
-      displayText += `| ${columns.map(() => '---').join(' | ')} |\n`;
-      
-      // 显示数据行
-      const displayRows = result.recordset.slice(0, 10);
-      for (const row of displayRows) {
-        const values = columns.map(col => {
-          const value = row[col];
-          if (value === null || value === undefined) return 'NULL';
-          if (typeof value === 'string' && value.length > 50) return value.substring(0, 50) + '...';
-          return String(value);
-        });
-        displayText += `| ${values.join(' | ')} |\n`;
-      }
-      
-      if (result.recordset.length > 10) {
-        displayText += `\n... 还有 ${result.recordset.length - 10} 行数据未显示`;
-      }
-    } else {
-      displayText += `📝 查询完成，无返回数据`;
+    let displayText = `✅ 读取成功！\n\n📊 本页:\n- 游标: ${params.cursorId}\n- 起始位置: ${page.offset}${page.skipped > 0 ? ` (跳过 ${page.skipped} 行)` : ''}\n- 本页行数: ${result.rowCount}\n- 读取时间: ${result.queryTime}ms\n\n`;
+    if (result.resultSets.length > 0) {
+      displayText += formatResultSets(result, result.rowCount);
     }
-    
-    displayText += `\n\n💡 提示:\n- 连接活动时间已更新\n- 如需断开连接，使用 disconnect_database 工具`;
+    displayText += formatServerMessages(result);
+    displayText += `\n${formatCursorStatus(result.cursor)}`;
     
     return {
       content: [
@@ -366,294 +8688,714 @@ server.registerTool("execute_sql", {
           type: "text",
           text: displayText
         }
-      ]
+      ],
+      structuredContent: { success: true, result: toStructuredQueryResult(result) }
     };
   } catch (error) {
     return {
       content: [
         {
           type: "text",
-          text: `❌ SQL执行失败: ${error.message}\n\n🔍 可能的原因:\n- SQL语法错误\n- 表或字段不存在\n- 权限不足\n- 连接已断开\n\n💡 建议:\n- 检查SQL语句语法\n- 确认表结构和字段名\n- 检查用户权限\n- 重新连接数据库`
+          text: `❌ 读取游标失败: ${error.message}\n\n💡 建议:\n- 游标超过过期时间未读取、读取完毕或连接断开后会自动关闭\n- 使用 get_connection_status 查看打开的游标\n- 重新执行 execute_sql 打开新的游标`
         }
-      ]
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
     };
   }
 });
 
-// 注册工具3：断开数据库连接
-server.registerTool("disconnect_database", {
-  title: "断开数据库连接",
-  description: "手动断开与MSSQL数据库的连接",
-  inputSchema: {}
-}, async () => {
+// 注册工具13：导出查询结果到文件
+server.registerTool("export_query", {
+  title: "导出查询结果",
+  description: "执行查询并把结果逐页写入 CSV、JSON、NDJSON 或 XLSX 文件，内存中只保留一页数据",
+  inputSchema: {
+    sql: z.string().min(1, "SQL语句不能为空").describe("要执行的查询"),
+    params: z.array(sqlParamSchema).optional().default([]).describe("SQL参数 (可选)"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    path: z.string().min(1, "文件路径不能为空").describe("导出文件路径，相对路径相对于服务器的文件目录；必须位于文件目录内，子目录不存在时自动创建"),
+    format: z.enum(EXPORT_FORMATS).optional().describe("导出格式 (可选，默认按文件扩展名推断: .csv/.tsv/.txt、.json、.ndjson/.jsonl、.xlsx)"),
+    resultSet: z.number().int().min(1).optional().default(1).describe("导出第几个结果集 (默认 1)"),
+    overwrite: z.boolean().optional().default(false).describe("文件已存在时是否覆盖"),
+    header: z.boolean().optional().default(true).describe("CSV/XLSX 是否写入标题行"),
+    delimiter: z.string().min(1).max(1).optional().describe("CSV 分隔符 (默认逗号，.tsv 文件默认制表符)"),
+    quote: z.string().min(1).max(1).optional().default('"').describe("CSV 引号字符"),
+    quoteMode: z.enum(["minimal", "all", "nonnumeric"]).optional().default("minimal").describe("CSV 加引号的方式: minimal 只在需要时，all 所有字段，nonnumeric 所有非数值字段"),
+    nullValue: z.string().optional().default("").describe("CSV 中 NULL 的写法 (默认空字段)"),
+    lineEnding: z.enum(["crlf", "lf"]).optional().default("crlf").describe("CSV 换行符"),
+    encoding: z.string().optional().default("utf8").describe("CSV/JSON 文件编码，如 utf8、utf16le、gbk、gb18030、big5"),
+    bom: z.boolean().optional().default(false).describe("是否写入 BOM (Excel 打开 UTF-8 CSV 时需要)"),
+    binaryEncoding: z.enum(["base64", "hex"]).optional().default("base64").describe("二进制列的写法: base64 或 0x 开头的十六进制"),
+    sheetName: z.string().min(1).max(31).optional().default("Sheet1").describe("XLSX 工作表名称")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否导出成功"),
+    export: z.object({
+      path: z.string().describe("导出文件的绝对路径"),
+      format: z.enum(EXPORT_FORMATS),
+      resultSet: z.number().describe("导出的结果集序号"),
+      rowCount: z.number().describe("导出的行数"),
+      bytes: z.number().describe("文件大小(字节)"),
+      duration: z.number().describe("耗时(毫秒)"),
+      encoding: z.string().nullable().describe("文件编码，XLSX 为 null"),
+      columns: z.array(z.object({ name: z.string(), type: z.string().nullable() })).describe("导出的列"),
+      warnings: z.array(z.string())
+    }).optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
   try {
-    const disconnected = await disconnectDatabase();
+    const delimiter = params.delimiter || (path.extname(params.path).toLowerCase() === ".tsv" ? "\t" : ",");
+    if (delimiter === params.quote) {
+      throw new Error(`CSV 分隔符和引号字符不能相同`);
+    }
+    const result = await exportQuery(params.sql, params.params, { ...params, delimiter });
     
-    if (disconnected) {
-      return {
-        content: [
-          { 
-            type: "text", 
-            text: `🔌 数据库连接已断开\n\n📊 本次会话统计:\n- 总查询次数: ${connectionStats.totalQueries}\n- 成功查询: ${connectionStats.successfulQueries}\n- 失败查询: ${connectionStats.failedQueries}\n- 平均查询时间: ${Math.round(connectionStats.averageQueryTime)}ms\n\n💡 提示:\n- 如需重新连接，使用 connect_database 工具\n- 连接信息已清除`
-          }
-        ]
-      };
-    } else {
-      return {
-        content: [
-          { 
-            type: "text", 
-            text: `ℹ️ 当前没有活跃的数据库连接\n\n💡 提示:\n- 使用 connect_database 工具建立新连接`
-          }
-        ]
-      };
+    let displayText = `✅ 导出成功！\n\n📦 导出结果:\n- 文件: ${result.path}\n- 格式: ${result.format.toUpperCase()}${result.encoding ? ` (${result.encoding}${params.bom ? ', BOM' : ''})` : ''}\n- 结果集: 第 ${result.resultSet} 个\n- 行数: ${result.rowCount}\n- 列: ${result.columns.map(column => column.name).join(', ')}\n- 文件大小: ${result.bytes} 字节\n- 耗时: ${result.duration}ms\n`;
+    if (result.warnings.length > 0) {
+      displayText += `\n⚠️ 警告:\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
     }
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
+        }
+      ],
+      structuredContent: { success: true, export: result }
+    };
   } catch (error) {
     return {
       content: [
         {
           type: "text",
-          text: `❌ 断开连接失败: ${error.message}`
+          text: `❌ 导出失败: ${error.message}\n\n💡 建议:\n- 检查SQL语句和文件路径\n- 文件路径必须位于服务器的文件目录内\n- 确认对目标目录有写权限\n- 文件已存在时设置 overwrite: true\n- 大结果集导出为 CSV 或 NDJSON`
         }
-      ]
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
     };
   }
 });
 
-// 注册工具4：批量执行SQL
-server.registerTool("batch_execute_sql", {
-  title: "批量执行SQL",
-  description: "批量执行多个SQL语句，返回每个SQL的执行结果",
+// 注册工具14：导入数据文件
+server.registerTool("import_data", {
+  title: "导入数据文件",
+  description: "读取 CSV、JSON 或 NDJSON 文件，按表的列定义转换后分批批量写入 (bulk insert)；支持追加、清空后导入和按键更新 (upsert)，整个导入在一个事务中完成，无法写入的行记录到错误文件",
   inputSchema: {
-    sqlList: z.array(z.object({
-      id: z.string().optional().describe("SQL语句标识（可选）"),
-      sql: z.string().min(1, "SQL语句不能为空").describe("要执行的SQL语句"),
-      params: z.array(z.object({
-        name: z.string().describe("参数名称"),
-        type: z.any().describe("参数类型 (如: sql.VarChar, sql.Int等)"),
-        value: z.any().describe("参数值")
-      })).optional().default([]).describe("SQL参数 (可选)")
-    })).min(1, "至少需要一条SQL语句").describe("SQL语句列表"),
-    stopOnError: z.boolean().optional().default(false).describe("遇到错误时是否停止执行后续SQL"),
-    parallel: z.boolean().optional().default(false).describe("是否并行执行（注意：某些SQL可能不支持并行）")
+    path: z.string().min(1, "文件路径不能为空").describe("要导入的文件路径，相对路径相对于服务器的文件目录；必须位于文件目录内"),
+    format: z.enum(IMPORT_FORMATS).optional().describe("文件格式 (可选，默认按文件扩展名推断: .csv/.tsv/.txt、.json、.ndjson/.jsonl)"),
+    table: z.string().min(1, "表名不能为空").describe("目标表，如 Orders、dbo.Orders 或 Sales.dbo.Orders"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    mode: z.enum(IMPORT_MODES).optional().default("append").describe("导入方式: append 追加，truncate 先清空表再导入，upsert 按键列更新已有行、插入新行"),
+    keyColumns: z.array(z.string().min(1)).optional().describe("upsert 的键列 (默认使用表的主键)；自动建表时作为主键"),
+    createTable: z.boolean().optional().default(false).describe("表不存在时是否按文件的列自动建表 (列类型按前 1000 行推断)"),
+    columnTypes: z.record(z.string()).optional().describe("自动建表时指定列类型，覆盖推断结果，如 {\"Amount\": \"Decimal(18,2)\"}"),
+    columnMap: z.record(z.string()).optional().describe("文件列到表列的对应 {文件列: 表列}，未列出的列按名称对应 (不区分大小写)"),
+    header: z.boolean().optional().default(true).describe("CSV 第一行是否为标题行；没有标题行时按表的列顺序对应"),
+    delimiter: z.string().min(1).max(1).optional().describe("CSV 分隔符 (默认逗号，.tsv 文件默认制表符)"),
+    quote: z.string().min(1).max(1).optional().default('"').describe("CSV 引号字符"),
+    nullValue: z.string().optional().default("").describe("CSV 中表示 NULL 的写法 (默认空字段；带引号的 \"\" 是空字符串)"),
+    encoding: z.string().optional().default("utf8").describe("文件编码，如 utf8、utf16le、gbk、gb18030、big5"),
+    batchSize: z.number().int().min(1).max(100000).optional().default(DEFAULT_IMPORT_BATCH_SIZE).describe(`每批写入的行数 (默认 ${DEFAULT_IMPORT_BATCH_SIZE})`),
+    errorFile: z.string().optional().describe("被拒绝的行写入的文件 (NDJSON，默认 <文件路径>.errors.ndjson，必须位于文件目录内，没有被拒绝的行时不创建)"),
+    maxErrors: z.number().int().min(0).optional().default(1000).describe("被拒绝的行超过该数量时中止并回滚 (默认 1000，0 表示任何一行被拒绝都中止)")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否导入成功"),
+    import: z.object({
+      path: z.string().describe("导入文件的绝对路径"),
+      format: z.enum(IMPORT_FORMATS),
+      table: z.string().describe("目标表"),
+      mode: z.enum(IMPORT_MODES),
+      read: z.number().describe("从文件读取的行数"),
+      inserted: z.number().describe("插入的行数"),
+      updated: z.number().describe("更新的行数 (upsert)"),
+      rejected: z.number().describe("被拒绝的行数"),
+      batches: z.number().describe("批量写入的批数"),
+      created: z.boolean().describe("是否自动建表"),
+      truncated: z.boolean().describe("是否清空了表"),
+      columns: z.array(z.object({ source: z.string(), column: z.string(), type: z.string() })).describe("文件列与表列的对应"),
+      keyColumns: z.array(z.string()).describe("upsert 使用的键列"),
+      errorFile: z.string().nullable().describe("错误文件路径，没有被拒绝的行时为 null"),
+      duration: z.number().describe("耗时(毫秒)"),
+      warnings: z.array(z.string())
+    }).optional(),
+    error: toolErrorSchema.optional()
   }
 }, async (params) => {
   try {
-    // 确保连接可用
-    if (!await reconnectIfNeeded()) {
-      throw new Error("未连接到数据库，请先使用 connect_database 工具建立连接");
+    const delimiter = params.delimiter || (path.extname(params.path).toLowerCase() === ".tsv" ? "\t" : ",");
+    if (delimiter === params.quote) {
+      throw new Error(`CSV 分隔符和引号字符不能相同`);
     }
+    const result = await importData({ ...params, delimiter });
     
-    const { sqlList, stopOnError = false, parallel = false } = params;
-    const results = [];
-    const startTime = Date.now();
+    let displayText = `✅ 导入成功！\n\n📦 导入结果:\n- 文件: ${result.path} (${result.format.toUpperCase()})\n- 目标表: ${result.table}${result.created ? ' (新建)' : ''}\n- 导入方式: ${result.mode}${result.truncated ? ' (已清空原有数据)' : ''}${result.keyColumns.length > 0 ? `，键列: ${result.keyColumns.join(', ')}` : ''}\n- 读取行数: ${result.read}\n- 插入: ${result.inserted}${result.mode === "upsert" ? `，更新: ${result.updated}` : ''}\n- 拒绝: ${result.rejected}${result.errorFile ? ` (见 ${result.errorFile})` : ''}\n- 批数: ${result.batches}\n- 耗时: ${result.duration}ms\n`;
+    displayText += `\n📋 列对应:\n${result.columns.map(item => `- ${item.source} → ${item.column} ${item.type}`).join('\n')}\n`;
+    if (result.warnings.length > 0) {
+      displayText += `\n⚠️ 警告:\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+    }
     
-    if (parallel) {
-      // 并行执行
-      const promises = sqlList.map(async (sqlItem, index) => {
-        try {
-          const result = await executeQuery(sqlItem.sql, sqlItem.params || []);
-          return {
-            index: index + 1,
-            id: sqlItem.id || `SQL_${index + 1}`,
-            sql: sqlItem.sql,
-            success: true,
-            result: result,
-            error: null
-          };
-        } catch (error) {
-          return {
-            index: index + 1,
-            id: sqlItem.id || `SQL_${index + 1}`,
-            sql: sqlItem.sql,
-            success: false,
-            result: null,
-            error: error.message
-          };
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
         }
-      });
-      
-      const parallelResults = await Promise.all(promises);
-      results.push(...parallelResults);
-    } else {
-      // 串行执行
-      for (let i = 0; i < sqlList.length; i++) {
-        const sqlItem = sqlList[i];
-        
-        try {
-          const result = await executeQuery(sqlItem.sql, sqlItem.params || []);
-          results.push({
-            index: i + 1,
-            id: sqlItem.id || `SQL_${index + 1}`,
-            sql: sqlItem.sql,
-            success: true,
-            result: result,
-            error: null
-          });
-        } catch (error) {
-          results.push({
-            index: i + 1,
-            id: sqlItem.id || `SQL_${index + 1}`,
-            sql: sqlItem.sql,
-            success: false,
-            result: null,
-            error: error.message
-          });
-          
-          if (stopOnError) {
-            break; // 遇到错误时停止执行
-          }
+      ],
+      structuredContent: { success: true, import: result }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 导入失败: ${error.message}\n\n💡 建议:\n- 检查文件路径、格式和编码\n- 文件和错误文件必须位于服务器的文件目录内\n- 用 columnMap 指定文件列与表列的对应\n- 表不存在时设置 createTable: true\n- 查看错误文件中被拒绝的行和原因`
         }
-      }
-    }
-    
-    const totalTime = Date.now() - startTime;
-    const successCount = results.filter(r => r.success).length;
-    const errorCount = results.filter(r => !r.success).length;
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具15：生成对象的DDL脚本
+server.registerTool("script_object", {
+  title: "生成对象脚本",
+  description: "生成表、视图、存储过程、函数或触发器的可部署 T-SQL 脚本（类似 SSMS 的\"编写脚本为\"）：表包括列、标识、默认值、主键、唯一约束、检查约束、外键和索引，模块使用数据库中保存的定义，可选触发器和权限",
+  inputSchema: {
+    object: z.string().min(1, "对象名称不能为空").describe("对象名称，如 Orders、dbo.Orders 或 Sales.dbo.Orders"),
+    database: z.string().optional().describe("数据库名称 (可选，默认使用对象名称中的数据库或连接的当前数据库)"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    createOrAlter: z.boolean().optional().default(false).describe("视图、存储过程、函数和触发器使用 CREATE OR ALTER (表不支持)"),
+    dropIfExists: z.boolean().optional().default(false).describe("在创建前加入 DROP ... IF EXISTS"),
+    includeIndexes: z.boolean().optional().default(true).describe("是否包含表或索引视图的索引 (主键和唯一约束始终包含)"),
+    includeTriggers: z.boolean().optional().default(true).describe("是否包含表或视图上的触发器"),
+    includePermissions: z.boolean().optional().default(true).describe("是否包含对象权限 (GRANT/DENY)"),
+    includeUse: z.boolean().optional().default(false).describe("是否在开头加入 USE [数据库]")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否生成成功"),
+    script: z.object({
+      database: z.string().nullable().describe("对象所在的数据库"),
+      schema: z.string(),
+      name: z.string(),
+      type: z.enum(["table", "view", "procedure", "function", "trigger"]),
+      typeLabel: z.string().describe("对象类型的中文名称"),
+      script: z.string().describe("T-SQL 脚本，批之间用 GO 分隔"),
+      batches: z.number().describe("脚本中的批数"),
+      warnings: z.array(z.string())
+    }).optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const result = await scriptObject(params);
     
-    // 构建显示文本
-    let displayText = `✅ 批量SQL执行完成！\n\n📊 执行统计:\n`;
-    displayText += `- 总SQL数量: ${sqlList.length}\n`;
-    displayText += `- 成功执行: ${successCount}\n`;
-    displayText += `- 执行失败: ${errorCount}\n`;
-    displayText += `- 总执行时间: ${totalTime}ms\n`;
-    displayText += `- 执行模式: ${parallel ? '并行' : '串行'}\n`;
-    displayText += `- 错误处理: ${stopOnError ? '遇错停止' : '继续执行'}\n\n`;
+    let displayText = `✅ 脚本已生成: ${result.database ? `${result.database}.` : ''}${result.schema}.${result.name} (${result.typeLabel}，${result.batches} 个批)\n\n\`\`\`sql\n${result.script}\`\`\`\n`;
+    if (result.warnings.length > 0) {
+      displayText += `\n⚠️ 警告:\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+    }
     
-    // 显示每个SQL的执行结果
-    displayText += `📋 详细执行结果:\n`;
-    displayText += `==========================================\n`;
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
+        }
+      ],
+      structuredContent: { success: true, script: result }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 生成脚本失败: ${error.message}\n\n💡 建议:\n- 检查对象名称和数据库名称\n- 确认当前登录有 VIEW DEFINITION 权限\n- 使用 schema://{database}/tables 查看数据库中的对象`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具16：比较两个数据库的结构
+const schemaChangeCountsSchema = z.object({ added: z.number(), removed: z.number(), changed: z.number() });
+server.registerTool("compare_schemas", {
+  title: "比较数据库结构",
+  description: "比较两个数据库（可以在不同连接上）的表、列、索引、约束、外键、视图、存储过程、函数和触发器，列出新增、删除和修改的对象，并生成把目标数据库变更为与源数据库一致的迁移脚本：语句按依赖顺序排列，删除表、删除列、缩小列类型等破坏性变更单独列出",
+  inputSchema: {
+    sourceConnection: z.string().optional().describe("源数据库的连接名称 (可选，默认使用最近建立的连接)"),
+    sourceDatabase: z.string().optional().describe("源数据库名称 (可选，默认使用连接的当前数据库)"),
+    targetConnection: z.string().optional().describe("目标数据库的连接名称 (可选，默认使用最近建立的连接)"),
+    targetDatabase: z.string().optional().describe("目标数据库名称 (可选，默认使用连接的当前数据库)"),
+    schemas: z.array(z.string()).optional().describe("只比较这些架构 (可选，默认比较所有架构)"),
+    includeModules: z.boolean().optional().default(true).describe("是否比较视图、存储过程、函数和触发器"),
+    includeDestructive: z.boolean().optional().default(false).describe("迁移脚本是否包含破坏性变更 (删除表、列、模块，缩小列类型)；默认只在 destructiveScript 中列出"),
+    includeUse: z.boolean().optional().default(false).describe("是否在脚本开头加入 USE [目标数据库]")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否比较成功"),
+    comparison: z.object({
+      source: z.object({ connection: z.string(), database: z.string().nullable() }),
+      target: z.object({ connection: z.string(), database: z.string().nullable() }),
+      identical: z.boolean().describe("结构是否完全相同"),
+      summary: z.object({
+        table: schemaChangeCountsSchema,
+        column: schemaChangeCountsSchema,
+        index: schemaChangeCountsSchema,
+        constraint: schemaChangeCountsSchema,
+        foreignKey: schemaChangeCountsSchema,
+        module: schemaChangeCountsSchema
+      }).describe("按对象类型统计的变更数"),
+      changes: z.array(z.object({
+        objectType: z.enum(["table", "column", "index", "constraint", "foreignKey", "module"]),
+        change: z.enum(["added", "removed", "changed"]).describe("相对目标数据库：源中新增、源中不存在或定义不同"),
+        table: z.string().nullable().describe("所属的表 (schema.name)"),
+        name: z.string(),
+        details: z.string().nullable(),
+        destructive: z.boolean().describe("迁移时是否会删除对象或数据")
+      })),
+      statements: z.number().describe("script 中的语句数"),
+      destructiveStatements: z.number().describe("破坏性语句数"),
+      script: z.string().describe("迁移脚本，批之间用 GO 分隔"),
+      destructiveScript: z.string().nullable().describe("破坏性变更的语句"),
+      warnings: z.array(z.string())
+    }).optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const result = await compareSchemas(params);
+    const side = (item) => `${item.connection}/${item.database || '当前数据库'}`;
     
-    for (const result of results) {
-      displayText += `\n🔸 ${result.id} (第${result.index}条)\n`;
-      displayText += `SQL: ${result.sql.substring(0, 100)}${result.sql.length > 100 ? '...' : ''}\n`;
-      
-      if (result.success) {
-        displayText += `✅ 执行成功\n`;
-        displayText += `- 影响行数: ${result.result.rowsAffected}\n`;
-        displayText += `- 返回行数: ${result.result.rowCount}\n`;
-        displayText += `- 执行时间: ${result.result.queryTime}ms\n`;
-        
-        // 如果有返回数据，显示前几行
-        if (result.result.recordset && result.result.recordset.length > 0) {
-          const columns = Object.keys(result.result.recordset[0]);
-          displayText += `- 数据预览 (前${Math.min(result.result.recordset.length, 3)}行):\n`;
-          
-          for (let i = 0; i < Math.min(result.result.recordset.length, 3); i++) {
-            const row = result.result.recordset[i];
-            const values = columns.map(col => {
-              const value = row[col];
-              if (value === null || value === undefined) return 'NULL';
-              if (typeof value === 'string' && value.length > 30) return value.substring(0, 30) + '...';
-              return String(value);
-            });
-            displayText += `  ${i + 1}. ${values.join(' | ')}\n`;
-          }
-          
-          if (result.result.recordset.length > 3) {
-            displayText += `  ... 还有 ${result.result.recordset.length - 3} 行数据\n`;
-          }
+    let displayText = `🔍 结构比较: ${side(result.source)} (源) → ${side(result.target)} (目标)\n\n`;
+    if (result.identical) {
+      displayText += `✅ 两个数据库的结构相同\n`;
+    } else {
+      const labels = { table: "表", column: "列", index: "索引", constraint: "约束", foreignKey: "外键", module: "模块" };
+      displayText += `📊 变更统计:\n`;
+      for (const [type, counts] of Object.entries(result.summary)) {
+        if (counts.added + counts.removed + counts.changed > 0) {
+          displayText += `- ${labels[type]}: 新增 ${counts.added}，删除 ${counts.removed}，修改 ${counts.changed}\n`;
         }
-      } else {
-        displayText += `❌ 执行失败\n`;
-        displayText += `- 错误信息: ${result.error}\n`;
       }
-      
-      displayText += `------------------------------------------\n`;
+      const icons = { added: "➕", removed: "➖", changed: "✏️" };
+      displayText += `\n📋 变更明细:\n`;
+      for (const change of result.changes.slice(0, 100)) {
+        const name = change.table && change.objectType !== "table" && change.objectType !== "module" ? `${change.table}.${change.name}` : change.name;
+        displayText += `${icons[change.change]} ${labels[change.objectType]} ${name}${change.details ? ` — ${change.details}` : ''}${change.destructive ? ' ⚠️' : ''}\n`;
+      }
+      if (result.changes.length > 100) {
+        displayText += `... 还有 ${result.changes.length - 100} 项变更\n`;
+      }
+      displayText += `\n📝 迁移脚本 (${result.statements} 条语句):\n\`\`\`sql\n${result.script}\`\`\`\n`;
+      if (result.destructiveScript && !params.includeDestructive) {
+        displayText += `\n⚠️ 破坏性变更 (${result.destructiveStatements} 条，未包含在迁移脚本中):\n\`\`\`sql\n${result.destructiveScript}\`\`\`\n`;
+      }
+    }
+    if (result.warnings.length > 0) {
+      displayText += `\n⚠️ 警告:\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
     }
     
-    displayText += `\n💡 提示:\n`;
-    displayText += `- 连接活动时间已更新\n`;
-    displayText += `- 如需断开连接，使用 disconnect_database 工具`;
+    return {
+      content: [
+        {
+          type: "text",
+          text: displayText
+        }
+      ],
+      structuredContent: { success: true, comparison: result }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 比较结构失败: ${error.message}\n\n💡 建议:\n- 检查连接名称和数据库名称\n- 确认两个连接都有 VIEW DEFINITION 权限\n- 使用 databases:// 查看可访问的数据库`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 迁移工具的公共参数和输出
+const migrationOptionsSchema = {
+  directory: z.string().optional().describe("迁移目录 (可选，默认使用 --migrations-dir、MSSQL_MIGRATIONS_DIR 或配置文件的 migrations.directory)"),
+  connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)")
+};
+const migrationStepSchema = z.object({
+  version: z.string(),
+  file: z.string(),
+  batches: z.number().describe("按 GO 分隔的批数"),
+  executionMs: z.number().nullable().describe("执行耗时，dryRun 时为 null")
+});
+const migrationRunSchema = z.object({
+  connection: z.string(),
+  database: z.string().nullable(),
+  directory: z.string(),
+  dryRun: z.boolean(),
+  migrations: z.array(migrationStepSchema).describe("已执行的迁移；dryRun 时为将要执行的迁移"),
+  failure: z.object({ version: z.string(), file: z.string(), error: toolErrorSchema }).nullable().describe("失败的迁移，该文件已回滚，之后的迁移未执行"),
+  current: z.string().nullable().describe("当前已执行的最高版本"),
+  pending: z.number().describe("未执行的迁移数"),
+  warnings: z.array(z.string())
+});
+
+// 迁移执行结果的文本
+function formatMigrationRun(result, direction) {
+  const verb = direction === "up" ? "执行" : "回滚";
+  let text = `📂 迁移目录: ${result.directory}\n🔗 连接: ${result.connection}${result.database ? ` (${result.database})` : ''}\n\n`;
+  if (result.migrations.length === 0 && !result.failure) {
+    text += direction === "up" ? `✅ 没有需要执行的迁移\n` : `✅ 没有可以回滚的迁移\n`;
+  } else if (result.dryRun) {
+    text += `📝 将要${verb}的迁移 (dryRun，未执行):\n${result.migrations.map(item => `- ${item.version}: ${item.file} (${item.batches} 个批)`).join('\n')}\n`;
+  } else if (result.migrations.length > 0) {
+    text += `✅ 已${verb} ${result.migrations.length} 个迁移:\n${result.migrations.map(item => `- ${item.version}: ${item.file} (${item.batches} 个批，${item.executionMs}ms)`).join('\n')}\n`;
+  }
+  if (result.failure) {
+    text += `${result.migrations.length > 0 ? '\n' : ''}❌ ${result.failure.file} ${verb}失败，该文件已回滚，之后的迁移未${verb}:\n${result.failure.error.message}\n`;
+  }
+  text += `\n📌 当前版本: ${result.current || '无'}，未执行: ${result.pending} 个\n`;
+  if (result.warnings.length > 0) {
+    text += `\n⚠️ 警告:\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+  }
+  return text;
+}
+
+// 注册工具17：查看迁移状态
+server.registerTool("migrate_status", {
+  title: "迁移状态",
+  description: "对比迁移目录中的 <版本号>_<说明>.sql 文件和数据库中的 dbo.__mcp_migrations 记录表，列出已执行、未执行的迁移，以及执行后被修改 (校验和不一致) 和版本顺序错误的文件",
+  inputSchema: migrationOptionsSchema,
+  outputSchema: {
+    success: z.boolean().describe("是否读取成功"),
+    status: z.object({
+      connection: z.string(),
+      database: z.string().nullable(),
+      directory: z.string(),
+      tableExists: z.boolean().describe("记录表是否已创建"),
+      current: z.string().nullable().describe("已执行的最高版本"),
+      pending: z.number().describe("未执行的迁移数"),
+      migrations: z.array(z.object({
+        version: z.string(),
+        description: z.string(),
+        file: z.string(),
+        downFile: z.string().nullable().describe("回滚脚本"),
+        state: z.enum(["applied", "pending", "drifted", "outOfOrder", "missing"]).describe("applied 已执行、pending 未执行、drifted 执行后文件被修改、outOfOrder 低于已执行的最高版本但未执行、missing 已执行但文件不存在"),
+        checksum: z.string().describe("文件的 SHA-256 校验和 (missing 时为记录的校验和)"),
+        appliedAt: z.string().nullable(),
+        appliedBy: z.string().nullable(),
+        executionMs: z.number().nullable()
+      })),
+      errors: z.array(z.string()).describe("阻止 migrate_up 执行的错误"),
+      warnings: z.array(z.string())
+    }).optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    if (!await reconnectIfNeeded(params.connection)) {
+      throw notConnectedError(params.connection);
+    }
+    const status = await getMigrationStatus(getConnection(params.connection), resolveMigrationsDirectory(params.directory));
+    const icons = { applied: "✅", pending: "⏳", drifted: "❗", outOfOrder: "🔀", missing: "❓" };
+    
+    let displayText = `📂 迁移目录: ${status.directory}\n🔗 连接: ${status.connection}${status.database ? ` (${status.database})` : ''}\n📌 当前版本: ${status.current || '无'}${status.tableExists ? '' : ' (记录表尚未创建)'}，未执行: ${status.pending} 个\n\n`;
+    if (status.migrations.length === 0) {
+      displayText += `目录中没有迁移文件\n`;
+    }
+    for (const item of status.migrations) {
+      const applied = item.appliedAt ? ` — ${item.appliedAt} ${item.appliedBy || ''} (${item.executionMs}ms)` : '';
+      displayText += `${icons[item.state]} ${item.version}: ${item.file}${item.downFile ? ' [可回滚]' : ''}${applied}\n`;
+    }
+    if (status.errors.length > 0) {
+      displayText += `\n❌ 错误:\n${status.errors.map(error => `- ${error}`).join('\n')}\n`;
+    }
+    if (status.warnings.length > 0) {
+      displayText += `\n⚠️ 警告:\n${status.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+    }
     
     return {
       content: [
         {
           type: "text",
-          text: displayText
+          text: displayText
+        }
+      ],
+      structuredContent: { success: true, status }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 读取迁移状态失败: ${error.message}`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具18：执行迁移
+server.registerTool("migrate_up", {
+  title: "执行迁移",
+  description: "按版本顺序执行未执行的迁移文件：每个文件按 GO 分隔成批，在一个事务中执行并写入 dbo.__mcp_migrations 记录表，失败时回滚该文件并停止。存在校验和不一致或版本顺序错误时不执行任何迁移",
+  inputSchema: {
+    ...migrationOptionsSchema,
+    target: z.string().regex(/^\d+$/, "版本号应为数字").optional().describe("只执行到该版本 (含)"),
+    count: z.number().int().min(1).optional().describe("最多执行的迁移数"),
+    dryRun: z.boolean().optional().default(false).describe("只列出将要执行的迁移并检查语句策略，不执行")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否执行完成 (某个迁移失败时见 migration.failure)"),
+    migration: migrationRunSchema.optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const result = await migrateUp(params);
+    return {
+      content: [
+        {
+          type: "text",
+          text: formatMigrationRun(result, "up")
+        }
+      ],
+      structuredContent: { success: true, migration: result }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 执行迁移失败: ${error.message}\n\n💡 建议:\n- 使用 migrate_status 查看迁移状态\n- 已执行的迁移文件不要修改，新的变更请添加新版本的文件`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
+  }
+});
+
+// 注册工具19：回滚迁移
+server.registerTool("migrate_down", {
+  title: "回滚迁移",
+  description: "按版本从高到低执行已执行迁移的回滚脚本 (<版本号>_<说明>.down.sql)：每个文件在一个事务中执行并删除 dbo.__mcp_migrations 中的记录，失败时回滚该文件并停止",
+  inputSchema: {
+    ...migrationOptionsSchema,
+    steps: z.number().int().min(1).optional().default(1).describe("回滚的迁移数，默认回滚最近的一个"),
+    target: z.string().regex(/^\d+$/, "版本号应为数字").optional().describe("回滚到该版本 (保留该版本，0 表示全部回滚)，指定时忽略 steps"),
+    dryRun: z.boolean().optional().default(false).describe("只列出将要回滚的迁移并检查语句策略，不执行")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否执行完成 (某个迁移失败时见 migration.failure)"),
+    migration: migrationRunSchema.optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const result = await migrateDown(params);
+    return {
+      content: [
+        {
+          type: "text",
+          text: formatMigrationRun(result, "down")
         }
-      ]
+      ],
+      structuredContent: { success: true, migration: result }
     };
   } catch (error) {
     return {
       content: [
         {
           type: "text",
-          text: `❌ 批量SQL执行失败: ${error.message}\n\n🔍 可能的原因:\n- 未连接到数据库\n- SQL语句格式错误\n- 参数配置错误\n\n💡 建议:\n- 检查数据库连接状态\n- 验证SQL语句语法\n- 确认参数配置`
+          text: `❌ 回滚迁移失败: ${error.message}\n\n💡 建议:\n- 使用 migrate_status 查看迁移状态\n- 每个需要回滚的版本都要有对应的 .down.sql 文件`
         }
-      ]
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
     };
   }
 });
 
-// 注册工具5：获取连接状态
-server.registerTool("get_connection_status", {
-  title: "获取连接状态",
-  description: "查看当前数据库连接状态和统计信息",
-  inputSchema: {}
-}, async () => {
-  const isConnected = connectionPool && connectionPool.connected;
-  const now = Date.now();
-  const timeSinceLastActivity = lastActivityTime ? now - lastActivityTime : null;
-  
-  let statusText = `📊 数据库连接状态\n\n`;
-  
-  if (isConnected) {
-    statusText += `🟢 连接状态: 已连接\n`;
-    statusText += `🔗 连接信息:\n`;
-    statusText += `- 服务器: ${connectionConfig.server}:${connectionConfig.port}\n`;
-    statusText += `- 数据库: ${connectionConfig.database}\n`;
-    statusText += `- 用户: ${connectionConfig.user}\n`;
-    
-          if (timeSinceLastActivity !== null) {
-        const minutesSinceActivity = Math.floor(timeSinceLastActivity / 60000);
-        const secondsSinceActivity = Math.floor((timeSinceLastActivity % 60000) / 1000);
-        statusText += `- 最后活动: ${minutesSinceActivity}分${secondsSinceActivity}秒前\n`;
-        const remainingTime = Math.max(0, 300 - Math.floor(timeSinceLastActivity / 1000));
-        const remainingMinutes = Math.floor(remainingTime / 60);
-        const remainingSeconds = remainingTime % 60;
-        statusText += `- 自动断开倒计时: ${remainingMinutes}分${remainingSeconds}秒\n`;
-      }
-  } else {
-    statusText += `🔴 连接状态: 未连接\n`;
+// 注册工具20：获取查询的执行计划
+const planWarningSchema = z.object({
+  type: z.enum(["implicitConversion", "spill", "noJoinPredicate", "noStatistics", "memoryGrant", "wait", "other"]),
+  message: z.string()
+});
+
+// 计划中的数字：整数原样显示，小数保留 4 位有效数字
+function formatPlanNumber(value) {
+  if (value === null || value === undefined) {
+    return "?";
   }
-  
-  statusText += `\n📈 统计信息:\n`;
-  statusText += `- 总连接次数: ${connectionStats.totalConnections}\n`;
-  statusText += `- 成功连接: ${connectionStats.successfulConnections}\n`;
-  statusText += `- 失败连接: ${connectionStats.failedConnections}\n`;
-  statusText += `- 总查询次数: ${connectionStats.totalQueries}\n`;
-  statusText += `- 成功查询: ${connectionStats.successfulQueries}\n`;
-  statusText += `- 失败查询: ${connectionStats.failedQueries}\n`;
-  statusText += `- 平均查询时间: ${Math.round(connectionStats.averageQueryTime)}ms\n`;
-  
-  if (connectionStats.lastConnectionTime) {
-    statusText += `- 最后连接: ${connectionStats.lastConnectionTime}\n`;
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(4)));
+}
+
+// 截断较长的语句文本和谓词，只用于文本输出
+function truncatePlanText(text, length = 200) {
+  const line = text.replace(/\s+/g, " ");
+  return line.length > length ? `${line.slice(0, length)}...` : line;
+}
+
+function formatPlanOperator(operator, actual) {
+  let text = `${"  ".repeat(operator.depth)}[${operator.nodeId}] ${operator.physicalOp}${operator.logicalOp && operator.logicalOp !== operator.physicalOp ? ` (${operator.logicalOp})` : ''}`;
+  if (operator.object) {
+    text += ` ${operator.object}`;
   }
-  
-  if (connectionStats.lastQueryTime) {
-    statusText += `- 最后查询: ${connectionStats.lastQueryTime}\n`;
+  text += ` — 成本 ${operator.costPercent}%，估计 ${formatPlanNumber(operator.estimatedRows)} 行${operator.estimatedExecutions > 1 ? ` × ${formatPlanNumber(operator.estimatedExecutions)} 次` : ''}`;
+  if (actual) {
+    text += operator.actualRows === null ? `，未执行` : `，实际 ${operator.actualRows} 行 (${operator.actualExecutions} 次执行${operator.actualElapsedMs !== null ? `，${operator.actualElapsedMs}ms` : ''})`;
   }
-  
-  statusText += `\n💡 提示:\n`;
-  if (isConnected) {
-    statusText += `- 连接将在5分钟无活动后自动断开\n`;
-    statusText += `- 连接断开时会自动重连\n`;
-    statusText += `- 使用 execute_sql 工具执行查询\n`;
-    statusText += `- 使用 batch_execute_sql 工具批量执行\n`;
-    statusText += `- 使用 disconnect_database 工具手动断开\n`;
-  } else {
-    statusText += `- 使用 connect_database 工具建立连接\n`;
+  if (operator.parallel) {
+    text += ` ⇶`;
+  }
+  if (operator.misestimated) {
+    text += ` ⚠️ 估计偏差`;
+  }
+  if (operator.predicate) {
+    text += `\n${"  ".repeat(operator.depth)}    谓词: ${truncatePlanText(operator.predicate)}`;
+  }
+  return text;
+}
+
+function formatExplainResult(result) {
+  const actual = result.mode === "actual";
+  let text = `✅ 已获取${actual ? '实际' : '估计'}执行计划\n- 连接: ${result.connection}\n- ${actual ? `语句已在事务中执行并回滚，返回 ${result.resultSets} 个结果集、${result.rowCount} 行` : '语句未执行'}\n- 耗时: ${result.queryTime}ms\n`;
+  if (result.statements.length === 0) {
+    return `${text}\n📝 没有返回执行计划（批处理中没有需要编译查询计划的语句）\n`;
+  }
+
+  for (const statement of result.statements) {
+    text += `\n📝 语句 ${statement.index}${statement.type ? ` (${statement.type})` : ''}: 估计成本 ${formatPlanNumber(statement.estimatedCost)}，估计 ${formatPlanNumber(statement.estimatedRows)} 行\n   ${truncatePlanText(statement.text)}\n`;
+    const details = [
+      statement.degreeOfParallelism !== null ? `并行度 ${statement.degreeOfParallelism}` : null,
+      statement.compileTimeMs !== null ? `编译 ${statement.compileTimeMs}ms` : null,
+      statement.cpuTimeMs !== null ? `CPU ${statement.cpuTimeMs}ms` : null,
+      statement.elapsedMs !== null ? `执行 ${statement.elapsedMs}ms` : null,
+      statement.memoryGrantKb !== null ? `内存授予 ${statement.memoryGrantKb} KB` : null
+    ].filter(Boolean);
+    if (details.length > 0) {
+      text += `   ${details.join('，')}\n`;
+    }
+
+    text += `\n🌳 运算符:\n${statement.operators.map(operator => formatPlanOperator(operator, actual)).join('\n')}\n`;
+
+    const warnings = [
+      ...statement.warnings.map(warning => `- ${warning.message}`),
+      ...statement.operators.flatMap(operator => operator.warnings.map(warning => `- [${operator.nodeId}] ${operator.physicalOp}: ${warning.message}`)),
+      ...statement.operators.filter(operator => operator.misestimated).map(operator => `- [${operator.nodeId}] ${operator.physicalOp}: 估计 ${formatPlanNumber(operator.estimatedRows * operator.estimatedExecutions)} 行，实际 ${operator.actualRows} 行，请检查统计信息和谓词`)
+    ];
+    if (warnings.length > 0) {
+      text += `\n⚠️ 警告:\n${warnings.join('\n')}\n`;
+    }
+
+    for (const index of statement.missingIndexes) {
+      text += `\n💡 缺失索引建议 (预计改善 ${formatPlanNumber(index.impact)}%):\n\`\`\`sql\n${index.script}\n\`\`\`\n`;
+    }
+  }
+  return text;
+}
+
+server.registerTool("explain_query", {
+  title: "获取执行计划",
+  description: "获取SQL语句的执行计划并整理为运算符树：估计计划 (SHOWPLAN_XML，不执行语句) 或实际计划 (STATISTICS XML，在事务中执行后回滚)，包括每个运算符的估计行数与实际行数、成本占比、警告 (隐式转换、溢出到 tempdb、缺少统计信息等) 和缺失索引建议的 CREATE INDEX 脚本",
+  inputSchema: {
+    sql: z.string().min(1, "SQL语句不能为空").describe("要分析的SQL语句"),
+    params: z.array(sqlParamSchema).optional().default([]).describe("SQL参数 (可选)"),
+    connection: z.string().optional().describe("连接名称 (可选，默认使用最近建立的连接)"),
+    mode: z.enum(["estimated", "actual"]).optional().default("estimated").describe("estimated: 估计计划，不执行语句；actual: 实际计划，语句会在事务中执行，完成后回滚"),
+    includeXml: z.boolean().optional().default(false).describe("是否返回原始计划 XML (可保存为 .sqlplan 文件在 SSMS 中查看)")
+  },
+  outputSchema: {
+    success: z.boolean().describe("是否获取成功"),
+    plan: z.object({
+      connection: z.string(),
+      mode: z.enum(["estimated", "actual"]),
+      executed: z.boolean().describe("语句是否被执行 (实际计划模式下执行后回滚)"),
+      statements: z.array(z.object({
+        index: z.number(),
+        type: z.string().nullable().describe("语句类型，如 SELECT、UPDATE"),
+        text: z.string(),
+        estimatedCost: z.number().nullable().describe("估计子树成本"),
+        estimatedRows: z.number().nullable(),
+        degreeOfParallelism: z.number().nullable(),
+        compileTimeMs: z.number().nullable(),
+        cpuTimeMs: z.number().nullable().describe("实际 CPU 时间 (仅实际计划)"),
+        elapsedMs: z.number().nullable().describe("实际执行时间 (仅实际计划)"),
+        memoryGrantKb: z.number().nullable(),
+        warnings: z.array(planWarningSchema).describe("语句级警告"),
+        missingIndexes: z.array(z.object({
+          impact: z.number().nullable().describe("预计改善的百分比"),
+          database: z.string().nullable(),
+          schema: z.string(),
+          table: z.string(),
+          equalityColumns: z.array(z.string()),
+          inequalityColumns: z.array(z.string()),
+          includeColumns: z.array(z.string()),
+          script: z.string().describe("CREATE INDEX 脚本")
+        })),
+        operators: z.array(z.object({
+          nodeId: z.number(),
+          parentNodeId: z.number().nullable(),
+          depth: z.number(),
+          physicalOp: z.string(),
+          logicalOp: z.string().nullable(),
+          object: z.string().nullable().describe("访问的表或索引，如 [Sales].[dbo].[Orders].[IX_Customer]"),
+          estimatedRows: z.number().nullable().describe("每次执行的估计行数"),
+          estimatedExecutions: z.number().describe("估计执行次数"),
+          actualRows: z.number().nullable().describe("所有执行的实际行数合计 (仅实际计划)"),
+          actualExecutions: z.number().nullable(),
+          actualElapsedMs: z.number().nullable(),
+          estimatedCost: z.number().describe("运算符自身的估计成本"),
+          subtreeCost: z.number(),
+          costPercent: z.number().describe("自身成本占语句成本的百分比"),
+          parallel: z.boolean(),
+          executionMode: z.string().nullable().describe("Row 或 Batch"),
+          predicate: z.string().nullable(),
+          misestimated: z.boolean().describe(`实际行数与估计行数相差 ${PLAN_ROW_SKEW_RATIO} 倍以上`),
+          warnings: z.array(planWarningSchema)
+        })).describe("按深度优先顺序排列的运算符")
+      })),
+      resultSets: z.number().describe("查询本身返回的结果集数 (仅实际计划)"),
+      rowCount: z.number(),
+      queryTime: z.number(),
+      planXml: z.array(z.string()).optional()
+    }).optional(),
+    error: toolErrorSchema.optional()
+  }
+}, async (params) => {
+  try {
+    const result = await explainQuery(params.sql, params.params, params);
+    return {
+      content: [
+        {
+          type: "text",
+          text: formatExplainResult(result)
+        }
+      ],
+      structuredContent: { success: true, plan: result }
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `❌ 获取执行计划失败: ${error.message}\n\n💡 建议:\n- 检查SQL语句语法，估计计划不能包含临时表等需要先执行才存在的对象\n- 确认当前登录有 SHOWPLAN 权限\n- 实际计划会执行语句，只读连接只能分析查询语句`
+        }
+      ],
+      structuredContent: { success: false, error: describeToolError(error) },
+      isError: true
+    };
   }
-  
-  return {
-    content: [
-      {
-        type: "text",
-        text: statusText
-      }
-    ]
-  };
 });
 
 // 注册配置资源
@@ -676,22 +9418,54 @@ server.registerResource(
           "execute_sql", 
           "batch_execute_sql",
           "disconnect_database",
-          "get_connection_status"
+          "get_connection_status",
+          "query_history",
+          "begin_transaction",
+          "commit_transaction",
+          "rollback_transaction",
+          "save_transaction",
+          "execute_procedure",
+          "fetch_rows",
+          "export_query",
+          "import_data",
+          "script_object",
+          "compare_schemas",
+          "migrate_status",
+          "migrate_up",
+          "migrate_down",
+          "explain_query"
         ],
         features: [
           "智能连接池管理",
+          "多命名连接管理",
           "自动重连机制",
           "心跳检测",
           "事务支持",
           "参数化查询",
           "批量SQL执行",
           "连接统计监控",
-          "自动断开管理"
+          "自动断开管理",
+          "只读模式与语句类别策略",
+          "对象级访问策略",
+          "持久化查询日志",
+          "显式事务与保存点",
+          "存储过程执行（输出参数与表值参数）",
+          "分页游标",
+          "查询结果导出（CSV、JSON、NDJSON、XLSX）",
+          "数据文件导入（CSV、JSON、NDJSON）",
+          "数据库对象脚本生成（DDL）",
+          "数据库结构比较与同步脚本",
+          "数据库迁移管理（__mcp_migrations）",
+          "执行计划分析"
         ],
         resourceTemplates: {
+          "数据库列表": {
+            uri: "databases://",
+            description: "列出服务器上的数据库：状态、恢复模式、兼容级别和文件大小"
+          },
           "数据库结构查询": {
             uri: "schema://{database}/{objectType}",
-            description: "查询数据库结构信息",
+            description: "查询指定数据库的结构信息",
             parameters: {
               database: "数据库名称",
               objectType: "对象类型：tables(表), views(视图), procedures(存储过程), functions(函数)"
@@ -702,19 +9476,59 @@ server.registerResource(
               "schema://Northwind/procedures - 查看Northwind数据库的所有存储过程"
             ]
           },
+          "表结构详情": {
+            uri: "schema://{database}/table/{schema}.{name}",
+            description: "查看表或视图的列、主键、外键、约束、索引、行数和说明",
+            parameters: {
+              database: "数据库名称",
+              schema: "架构名称，如 dbo",
+              name: "表或视图名称"
+            },
+            examples: [
+              "schema://AdventureWorks/table/Sales.SalesOrderHeader - 查看 Sales.SalesOrderHeader 表的结构",
+              "schema://Northwind/table/dbo.Orders - 查看 dbo.Orders 表的结构"
+            ]
+          },
           "查询历史记录": {
             uri: "history://{queryType}/{date}",
-            description: "查看SQL查询历史记录",
+            description: "查看持久化的SQL查询日志",
             parameters: {
-              queryType: "查询类型：select(查询), insert(插入), update(更新), delete(删除)",
-              date: "日期格式：YYYY-MM-DD"
+              queryType: "查询类型：select, insert, update, delete, merge, exec, ddl, admin, other, all",
+              date: "日期：YYYY-MM-DD、YYYY-MM-DD..YYYY-MM-DD 或 all",
+              search: "查询参数 (可选)：按SQL文本或错误信息搜索",
+              status: "查询参数 (可选)：success 或 failed",
+              connection: "查询参数 (可选)：连接名称",
+              limit: "查询参数 (可选)：返回条数，默认100"
             },
             examples: [
               "history://select/2024-01-15 - 查看2024年1月15日的查询记录",
-              "history://insert/2024-01-16 - 查看2024年1月16日的插入记录"
+              "history://all/2024-01-01..2024-01-31?status=failed - 查看2024年1月所有失败的语句",
+              "history://delete/all?search=Orders - 查看所有涉及 Orders 的删除语句"
             ]
           }
         },
+        predefinedConnections: Array.from(predefinedConnections.values()).map(item => ({
+          name: item.name,
+          source: item.source,
+          server: item.config.server,
+          database: item.config.database,
+          isDefault: item.name === serverSettings.defaultConnection
+        })),
+        configFile: serverSettings.configFile,
+        queryJournal: {
+          enabled: queryJournal.enabled,
+          directory: queryJournal.directory
+        },
+        statementPolicy: {
+          readOnly: serverSettings.readOnly,
+          allowedStatements: serverSettings.allowedStatements || Object.keys(STATEMENT_CLASSES)
+        },
+        accessPolicy: accessPolicy ? {
+          file: accessPolicy.file,
+          default: accessPolicy.default,
+          allowDynamicSql: accessPolicy.allowDynamicSql,
+          rules: accessPolicy.rules.map(rule => ({ effect: rule.effect, match: rule.match, reason: rule.reason }))
+        } : null,
         connectionSettings: {
           defaultPort: 1433,
           defaultEncrypt: true,
@@ -735,13 +9549,8 @@ server.registerResource(
   new ResourceTemplate("schema://{database}/{objectType}", { 
     list: undefined,
     complete: {
-      database: (value) => {
-        // 这里可以根据实际连接的数据库返回数据库列表
-        return ["master", "tempdb", "model", "msdb"];
-      },
-      objectType: (value) => {
-        return ["tables", "views", "procedures", "functions", "triggers", "indexes"].filter(type => type.startsWith(value));
-      }
+      database: completeDatabaseName,
+      objectType: completeObjectType
     }
   }),
   {
@@ -750,6 +9559,8 @@ server.registerResource(
     mimeType: "application/json"
   },
   async (uri, { database, objectType }) => {
+    database = decodeURIComponent(database);
+    
     // 检查连接状态
     if (!isConnectionActive()) {
       return {
@@ -778,7 +9589,6 @@ server.registerResource(
               TABLE_NAME as table_name,
               TABLE_TYPE as table_type
             FROM INFORMATION_SCHEMA.TABLES 
-            WHERE TABLE_CATALOG = @database
             ORDER BY TABLE_SCHEMA, TABLE_NAME
           `;
           description = "数据表";
@@ -790,7 +9600,6 @@ server.registerResource(
               TABLE_NAME as view_name,
               'VIEW' as object_type
             FROM INFORMATION_SCHEMA.VIEWS 
-            WHERE TABLE_CATALOG = @database
             ORDER BY TABLE_SCHEMA, TABLE_NAME
           `;
           description = "视图";
@@ -802,7 +9611,7 @@ server.registerResource(
               ROUTINE_NAME as procedure_name,
               ROUTINE_TYPE as object_type
             FROM INFORMATION_SCHEMA.ROUTINES 
-            WHERE ROUTINE_CATALOG = @database
+            WHERE ROUTINE_TYPE = 'PROCEDURE'
             ORDER BY ROUTINE_SCHEMA, ROUTINE_NAME
           `;
           description = "存储过程";
@@ -814,20 +9623,25 @@ server.registerResource(
               ROUTINE_NAME as function_name,
               ROUTINE_TYPE as object_type
             FROM INFORMATION_SCHEMA.ROUTINES 
-            WHERE ROUTINE_CATALOG = @database AND ROUTINE_TYPE = 'FUNCTION'
+            WHERE ROUTINE_TYPE = 'FUNCTION'
             ORDER BY ROUTINE_SCHEMA, ROUTINE_NAME
           `;
           description = "函数";
           break;
         case "triggers":
+          // INFORMATION_SCHEMA 没有触发器视图，使用 sys.triggers（不含数据库级 DDL 触发器）
           query = `
             SELECT 
-              TRIGGER_SCHEMA as schema_name,
-              TRIGGER_NAME as trigger_name,
-              'TRIGGER' as object_type
-            FROM INFORMATION_SCHEMA.ROUTINES 
-            WHERE ROUTINE_CATALOG = @database AND ROUTINE_TYPE = 'TRIGGER'
-            ORDER BY ROUTINE_SCHEMA, ROUTINE_NAME
+              s.name as schema_name,
+              t.name as table_name,
+              tr.name as trigger_name,
+              'TRIGGER' as object_type,
+              tr.is_disabled
+            FROM sys.triggers tr
+            INNER JOIN sys.objects t ON tr.parent_id = t.object_id
+            INNER JOIN sys.schemas s ON t.schema_id = s.schema_id
+            WHERE tr.parent_class = 1
+            ORDER BY s.name, t.name, tr.name
           `;
           description = "触发器";
           break;
@@ -853,7 +9667,7 @@ server.registerResource(
               text: JSON.stringify({
                 error: "不支持的对象类型",
                 message: `不支持的对象类型: ${objectType}`,
-                supportedTypes: ["tables", "views", "procedures", "functions", "triggers", "indexes"],
+                supportedTypes: SCHEMA_OBJECT_TYPES,
                 uri: uri.href,
                 database: database,
                 objectType: objectType
@@ -862,17 +9676,20 @@ server.registerResource(
           };
       }
       
-      // 执行查询
-      const request = connectionPool.request();
-      request.input('database', sql.VarChar, database);
-      const result = await request.query(query);
+      // 在URI指定的数据库中执行查询
+      const entry = getConnection();
+      const result = await queryDatabaseCatalog(entry, database, query);
+      
+      // 隐藏访问策略拒绝的对象
+      const objects = result.recordset.filter(row => isObjectAccessible(entry.name, database, row.schema_name,
+        row.table_name || row.view_name || row.procedure_name || row.function_name || row.trigger_name));
       
       const schemaData = {
         database: database,
         objectType: objectType,
         description: description,
-        count: result.recordset.length,
-        objects: result.recordset,
+        count: objects.length,
+        objects: objects,
         queryTime: new Date().toISOString(),
         uri: uri.href
       };
@@ -900,6 +9717,136 @@ server.registerResource(
   }
 );
 
+// 注册数据库列表资源
+server.registerResource(
+  "databases",
+  "databases://",
+  {
+    title: "数据库列表",
+    description: "列出当前连接的服务器上的数据库 (sys.databases)：状态、恢复模式、兼容级别、排序规则、数据和日志文件大小",
+    mimeType: "application/json"
+  },
+  async (uri) => {
+    if (!isConnectionActive()) {
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify({
+            error: "未连接到数据库",
+            message: "请先使用 connect_database 工具建立数据库连接",
+            uri: uri.href
+          }, null, 2)
+        }]
+      };
+    }
+
+    try {
+      const entry = getConnection();
+      const databases = await listDatabases(entry);
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify({
+            connection: entry.name,
+            server: entry.config.server,
+            currentDatabase: entry.config.database || null,
+            count: databases.length,
+            databases,
+            queryTime: new Date().toISOString(),
+            uri: uri.href
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify({
+            error: "查询失败",
+            message: error.message,
+            uri: uri.href
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// 注册表结构详情资源：列、主键、外键、约束、索引和行数
+server.registerResource(
+  "table-details",
+  new ResourceTemplate("schema://{database}/table/{schema}.{name}", {
+    list: undefined,
+    complete: {
+      database: completeDatabaseName,
+      schema: (value, context) => completeTableName("schema", value, context),
+      name: (value, context) => completeTableName("name", value, context)
+    }
+  }),
+  {
+    title: "表结构详情",
+    description: "查看表或视图的详细结构：列（类型、长度、精度、可空、默认值、标识、计算列）、主键、双向外键、唯一约束、检查约束、索引（键列和包含列）、行数和说明。URI格式：schema://{数据库名}/table/{架构}.{表名}",
+    mimeType: "application/json"
+  },
+  async (uri, variables) => {
+    const database = decodeURIComponent(variables.database);
+    const schema = decodeURIComponent(variables.schema);
+    const name = decodeURIComponent(variables.name);
+    const errorContents = (error, message) => ({
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({ error, message, uri: uri.href, database, schema, name }, null, 2)
+      }]
+    });
+
+    // 检查连接状态
+    if (!isConnectionActive()) {
+      return errorContents("未连接到数据库", "请先使用 connect_database 工具建立数据库连接");
+    }
+
+    try {
+      const entry = getConnection();
+      if (!isObjectAccessible(entry.name, database, schema, name)) {
+        return errorContents("访问被拒绝", `访问策略不允许访问 ${database}.${schema}.${name}`);
+      }
+      const details = await getTableDetails(entry, database, schema, name);
+      if (!details) {
+        return errorContents("对象不存在", `数据库 ${database} 中没有表或视图 ${schema}.${name}`);
+      }
+
+      // 隐藏访问策略拒绝的列和被拒绝访问的引用表
+      const hidden = new Set(details.columns.filter(column => !isColumnAccessible(entry.name, database, details.schema, details.name, column.name)).map(column => column.name));
+      const visible = (names) => names.filter(column => !hidden.has(column));
+      const tableData = {
+        ...details,
+        columns: details.columns.filter(column => !hidden.has(column.name)),
+        hiddenColumns: hidden.size,
+        primaryKey: details.primaryKey ? { ...details.primaryKey, columns: visible(details.primaryKey.columns) } : null,
+        foreignKeys: details.foreignKeys.filter(fk => isObjectAccessible(entry.name, database, fk.referencedTable.schema, fk.referencedTable.name)).map(fk => ({ ...fk, columns: visible(fk.columns) })),
+        referencedBy: details.referencedBy.filter(fk => isObjectAccessible(entry.name, database, fk.table.schema, fk.table.name)).map(fk => ({ ...fk, referencedColumns: visible(fk.referencedColumns) })),
+        uniqueConstraints: details.uniqueConstraints.map(constraint => ({ ...constraint, columns: visible(constraint.columns) })),
+        checkConstraints: details.checkConstraints.filter(check => !check.column || !hidden.has(check.column)),
+        indexes: details.indexes.map(index => ({
+          ...index,
+          keyColumns: index.keyColumns.filter(column => !hidden.has(column.name)),
+          includedColumns: visible(index.includedColumns)
+        })),
+        queryTime: new Date().toISOString(),
+        uri: uri.href
+      };
+
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify(tableData, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorContents("查询失败", error.message);
+    }
+  }
+);
+
 // 注册查询历史记录资源（使用Resource Template）
 server.registerResource(
   "query-history",
@@ -907,101 +9854,73 @@ server.registerResource(
     list: undefined,
     complete: {
       queryType: (value) => {
-        return ["select", "insert", "update", "delete", "all"].filter(type => type.startsWith(value));
+        return [...JOURNAL_STATEMENT_TYPES, "all"].filter(type => type.startsWith(value));
       },
-      date: (value) => {
-        // 返回最近7天的日期建议
-        const dates = [];
-        for (let i = 0; i < 7; i++) {
-          const date = new Date();
-          date.setDate(date.getDate() - i);
-          date.setDate(date.getDate() - i);
-          dates.push(date.toISOString().split('T')[0]);
-        }
-        return dates.filter(d => d.startsWith(value));
+      date: async (value) => {
+        // 只返回确实有日志记录的日期
+        const dates = await listJournalDates();
+        return ["all", ...dates].filter(d => d.startsWith(value));
       }
     }
   }),
   {
     title: "SQL查询历史记录",
-    description: "查看SQL查询历史记录。URI格式：history://{查询类型}/{日期}",
+    description: "查看持久化的SQL查询日志。URI格式：history://{查询类型}/{日期}，日期可以是 YYYY-MM-DD、YYYY-MM-DD..YYYY-MM-DD 或 all，可附加 ?search=文本&status=success|failed&connection=名称&limit=数量",
     mimeType: "application/json"
   },
   async (uri, { queryType, date }) => {
-    // 模拟查询历史数据
-    const historyData = {
-      queryType: queryType,
-      date: date,
-      totalQueries: 0,
-      successfulQueries: 0,
-      failedQueries: 0,
-      averageQueryTime: 0,
-      queries: [],
-      uri: uri.href
-    };
-    
-    // 根据查询类型生成模拟数据
-    if (queryType === "all" || queryType === "select") {
-      historyData.queries.push({
-        time: "09:15:30",
-        sql: "SELECT * FROM Users WHERE status = 'active'",
-        duration: 45,
-        rowsReturned: 156,
-        status: "success"
-      });
-      historyData.queries.push({
-        time: "14:22:15",
-        sql: "SELECT COUNT(*) FROM Orders WHERE order_date >= '2024-01-01'",
-        duration: 23,
-        rowsReturned: 1,
-        status: "success"
-      });
-    }
-    
-    if (queryType === "all" || queryType === "insert") {
-      historyData.queries.push({
-        time: "10:30:45",
-        sql: "INSERT INTO Logs (message, timestamp) VALUES ('User login', GETDATE())",
-        duration: 12,
-        rowsAffected: 1,
-        status: "success"
-      });
-    }
-    
-    if (queryType === "all" || queryType === "update") {
-      historyData.queries.push({
-        time: "16:45:20",
-        sql: "UPDATE Products SET price = price * 1.1 WHERE category = 'electronics'",
-        duration: 67,
-        rowsAffected: 23,
-        status: "success"
-      });
-    }
-    
-    if (queryType === "all" || queryType === "delete") {
-      historyData.queries.push({
-        time: "11:20:10",
-        sql: "DELETE FROM TempData WHERE created_date < DATEADD(day, -30, GETDATE())",
-        duration: 89,
-        rowsAffected: 156,
-        status: "success"
+    try {
+      // {date} 会包含查询字符串，筛选条件从 URI 的查询参数读取
+      const dateText = decodeURIComponent(String(date).split("?")[0]);
+      if (queryType !== "all" && !JOURNAL_STATEMENT_TYPES.includes(queryType)) {
+        throw new Error(`不支持的查询类型: ${queryType}，可用类型: ${[...JOURNAL_STATEMENT_TYPES, "all"].join(', ')}`);
+      }
+      const { from, to } = parseJournalDateRange(dateText);
+      const status = uri.searchParams.get("status");
+      if (status && !["success", "failed"].includes(status)) {
+        throw new Error(`status 只能是 success 或 failed: ${status}`);
+      }
+      const limit = parseInt(uri.searchParams.get("limit") || "100", 10);
+      
+      const journal = await searchQueryJournal({
+        queryType,
+        from,
+        to,
+        search: uri.searchParams.get("search"),
+        success: status ? status === "success" : null,
+        connection: uri.searchParams.get("connection"),
+        limit: Number.isNaN(limit) || limit <= 0 ? 100 : limit
       });
+      
+      const historyData = {
+        queryType: queryType,
+        date: dateText,
+        journalDirectory: queryJournal.directory,
+        journalEnabled: queryJournal.enabled,
+        ...journal,
+        uri: uri.href
+      };
+      
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify(historyData, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify({
+            error: "查询历史记录失败",
+            message: error.message,
+            uri: uri.href,
+            queryType: queryType,
+            date: date
+          }, null, 2)
+        }]
+      };
     }
-    
-    // 计算统计信息
-    historyData.totalQueries = historyData.queries.length;
-    historyData.successfulQueries = historyData.queries.filter(q => q.status === "success").length;
-    historyData.failedQueries = historyData.queries.filter(q => q.status === "failed").length;
-    historyData.averageQueryTime = historyData.queries.length > 0 
-      ? Math.round(historyData.queries.reduce((sum, q) => sum + q.duration, 0) / historyData.queries.length)
-      : 0;
-    
-    return {
-      contents: [{
-        uri: uri.href,
-        text: JSON.stringify(historyData, null, 2)
-      }]
-    };
   }
 );
 
@@ -1039,12 +9958,35 @@ server.registerResource(
      * triggers = 触发器
      * indexes = 索引
    
+   查询在 {database} 指定的数据库中执行，不改变连接的当前数据库；
+   数据库名称可以通过URI补全获取（列出当前登录可以访问的数据库）
+   
    使用示例:
    - schema://master/tables     (查看master数据库的所有表)
    - schema://AdventureWorks/views (查看AdventureWorks数据库的所有视图)
    - schema://Northwind/procedures (查看Northwind数据库的所有存储过程)
 
-3. 查询历史记录 (query-history)
+3. 数据库列表 (databases)
+   URI: databases://
+   说明: 列出服务器上的数据库 (sys.databases)，包括状态、恢复模式、兼容级别、排序规则、
+         是否可以访问、数据和日志文件大小 (MB)
+
+4. 表结构详情 (table-details)
+   URI模板: schema://{database}/table/{schema}.{name}
+   
+   返回内容:
+   - columns: 列的类型、长度、精度、小数位数、可空、默认值、标识 (种子/增量)、计算列定义、排序规则、说明
+   - primaryKey: 主键名称和列
+   - foreignKeys / referencedBy: 本表引用的表和引用本表的表 (列对应、级联操作、是否禁用)
+   - uniqueConstraints / checkConstraints: 唯一约束和检查约束
+   - indexes: 索引类型、键列 (升降序)、包含列、筛选条件
+   - rowCount: 行数 (来自 sys.partitions，近似值)
+   - description: 表和列的说明 (扩展属性 MS_Description)
+   
+   使用示例:
+   - schema://Northwind/table/dbo.Orders (查看 dbo.Orders 表的结构)
+
+5. 查询历史记录 (query-history)
    URI模板: history://{queryType}/{date}
    
    参数说明:
@@ -1053,23 +9995,30 @@ server.registerResource(
      * insert = 插入操作
      * update = 更新操作
      * delete = 删除操作
+     * merge = 合并操作
+     * exec = 存储过程执行
+     * ddl = 结构变更
+     * admin = 管理操作
+     * other = 其他
      * all = 所有操作
-   - {date}: 日期 (YYYY-MM-DD格式)
+   - {date}: 日期 (YYYY-MM-DD)、日期范围 (YYYY-MM-DD..YYYY-MM-DD) 或 all
+   - 查询参数 (可选): search=文本, status=success|failed, connection=连接名称, limit=条数
    
    使用示例:
    - history://select/2024-01-15 (查看2024年1月15日的查询记录)
    - history://insert/2024-01-16 (查看2024年1月16日的插入记录)
-   - history://all/2024-01-17     (查看2024年1月17日的所有操作记录)
+   - history://all/2024-01-01..2024-01-31?status=failed (查看2024年1月所有失败的语句)
+   - history://all/all?search=Orders (搜索所有涉及 Orders 的语句)
 
-4. 如何访问:
+6. 如何访问:
    在MCP Inspector中，点击Resources标签，然后输入完整的URI即可。
    例如: schema://master/tables
 
-5. 注意事项:
+7. 注意事项:
    - 数据库结构查询需要先建立数据库连接
-   - 查询历史记录目前提供模拟数据
+   - 查询历史记录来自本地 JSONL 日志，参数值已脱敏
    - 所有资源都支持JSON格式输出
-   - 使用Resource Template可以实现动态URI补全
+   - 使用Resource Template可以实现动态URI补全：数据库、对象类型、架构和表名从当前连接的目录视图读取，缓存 30 秒
 `
     }]
   })
@@ -1126,7 +10075,9 @@ server.registerPrompt(
       content: {
         type: "text",
         text: `我遇到了数据库性能问题：${issue}${database ? `，涉及数据库：${database}` : ''}${query ? `，具体查询：${query}` : ''}。
-
+${query ? `
+可以使用 explain_query 工具获取该查询的执行计划（估计计划不执行语句，实际计划执行后回滚），结合运算符的估计与实际行数、警告和缺失索引建议进行分析。
+` : ''}
 请帮我分析可能的原因并提供优化建议：
 
 1. 查询性能分析
@@ -1430,7 +10381,7 @@ server.registerPrompt(
 7. 监控指标设置
 8. 持续优化策略
 
-请提供可量化的性能改进预期。`
+请提供可量化的性能改进预期。需要查看具体查询的执行计划时，可以使用 explain_query 工具。`
       }
     }]
   })
@@ -2136,7 +11087,15 @@ server.registerResource(
 // 启动服务器
 async function startServer() {
   try {
-const transport = new StdioServerTransport();
+    loadServerConfiguration();
+  } catch (error) {
+    // stdout 用于MCP协议通信，配置错误输出到 stderr
+    console.error(`❌ 加载MSSQL配置失败: ${error.message}`);
+    process.exit(1);
+  }
+  
+  try {
+    const transport = new StdioServerTransport();
     await server.connect(transport);
     //console.log("🚀 MCP MSSQL 服务器已启动");
   } catch (error) {
@@ -2148,21 +11107,23 @@ const transport = new StdioServerTransport();
 // 优雅关闭
 process.on('SIGINT', async () => {
   //console.log("\n🔄 正在关闭服务器...");
-  stopHeartbeat();
-  if (connectionPool) {
-    await disconnectDatabase();
-  }
+  await disconnectAllDatabases();
+  await queryJournal.writeChain;
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   //console.log("\n🔄 正在关闭服务器...");
-  stopHeartbeat();
-  if (connectionPool) {
-    await disconnectDatabase();
-  }
+  await disconnectAllDatabases();
+  await queryJournal.writeChain;
   process.exit(0);
 });
 
-// 启动服务器
-startServer();
\ No newline at end of file
+// 供测试导入的函数
+export { parseConnectionString, resolveAuthentication, describeAuthentication, connectDatabase, disconnectDatabase, tokenizeSql, analyzeSqlStatements, checkStatementPolicy, extractObjectReferences, parseSqlType, coerceParamValue, prepareQueryParams, splitSqlBatches, parseXmlDocument, describeShowPlan, classifyStatisticsMessage, parseStatisticsIoMessage, summarizeStatisticsMessages };
+
+// 直接运行（包括通过 npx 的 bin 链接）时启动服务器，被测试导入时不启动
+const entryScript = process.argv[1] && fs.existsSync(process.argv[1]) ? fs.realpathSync(process.argv[1]) : null;
+if (entryScript === fileURLToPath(import.meta.url)) {
+  startServer();
+}
@@ -0,0 +1,77 @@
+// SQL 对象引用提取：覆盖曾经绕过对象级访问策略的写法
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractObjectReferences } from '../index.js';
+
+// 返回语句引用到的对象，格式为 schema.object（未指定 schema 时为 object）
+const referencedObjects = (sqlText) => extractObjectReferences(sqlText).objects
+  .map(reference => reference.schema ? `${reference.schema}.${reference.object}` : reference.object);
+
+test('注释和字符串中的表名不算引用', () => {
+  assert.deepEqual(referencedObjects("SELECT 'FROM hr.Emp' AS x FROM dbo.A -- JOIN hr.Emp"), ["dbo.A"]);
+});
+
+test('派生表内的表会被收集', () => {
+  assert.deepEqual(referencedObjects("SELECT * FROM (SELECT * FROM hr.Emp) d"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("SELECT * FROM ((SELECT * FROM hr.Emp)) AS d"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("SELECT * FROM (SELECT 1 AS a UNION ALL SELECT Id FROM hr.Emp) d"), ["hr.Emp"]);
+});
+
+test('派生表之后的逗号连接和 JOIN 会继续收集', () => {
+  assert.deepEqual(referencedObjects("SELECT * FROM (SELECT 1 AS x) d, hr.Emp"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("SELECT * FROM (VALUES (1)) AS d(a), hr.Emp"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("SELECT * FROM (SELECT 1 AS x) d JOIN hr.Emp e ON 1 = 1"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("SELECT * FROM @t t, hr.Emp"), ["hr.Emp"]);
+});
+
+test('括号内的连接会被收集', () => {
+  assert.deepEqual(
+    referencedObjects("SELECT * FROM dbo.A a JOIN (hr.Emp e JOIN dbo.B b ON 1 = 1) ON 1 = 1"),
+    ["dbo.A", "hr.Emp", "dbo.B"]
+  );
+  assert.deepEqual(referencedObjects("SELECT * FROM (((hr.Emp)))"), ["hr.Emp"]);
+});
+
+test('紧跟在 SET ... ON 之后的修改语句的目标会被收集', () => {
+  assert.deepEqual(referencedObjects("SET NOCOUNT ON UPDATE hr.Employees SET Salary = 0"), ["hr.Employees"]);
+  assert.deepEqual(referencedObjects("SET NOCOUNT ON DELETE hr.Employees"), ["hr.Employees"]);
+  assert.deepEqual(referencedObjects("SET XACT_ABORT ON INSERT hr.Employees (Id) VALUES (1)"), ["hr.Employees"]);
+});
+
+test('外键动作、权限列表和查询提示中的关键字不算修改目标', () => {
+  assert.deepEqual(referencedObjects("ALTER TABLE hr.Emp ADD FOREIGN KEY (DeptId) REFERENCES hr.Dept (Id) ON DELETE CASCADE ON UPDATE NO ACTION"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("SELECT * FROM hr.Emp OPTION (HASH JOIN, MERGE JOIN)"), ["hr.Emp"]);
+});
+
+test('公用表表达式名称只在定义它的语句中有效', () => {
+  assert.deepEqual(referencedObjects("WITH Customers AS (SELECT 1 AS a) SELECT a FROM Customers"), []);
+  assert.deepEqual(referencedObjects("WITH Customers AS (SELECT 1 AS a) SELECT a FROM Customers; SELECT TaxId FROM Customers"), ["Customers"]);
+  assert.deepEqual(referencedObjects("WITH Customers AS (SELECT 1 AS a) SELECT a FROM Customers SELECT TaxId FROM Customers"), ["Customers"]);
+  assert.deepEqual(referencedObjects("IF 1 = 1 WITH c AS (SELECT 1 AS a) SELECT a FROM c ELSE SELECT * FROM c"), ["c"]);
+});
+
+test('公用表表达式在同一语句的各个子句中有效', () => {
+  assert.deepEqual(referencedObjects("WITH a AS (SELECT Id FROM hr.Emp), b AS (SELECT Id FROM a) SELECT * FROM b UNION ALL SELECT * FROM a"), ["hr.Emp"]);
+  assert.deepEqual(referencedObjects("WITH a AS (SELECT Id FROM hr.Emp) INSERT INTO dbo.Log SELECT Id FROM a"), ["hr.Emp", "dbo.Log"]);
+  assert.deepEqual(referencedObjects("WITH a AS (SELECT Id FROM hr.Emp) UPDATE dbo.T SET x = 1 FROM dbo.T JOIN a ON a.Id = dbo.T.Id"), ["hr.Emp", "dbo.T", "dbo.T"]);
+  assert.deepEqual(
+    referencedObjects("WITH a AS (SELECT Id FROM hr.Emp) SELECT CASE WHEN 1 = 1 THEN 1 ELSE 0 END FROM a WITH (NOLOCK) ORDER BY 1 OFFSET 0 ROWS FETCH NEXT 1 ROWS ONLY"),
+    ["hr.Emp"]
+  );
+  assert.deepEqual(referencedObjects("WITH a AS (SELECT Id FROM hr.Emp) MERGE dbo.T AS t USING a ON a.Id = t.Id WHEN NOT MATCHED THEN INSERT (Id) VALUES (a.Id);"), ["hr.Emp", "dbo.T"]);
+});
+
+test('USE 语句会被记录，查询提示 USE HINT 不会', () => {
+  assert.deepEqual(extractObjectReferences("USE hr_db; SELECT * FROM Emp").useStatements, [{ line: 1, database: "hr_db" }]);
+  assert.deepEqual(extractObjectReferences("USE [hr db]").useStatements, [{ line: 1, database: "hr db" }]);
+  assert.deepEqual(
+    extractObjectReferences("SELECT * FROM Emp OPTION (USE HINT ('DISABLE_OPTIMIZER_ROWGOAL'))").useStatements,
+    []
+  );
+});
+
+test('动态SQL会被标记', () => {
+  assert.equal(extractObjectReferences("EXEC ('SELECT * FROM hr.Emp')").dynamicSql.length, 1);
+  assert.equal(extractObjectReferences("EXEC sp_executesql N'SELECT * FROM hr.Emp'").dynamicSql.length, 1);
+  assert.equal(extractObjectReferences("SELECT * FROM OPENQUERY(srv, 'SELECT 1')").dynamicSql.length, 1);
+});
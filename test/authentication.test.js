@@ -0,0 +1,92 @@
+// 认证方式：SQL 登录、Windows/NTLM、Azure AD 三种变体，缺少凭据时的错误，以及传给驱动的认证配置
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sql from 'mssql';
+import { resolveAuthentication, describeAuthentication, connectDatabase, disconnectDatabase } from '../index.js';
+
+test('SQL Server 登录', () => {
+  const config = { user: "sa", password: "secret" };
+  assert.deepEqual(resolveAuthentication(config), { type: "default", options: { userName: "sa", password: "secret" } });
+  assert.equal(describeAuthentication(config), "SQL Server 登录 (sa)");
+});
+
+test('Windows/NTLM 域认证', () => {
+  const config = { authentication: { type: "ntlm", domain: "CORP" }, user: "bob", password: "secret" };
+  assert.deepEqual(resolveAuthentication(config), { type: "ntlm", options: { domain: "CORP", userName: "bob", password: "secret" } });
+  assert.equal(describeAuthentication(config), "Windows/NTLM 域认证 (CORP\\bob)");
+});
+
+test('Azure AD 用户密码', () => {
+  const config = { authentication: { type: "azure-active-directory-password", clientId: "cid", user: "a@example.com", password: "secret" } };
+  assert.deepEqual(resolveAuthentication(config), {
+    type: "azure-active-directory-password",
+    options: { userName: "a@example.com", password: "secret", clientId: "cid", tenantId: undefined }
+  });
+  assert.equal(describeAuthentication(config), "Azure AD (Entra ID) 用户密码 (a@example.com)");
+});
+
+test('Azure AD 访问令牌', () => {
+  const config = { authentication: { type: "azure-active-directory-access-token", token: "tok" } };
+  assert.deepEqual(resolveAuthentication(config), { type: "azure-active-directory-access-token", options: { token: "tok" } });
+  assert.equal(describeAuthentication(config), "Azure AD (Entra ID) 访问令牌");
+});
+
+test('Azure AD 服务主体密钥', () => {
+  const config = { authentication: { type: "azure-active-directory-service-principal-secret", clientId: "cid", clientSecret: "sec", tenantId: "tid" } };
+  assert.deepEqual(resolveAuthentication(config), {
+    type: "azure-active-directory-service-principal-secret",
+    options: { clientId: "cid", clientSecret: "sec", tenantId: "tid" }
+  });
+  assert.equal(describeAuthentication(config), "Azure AD (Entra ID) 服务主体密钥 (clientId: cid)");
+});
+
+test('描述中不包含密码、令牌和密钥', () => {
+  const configs = [
+    { user: "sa", password: "p@ss" },
+    { authentication: { type: "ntlm", domain: "CORP" }, user: "bob", password: "p@ss" },
+    { authentication: { type: "azure-active-directory-access-token", token: "p@ss" } },
+    { authentication: { type: "azure-active-directory-service-principal-secret", clientId: "cid", clientSecret: "p@ss", tenantId: "tid" } }
+  ];
+  for (const config of configs) {
+    assert.ok(!describeAuthentication(config).includes("p@ss"));
+  }
+});
+
+test('缺少凭据时报错并列出缺少的参数', () => {
+  assert.throws(() => resolveAuthentication({ user: "sa" }), /SQL Server 登录 认证缺少参数: password/);
+  assert.throws(() => resolveAuthentication({}), /SQL Server 登录 认证缺少参数: user, password/);
+  assert.throws(() => resolveAuthentication({ authentication: { type: "ntlm", domain: "CORP" } }), /Windows\/NTLM 域认证 认证缺少参数: user, password/);
+  assert.throws(() => resolveAuthentication({ authentication: { type: "azure-active-directory-password", user: "a@example.com", password: "x" } }), /用户密码 认证缺少参数: clientId/);
+  assert.throws(() => resolveAuthentication({ authentication: { type: "azure-active-directory-access-token" } }), /访问令牌 认证缺少参数: token/);
+  assert.throws(
+    () => resolveAuthentication({ authentication: { type: "azure-active-directory-service-principal-secret", clientId: "cid" } }),
+    /服务主体密钥 认证缺少参数: clientSecret, tenantId/
+  );
+  assert.throws(() => resolveAuthentication({ authentication: { type: "kerberos" } }), /不支持的认证方式: kerberos/);
+});
+
+test('连接时把认证配置交给驱动', async (t) => {
+  const created = [];
+  const OriginalPool = sql.ConnectionPool;
+  sql.ConnectionPool = class {
+    constructor(config) { created.push(config); }
+    async connect() {}
+    async close() {}
+    on() {}
+  };
+  t.after(() => { sql.ConnectionPool = OriginalPool; });
+
+  await connectDatabase({ server: "db", database: "Sales", authentication: { type: "ntlm", domain: "CORP" }, user: "bob", password: "secret" }, "auth-test");
+  await disconnectDatabase("auth-test");
+
+  assert.equal(created.length, 1);
+  assert.deepEqual(created[0].authentication, { type: "ntlm", options: { domain: "CORP", userName: "bob", password: "secret" } });
+  assert.equal(created[0].user, undefined);
+  assert.equal(created[0].password, undefined);
+
+  await assert.rejects(
+    connectDatabase({ server: "db", database: "Sales", authentication: { type: "azure-active-directory-access-token" } }, "auth-test"),
+    /认证缺少参数: token/
+  );
+  assert.equal(created.length, 1);
+});
@@ -0,0 +1,70 @@
+// 连接字符串解析：ADO.NET、JDBC、ODBC 三种格式，引号和 {} 转义，未知关键字和格式错误
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConnectionString } from '../index.js';
+
+test('ADO.NET 连接字符串', () => {
+  const parsed = parseConnectionString("Server=tcp:db.example.com,1433;Initial Catalog=Sales;User ID=app;Password=secret;Encrypt=True;TrustServerCertificate=no;Connect Timeout=15;ApplicationIntent=ReadOnly");
+  assert.equal(parsed.format, "ADO.NET");
+  assert.deepEqual(parsed.config, {
+    server: "db.example.com",
+    port: 1433,
+    database: "Sales",
+    user: "app",
+    password: "secret",
+    encrypt: true,
+    trustServerCertificate: false,
+    connectionTimeout: 15000,
+    readOnlyIntent: true
+  });
+  assert.deepEqual(parsed.warnings, []);
+});
+
+test('JDBC 连接字符串', () => {
+  const parsed = parseConnectionString("jdbc:sqlserver://db.example.com:1444;databaseName=Sales;user=app;password=secret;encrypt=true");
+  assert.equal(parsed.format, "JDBC");
+  assert.deepEqual(parsed.config, { server: "db.example.com", port: 1444, database: "Sales", user: "app", password: "secret", encrypt: true });
+  assert.deepEqual(parseConnectionString("jdbc:sqlserver://db\\SQL2019;databaseName=Sales").config, { server: "db", instanceName: "SQL2019", database: "Sales" });
+});
+
+test('ODBC 连接字符串忽略 Driver 并给出警告', () => {
+  const parsed = parseConnectionString("Driver={ODBC Driver 18 for SQL Server};Server=.\\SQLEXPRESS;Database=Sales;UID=app;PWD=secret;MultipleActiveResultSets=True");
+  assert.equal(parsed.format, "ODBC");
+  assert.deepEqual(parsed.config, { server: "localhost", instanceName: "SQLEXPRESS", database: "Sales", user: "app", password: "secret" });
+  assert.equal(parsed.warnings.length, 2);
+});
+
+test('引号中的值可以包含分号，连续两个引号表示转义', () => {
+  assert.equal(parseConnectionString("Server=db;Password='p;w''d'").config.password, "p;w'd");
+  assert.equal(parseConnectionString('Server=db;Password="p;w""d"').config.password, 'p;w"d');
+});
+
+test('{} 中的值可以包含分号，}} 表示转义', () => {
+  assert.equal(parseConnectionString("Driver={ODBC Driver 18 for SQL Server};Server=db;PWD={a}}b;c}").config.password, "a}b;c");
+  assert.equal(parseConnectionString("jdbc:sqlserver://db;password={p;w}}d}").config.password, "p;w}d");
+});
+
+test('同时指定端口和实例名时直接连接端口', () => {
+  const parsed = parseConnectionString("Server=db\\inst,1500");
+  assert.deepEqual(parsed.config, { server: "db", port: 1500 });
+  assert.equal(parsed.warnings.length, 1);
+});
+
+test('未知关键字报错而不是被忽略', () => {
+  assert.throws(() => parseConnectionString("Server=db;Database=x;Bogus=1;Colour=red"), /无法识别的关键字: Bogus, Colour/);
+});
+
+test('不支持的选项只在启用时报错', () => {
+  assert.throws(() => parseConnectionString("Server=db;Integrated Security=SSPI"), /Integrated Security/);
+  assert.deepEqual(parseConnectionString("Server=db;Integrated Security=false;User Id=a;Password=b").config, { server: "db", user: "a", password: "b" });
+});
+
+test('格式错误', () => {
+  assert.throws(() => parseConnectionString("Server=db;Password='abc"), /缺少结束引号/);
+  assert.throws(() => parseConnectionString("Server=db;Password='abc' x"), /多余字符/);
+  assert.throws(() => parseConnectionString("Server=db;Database"), /缺少 "="/);
+  assert.throws(() => parseConnectionString("Database=x"), /缺少服务器地址/);
+  assert.throws(() => parseConnectionString("Server=np:db"), /仅支持 TCP/);
+  assert.throws(() => parseConnectionString("Server=db;Encrypt=maybe"), /不是有效的布尔值/);
+  assert.throws(() => parseConnectionString("Server=db;Connect Timeout=soon"), /不是有效的整数/);
+});
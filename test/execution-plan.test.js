@@ -0,0 +1,105 @@
+// 执行计划 XML 解析：元素树、运算符成本、实际行数偏差、警告和缺失索引建议
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXmlDocument, describeShowPlan } from '../index.js';
+
+const runtime = (rows) => `<RunTimeInformation><RunTimeCountersPerThread Thread="0" ActualRows="${rows}" ActualExecutions="1" ActualElapsedms="2" /><RunTimeCountersPerThread Thread="1" ActualRows="${rows}" ActualExecutions="1" ActualElapsedms="3" /></RunTimeInformation>`;
+
+const plan = (actual) => `<?xml version="1.0" encoding="utf-16"?>
+<ShowPlanXML xmlns="http://schemas.microsoft.com/sqlserver/2004/07/showplan" Version="1.564"><BatchSequence><Batch><Statements>
+<StmtSimple StatementText="SET NOCOUNT ON" StatementType="SET ON/OFF" />
+<StmtSimple StatementText=" SELECT o.Id FROM dbo.Orders o JOIN dbo.Customers c ON c.Id = o.CustomerId WHERE o.Code = @code " StatementType="SELECT" StatementSubTreeCost="0.5" StatementEstRows="12.5">
+<QueryPlan DegreeOfParallelism="1" CompileTime="4">
+<MissingIndexes><MissingIndexGroup Impact="87.5"><MissingIndex Database="[Sales]" Schema="[dbo]" Table="[Orders]"><ColumnGroup Usage="EQUALITY"><Column Name="[Code]" /></ColumnGroup><ColumnGroup Usage="INCLUDE"><Column Name="[CustomerId]" /></ColumnGroup></MissingIndex></MissingIndexGroup></MissingIndexes>
+<Warnings><PlanAffectingConvert ConvertIssue="Seek Plan" Expression="CONVERT_IMPLICIT(nvarchar(20),[o].[Code],0)=[@code]" /></Warnings>
+<MemoryGrantInfo GrantedMemory="1024" />${actual ? '<QueryTimeStats CpuTime="7" ElapsedTime="9" />' : ''}
+<RelOp NodeId="0" PhysicalOp="Nested Loops" LogicalOp="Inner Join" EstimateRows="12.5" EstimatedTotalSubtreeCost="0.5">${actual ? runtime(10) : ''}
+<NestedLoops>
+<RelOp NodeId="1" PhysicalOp="Index Scan" LogicalOp="Index Scan" EstimateRows="12.5" EstimatedTotalSubtreeCost="0.2" Parallel="1">${actual ? runtime(2500) : ''}
+<IndexScan><Object Database="[Sales]" Schema="[dbo]" Table="[Orders]" Index="[IX_Code]" /><Predicate><ScalarOperator ScalarString="[o].[Code]=[@code] &amp; x &lt; 3" /></Predicate></IndexScan></RelOp>
+<RelOp NodeId="2" PhysicalOp="Clustered Index Seek" LogicalOp="Clustered Index Seek" EstimateRows="1" EstimateRebinds="11.5" EstimatedTotalSubtreeCost="0.25">
+<Warnings NoJoinPredicate="1"><SpillToTempDb SpillLevel="2" /><ColumnsWithNoStatistics><ColumnReference Table="[c]" Column="Region" /></ColumnsWithNoStatistics></Warnings>
+<IndexScan><Object Database="[Sales]" Schema="[dbo]" Table="[Customers]" Index="[PK_Customers]" /></IndexScan></RelOp>
+</NestedLoops></RelOp>
+</QueryPlan></StmtSimple>
+</Statements></Batch></BatchSequence></ShowPlanXML>`;
+
+test('解析 XML 元素和属性，去掉命名空间前缀并还原实体', () => {
+  const root = parseXmlDocument('<?xml version="1.0"?><!-- 注释 --><p:a x="1 &amp; 2" p:y=\'&lt;b&gt;\'><b /><c><![CDATA[<d/>]]></c></p:a>');
+  assert.equal(root.name, "a");
+  assert.deepEqual(root.attributes, { x: "1 & 2", y: "<b>" });
+  assert.deepEqual(root.children.map(child => child.name), ["b", "c"]);
+  assert.deepEqual(root.children[1].children, []);
+});
+
+test('XML 格式错误时报错', () => {
+  assert.throws(() => parseXmlDocument("<a><b></a>"), /结束标签 <\/a> 与开始标签不匹配/);
+  assert.throws(() => parseXmlDocument("<a><b>"), /元素未闭合/);
+  assert.throws(() => parseXmlDocument("<a/><b/>"), /缺少根元素/);
+});
+
+test('估计计划：只返回带查询计划的语句，运算符按深度优先展开并计算自身成本', () => {
+  const statements = describeShowPlan(plan(false));
+  assert.equal(statements.length, 1);
+  const [statement] = statements;
+  assert.equal(statement.type, "SELECT");
+  assert.equal(statement.text, "SELECT o.Id FROM dbo.Orders o JOIN dbo.Customers c ON c.Id = o.CustomerId WHERE o.Code = @code");
+  assert.equal(statement.estimatedCost, 0.5);
+  assert.equal(statement.estimatedRows, 12.5);
+  assert.equal(statement.compileTimeMs, 4);
+  assert.equal(statement.cpuTimeMs, null);
+  assert.equal(statement.memoryGrantKb, 1024);
+
+  assert.deepEqual(statement.operators.map(operator => [operator.nodeId, operator.parentNodeId, operator.depth, operator.physicalOp]), [
+    [0, null, 0, "Nested Loops"],
+    [1, 0, 1, "Index Scan"],
+    [2, 0, 1, "Clustered Index Seek"]
+  ]);
+  const [join, scan, seek] = statement.operators;
+  assert.equal(join.estimatedCost, 0.05);
+  assert.equal(join.costPercent, 10);
+  assert.equal(scan.costPercent, 40);
+  assert.equal(scan.object, "[Sales].[dbo].[Orders].[IX_Code]");
+  assert.equal(scan.predicate, "[o].[Code]=[@code] & x < 3");
+  assert.equal(scan.parallel, true);
+  assert.equal(seek.estimatedExecutions, 12.5);
+  assert.equal(scan.actualRows, null);
+  assert.equal(scan.misestimated, false);
+});
+
+test('实际计划：按线程汇总实际行数，估计偏差超过 10 倍时标记', () => {
+  const [statement] = describeShowPlan(plan(true));
+  assert.equal(statement.cpuTimeMs, 7);
+  assert.equal(statement.elapsedMs, 9);
+  const [join, scan] = statement.operators;
+  assert.equal(scan.actualRows, 5000);
+  assert.equal(scan.actualExecutions, 2);
+  assert.equal(scan.actualElapsedMs, 3);
+  assert.equal(scan.misestimated, true);
+  // 估计 12.5 行、实际 20 行，偏差不大且行数太少
+  assert.equal(join.actualRows, 20);
+  assert.equal(join.misestimated, false);
+});
+
+test('计划和运算符的警告', () => {
+  const [statement] = describeShowPlan(plan(false));
+  assert.deepEqual(statement.warnings, [
+    { type: "implicitConversion", message: "隐式转换影响索引查找: CONVERT_IMPLICIT(nvarchar(20),[o].[Code],0)=[@code]" }
+  ]);
+  assert.deepEqual(statement.operators[2].warnings.map(warning => warning.type), ["noJoinPredicate", "spill", "noStatistics"]);
+  assert.match(statement.operators[2].warnings[2].message, /\[c\]\.Region/);
+});
+
+test('缺失索引建议：等值列在前作为键列，生成 CREATE INDEX 脚本', () => {
+  const [statement] = describeShowPlan(plan(false));
+  assert.deepEqual(statement.missingIndexes, [{
+    impact: 87.5,
+    database: "Sales",
+    schema: "dbo",
+    table: "Orders",
+    equalityColumns: ["Code"],
+    inequalityColumns: [],
+    includeColumns: ["CustomerId"],
+    script: "CREATE NONCLUSTERED INDEX [IX_Orders_Code]\nON [Sales].[dbo].[Orders] ([Code])\nINCLUDE ([CustomerId]);"
+  }]);
+});
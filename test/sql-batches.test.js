@@ -0,0 +1,41 @@
+// 迁移文件按 GO 分批：GO 单独成行、重复次数、字符串和注释中的 GO、批的起始行号
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSqlBatches } from '../index.js';
+
+test('单独成行的 GO 分隔批，返回每批的起始行号', () => {
+  const batches = splitSqlBatches("CREATE TABLE dbo.A (Id INT);\nGO\n\nCREATE VIEW dbo.V AS\nSELECT Id FROM dbo.A;\ngo\n");
+  assert.deepEqual(batches, [
+    { sql: "CREATE TABLE dbo.A (Id INT);", line: 1 },
+    { sql: "CREATE VIEW dbo.V AS\nSELECT Id FROM dbo.A;", line: 4 }
+  ]);
+});
+
+test('没有 GO 时整个文件是一个批，空文件没有批', () => {
+  assert.deepEqual(splitSqlBatches("SELECT 1;\nSELECT 2;"), [{ sql: "SELECT 1;\nSELECT 2;", line: 1 }]);
+  assert.deepEqual(splitSqlBatches(""), []);
+  assert.deepEqual(splitSqlBatches("GO\n\nGO\n"), []);
+});
+
+test('GO 后的次数重复执行批，行尾注释被忽略', () => {
+  const batches = splitSqlBatches("INSERT INTO dbo.A DEFAULT VALUES;\n  GO 3  -- 插入三行\nSELECT 1;");
+  assert.deepEqual(batches.map(batch => batch.sql), [
+    "INSERT INTO dbo.A DEFAULT VALUES;",
+    "INSERT INTO dbo.A DEFAULT VALUES;",
+    "INSERT INTO dbo.A DEFAULT VALUES;",
+    "SELECT 1;"
+  ]);
+  assert.equal(batches[3].line, 3);
+});
+
+test('字符串、注释和同一行中的 GO 不分隔批', () => {
+  const text = "SELECT 'a\nGO\nb';\n/*\nGO\n*/\nSELECT 1 GO\nGO";
+  assert.deepEqual(splitSqlBatches(text), [{ sql: "SELECT 'a\nGO\nb';\n/*\nGO\n*/\nSELECT 1 GO", line: 1 }]);
+});
+
+test('Windows 换行符', () => {
+  assert.deepEqual(splitSqlBatches("SELECT 1;\r\nGO\r\nSELECT 2;"), [
+    { sql: "SELECT 1;", line: 1 },
+    { sql: "SELECT 2;", line: 3 }
+  ]);
+});
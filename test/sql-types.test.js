@@ -0,0 +1,85 @@
+// 参数类型声明的解析和参数值转换：范围检查、精度限制和错误信息
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sql from 'mssql';
+import { parseSqlType, coerceParamValue, prepareQueryParams } from '../index.js';
+
+test('解析类型声明', () => {
+  assert.deepEqual(
+    (({ name, kind, length }) => ({ name, kind, length }))(parseSqlType("nvarchar(100)")),
+    { name: "NVarChar", kind: "string", length: 100 }
+  );
+  assert.equal(parseSqlType("VarBinary(max)").length, sql.MAX);
+  assert.equal(parseSqlType("sql.Int").name, "Int");
+  const decimal = parseSqlType("Decimal(38, 4)");
+  assert.equal(decimal.precision, 38);
+  assert.equal(decimal.scale, 4);
+  assert.deepEqual([parseSqlType("Numeric").precision, parseSqlType("Numeric").scale], [18, 0]);
+  assert.deepEqual([parseSqlType("Money").precision, parseSqlType("Money").scale], [19, 4]);
+});
+
+test('无效的类型声明', () => {
+  assert.throws(() => parseSqlType("NVarChar(100"), /无法解析类型声明/);
+  assert.throws(() => parseSqlType("Varchar2(10)"), /不支持的类型 "Varchar2"/);
+  assert.throws(() => parseSqlType("Int(4)"), /Int 不接受参数/);
+  assert.throws(() => parseSqlType("Char(max)"), /不支持 max 长度/);
+  assert.throws(() => parseSqlType("NVarChar(5000)"), /长度必须是 1-4000 之间的整数/);
+  assert.throws(() => parseSqlType("Decimal(10,12)"), /小数位数必须是 0-10 之间的整数/);
+  assert.throws(() => parseSqlType("Time(8)"), /小数秒位数必须是 0-7 之间的整数/);
+});
+
+test('整数的范围检查', () => {
+  assert.equal(coerceParamValue(parseSqlType("TinyInt"), "255"), 255);
+  assert.throws(() => coerceParamValue(parseSqlType("TinyInt"), 256), /超出 TinyInt 范围/);
+  assert.throws(() => coerceParamValue(parseSqlType("Int"), "1.5"), /不是有效的整数/);
+  assert.equal(coerceParamValue(parseSqlType("BigInt"), "9007199254740991"), 9007199254740991);
+  assert.equal(coerceParamValue(parseSqlType("BigInt"), "-9007199254740991"), -9007199254740991);
+});
+
+test('超出驱动精度的 BigInt 被拒绝而不是交给驱动', () => {
+  assert.throws(() => coerceParamValue(parseSqlType("BigInt"), "9007199254740993"), /超出驱动可以精确传递的 BigInt 范围.*CAST\(@参数 AS BIGINT\)/);
+  assert.throws(() => coerceParamValue(parseSqlType("BigInt"), "9223372036854775808"), /超出 BigInt 范围/);
+});
+
+test('小数在驱动精度范围内按数值传递', () => {
+  assert.equal(coerceParamValue(parseSqlType("Decimal(18,4)"), "12345678901.1234"), 12345678901.1234);
+  assert.equal(coerceParamValue(parseSqlType("Money"), 99.99), 99.99);
+  assert.equal(coerceParamValue(parseSqlType("Float"), "1e300"), 1e300);
+  assert.throws(() => coerceParamValue(parseSqlType("Decimal(18,4)"), "abc"), /不是有效的数值/);
+});
+
+test('会被驱动舍入的小数被拒绝', () => {
+  assert.throws(
+    () => coerceParamValue(parseSqlType("Decimal(38,4)"), "12345678901234567.1234"),
+    /12345678901234567\.1234 超出驱动可以精确传递的范围.*CAST\(@参数 AS DECIMAL\(38,4\)\)/
+  );
+  assert.throws(() => coerceParamValue(parseSqlType("Numeric"), 1e15), /CAST\(@参数 AS NUMERIC\(18,0\)\)/);
+  assert.throws(() => coerceParamValue(parseSqlType("Money"), "123456789012.5"), /CAST\(@参数 AS MONEY\)/);
+});
+
+test('字符串、二进制、日期和 GUID', () => {
+  assert.equal(coerceParamValue(parseSqlType("NVarChar(max)"), { a: 1 }), '{"a":1}');
+  assert.throws(() => coerceParamValue(parseSqlType("NChar(2)"), "abc"), /值长度 3 超过声明的 NChar\(2\)/);
+  assert.deepEqual(coerceParamValue(parseSqlType("VarBinary(max)"), "0x0aff"), Buffer.from([0x0a, 0xff]));
+  assert.throws(() => coerceParamValue(parseSqlType("VarBinary(max)"), "not base64!"), /不是有效的 base64/);
+  assert.equal(coerceParamValue(parseSqlType("Date"), "2024-01-31").toISOString(), "2024-01-31T00:00:00.000Z");
+  assert.equal(coerceParamValue(parseSqlType("DateTime2(7)"), "2024-01-31T08:30:00.1234567").nanosecondDelta.toFixed(7), "0.0004567");
+  assert.throws(() => coerceParamValue(parseSqlType("DateTime"), "31/01/2024"), /不是有效的 ISO 8601 日期/);
+  assert.equal(coerceParamValue(parseSqlType("UniqueIdentifier"), "{6F9619FF-8B86-D011-B42D-00C04FC964FF}"), "6F9619FF-8B86-D011-B42D-00C04FC964FF");
+});
+
+test('错误信息包含参数名称，未声明类型时按值推断', () => {
+  assert.throws(
+    () => prepareQueryParams([{ name: "@amount", type: "Decimal(38,4)", value: "12345678901234567.1234" }]),
+    /参数 @amount \(Decimal\(38,4\)\) 的值无效: .*超出驱动可以精确传递的范围/
+  );
+  assert.throws(() => prepareQueryParams([{ name: "a", value: 1 }, { name: "@A", value: 2 }]), /参数 @A 重复声明/);
+  const [small, big, huge] = prepareQueryParams([
+    { name: "small", value: 1 },
+    { name: "big", value: 2 ** 40 },
+    { name: "huge", value: 2 ** 60 }
+  ]);
+  assert.equal(small.type, sql.Int);
+  assert.equal(big.type, sql.BigInt);
+  assert.equal(huge.type, sql.Float);
+});
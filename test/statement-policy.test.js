@@ -0,0 +1,73 @@
+// SQL 语句分类与只读/语句类别策略：覆盖曾经绕过拒绝规则的写法
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeSql, analyzeSqlStatements, checkStatementPolicy } from '../index.js';
+
+// 返回批处理中每条语句的 "关键字 类别"
+const classify = (sqlText) => analyzeSqlStatements(sqlText).statements.map(statement => `${statement.keyword} ${statement.class}`);
+
+const readOnlyEntry = { name: "test", statementPolicy: { readOnly: true, allowed: ["select"] } };
+
+test('tokenizeSql 忽略注释并保留字符串和带引号的标识符', () => {
+  const tokens = tokenizeSql("SELECT N'a''b' /* FROM hr.Emp */ -- FROM hr.Emp\nFROM [my tbl].\"x y\"");
+  assert.deepEqual(tokens.map(token => [token.type, token.value]), [
+    ["word", "SELECT"],
+    ["string", "N'a''b'"],
+    ["word", "FROM"],
+    ["quoted", "my tbl"],
+    ["symbol", "."],
+    ["quoted", "x y"]
+  ]);
+  assert.equal(tokens[2].line, 2);
+});
+
+test('tokenizeSql 记录括号深度', () => {
+  const tokens = tokenizeSql("SELECT (1)");
+  assert.deepEqual(tokens.map(token => token.depth), [0, 0, 1, 0]);
+});
+
+test('analyzeSqlStatements 按语句分类', () => {
+  assert.deepEqual(classify("SELECT 1; DELETE FROM dbo.A"), ["SELECT select", "DELETE dml"]);
+  assert.deepEqual(classify("INSERT INTO #t VALUES (1)"), ["INSERT select"]);
+  assert.deepEqual(classify("SELECT * INTO dbo.Copy FROM dbo.A"), ["SELECT select", "SELECT INTO ddl"]);
+});
+
+test('会话设置后紧跟的修改语句会被识别', () => {
+  assert.deepEqual(classify("SET NOCOUNT ON DELETE FROM dbo.Orders"), ["DELETE dml"]);
+  assert.deepEqual(classify("SET NOCOUNT ON UPDATE dbo.Orders SET Total = 0"), ["UPDATE dml"]);
+  assert.deepEqual(classify("SET XACT_ABORT ON INSERT INTO dbo.Orders VALUES (1)"), ["INSERT dml"]);
+  assert.deepEqual(classify("SET IDENTITY_INSERT dbo.Orders ON INSERT INTO dbo.Orders (Id) VALUES (1)"), ["INSERT dml"]);
+});
+
+test('外键动作、触发器头部、权限列表和游标 FOR UPDATE 不是语句', () => {
+  assert.deepEqual(
+    classify("ALTER TABLE dbo.A ADD CONSTRAINT FK_A_B FOREIGN KEY (BId) REFERENCES dbo.B (Id) ON DELETE CASCADE ON UPDATE NO ACTION"),
+    ["ALTER TABLE ddl"]
+  );
+  assert.deepEqual(classify("CREATE TABLE dbo.A (BId INT REFERENCES dbo.B ON DELETE SET NULL)"), ["CREATE TABLE ddl"]);
+  assert.deepEqual(classify("CREATE TRIGGER trg ON dbo.A AFTER INSERT, UPDATE AS SELECT 1"), ["CREATE TRIGGER ddl"]);
+  assert.deepEqual(classify("GRANT SELECT, INSERT, UPDATE ON dbo.A TO app"), ["GRANT admin"]);
+  assert.deepEqual(classify("DECLARE c CURSOR FOR SELECT Total FROM dbo.Orders FOR UPDATE OF Total"), ["SELECT select"]);
+});
+
+test('只读模式拒绝修改语句', () => {
+  assert.doesNotThrow(() => checkStatementPolicy(readOnlyEntry, "SELECT * FROM dbo.A WHERE Note = 'DELETE'"));
+  assert.throws(() => checkStatementPolicy(readOnlyEntry, "SELECT 1; DELETE FROM dbo.A"), /语句被拒绝/);
+  assert.throws(() => checkStatementPolicy(readOnlyEntry, "WITH d AS (SELECT 1 AS x) DELETE FROM dbo.A"), /语句被拒绝/);
+});
+
+test('只读模式拒绝紧跟在 SET ... ON 之后的修改语句', () => {
+  for (const sqlText of [
+    "SET NOCOUNT ON DELETE FROM dbo.Orders",
+    "SET NOCOUNT ON UPDATE dbo.Orders SET Total = 0",
+    "SET XACT_ABORT ON INSERT INTO dbo.Orders VALUES (1)"
+  ]) {
+    assert.throws(() => checkStatementPolicy(readOnlyEntry, sqlText), /只读模式已启用/, sqlText);
+  }
+});
+
+test('语句类别策略只放行允许的类别', () => {
+  const entry = { name: "etl", statementPolicy: { readOnly: false, allowed: ["select", "dml"] } };
+  assert.doesNotThrow(() => checkStatementPolicy(entry, "UPDATE dbo.A SET x = 1"));
+  assert.throws(() => checkStatementPolicy(entry, "DROP TABLE dbo.A"), /只允许以下语句类型/);
+});
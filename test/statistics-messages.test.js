@@ -0,0 +1,89 @@
+// SET STATISTICS IO / TIME 消息：按消息号识别、英文和其他语言消息的解析、PRINT 输出不被误判
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyStatisticsMessage, parseStatisticsIoMessage, summarizeStatisticsMessages } from '../index.js';
+
+const IO_TEXT = "Table 'Orders'. Scan count 1, logical reads 12, physical reads 0, page server reads 0, read-ahead reads 3, page server read-ahead reads 0, lob logical reads 2, lob physical reads 0, lob page server reads 0, lob read-ahead reads 0, lob page server read-ahead reads 0.";
+const message = (number, text, severity = 0) => ({ number, severity, message: text });
+
+test('按消息号识别统计消息，与会话语言无关', () => {
+  assert.equal(classifyStatisticsMessage(message(3615, "表 'Orders'。扫描计数 1，逻辑读取 12 次")), "io");
+  assert.equal(classifyStatisticsMessage(message(3612, "SQL Server 执行时间: CPU 时间 = 15 毫秒，占用时间 = 20 毫秒。")), "execution");
+  assert.equal(classifyStatisticsMessage(message(3613, "SQL Server 分析和编译时间: CPU 时间 = 0 毫秒，占用时间 = 1 毫秒。")), "compile");
+});
+
+test('PRINT 和 RAISERROR 输出的相同文本不被当作统计信息', () => {
+  assert.equal(classifyStatisticsMessage(message(0, IO_TEXT)), null);
+  assert.equal(classifyStatisticsMessage(message(50000, " SQL Server Execution Times:", 10)), null);
+  assert.equal(classifyStatisticsMessage(message(0, "SQL Server parse and compile time: ")), null);
+  assert.equal(classifyStatisticsMessage(message(3616, "Table 'x'. Scan count 1")), null);
+});
+
+test('没有消息号的消息按英文文本识别，严重级别必须为 0', () => {
+  assert.equal(classifyStatisticsMessage(message(null, IO_TEXT)), "io");
+  assert.equal(classifyStatisticsMessage(message(null, IO_TEXT, null)), "io");
+  assert.equal(classifyStatisticsMessage(message(null, "SQL Server Execution Times:\n   CPU time = 15 ms,  elapsed time = 20 ms.")), "execution");
+  assert.equal(classifyStatisticsMessage(message(null, "SQL Server parse and compile time: \n   CPU time = 0 ms, elapsed time = 1 ms.")), "compile");
+  assert.equal(classifyStatisticsMessage(message(null, IO_TEXT, 10)), null);
+  assert.equal(classifyStatisticsMessage(message(null, "Warning: Null value is eliminated by an aggregate")), null);
+});
+
+test('解析英文 STATISTICS IO 消息，忽略 page server 计数', () => {
+  assert.deepEqual(parseStatisticsIoMessage(IO_TEXT), {
+    table: "Orders",
+    scanCount: 1,
+    logicalReads: 12,
+    physicalReads: 0,
+    readAheadReads: 3,
+    lobLogicalReads: 2,
+    lobPhysicalReads: 0,
+    lobReadAheadReads: 0
+  });
+  assert.equal(parseStatisticsIoMessage("Table 'O''Brien'. Scan count 2, logical reads 4").table, "O'Brien");
+  assert.equal(parseStatisticsIoMessage("Table 'O''Brien'. Scan count 2, logical reads 4").scanCount, 2);
+});
+
+test('其他语言的消息按计数的位置对应', () => {
+  assert.deepEqual(parseStatisticsIoMessage("表 '#Temp'。扫描计数 1，逻辑读取 5 次，物理读取 1 次，预读 2 次，lob 逻辑读取 0 次，lob 物理读取 0 次，lob 预读 0 次。"), {
+    table: "#Temp",
+    scanCount: 1,
+    logicalReads: 5,
+    physicalReads: 1,
+    readAheadReads: 2,
+    lobLogicalReads: 0,
+    lobPhysicalReads: 0,
+    lobReadAheadReads: 0
+  });
+  const values = [3, 40, 1, 0, 6, 0, 7, 0, 0, 0, 0];
+  assert.deepEqual(parseStatisticsIoMessage(`表 'Orders'。${values.map(value => `计数 ${value}`).join('，')}。`), {
+    table: "Orders",
+    scanCount: 3,
+    logicalReads: 40,
+    physicalReads: 1,
+    readAheadReads: 6,
+    lobLogicalReads: 7,
+    lobPhysicalReads: 0,
+    lobReadAheadReads: 0
+  });
+  assert.equal(parseStatisticsIoMessage("表 'Orders'。扫描计数 1，逻辑读取 5 次"), null);
+  assert.equal(parseStatisticsIoMessage("Worktable"), null);
+});
+
+test('汇总时按表累加 IO，按类型累加 TIME，其他消息被忽略', () => {
+  const summary = summarizeStatisticsMessages([
+    message(3613, "SQL Server parse and compile time: \n   CPU time = 1 ms, elapsed time = 2 ms."),
+    message(3615, IO_TEXT),
+    message(3615, "Table 'Customers'. Scan count 1, logical reads 3, physical reads 0, read-ahead reads 0, lob logical reads 0, lob physical reads 0, lob read-ahead reads 0."),
+    message(3615, IO_TEXT),
+    message(0, "Table 'Fake'. Scan count 9, logical reads 99"),
+    message(3612, "SQL Server Execution Times:\n   CPU time = 15 ms,  elapsed time = 20 ms."),
+    message(3612, "SQL Server Execution Times:\n   CPU time = 5 ms,  elapsed time = 6 ms.")
+  ]);
+  assert.deepEqual(summary.io.map(table => [table.table, table.scanCount, table.logicalReads, table.readAheadReads]), [
+    ["Orders", 2, 24, 6],
+    ["Customers", 1, 3, 0]
+  ]);
+  assert.deepEqual(summary.time, { compileCpuMs: 1, compileElapsedMs: 2, executionCpuMs: 20, executionElapsedMs: 26 });
+  assert.equal(summarizeStatisticsMessages([message(0, "done")]), null);
+  assert.equal(summarizeStatisticsMessages(undefined), null);
+});